@@ -188,3 +188,4 @@ async function handler(req, res) {
 }
 
 module.exports = handler;
+module.exports.loadReportById = loadReportById;
@@ -2,7 +2,11 @@ import fs from 'fs';
 import { promises as fsPromises } from 'fs';
 import formidable from 'formidable';
 import OpenAI from 'openai';
+import pdfParse from 'pdf-parse';
 import { createClient } from '@supabase/supabase-js';
+import { describeOcrConfidence, needsOcr } from './utils/ocrChecks.js';
+import { listCategoryOptions } from '../src/engine/pnlCategories.js';
+import { loadCategoryRules, suggestPnlCategories } from './utils/pnlCategorySuggestions.js';
 
 const openaiApiKey = process.env.OPENAI_API_KEY;
 const openaiClient = openaiApiKey ? new OpenAI({ apiKey: openaiApiKey }) : null;
@@ -22,16 +26,20 @@ function ensureClient() {
   }
 }
 
-async function extractStructuredPnlWithGpt(filePath, filename) {
+// Scanned PDFs are read with local OCR and sent as text; anything else is
+// uploaded to OpenAI as a file.
+async function extractStructuredPnlWithGpt(filePath, filename, ocrText = null) {
   ensureClient();
-  const stream = fs.createReadStream(filePath);
+  const stream = ocrText ? null : fs.createReadStream(filePath);
   let fileUpload;
   try {
     // Upload file to OpenAI
-    fileUpload = await openaiClient.files.create({
-      file: stream,
-      purpose: 'assistants',
-    });
+    if (stream) {
+      fileUpload = await openaiClient.files.create({
+        file: stream,
+        purpose: 'assistants',
+      });
+    }
 
     // Ask GPT-4o to extract structured data
     const response = await openaiClient.chat.completions.create({
@@ -40,14 +48,21 @@ async function extractStructuredPnlWithGpt(filePath, filename) {
         {
           role: 'system',
           content: `You are a structured data extractor for Profit & Loss statements.  \
-Parse the attached document and return **valid JSON** with this exact schema:\n\n{\n  "income": {\n    "individual_items": [\n      { "label": string, "amount": number }\n    ],\n    "total_income": number\n  },\n  "expenses": {\n    "individual_items": [\n      { "label": string, "amount": number }\n    ],\n    "total_expense": number\n  },\n  "net_income": number\n}\n\nRules:\n- Always include multiple individual line items for both income and expenses.\n- Ignore monthly breakdowns — extract only total annual or summary figures.\n- Keep labels short and descriptive (e.g. "Rent Income", "Payroll", "Utilities").\n- Round all amounts to nearest whole dollar.\n- Output must be 100% valid JSON, no explanations or markdown.`,
+Parse the attached document and return **valid JSON** with this exact schema:\n\n{\n  "periods": [string],\n  "income": {\n    "individual_items": [\n      { "label": string, "amount": number, "monthly": [{ "period": string, "amount": number }] }\n    ],\n    "total_income": number\n  },\n  "expenses": {\n    "individual_items": [\n      { "label": string, "amount": number, "monthly": [{ "period": string, "amount": number }] }\n    ],\n    "total_expense": number\n  },\n  "net_income": number\n}\n\nRules:\n- Always include multiple individual line items for both income and expenses.\n- "amount" is the line's total or summary column. When there is no total column, use the sum of the monthly values.\n- When the statement has monthly columns (a T12, trailing or year-to-date statement), list them in "periods" as "YYYY-MM" in calendar order and give every line item a "monthly" entry for each of those months. Never skip or merge months.\n- When there are no monthly columns, return "periods": [] and omit "monthly".\n- Do not treat quarterly, YTD or total columns as months.\n- Keep labels short and descriptive (e.g. "Rent Income", "Payroll", "Utilities").\n- Round all amounts to nearest whole dollar.\n- Output must be 100% valid JSON, no explanations or markdown.`,
         },
         {
           role: 'user',
-          content: [
-            { type: 'text', text: 'Extract structured P&L data.' },
-            { type: 'file', file: { file_id: fileUpload.id } },
-          ],
+          content: fileUpload
+            ? [
+                { type: 'text', text: 'Extract structured P&L data.' },
+                { type: 'file', file: { file_id: fileUpload.id } },
+              ]
+            : [
+                {
+                  type: 'text',
+                  text: `Extract structured P&L data from this OCR text of a scanned statement:\n${ocrText}`,
+                },
+              ],
         },
       ],
       response_format: { type: 'json_object' },
@@ -78,7 +93,7 @@ Parse the attached document and return **valid JSON** with this exact schema:\n\
 
     return parsed;
   } finally {
-    if (typeof stream.close === 'function') {
+    if (typeof stream?.close === 'function') {
       stream.close();
     }
     const uploadId = fileUpload?.id;
@@ -138,7 +153,21 @@ export default async function handler(req, res) {
       return;
     }
 
-    const parsed = await extractStructuredPnlWithGpt(tempFilePath, originalFilename);
+    let ocr = null;
+    if (originalFilename.toLowerCase().endsWith('.pdf')) {
+      const buffer = await fsPromises.readFile(tempFilePath);
+      const pdfData = await pdfParse(buffer).catch(() => null);
+      if (needsOcr(pdfData?.text)) {
+        const { ocrPdf } = await import('./utils/ocrPdf.js');
+        ocr = await ocrPdf(buffer);
+      }
+    }
+
+    const parsed = await extractStructuredPnlWithGpt(
+      tempFilePath,
+      originalFilename,
+      ocr ? ocr.text : null
+    );
 
     if (!parsed || typeof parsed !== 'object') {
       res.status(422).json({ success: false, error: 'Unable to parse structured P&L data.' });
@@ -158,13 +187,38 @@ export default async function handler(req, res) {
       }
     }
 
+    const categoryRules = await loadCategoryRules();
+    const categorySuggestions = await suggestPnlCategories({
+      openaiClient,
+      supabase,
+      parsed,
+      rules: categoryRules,
+    });
+
     res.status(200).json({
       success: true,
       data: parsed,
       metadata: {
         source_filename: originalFilename,
-        extraction_strategy: 'gpt-4o-structured',
+        extraction_strategy: ocr ? 'local-ocr+gpt-4o-structured' : 'gpt-4o-structured',
         model_used: 'gpt-4o',
+        category_suggestions: categorySuggestions,
+        category_rules: {
+          version: categoryRules.version,
+          income: listCategoryOptions(categoryRules, 'income'),
+          expense: listCategoryOptions(categoryRules, 'expense'),
+          problems: categoryRules.problems,
+        },
+        ...(ocr && {
+          ocr: {
+            pages: ocr.pages,
+            averageConfidence: ocr.averageConfidence,
+            pageCount: ocr.pageCount,
+            unreadPages: ocr.unreadPages,
+            stoppedBy: ocr.stoppedBy,
+            warning: describeOcrConfidence(ocr)?.message || null,
+          },
+        }),
       },
     });
   } catch (error) {
@@ -1,5 +1,12 @@
 import OpenAI from 'openai';
 import pdfParse from 'pdf-parse';
+import { resolveHomeOwnership, summariseIncomeByOwnership } from '../src/engine/rentRoll.js';
+import { compareLots, createLotNormalizer, normalizeLot } from './utils/lotIdentifier.js';
+import { describeOcrConfidence, needsOcr } from './utils/ocrChecks.js';
+import { isStructuredRentRoll, parseStructuredRentRoll } from './utils/parseStructuredRentRoll.js';
+import { buildChunks, buildSourceLines, dedupeChunkRows, PAGE_BREAK } from './utils/rentRollChunks.js';
+import { diffRentRolls } from './utils/rentRollDiff.js';
+import { collectDocumentTotals, reconcileTotals } from './utils/rentRollTotals.js';
 
 const openaiApiKey = process.env.OPENAI_API_KEY;
 const openaiClient = openaiApiKey ? new OpenAI({ apiKey: openaiApiKey }) : null;
@@ -10,13 +17,21 @@ You extract a rent roll from text. Return STRICT JSON ONLY, no prose.
 Absolutely do not infer or fabricate fields. If a field isn't present on a row, omit it for that row.
 
 For each row (tenant/unit/lot), return:
-- lot_number: the exact numeric lot/site/unit identifier from the source, without text like "lot". KEEP leading zeros if present. Some communities use letter suffixes (e.g. 200-A, 200-B) for split pads—these are separate lots and must retain their suffix. Valid examples: "002", "020", "0021", "1306", "200-A", "221-B". INVALID: "lot 002", "space 02".
+- lot_number: the exact lot/site/unit identifier from the source, without words like "lot" or "space". KEEP leading zeros if present. Keep any section or pad prefix and any letter suffix, since they tell lots apart (e.g. split pads 200-A and 200-B, sections A12 and B12, RV pads RV-07). Valid examples: "002", "0021", "1306", "200-A", "A12", "B-3", "RV-07", "North 14". INVALID: "lot 002", "space 02".
 - occupied: true/false. If text indicates "vacant", "empty", "–", etc., set false; otherwise true when a tenant is listed or the status clearly indicates occupied.
 - rent: the monthly base lot/space rent as a number (USD). DO NOT include utilities, taxes, insurance, fees, or "Total". Prefer a column named "RC", "Base Rent", "Lot Rent", "Space Rent", "Rent" (in that order). Only if NONE exist, leave rent absent for that row.
 - tenant (optional): string tenant name as shown; if empty row or vacant, omit.
+- home_ownership (optional): "tenant_owned" when the resident owns the home, "park_owned" for a park-owned rental home, "rent_to_own" for a rent-to-own or lease-purchase home. Omit when the source does not say.
+- move_in_date (optional): move-in date as YYYY-MM-DD.
+- lease_end (optional): lease end or expiration date as YYYY-MM-DD.
+- utility_billback (optional): monthly utility charges billed back to the resident (water, sewer, trash, electric, gas), summed, as a number.
+- other_charges (optional): other recurring monthly charges (pet, storage, home rent add-ons, fees), summed, as a number. Never include the base rent here.
+- balance (optional): balance currently owed by the resident as a number (negative for a credit).
 
 NEVER use a "Total" column or sum multiple charges. Ignore Water, Utilities, Taxes, Insurance, Fees, and similar.
 
+Every input line starts with a marker such as [p2:l14] (page 2, line 14). For each row set source_page and source_line from the marker of the line its lot number appears on. Never copy a marker into any other field.
+
 Rows must map only to actual units/lots/sites.
 No auto-incrementing. No guessing.
 `;
@@ -29,58 +44,84 @@ const JSON_SCHEMA = {
       items: {
         type: 'object',
         properties: {
-          lot_number: { type: 'string', pattern: '^[0-9]{1,4}(-[A-Z]{1,2})?$' },
+          lot_number: { type: 'string', pattern: '^[A-Za-z0-9#][A-Za-z0-9 #./_-]{0,19}$' },
           occupied: { type: 'boolean' },
           rent: { type: 'number' },
           tenant: { type: 'string' },
+          home_ownership: { type: 'string', enum: ['tenant_owned', 'park_owned', 'rent_to_own'] },
+          move_in_date: { type: 'string' },
+          lease_end: { type: 'string' },
+          utility_billback: { type: 'number' },
+          other_charges: { type: 'number' },
+          balance: { type: 'number' },
+          source_page: { type: 'integer' },
+          source_line: { type: 'integer' },
         },
-        required: ['lot_number', 'occupied'],
+        required: ['lot_number', 'occupied', 'source_page', 'source_line'],
       },
     },
   },
   required: ['rows'],
 };
 
-function normalizeLot(lotRaw) {
-  if (!lotRaw) {
-    return null;
-  }
+// pdf-parse's default page renderer, with a form feed after each page so line
+// numbers can restart per page.
+function renderPageWithBreak(pageData) {
+  return pageData
+    .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then((textContent) => {
+      let lastY;
+      let text = '';
+      textContent.items.forEach((item) => {
+        text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      });
+      return `${text}${PAGE_BREAK}`;
+    });
+}
 
-  const original = String(lotRaw).trim();
-  if (!original) {
+// Two-digit years land in the hundred years ending ten years after the
+// reference year, so a lease end of 5/31/30 is 2030 and a move-in of 3/1/98 is
+// 1998, not 2098.
+export function normalizeDate(value, referenceYear = new Date().getFullYear()) {
+  if (value === null || value === undefined || String(value).trim() === '') {
     return null;
   }
 
-  let normalized = original.toUpperCase();
-
-  const compactMatch = normalized.match(/^(\d{1,4})([A-Z])$/);
-  if (compactMatch) {
-    normalized = `${compactMatch[1]}-${compactMatch[2]}`;
+  const text = String(value).trim();
+  const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const usMatch = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/);
+  let parts = null;
+
+  if (isoMatch) {
+    parts = [isoMatch[1], isoMatch[2], isoMatch[3]];
+  } else if (usMatch) {
+    let fullYear = Number(usMatch[3]);
+    if (usMatch[3].length === 2) {
+      fullYear += referenceYear - (referenceYear % 100);
+      if (fullYear > referenceYear + 10) {
+        fullYear -= 100;
+      } else if (fullYear <= referenceYear - 90) {
+        fullYear += 100;
+      }
+    }
+    parts = [fullYear, usMatch[1], usMatch[2]];
   }
 
-  const match = normalized.match(/^(\d{1,4})(-[A-Z]{1,2})?$/);
-  if (!match) {
+  if (!parts) {
     return null;
   }
 
-  const numericSegment = match[1];
-  const suffixSegment = match[2] ? match[2].toUpperCase() : '';
-  const numeric = parseInt(numericSegment, 10);
-
-  if (!Number.isFinite(numeric)) {
+  const [year, month, day] = parts.map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
     return null;
   }
 
-  const displayNumeric = numericSegment.padStart(3, '0');
-  const suffix = suffixSegment ? suffixSegment.replace('-', '') : '';
-  const display = `${displayNumeric}${suffix ? `-${suffix}` : ''}`;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
 
-  return {
-    display,
-    numeric,
-    original,
-    suffix,
-  };
+function toOptionalAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
 }
 
 function validateRows(rows) {
@@ -166,7 +207,7 @@ function validateRows(rows) {
   };
 }
 
-function computeSummaryStats(rows = [], warnings = []) {
+export function computeSummaryStats(rows = [], warnings = []) {
   const totalLots = rows.length;
   const occupiedLots = rows.filter((row) => row.occupied).length;
 
@@ -198,6 +239,10 @@ function computeSummaryStats(rows = [], warnings = []) {
     }
   });
 
+  // Lot rent from tenant-owned homes versus income from park-owned and
+  // rent-to-own homes, which underwriting values differently.
+  const incomeByOwnership = summariseIncomeByOwnership(rows);
+
   return {
     totalLots,
     occupiedLots,
@@ -206,21 +251,114 @@ function computeSummaryStats(rows = [], warnings = []) {
     totalAnnualIncome,
     vacancyRate,
     occupancyRate,
+    incomeByOwnership,
     warnings,
   };
 }
+
+// Normalises raw rows (from the LLM or a spreadsheet) into the preview rows,
+// sorted by lot, plus the validation warnings.
+export function buildRentRollRows(rawRows, normalize = normalizeLot) {
+  const unrecognizedLots = [];
+  const rows = (rawRows || [])
+    .map((rawRow) => {
+      if (!rawRow || typeof rawRow !== 'object') {
+        return null;
+      }
+
+      const lot = normalize(rawRow.lot_number);
+      if (!lot) {
+        const token = String(rawRow.lot_number ?? '').trim();
+        unrecognizedLots.push(
+          Number.isInteger(rawRow.source_line)
+            ? `"${token}" (p${rawRow.source_page ?? 1} line ${rawRow.source_line})`
+            : `"${token}"`
+        );
+        return null;
+      }
+
+      const occupied = Boolean(rawRow.occupied);
+      const rent = typeof rawRow.rent === 'number' && Number.isFinite(rawRow.rent)
+        ? rawRow.rent
+        : null;
+
+      const tenantValue = typeof rawRow.tenant === 'string' && rawRow.tenant.trim()
+        ? rawRow.tenant.trim()
+        : null;
+
+      return {
+        lotNumber: lot.display,
+        lotNumeric: lot.numeric,
+        lotPrefix: lot.prefix,
+        lotSuffix: lot.suffix,
+        _lotSegments: lot.segments,
+        occupied,
+        rent,
+        tenant: tenantValue,
+        tenantName: tenantValue,
+        homeOwnership: resolveHomeOwnership(rawRow.home_ownership),
+        moveInDate: normalizeDate(rawRow.move_in_date),
+        leaseEnd: normalizeDate(rawRow.lease_end),
+        utilityBillback: toOptionalAmount(rawRow.utility_billback),
+        otherCharges: toOptionalAmount(rawRow.other_charges),
+        balance: toOptionalAmount(rawRow.balance),
+        sourcePage: Number.isInteger(rawRow.source_page) ? rawRow.source_page : null,
+        sourceLine: Number.isInteger(rawRow.source_line) ? rawRow.source_line : null,
+        sourceText: typeof rawRow.source_text === 'string' ? rawRow.source_text : null,
+        _originalLotToken: lot.original,
+      };
+    })
+    .filter(Boolean);
+
+  const validation = validateRows(rows);
+  const decoratedRows = rows.map((row) => ({
+    ...row,
+    isDuplicate: validation.duplicateLots.has(row.lotNumber),
+    missingRent: validation.missingRentLots.has(row.lotNumber) && row.occupied,
+  }));
+
+  const sortedRows = decoratedRows
+    .slice()
+    .sort((a, b) =>
+      compareLots(
+        { segments: a._lotSegments, display: a.lotNumber },
+        { segments: b._lotSegments, display: b.lotNumber }
+      )
+    )
+    .map(({ _lotSegments, ...row }) => row);
+
+  const warnings = [...validation.warnings];
+  if (unrecognizedLots.length > 0) {
+    const listed = unrecognizedLots.slice(0, 10).join(', ');
+    const more = unrecognizedLots.length > 10 ? ` and ${unrecognizedLots.length - 10} more` : '';
+    warnings.push({
+      code: 'unrecognized_lot',
+      message: `${unrecognizedLots.length} row(s) skipped because the lot ID could not be read: ${listed}${more}.`,
+      severity: 'warning',
+      lots: unrecognizedLots,
+    });
+  }
+
+  return { rows: sortedRows, warnings };
+}
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
     return res.status(405).json({ success: false, error: 'Method not allowed' });
   }
 
-  if (!openaiClient) {
-    return res.status(500).json({ success: false, error: 'OpenAI API key is not configured.' });
-  }
-
   try {
-    const { file, filename } = req.body || {};
+    const { file, filename, compareTo, lotIdOptions } = req.body || {};
+    // Callers can widen or narrow the lot ID scheme per upload.
+    const normalize =
+      lotIdOptions && typeof lotIdOptions === 'object'
+        ? createLotNormalizer(lotIdOptions)
+        : normalizeLot;
+    // With an earlier rent roll attached, the response also carries the change
+    // report against it.
+    const withDiff = (payload) =>
+      Array.isArray(compareTo) ? { ...payload, diff: diffRentRolls(compareTo, payload.data, normalize) } : payload;
 
     if (!file || !filename) {
       return res
@@ -229,68 +367,70 @@ export default async function handler(req, res) {
     }
 
     const buffer = Buffer.from(file, 'base64');
+
+    // Spreadsheet exports are read directly; the LLM is only a fallback when no
+    // header row can be found.
+    if (isStructuredRentRoll(filename)) {
+      const structured = parseStructuredRentRoll(buffer, filename);
+
+      if (structured) {
+        const { rows: sortedRows, warnings } = buildRentRollRows(structured.rows, normalize);
+        const reconciliation = reconcileTotals(sortedRows, {
+          ...collectDocumentTotals(structured.totalLines),
+          rentTotals: structured.rentTotal !== null ? [structured.rentTotal] : [],
+        });
+        if (reconciliation) {
+          warnings.push(reconciliation);
+        }
+        const summary = {
+          ...computeSummaryStats(sortedRows, warnings),
+          source: 'structured',
+          columns: structured.columns,
+        };
+
+        return res.status(200).json(withDiff({ success: true, data: sortedRows, summary }));
+      }
+
+      if (filename.toLowerCase().endsWith('.xlsx')) {
+        return res.status(422).json({
+          success: false,
+          error: 'No header row with a lot, site or space column was found in the spreadsheet.',
+        });
+      }
+    }
+
+    if (!openaiClient) {
+      return res.status(500).json({ success: false, error: 'OpenAI API key is not configured.' });
+    }
     let text = '';
 
     if (filename.toLowerCase().endsWith('.pdf')) {
-      const pdfData = await pdfParse(buffer);
+      const pdfData = await pdfParse(buffer, { pagerender: renderPageWithBreak });
       text = pdfData.text?.trim() || '';
     } else {
       text = buffer.toString('utf-8');
     }
 
-    if (!text || text.length < 200) {
-      const base64Image = `data:application/pdf;base64,${file}`;
-      const ocrResponse = await openaiClient.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an OCR assistant for rent roll documents. Extract all visible text clearly.',
-          },
-          {
-            role: 'user',
-            content: [
-              { type: 'text', text: 'Extract text from this rent roll PDF:' },
-              { type: 'image_url', image_url: base64Image },
-            ],
-          },
-        ],
-      });
-      text = ocrResponse.choices?.[0]?.message?.content || '';
+    // Scanned PDFs carry no text layer; each page is rasterised and read locally.
+    let ocr = null;
+    if (filename.toLowerCase().endsWith('.pdf') && needsOcr(text)) {
+      const { ocrPdf } = await import('./utils/ocrPdf.js');
+      ocr = await ocrPdf(buffer);
+      text = ocr.text.trim();
     }
 
     if (!text) {
       throw new Error('No text could be extracted from the provided file.');
     }
 
-    const lines = text.split(/\r?\n/);
-    const totalValues = [];
-    lines.forEach((line) => {
-      if (!/total/i.test(line)) {
-        return;
-      }
-      const matches = line.match(/[-+]?[0-9]{1,3}(?:,[0-9]{3})*(?:\.[0-9]{2})?|[-+]?[0-9]+(?:\.[0-9]{2})?/g);
-      if (!matches) {
-        return;
-      }
-      matches.forEach((match) => {
-        const numericString = match.replace(/[^0-9.\-]/g, '');
-        if (!numericString) {
-          return;
-        }
-        const value = Number(numericString);
-        if (Number.isFinite(value)) {
-          totalValues.push(value);
-        }
-      });
-    });
+    const documentTotals = collectDocumentTotals(text.split(/\r?\n|\f/));
 
-    const chunks = [];
-    for (let index = 0; index < text.length; index += 10000) {
-      chunks.push(text.slice(index, index + 10000));
-    }
+    const sourceLines = buildSourceLines(text);
+    const sourceLineText = new Map(
+      sourceLines.map((entry) => [`${entry.page}:${entry.line}`, entry.text.trim()])
+    );
 
-    const nonEmptyChunks = chunks.filter((chunk) => chunk.trim().length > 0);
+    const nonEmptyChunks = buildChunks(sourceLines);
     if (nonEmptyChunks.length === 0) {
       nonEmptyChunks.push(text);
     }
@@ -325,89 +465,40 @@ export default async function handler(req, res) {
     };
 
     const parsedChunks = await Promise.all(nonEmptyChunks.map((chunk) => parseChunk(chunk)));
-    const aiRows = parsedChunks.flat();
-
-    const rentMatchesTotal = new Set();
-    const totalsList = totalValues;
-
-    const rows = (aiRows || [])
-      .map((rawRow) => {
-        if (!rawRow || typeof rawRow !== 'object') {
-          return null;
-        }
-
-        const lot = normalizeLot(rawRow.lot_number);
-        if (!lot) {
-          return null;
-        }
-
-        const occupied = Boolean(rawRow.occupied);
-        const rentValue = typeof rawRow.rent === 'number' && Number.isFinite(rawRow.rent)
-          ? rawRow.rent
-          : null;
-
-        let rent = rentValue;
-        if (rent !== null && totalsList.some((value) => Math.abs(value - rent) < 0.01)) {
-          rentMatchesTotal.add(lot.display);
-          rent = null;
-        }
-
-        const tenantValue = typeof rawRow.tenant === 'string' && rawRow.tenant.trim()
-          ? rawRow.tenant.trim()
-          : null;
-
-        return {
-          lotNumber: lot.display,
-          lotNumeric: lot.numeric,
-          lotSuffix: lot.suffix || '',
-          occupied,
-          rent,
-          tenant: tenantValue,
-          tenantName: tenantValue,
-          _originalLotToken: lot.original,
-        };
-      })
-      .filter(Boolean);
-
-    const validation = validateRows(rows);
-    const decoratedRows = rows.map((row) => ({
+    const aiRows = dedupeChunkRows(parsedChunks.flat()).map((row) => ({
       ...row,
-      isDuplicate: validation.duplicateLots.has(row.lotNumber),
-      missingRent: validation.missingRentLots.has(row.lotNumber) && row.occupied,
+      source_text: sourceLineText.get(`${row?.source_page}:${row?.source_line}`) ?? null,
     }));
 
-    const sortedRows = decoratedRows.slice().sort((a, b) => {
-      if (a.lotNumeric === b.lotNumeric) {
-        const suffixA = a.lotSuffix || '';
-        const suffixB = b.lotSuffix || '';
-        if (suffixA === suffixB) {
-          return a.lotNumber.localeCompare(b.lotNumber);
-        }
-        if (!suffixA) {
-          return -1;
-        }
-        if (!suffixB) {
-          return 1;
-        }
-        return suffixA.localeCompare(suffixB);
-      }
-      return a.lotNumeric - b.lotNumeric;
-    });
-
-    const warnings = [...validation.warnings];
-    if (rentMatchesTotal.size > 0) {
-      warnings.push({
-        code: 'matched_total',
-        message: `Base rent not extracted for lots ${Array.from(rentMatchesTotal).join(', ')} because the value matched a "Total" amount. Please confirm manually.`,
-        severity: 'warning',
-      });
+    const { rows: sortedRows, warnings } = buildRentRollRows(aiRows, normalize);
+    const reconciliation = reconcileTotals(sortedRows, documentTotals);
+    if (reconciliation) {
+      warnings.push(reconciliation);
+    }
+    const ocrWarning = describeOcrConfidence(ocr);
+    if (ocrWarning) {
+      warnings.push(ocrWarning);
     }
 
-    const summary = computeSummaryStats(sortedRows, warnings);
+    const summary = {
+      ...computeSummaryStats(sortedRows, warnings),
+      source: ocr ? 'ocr' : 'ai',
+      ...(ocr && {
+        ocr: {
+          pages: ocr.pages,
+          averageConfidence: ocr.averageConfidence,
+          pageCount: ocr.pageCount,
+          unreadPages: ocr.unreadPages,
+          stoppedBy: ocr.stoppedBy,
+        },
+      }),
+    };
 
-    return res.status(200).json({ success: true, data: sortedRows, summary });
+    return res.status(200).json(withDiff({ success: true, data: sortedRows, summary }));
   } catch (error) {
     console.error('Error parsing rent roll:', error);
-    return res.status(500).json({ success: false, error: error.message || 'Unknown error' });
+    return res
+      .status(error?.statusCode || 500)
+      .json({ success: false, error: error.message || 'Unknown error' });
   }
 }
@@ -0,0 +1,232 @@
+import { createClient } from '@supabase/supabase-js';
+import { loadReportById } from './load-report.js';
+import {
+  loadReferenceTables,
+  recalculateReportState,
+  findCalculationDiscrepancies,
+  buildRecalculatedColumns,
+} from './utils/recalculateReport.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase =
+  supabaseUrl && supabaseServiceRoleKey
+    ? createClient(supabaseUrl, supabaseServiceRoleKey)
+    : null;
+
+const sanitizeColumnName = (rawColumn) => {
+  if (!rawColumn) {
+    return rawColumn;
+  }
+
+  const withoutTable = rawColumn.includes('.')
+    ? rawColumn.split('.').pop()
+    : rawColumn;
+
+  return withoutTable.replace(/["'`]/g, '').replace(/-/g, '_');
+};
+
+const normaliseReportState = (state) => {
+  if (!state) {
+    return null;
+  }
+
+  if (typeof state === 'object') {
+    return state;
+  }
+
+  if (typeof state === 'string') {
+    try {
+      return JSON.parse(state);
+    } catch (err) {
+      console.warn('Unable to parse stored report_state JSON:', err);
+      return null;
+    }
+  }
+
+  return null;
+};
+
+const persistRecalculation = async ({ reportId, userId, reportState, serverCalculations, discrepancies }) => {
+  const warnings = [];
+  let dataToPersist = {
+    ...buildRecalculatedColumns(serverCalculations),
+    report_state: {
+      ...reportState,
+      calculations: serverCalculations,
+      recalculation: {
+        checkedAt: new Date().toISOString(),
+        discrepancies,
+      },
+    },
+  };
+
+  for (let attempt = 0; attempt < Object.keys(dataToPersist).length; attempt += 1) {
+    const { error } = await supabase
+      .from('reports')
+      .update(dataToPersist)
+      .eq('id', reportId)
+      .eq('user_id', userId);
+
+    if (!error) {
+      return { warnings };
+    }
+
+    const columnFromMessage =
+      error.message?.match(/column\s+"?([^"\s]+)"?/i) ||
+      error.details?.match(/column\s+"?([^"\s]+)"?/i);
+    const missingColumn = sanitizeColumnName(columnFromMessage?.[1]);
+
+    if (
+      error.code !== '42703' ||
+      !missingColumn ||
+      missingColumn === 'report_state' ||
+      !Object.prototype.hasOwnProperty.call(dataToPersist, missingColumn)
+    ) {
+      return { error, warnings };
+    }
+
+    warnings.push(`Column "${missingColumn}" is not present in Supabase and was not updated.`);
+    const { [missingColumn]: _removed, ...rest } = dataToPersist;
+    dataToPersist = rest;
+  }
+
+  return { warnings };
+};
+
+// POST { reportId, accessToken, persist? } recomputes one of the caller's saved
+// reports from its report_state inputs. POST { reportState } recomputes an
+// unsaved deal and needs no session.
+async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const { reportId, accessToken, persist = false, reportState: inlineState } = req.body || {};
+
+  if (!reportId) {
+    const reportState = normaliseReportState(inlineState);
+
+    if (!reportState) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reportId or reportState is required to recalculate a report.',
+      });
+    }
+
+    const calculations = recalculateReportState(reportState, await loadReferenceTables());
+    return res.status(200).json({
+      success: true,
+      data: {
+        calculations,
+        discrepancies: findCalculationDiscrepancies(reportState.calculations, calculations),
+      },
+    });
+  }
+
+  if (!supabase) {
+    return res.status(500).json({
+      success: false,
+      error: 'Supabase credentials are missing. Add SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY to recalculate saved reports.',
+    });
+  }
+
+  // A saved report is only recomputed for its owner; without a session the
+  // caller can only send the report_state itself.
+  if (!accessToken) {
+    return res.status(401).json({
+      success: false,
+      error: 'A valid accessToken is required to recalculate a saved report.',
+    });
+  }
+
+  const { data: userData, error: authError } = await supabase.auth.getUser(accessToken);
+  const userId = userData?.user?.id || null;
+
+  if (authError || !userId) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unable to verify the Supabase session for the requested report.',
+      details: authError?.message || authError?.details || null,
+    });
+  }
+
+  const { data, error, warnings } = await loadReportById({ reportId, userId });
+
+  if (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      details: error.details || null,
+      warnings,
+    });
+  }
+
+  // loadReportById falls back to a lookup by id alone, so check the owner here.
+  if (data?.user_id !== undefined && data.user_id !== userId) {
+    return res.status(404).json({ success: false, error: 'Report not found.', warnings });
+  }
+
+  const reportState = normaliseReportState(data?.report_state);
+
+  if (!reportState) {
+    return res.status(422).json({
+      success: false,
+      error: 'The saved report has no report_state inputs to recalculate from.',
+      warnings,
+    });
+  }
+
+  const calculations = recalculateReportState(reportState, await loadReferenceTables());
+  const storedCalculations = {
+    ...(reportState.calculations || {}),
+    ...Object.fromEntries(
+      [
+        ['noi', data.noi],
+        ['capRate', data.cap_rate],
+        ['cashOnCash', data.cash_on_cash],
+        ['dscr', data.dscr],
+        ['irr', data.irr],
+        ['equityMultiple', data.equity_multiple],
+      ].filter(([, value]) => value !== undefined && value !== null)
+    ),
+  };
+  const discrepancies = findCalculationDiscrepancies(storedCalculations, calculations);
+  const responseWarnings = [...warnings];
+
+  if (persist) {
+    const { error: persistError, warnings: persistWarnings } = await persistRecalculation({
+      reportId,
+      userId,
+      reportState,
+      serverCalculations: calculations,
+      discrepancies,
+    });
+
+    responseWarnings.push(...persistWarnings);
+
+    if (persistError) {
+      console.error('Failed to store recalculated report metrics:', persistError);
+      return res.status(500).json({
+        success: false,
+        error: persistError.message || 'Failed to store recalculated report metrics.',
+        warnings: responseWarnings,
+      });
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      reportId,
+      calculations,
+      discrepancies,
+      persisted: Boolean(persist),
+    },
+    warnings: responseWarnings,
+  });
+}
+
+export default handler;
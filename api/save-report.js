@@ -1,7 +1,15 @@
-const { createClient } = require('@supabase/supabase-js');
-const { Resend } = require('resend');
-const OpenAI = require('openai');
-const { extractKeyMetrics } = require('./utils/extractKeyMetrics');
+import { createClient } from '@supabase/supabase-js';
+import { Resend } from 'resend';
+import OpenAI from 'openai';
+import { extractKeyMetrics } from './utils/extractKeyMetrics.js';
+import {
+  loadReferenceTables,
+  recalculateReportState,
+  findCalculationDiscrepancies,
+  buildRecalculatedColumns,
+  describeDiscrepancies,
+} from './utils/recalculateReport.js';
+import { normaliseScenarios } from '../src/engine/index.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -9,6 +17,9 @@ const openAIApiKey = process.env.OPENAI_API_KEY;
 const resendApiKey = process.env.RESEND_API_KEY;
 const resendFromEmail = process.env.RESEND_FROM_EMAIL || '';
 const notificationEmailList = process.env.REPORT_NOTIFICATION_EMAILS || '';
+const rejectMismatchedCalculations = /^(true|1|yes)$/i.test(
+  process.env.REJECT_MISMATCHED_CALCULATIONS || ''
+);
 
 const supabase =
   supabaseUrl && supabaseServiceRoleKey
@@ -376,15 +387,57 @@ async function handler(req, res) {
 
     const ownerEmail = payload.contactInfo?.email || authUser.email || '';
 
-    const reportState =
+    const submittedState =
       payload.reportState && typeof payload.reportState === 'object'
-        ? {
-            ...payload.reportState,
-            ownerUserId: payload.userId,
-            ownerEmail,
-          }
+        ? payload.reportState
         : null;
 
+    // Never trust browser-computed metrics: rebuild them from the saved inputs.
+    const serverCalculations = recalculateReportState(submittedState, await loadReferenceTables());
+    const discrepancies = findCalculationDiscrepancies(
+      payload.calculations ?? submittedState?.calculations,
+      serverCalculations
+    );
+    const recalculationWarnings = [];
+
+    if (discrepancies.length > 0) {
+      console.warn('Submitted calculations disagree with the server recalculation:', discrepancies);
+
+      if (rejectMismatchedCalculations) {
+        return res.status(422).json({
+          success: false,
+          error: `Submitted calculations do not match the server recalculation (${describeDiscrepancies(
+            discrepancies
+          )}).`,
+          details: { discrepancies },
+        });
+      }
+
+      recalculationWarnings.push(
+        `Server recalculation corrected ${discrepancies.length} metric(s) that did not match the submitted values: ${describeDiscrepancies(
+          discrepancies
+        )}.`
+      );
+    }
+
+    const reportState = submittedState
+      ? {
+          ...submittedState,
+          scenarios: normaliseScenarios(submittedState.scenarios),
+          ...(serverCalculations
+            ? {
+                calculations: serverCalculations,
+                recalculation: {
+                  checkedAt: new Date().toISOString(),
+                  discrepancies,
+                },
+              }
+            : {}),
+          ownerUserId: payload.userId,
+          ownerEmail,
+        }
+      : null;
+
     // Map payload → Supabase schema
     const fieldMap = {
       user_id: payload.userId,
@@ -441,6 +494,7 @@ async function handler(req, res) {
       additional_income: payload.additionalIncome || [],
       expense_ratio: payload.expenseRatio,
       projection_years: payload.projectionYears,
+      ...buildRecalculatedColumns(serverCalculations),
     };
 
     // Prune undefined / null / empty values
@@ -607,8 +661,13 @@ async function handler(req, res) {
 
     const responseBody = { success: true, data };
 
-    if (schemaStatus.warning) {
-      responseBody.warnings = [schemaStatus.warning];
+    const responseWarnings = [schemaStatus.warning, ...recalculationWarnings].filter(Boolean);
+    if (responseWarnings.length > 0) {
+      responseBody.warnings = responseWarnings;
+    }
+
+    if (serverCalculations) {
+      responseBody.recalculation = { discrepancies };
     }
 
     return res.status(200).json(responseBody);
@@ -618,5 +677,4 @@ async function handler(req, res) {
   }
 }
 
-module.exports = handler;
-module.exports.default = handler;
+export default handler;
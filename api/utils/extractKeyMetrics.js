@@ -1,4 +1,4 @@
-function extractKeyMetrics(reportData = {}) {
+export function extractKeyMetrics(reportData = {}) {
   const {
     property_name,
     city,
@@ -36,5 +36,3 @@ function extractKeyMetrics(reportData = {}) {
   Contact: ${prepared_by_email || ''} / ${prepared_by_phone || ''}
   `.trim();
 }
-
-module.exports = { extractKeyMetrics };
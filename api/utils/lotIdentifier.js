@@ -0,0 +1,106 @@
+// Lot identifiers come in many schemes: plain numbers ("7", "0021"), split
+// pads ("200-A"), sections ("A12", "North 14") and RV pads ("RV-07"). IDs are
+// split into letter and number segments so every scheme normalises and sorts
+// the same way.
+export const DEFAULT_LOT_ID_OPTIONS = {
+  // Zero-padding for IDs that start with their number ("7" -> "007").
+  padDigits: 3,
+  // Words in front of the ID that describe it rather than name it.
+  stripWords: ['home site', 'lot', 'site', 'space', 'unit', 'pad', 'no', 'number'],
+  // Leading words that mark a summary row rather than a lot.
+  rejectWords: ['total', 'totals', 'subtotal', 'vacant', 'page'],
+  maxLength: 20,
+  maxSegments: 4,
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compareSegments = (a, b) => {
+  const aIsNumber = typeof a === 'number';
+  const bIsNumber = typeof b === 'number';
+  if (aIsNumber && bIsNumber) {
+    return a - b;
+  }
+  if (aIsNumber !== bIsNumber) {
+    return aIsNumber ? -1 : 1;
+  }
+  return a.localeCompare(b);
+};
+
+// Natural order: numbers compare by value, so "RV-9" sorts before "RV-10" and
+// "200" before "200-A".
+export function compareLots(a, b) {
+  const segmentsA = a?.segments || [];
+  const segmentsB = b?.segments || [];
+  const length = Math.min(segmentsA.length, segmentsB.length);
+
+  for (let index = 0; index < length; index += 1) {
+    const difference = compareSegments(segmentsA[index], segmentsB[index]);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  return segmentsA.length - segmentsB.length || String(a?.display).localeCompare(String(b?.display));
+}
+
+// Returns a normaliser for the given options. It yields null for anything that
+// is not a lot ID: no digits, too long, too many parts, or a summary word.
+export function createLotNormalizer(options = {}) {
+  const settings = { ...DEFAULT_LOT_ID_OPTIONS, ...options };
+  const stripWords = [].concat(settings.stripWords || []).map(String);
+  const stripPattern = stripWords.length
+    ? new RegExp(
+        `^(?:(?:${stripWords.map(escapeRegExp).join('|')})\\b\\.?[\\s#:-]*|#\\s*)+`,
+        'i'
+      )
+    : /^#\s*/;
+  const rejectWords = new Set(
+    [].concat(settings.rejectWords || []).map((word) => String(word).toUpperCase())
+  );
+
+  return function normalizeLot(lotRaw) {
+    if (lotRaw === null || lotRaw === undefined) {
+      return null;
+    }
+
+    const original = String(lotRaw).trim();
+    const text = original.replace(stripPattern, '').trim().toUpperCase();
+    if (!text || text.length > settings.maxLength || /[^A-Z0-9\s#./_-]/.test(text)) {
+      return null;
+    }
+
+    const tokens = text.match(/[A-Z]+|\d+/g) || [];
+    if (
+      tokens.length === 0 ||
+      tokens.length > settings.maxSegments ||
+      !tokens.some((token) => /^\d/.test(token)) ||
+      rejectWords.has(tokens[0])
+    ) {
+      return null;
+    }
+
+    const leadingNumber = /^\d/.test(tokens[0]);
+    const displayTokens = tokens.map((token, index) =>
+      index === 0 && leadingNumber ? token.padStart(settings.padDigits, '0') : token
+    );
+    const segments = tokens.map((token) => (/^\d/.test(token) ? parseInt(token, 10) : token));
+    const numberIndexes = segments
+      .map((segment, index) => (typeof segment === 'number' ? index : -1))
+      .filter((index) => index >= 0);
+    const lastNumberIndex = numberIndexes[numberIndexes.length - 1];
+
+    return {
+      display: displayTokens.join('-'),
+      // Matching key that ignores zero-padding, so "RV-07" and "RV-7" are one lot.
+      key: segments.join('-'),
+      numeric: segments[lastNumberIndex],
+      prefix: tokens.slice(0, numberIndexes[0]).join('-'),
+      suffix: tokens.slice(lastNumberIndex + 1).join('-'),
+      segments,
+      original,
+    };
+  };
+}
+
+export const normalizeLot = createLotNormalizer();
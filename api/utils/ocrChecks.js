@@ -0,0 +1,36 @@
+// pdf-parse returns little more than page furniture for a scanned document;
+// below this many characters the PDF is read with OCR instead.
+export const MIN_TEXT_LENGTH = 200;
+// Pages whose OCR confidence falls below this are flagged for review.
+export const LOW_OCR_CONFIDENCE = 60;
+
+export const needsOcr = (text) => String(text || '').trim().length < MIN_TEXT_LENGTH;
+
+// Review warning for pages the OCR engine was unsure of, or null.
+export function describeOcrConfidence(ocr) {
+  const lowPages = (ocr?.pages || []).filter((page) => page.confidence < LOW_OCR_CONFIDENCE);
+  if (lowPages.length === 0 && !ocr?.truncated) {
+    return null;
+  }
+
+  const parts = [];
+  if (lowPages.length > 0) {
+    parts.push(
+      `Low OCR confidence on page(s) ${lowPages
+        .map((page) => `${page.page} (${page.confidence}%)`)
+        .join(', ')}; check those rows against the scan.`
+    );
+  }
+  if (ocr.truncated) {
+    const read = ocr.pages.length;
+    const unread =
+      read + 1 === ocr.pageCount ? `page ${ocr.pageCount} is` : `pages ${read + 1}-${ocr.pageCount} are`;
+    parts.push(
+      `Only the first ${read} of ${ocr.pageCount} pages were read${
+        ocr.stoppedBy === 'time' ? ' before OCR ran out of time' : ''
+      }; ${unread} missing from the rows.`
+    );
+  }
+
+  return { code: 'low_ocr_confidence', message: parts.join(' '), severity: 'warning' };
+}
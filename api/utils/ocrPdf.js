@@ -0,0 +1,100 @@
+import { createCanvas } from '@napi-rs/canvas';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import englishData from '@tesseract.js-data/eng';
+import { createWorker } from 'tesseract.js';
+
+// Loads the canvas, pdf.js and Tesseract, so callers import it only once
+// needsOcr (./ocrChecks.js) says a PDF has no usable text.
+
+// 2x the PDF's 72 DPI is enough for photocopied type without making
+// Tesseract slow on large pages.
+const RENDER_SCALE = 2;
+const MAX_OCR_PAGES = 40;
+// OCR stops starting new pages after this long, leaving the rest of the
+// function's 120 s for the extraction call. A page takes a few seconds.
+const OCR_TIME_BUDGET_MS = 60000;
+const PAGE_BREAK = '\f';
+
+// Renders one page to a PNG.
+async function renderPage(document, pageNumber, scale) {
+  const page = await document.getPage(pageNumber);
+  try {
+    const viewport = page.getViewport({ scale });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext('2d');
+
+    // The canvas starts transparent; Tesseract needs a white page behind the text.
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    page.cleanup();
+  }
+}
+
+// OCRs a scanned PDF page by page, rendering each page just before it is read.
+// The text keeps a form feed after every page so callers can number lines per
+// page, and each page reports Tesseract's mean word confidence (0-100). Reading
+// stops at `maxPages` or once `timeBudgetMs` has passed; the pages left are
+// listed in `unreadPages`, and `stoppedBy` says which limit was hit.
+export async function ocrPdf(
+  buffer,
+  { scale = RENDER_SCALE, maxPages = MAX_OCR_PAGES, timeBudgetMs = OCR_TIME_BUDGET_MS } = {}
+) {
+  const deadline = Date.now() + timeBudgetMs;
+  const document = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+  // The English model ships with the app so OCR never downloads at request
+  // time; /tmp is the only writable cache location on serverless functions.
+  const worker = await createWorker('eng', 1, {
+    langPath: englishData.langPath,
+    gzip: englishData.gzip,
+    cachePath: '/tmp',
+  });
+
+  try {
+    const pageCount = document.numPages;
+    const pageLimit = Math.min(pageCount, maxPages);
+    const pages = [];
+    let stoppedBy = pageCount > pageLimit ? 'pages' : null;
+
+    for (let pageNumber = 1; pageNumber <= pageLimit; pageNumber += 1) {
+      if (Date.now() >= deadline) {
+        stoppedBy = 'time';
+        break;
+      }
+
+      const { data } = await worker.recognize(await renderPage(document, pageNumber, scale));
+      pages.push({
+        page: pageNumber,
+        confidence: Math.round(data.confidence ?? 0),
+        text: data.text || '',
+      });
+    }
+
+    const confidences = pages.map((page) => page.confidence);
+    return {
+      text: pages.map((page) => `${page.text}${PAGE_BREAK}`).join(''),
+      pages: pages.map(({ page, confidence, text }) => ({
+        page,
+        confidence,
+        characters: text.trim().length,
+      })),
+      averageConfidence: confidences.length
+        ? Math.round(confidences.reduce((total, value) => total + value, 0) / confidences.length)
+        : 0,
+      pageCount,
+      truncated: pageCount > pages.length,
+      unreadPages: Array.from({ length: pageCount - pages.length }, (_, index) => pages.length + index + 1),
+      stoppedBy,
+    };
+  } finally {
+    await worker.terminate();
+    await document.destroy();
+  }
+}
@@ -0,0 +1,445 @@
+import zlib from 'zlib';
+
+const STRUCTURED_EXTENSIONS = ['.csv', '.tsv', '.txt', '.xlsx'];
+
+// Same column priority as the LLM prompt: the first match wins.
+const RENT_COLUMN_PRIORITY = [/^rc$/, /\bbase rent\b/, /\blot rent\b/, /\bspace rent\b/, /\brent\b/];
+const IGNORED_COLUMN = /total|water|sewer|trash|utilit|electric|\bgas\b|tax|insurance|fee|deposit|balance|late/;
+const LOT_COLUMN = /^(lot|site|space|unit|pad|home site)\b/;
+const TENANT_COLUMN = /tenant|resident|occupant|lessee|\bname\b/;
+const STATUS_COLUMN = /status|occupancy|occupied|vacant/;
+const OWNERSHIP_COLUMN = /ownership|home (owner|type|status)|\bowned\b|\bpoh\b|\brto\b/;
+const MOVE_IN_COLUMN = /move ?in|lease start|start date|occupied since/;
+const LEASE_END_COLUMN = /lease end|lease exp|expir|end date|term end/;
+const BALANCE_COLUMN = /balance|past due|owed|delinquen|\bar\b/;
+const UTILITY_COLUMN = /water|sewer|trash|utilit|electric|\bgas\b|billback/;
+const OTHER_CHARGE_COLUMN = /\bfees?\b|\bpet\b|storage|parking|\bother\b|misc|home rent/;
+const NON_RECURRING_COLUMN = /total|late|deposit|balance/;
+const HEADER_SEARCH_ROWS = 25;
+
+export function isStructuredRentRoll(filename = '') {
+  const lower = String(filename).toLowerCase();
+  return STRUCTURED_EXTENSIONS.some((extension) => lower.endsWith(extension));
+}
+
+const normalizeHeader = (value) =>
+  String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const cellText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).slice(0, HEADER_SEARCH_ROWS).join('\n');
+  const counts = [',', '\t', ';', '|'].map((delimiter) => ({
+    delimiter,
+    count: sample.split(delimiter).length - 1,
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+// RFC 4180 style: quoted fields may contain delimiters, doubled quotes and newlines.
+export function parseDelimitedText(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Rejected uploads carry a 400 so the handler does not report them as a server
+// error.
+function invalidSpreadsheet(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+const INVALID_XLSX = 'The file is not a valid XLSX file.';
+
+// XLSX files are zip archives of XML parts; only stored and deflated entries occur in practice.
+// Every offset read from the archive is checked against its length, so a
+// truncated or corrupted file is rejected rather than read out of bounds.
+function readZipEntries(buffer) {
+  const fits = (offset, length) => Number.isInteger(offset) && offset >= 0 && offset + length <= buffer.length;
+
+  let endOfDirectory = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset -= 1) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      endOfDirectory = offset;
+      break;
+    }
+  }
+
+  if (endOfDirectory < 0) {
+    throw invalidSpreadsheet(INVALID_XLSX);
+  }
+
+  const entryCount = buffer.readUInt16LE(endOfDirectory + 10);
+  let offset = buffer.readUInt32LE(endOfDirectory + 16);
+  const entries = new Map();
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (!fits(offset, 46) || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw invalidSpreadsheet(INVALID_XLSX);
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    if (
+      !fits(offset + 46, nameLength) ||
+      !fits(localOffset, 30) ||
+      buffer.readUInt32LE(localOffset) !== 0x04034b50
+    ) {
+      throw invalidSpreadsheet(INVALID_XLSX);
+    }
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (!fits(dataStart, compressedSize)) {
+      throw invalidSpreadsheet(INVALID_XLSX);
+    }
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    entries.set(name, () => {
+      try {
+        return (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+      } catch (error) {
+        throw invalidSpreadsheet(INVALID_XLSX);
+      }
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+const decodeXml = (value) =>
+  value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+
+const readTextRuns = (xml) =>
+  Array.from(xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g), (match) => decodeXml(match[1])).join('');
+
+const columnIndex = (reference) =>
+  reference
+    .replace(/[^A-Z]/g, '')
+    .split('')
+    .reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// Reads the first worksheet in workbook order into an array of rows of cell text.
+export function parseXlsx(buffer) {
+  const entries = readZipEntries(buffer);
+  const readEntry = (name) => (entries.has(name) ? entries.get(name)() : '');
+
+  // One entry per <si>, including empty <si/> ones, so cell indexes stay aligned.
+  const sharedStrings = Array.from(
+    readEntry('xl/sharedStrings.xml').matchAll(/<si\b[^>]*?(?:\/>|>([\s\S]*?)<\/si>)/g),
+    (match) => readTextRuns(match[1] || '')
+  );
+
+  const firstSheetId = readEntry('xl/workbook.xml').match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  const sheetTarget = firstSheetId
+    ? readEntry('xl/_rels/workbook.xml.rels').match(
+        new RegExp(`<Relationship\\b[^>]*\\bId="${firstSheetId}"[^>]*\\bTarget="([^"]+)"`)
+      )?.[1] ||
+      readEntry('xl/_rels/workbook.xml.rels').match(
+        new RegExp(`<Relationship\\b[^>]*\\bTarget="([^"]+)"[^>]*\\bId="${firstSheetId}"`)
+      )?.[1]
+    : null;
+  const sheetPath = sheetTarget
+    ? sheetTarget.startsWith('/')
+      ? sheetTarget.slice(1)
+      : `xl/${sheetTarget}`
+    : 'xl/worksheets/sheet1.xml';
+  const sheetXml = readEntry(sheetPath);
+
+  if (!sheetXml) {
+    throw invalidSpreadsheet('The spreadsheet does not contain a readable worksheet.');
+  }
+
+  // Rows are placed by their r attribute, so skipped and self-closing (empty)
+  // rows keep the row numbers of the ones after them. Rows without cells are
+  // not stored, so formatting far below the data adds no rows.
+  const rows = [];
+  Array.from(sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)).forEach((rowMatch) => {
+    const rowNumber = Number(rowMatch[1].match(/\br="(\d+)"/)?.[1]);
+    const rowIndex = rowNumber > 0 ? rowNumber - 1 : rows.length;
+    const row = [];
+    let nextColumn = 0;
+
+    Array.from((rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)).forEach((cellMatch) => {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const reference = attributes.match(/\br="([A-Z]+\d*)"/)?.[1];
+      const type = attributes.match(/\bt="([^"]+)"/)?.[1];
+      const rawValue = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      const column = reference ? columnIndex(reference) : nextColumn;
+
+      let value = '';
+      if (type === 's') {
+        value = sharedStrings[Number(rawValue)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = readTextRuns(body);
+      } else if (rawValue !== undefined) {
+        value = decodeXml(rawValue);
+      }
+
+      row[column] = value;
+      nextColumn = column + 1;
+    });
+
+    if (row.length > 0) {
+      rows[rowIndex] = Array.from(row, (value) => value ?? '');
+    }
+  });
+
+  return Array.from(rows, (row) => row || []);
+}
+
+function pickRentColumn(headers) {
+  for (let priority = 0; priority < RENT_COLUMN_PRIORITY.length; priority += 1) {
+    const index = headers.findIndex(
+      (header) => header && !IGNORED_COLUMN.test(header) && RENT_COLUMN_PRIORITY[priority].test(header)
+    );
+    if (index >= 0) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+// Each column is claimed at most once, in this order, so "Lot Rent" is never
+// read as the lot and "Occupied Since" is never read as the status.
+export function mapRentRollColumns(headerRow) {
+  const headers = headerRow.map(normalizeHeader);
+  const claimed = new Set();
+  const claim = (index) => {
+    if (index >= 0) {
+      claimed.add(index);
+    }
+    return index;
+  };
+  const findFree = (pattern, allowRent = false) =>
+    claim(
+      headers.findIndex(
+        (header, index) =>
+          header && !claimed.has(index) && (allowRent || !/\brent\b/.test(header)) && pattern.test(header)
+      )
+    );
+  const findAll = (pattern) =>
+    headers
+      .map((header, index) => index)
+      .filter(
+        (index) =>
+          headers[index] &&
+          !claimed.has(index) &&
+          !NON_RECURRING_COLUMN.test(headers[index]) &&
+          pattern.test(headers[index])
+      )
+      .map(claim);
+
+  const rent = claim(pickRentColumn(headers));
+  const lot = findFree(LOT_COLUMN);
+  const tenant = findFree(TENANT_COLUMN);
+  const ownership = findFree(OWNERSHIP_COLUMN);
+  const moveIn = findFree(MOVE_IN_COLUMN);
+  const leaseEnd = findFree(LEASE_END_COLUMN);
+  const status = findFree(STATUS_COLUMN);
+  const balance = findFree(BALANCE_COLUMN);
+  const utilities = findAll(UTILITY_COLUMN);
+  const otherCharges = findAll(OTHER_CHARGE_COLUMN);
+
+  return { lot, tenant, rent, status, ownership, moveIn, leaseEnd, balance, utilities, otherCharges };
+}
+
+// The header row is the first row near the top with a lot column and at least
+// one of rent, tenant or status; title and date lines above it are skipped.
+export function detectHeaderRow(rows) {
+  for (let index = 0; index < Math.min(rows.length, HEADER_SEARCH_ROWS); index += 1) {
+    const columns = mapRentRollColumns(rows[index] || []);
+    if (columns.lot >= 0 && (columns.rent >= 0 || columns.tenant >= 0 || columns.status >= 0)) {
+      return { index, columns };
+    }
+  }
+  return null;
+}
+
+const parseAmount = (value) => {
+  const text = cellText(value);
+  if (!text) {
+    return null;
+  }
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const numeric = Number(text.replace(/[^0-9.]/g, ''));
+  if (!/\d/.test(text) || !Number.isFinite(numeric)) {
+    return null;
+  }
+
+  return negative ? -numeric : numeric;
+};
+
+const sumAmounts = (row, indexes) => {
+  const amounts = indexes.map((index) => parseAmount(row[index])).filter((amount) => amount !== null);
+  return amounts.length > 0 ? amounts.reduce((sum, amount) => sum + amount, 0) : null;
+};
+
+// XLSX stores dates as day serials counted from 1899-12-30.
+const parseDateCell = (value) => {
+  const text = cellText(value);
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    return new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(text)) * 86400000)
+      .toISOString()
+      .slice(0, 10);
+  }
+  return text || null;
+};
+
+const VACANT_TEXT = /^(vacant|empty|available|none|n\/a|-+|–|—)$/i;
+
+function resolveOccupied(status, tenant) {
+  if (status) {
+    if (/vacant|empty|available|unoccupied|^(-+|–|—)$/i.test(status)) {
+      return false;
+    }
+    if (/occupied|current|active|leased|rented|owner|resident/i.test(status)) {
+      return true;
+    }
+  }
+
+  return Boolean(tenant);
+}
+
+// Maps spreadsheet rows onto the same raw row shape the LLM returns, so both
+// paths share the normalisation and validation in parse-rentroll.
+export function extractRentRollRows(rows) {
+  const header = detectHeaderRow(rows);
+  if (!header) {
+    return null;
+  }
+
+  const { columns } = header;
+  const headerRow = rows[header.index];
+  const totalLines = [];
+  let rentTotal = null;
+  const extracted = rows.slice(header.index + 1).flatMap((row, offset) => {
+    // Footer rows carry the document's own totals for reconciliation.
+    if (row.some((cell) => /\btotals?\b/i.test(cellText(cell)))) {
+      totalLines.push(row.map(cellText).filter(Boolean).join(' '));
+      if (rentTotal === null && columns.rent >= 0) {
+        rentTotal = parseAmount(row[columns.rent]);
+      }
+      return [];
+    }
+
+    // Words like "Lot" or "Space #" are dropped by the lot ID normaliser.
+    const lotText = cellText(row[columns.lot]);
+    if (!lotText) {
+      return [];
+    }
+
+    const tenantText = columns.tenant >= 0 ? cellText(row[columns.tenant]) : '';
+    const tenant = VACANT_TEXT.test(tenantText) ? '' : tenantText;
+    const status = columns.status >= 0 ? cellText(row[columns.status]) : '';
+    const rent = columns.rent >= 0 ? parseAmount(row[columns.rent]) : null;
+    const optional = {
+      home_ownership: columns.ownership >= 0 ? cellText(row[columns.ownership]) || null : null,
+      move_in_date: columns.moveIn >= 0 ? parseDateCell(row[columns.moveIn]) : null,
+      lease_end: columns.leaseEnd >= 0 ? parseDateCell(row[columns.leaseEnd]) : null,
+      utility_billback: sumAmounts(row, columns.utilities),
+      other_charges: sumAmounts(row, columns.otherCharges),
+      balance: columns.balance >= 0 ? parseAmount(row[columns.balance]) : null,
+    };
+
+    return [
+      {
+        lot_number: lotText,
+        occupied: resolveOccupied(VACANT_TEXT.test(tenantText) ? 'vacant' : status, tenant),
+        ...(rent !== null ? { rent } : {}),
+        ...(tenant ? { tenant } : {}),
+        ...Object.fromEntries(Object.entries(optional).filter(([, value]) => value !== null)),
+        // Spreadsheet row (or CSV record) number, counting the header and title rows.
+        source_page: 1,
+        source_line: header.index + offset + 2,
+        source_text: row.map(cellText).filter(Boolean).join(' | '),
+      },
+    ];
+  });
+
+  return {
+    rows: extracted,
+    totalLines,
+    rentTotal,
+    columns: Object.fromEntries(
+      Object.entries(columns).map(([key, index]) => [
+        key,
+        Array.isArray(index)
+          ? index.map((entry) => cellText(headerRow[entry]))
+          : index >= 0
+          ? cellText(headerRow[index])
+          : null,
+      ])
+    ),
+  };
+}
+
+// Returns null when no header row can be found so the caller can fall back to the LLM.
+export function parseStructuredRentRoll(buffer, filename) {
+  const lower = String(filename).toLowerCase();
+  const rows = lower.endsWith('.xlsx')
+    ? parseXlsx(buffer)
+    : parseDelimitedText(buffer.toString('utf-8').replace(/^\uFEFF/, ''));
+
+  return extractRentRollRows(rows);
+}
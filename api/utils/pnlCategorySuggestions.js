@@ -0,0 +1,183 @@
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import { categoriseLabel, normaliseCategoryRules } from '../../src/engine/pnlCategories.js';
+
+// Suggests a category for each parsed P&L line: first from the rule file, then,
+// for lines no rule matches, from the label->category mappings users have
+// confirmed before (stored by api/pnl-training.js).
+
+const EMBEDDING_MODEL = 'text-embedding-3-small';
+// Database function returning the stored examples nearest a label embedding
+// (its SQL is under "P&L category suggestions" in the README).
+const MATCH_FUNCTION = 'match_pnl_label_training';
+// Neighbours that vote on a label's category, weighted by similarity.
+const NEIGHBOUR_COUNT = 5;
+// Below this cosine similarity to the closest example of the winning category
+// the suggestion is marked low confidence.
+export const LOW_CONFIDENCE_SIMILARITY = 0.8;
+
+// Picks a category from the nearest examples, each { label, category,
+// similarity }, as returned by the database in order of similarity.
+export function rankSuggestion(neighbours) {
+  const voters = (neighbours || [])
+    .filter((neighbour) => neighbour?.category && Number.isFinite(neighbour.similarity))
+    .slice(0, NEIGHBOUR_COUNT);
+
+  if (voters.length === 0) {
+    return null;
+  }
+
+  const votes = new Map();
+  voters.forEach((neighbour) => {
+    votes.set(neighbour.category, (votes.get(neighbour.category) || 0) + neighbour.similarity);
+  });
+  const [category] = Array.from(votes.entries()).sort((a, b) => b[1] - a[1])[0];
+  const closest = voters
+    .filter((neighbour) => neighbour.category === category)
+    .reduce((best, neighbour) => (neighbour.similarity > best.similarity ? neighbour : best));
+  const similarity = Math.round(closest.similarity * 1000) / 1000;
+
+  return {
+    category,
+    similarity,
+    matchedLabel: closest.label,
+    source: 'training',
+    lowConfidence: similarity < LOW_CONFIDENCE_SIMILARITY,
+  };
+}
+
+// The nearest-neighbour search runs in Postgres (pgvector's cosine distance),
+// so only NEIGHBOUR_COUNT rows per label leave the database. Examples from the
+// other section (an income label matched to an expense mapping) are skipped
+// there too.
+async function findNeighbours(supabase, embedding, section) {
+  const { data, error } = await supabase.rpc(MATCH_FUNCTION, {
+    query_embedding: embedding,
+    match_section: section,
+    match_count: NEIGHBOUR_COUNT,
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map((row) => ({
+    label: row.raw_label,
+    category: row.mapped_category,
+    similarity: Number(row.similarity),
+  }));
+}
+
+const BUNDLED_RULES_PATH = 'src/config/category_map.json';
+
+let cachedRules = null;
+
+async function readRuleFile(rulesPath) {
+  const contents = await fsPromises.readFile(path.resolve(process.cwd(), rulesPath), 'utf8');
+  return normaliseCategoryRules(JSON.parse(contents));
+}
+
+// The rule file named by PNL_CATEGORY_RULES_PATH, or the bundled
+// src/config/category_map.json (both relative to the project root). Read once
+// per instance; a custom file that cannot be read falls back to the bundled
+// rules. The file is read rather than imported so the engine module the API
+// shares never loads JSON.
+export async function loadCategoryRules() {
+  if (cachedRules) {
+    return cachedRules;
+  }
+
+  const rulesPath = process.env.PNL_CATEGORY_RULES_PATH;
+  if (!rulesPath) {
+    cachedRules = await readRuleFile(BUNDLED_RULES_PATH);
+  } else {
+    try {
+      cachedRules = await readRuleFile(rulesPath);
+    } catch (error) {
+      console.error(`Unable to load P&L category rules from ${rulesPath}:`, error);
+      cachedRules = {
+        ...(await readRuleFile(BUNDLED_RULES_PATH)),
+        problems: [`${rulesPath} could not be read; the bundled rules were used instead.`],
+      };
+    }
+  }
+
+  if (cachedRules.problems.length > 0) {
+    console.warn('P&L category rule problems:', cachedRules.problems);
+  }
+  return cachedRules;
+}
+
+async function suggestFromTraining({ openaiClient, supabase, lines }) {
+  const embeddingResponse = await openaiClient.embeddings.create({
+    model: EMBEDDING_MODEL,
+    input: lines.map((line) => line.label),
+  });
+
+  const suggestions = await Promise.all(
+    lines.map(async (line, index) => {
+      const embedding = embeddingResponse.data?.[index]?.embedding;
+      if (!embedding) {
+        return null;
+      }
+
+      const suggestion = rankSuggestion(await findNeighbours(supabase, embedding, line.section));
+      return suggestion ? [line.key, { ...suggestion, section: line.section }] : null;
+    })
+  );
+
+  return suggestions.filter(Boolean);
+}
+
+// Returns suggestions keyed by "<section>:<lower-cased label>", the shape
+// PnLUpload reads from `category_suggestions`. Rule matches report the rule
+// and the rule file's version; the embedding lookup only sees the lines no
+// rule matched, and is skipped when the rule file turns it off. A failed
+// lookup leaves those lines without a suggestion.
+export async function suggestPnlCategories({
+  openaiClient,
+  supabase,
+  parsed,
+  rules,
+}) {
+  const lines = [
+    ['income', parsed?.income?.individual_items],
+    ['expense', (parsed?.expenses || parsed?.expense)?.individual_items],
+  ].flatMap(([section, items]) =>
+    (Array.isArray(items) ? items : [])
+      .map((item) => (typeof item?.label === 'string' ? item.label.trim() : ''))
+      .filter(Boolean)
+      .map((label) => ({ section, label, key: `${section}:${label.toLowerCase()}` }))
+  );
+  const uniqueLines = Array.from(new Map(lines.map((line) => [line.key, line])).values());
+
+  const suggestions = {};
+  const unmatched = [];
+  uniqueLines.forEach((line) => {
+    const match = categoriseLabel(line.label, line.section, rules);
+    if (match) {
+      suggestions[line.key] = {
+        category: match.category,
+        source: 'rule',
+        rule: match.rule,
+        rulesVersion: rules.version,
+        similarity: null,
+        lowConfidence: false,
+        section: line.section,
+      };
+    } else {
+      unmatched.push(line);
+    }
+  });
+
+  if (unmatched.length > 0 && rules.embeddingFallback && openaiClient && supabase) {
+    try {
+      const trained = await suggestFromTraining({ openaiClient, supabase, lines: unmatched });
+      Object.assign(suggestions, Object.fromEntries(trained));
+    } catch (error) {
+      console.warn('Unable to suggest P&L categories from training examples:', error);
+    }
+  }
+
+  return suggestions;
+}
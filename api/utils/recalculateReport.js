@@ -0,0 +1,137 @@
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import {
+  calculateDeal,
+  normaliseCategoryRules,
+  normalisePropertyTaxRates,
+  resolveScenarioDeal,
+} from '../../src/engine/index.js';
+
+// Report columns that are derived from report_state. The server always
+// recomputes these so analytics never averages numbers it did not produce.
+export const RECALCULATED_COLUMNS = [
+  { column: 'total_investment', key: 'totalInvestment' },
+  { column: 'down_payment_amount', key: 'downPayment' },
+  { column: 'loan_amount', key: 'loanAmount' },
+  { column: 'monthly_payment', key: 'monthlyPayment' },
+  { column: 'annual_debt_service', key: 'annualDebtService' },
+  { column: 'interest_only_payment', key: 'interestOnlyMonthlyPayment' },
+  { column: 'amortizing_payment', key: 'postInterestOnlyMonthlyPayment' },
+  { column: 'loan_maturity_balance', key: 'loanMaturityBalance' },
+  { column: 'total_lots', key: 'totalUnits' },
+  { column: 'occupied_lots', key: 'occupiedUnits' },
+  { column: 'physical_occupancy', key: 'physicalOccupancy' },
+  { column: 'economic_occupancy', key: 'economicOccupancy' },
+  { column: 'gross_potential_rent', key: 'grossPotentialRent' },
+  { column: 'lot_rent_income', key: 'lotRentIncome' },
+  { column: 'other_income', key: 'totalAdditionalIncome' },
+  { column: 'effective_gross_income', key: 'effectiveGrossIncome' },
+  { column: 'total_operating_expenses', key: 'totalOpEx' },
+  { column: 'management_fee', key: 'managementFee' },
+  { column: 'noi', key: 'noi' },
+  { column: 'cap_rate', key: 'capRate' },
+  { column: 'cash_on_cash', key: 'cashOnCash' },
+  { column: 'dscr', key: 'dscr' },
+  { column: 'irr', key: 'irr' },
+  { column: 'equity_multiple', key: 'equityMultiple' },
+  { column: 'annual_cash_flow', key: 'cashFlow' },
+  { column: 'income_per_unit', key: 'incomePerUnit' },
+  { column: 'expense_per_unit', key: 'expensePerUnit' },
+  { column: 'noi_per_unit', key: 'noiPerUnit' },
+];
+
+const ABSOLUTE_TOLERANCE = 0.005;
+const RELATIVE_TOLERANCE = 1e-6;
+
+const toFiniteNumber = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  if (typeof value === 'string' && value.trim()) {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  return null;
+};
+
+// The bundled reference tables the app calculates with (relative to the project
+// root). They are read from disk rather than imported so the engine stays free
+// of JSON imports, and the server recalculates with exactly what the app used.
+const CATEGORY_RULES_PATH = 'src/config/category_map.json';
+const PROPERTY_TAX_RATES_PATH = 'src/config/property_tax_rates.json';
+
+let cachedReferenceTables = null;
+
+const readJsonFile = async (relativePath) =>
+  JSON.parse(await fsPromises.readFile(path.resolve(process.cwd(), relativePath), 'utf8'));
+
+export async function loadReferenceTables() {
+  if (!cachedReferenceTables) {
+    const [categoryMap, propertyTaxRates] = await Promise.all([
+      readJsonFile(CATEGORY_RULES_PATH),
+      readJsonFile(PROPERTY_TAX_RATES_PATH),
+    ]);
+    cachedReferenceTables = {
+      categoryRules: normaliseCategoryRules(categoryMap),
+      propertyTaxJurisdictions: normalisePropertyTaxRates(propertyTaxRates).jurisdictions,
+    };
+  }
+
+  return cachedReferenceTables;
+}
+
+export const recalculateReportState = (reportState, referenceTables = {}) => {
+  if (!reportState || typeof reportState !== 'object') {
+    return null;
+  }
+
+  // Metrics follow the scenario that drives the report, not always the Base case.
+  return calculateDeal({ ...resolveScenarioDeal(reportState), ...referenceTables });
+};
+
+export const findCalculationDiscrepancies = (clientCalculations, serverCalculations) => {
+  if (!clientCalculations || typeof clientCalculations !== 'object' || !serverCalculations) {
+    return [];
+  }
+
+  return RECALCULATED_COLUMNS.reduce((discrepancies, { column, key }) => {
+    if (clientCalculations[key] === undefined || clientCalculations[key] === null) {
+      return discrepancies;
+    }
+
+    const client = toFiniteNumber(clientCalculations[key]);
+    const server = toFiniteNumber(serverCalculations[key]);
+
+    if (client === null && server === null) {
+      return discrepancies;
+    }
+
+    const difference = client !== null && server !== null ? client - server : null;
+    const tolerance = Math.max(ABSOLUTE_TOLERANCE, Math.abs(server || 0) * RELATIVE_TOLERANCE);
+
+    if (difference === null || Math.abs(difference) > tolerance) {
+      discrepancies.push({ key, column, client, server, difference });
+    }
+
+    return discrepancies;
+  }, []);
+};
+
+export const buildRecalculatedColumns = (serverCalculations) => {
+  if (!serverCalculations) {
+    return {};
+  }
+
+  return RECALCULATED_COLUMNS.reduce((columns, { column, key }) => {
+    const value = toFiniteNumber(serverCalculations[key]);
+    if (value !== null) {
+      columns[column] = value;
+    }
+    return columns;
+  }, {});
+};
+
+export const describeDiscrepancies = (discrepancies) =>
+  discrepancies.map(({ key }) => key).join(', ');
@@ -0,0 +1,70 @@
+const CHUNK_SIZE = 10000;
+const CHUNK_OVERLAP_LINES = 5;
+// pdf-parse output has one of these after each page (see the page renderer in
+// api/parse-rentroll.js).
+export const PAGE_BREAK = '\f';
+
+// Non-blank lines of the extracted text, numbered from 1 on each page.
+export function buildSourceLines(text) {
+  return text
+    .split(PAGE_BREAK)
+    .flatMap((pageText, pageIndex) =>
+      pageText
+        .replace(/^(\r?\n)+/, '')
+        .split(/\r?\n/)
+        .map((lineText, lineIndex) => ({ page: pageIndex + 1, line: lineIndex + 1, text: lineText }))
+    )
+    .filter((entry) => entry.text.trim());
+}
+
+export const formatSourceLine = (entry) => `[p${entry.page}:l${entry.line}] ${entry.text}`;
+
+// Packs whole lines into chunks of up to `chunkSize` characters, preferring to
+// break at a page once a chunk is half full. Within a page the last few lines
+// are repeated at the start of the next chunk so a row on the boundary is
+// always seen whole; dedupeChunkRows drops the second copy.
+export function buildChunks(sourceLines, { chunkSize = CHUNK_SIZE, overlapLines = CHUNK_OVERLAP_LINES } = {}) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  sourceLines.forEach((entry) => {
+    const length = formatSourceLine(entry).length + 1;
+    const previous = current[current.length - 1];
+    const isNewPage = Boolean(previous) && previous.page !== entry.page;
+
+    if (current.length > 0 && (size + length > chunkSize || (isNewPage && size >= chunkSize / 2))) {
+      chunks.push(current);
+      current = isNewPage ? [] : current.slice(-overlapLines);
+      size = current.reduce((total, line) => total + formatSourceLine(line).length + 1, 0);
+    }
+
+    current.push(entry);
+    size += length;
+  });
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks.map((lines) => lines.map(formatSourceLine).join('\n'));
+}
+
+// Overlapping chunks return the same row twice; the lot and the line it was
+// read from identify a copy. Rows without a source line are always kept.
+export function dedupeChunkRows(rows) {
+  const seen = new Set();
+
+  return rows.filter((row) => {
+    if (!Number.isInteger(row?.source_page) || !Number.isInteger(row?.source_line)) {
+      return true;
+    }
+
+    const key = `${row.source_page}:${row.source_line}:${String(row.lot_number ?? '').trim().toUpperCase()}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,121 @@
+import { normalizeLot } from './lotIdentifier.js';
+
+const TENANT_PLACEHOLDERS = new Set(['', 'vacant', 'occupied']);
+
+function normalizeTenantName(value) {
+  const name = typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+  return TENANT_PLACEHOLDERS.has(name.toLowerCase()) ? '' : name;
+}
+
+// Keys rows by normalised lot so "7", "07" and "007" (or "RV-7" and "RV-07")
+// line up across uploads. Tokens the normaliser rejects are matched on their
+// upper-cased text.
+function indexRowsByLot(rows, normalize) {
+  const byLot = new Map();
+
+  (rows || []).forEach((row) => {
+    if (!row || typeof row !== 'object') {
+      return;
+    }
+
+    const token = row.lotNumber ?? row.lot_number;
+    const lot = normalize(token);
+    const key = lot ? lot.key : String(token ?? '').trim().toUpperCase();
+    if (!key || byLot.has(key)) {
+      return;
+    }
+
+    const rent = row.rent === null || row.rent === '' ? NaN : Number(row.rent);
+    byLot.set(key, {
+      lotNumber: lot ? lot.display : key,
+      occupied: Boolean(row.occupied),
+      rent: Number.isFinite(rent) ? rent : null,
+      tenant: normalizeTenantName(row.tenant ?? row.tenantName) || null,
+    });
+  });
+
+  return byLot;
+}
+
+function summarizeLots(byLot) {
+  let occupiedLots = 0;
+  let monthlyIncome = 0;
+
+  byLot.forEach((lot) => {
+    if (lot.occupied) {
+      occupiedLots += 1;
+      monthlyIncome += lot.rent || 0;
+    }
+  });
+
+  return {
+    totalLots: byLot.size,
+    occupiedLots,
+    occupancyRate: byLot.size > 0 ? (occupiedLots / byLot.size) * 100 : 0,
+    monthlyIncome,
+  };
+}
+
+// Change report between an earlier rent roll and a newly parsed one.
+export function diffRentRolls(previousRows, currentRows, normalize = normalizeLot) {
+  const previous = indexRowsByLot(previousRows, normalize);
+  const current = indexRowsByLot(currentRows, normalize);
+  const moveIns = [];
+  const moveOuts = [];
+  const rentChanges = [];
+  const tenantChanges = [];
+  const addedLots = [];
+
+  current.forEach((lot, key) => {
+    const { lotNumber } = lot;
+    const before = previous.get(key);
+    if (!before) {
+      addedLots.push(lot);
+      return;
+    }
+
+    if (!before.occupied && lot.occupied) {
+      moveIns.push({ lotNumber, tenant: lot.tenant, rent: lot.rent });
+    } else if (before.occupied && !lot.occupied) {
+      moveOuts.push({ lotNumber, tenant: before.tenant, rent: before.rent });
+    } else if (
+      lot.occupied &&
+      before.tenant &&
+      lot.tenant &&
+      before.tenant.toLowerCase() !== lot.tenant.toLowerCase()
+    ) {
+      tenantChanges.push({ lotNumber, previousTenant: before.tenant, currentTenant: lot.tenant });
+    }
+
+    if (before.rent !== null && lot.rent !== null && Math.abs(lot.rent - before.rent) >= 0.01) {
+      rentChanges.push({
+        lotNumber,
+        previousRent: before.rent,
+        currentRent: lot.rent,
+        change: lot.rent - before.rent,
+      });
+    }
+  });
+
+  const removedLots = Array.from(previous.entries())
+    .filter(([key]) => !current.has(key))
+    .map(([, lot]) => lot);
+  const previousSummary = summarizeLots(previous);
+  const currentSummary = summarizeLots(current);
+
+  return {
+    moveIns,
+    moveOuts,
+    rentChanges,
+    tenantChanges,
+    addedLots,
+    removedLots,
+    summary: {
+      previous: previousSummary,
+      current: currentSummary,
+      occupiedLotsChange: currentSummary.occupiedLots - previousSummary.occupiedLots,
+      occupancyRateChange: currentSummary.occupancyRate - previousSummary.occupancyRate,
+      monthlyIncomeChange: currentSummary.monthlyIncome - previousSummary.monthlyIncome,
+    },
+  };
+}
@@ -0,0 +1,208 @@
+const AMOUNT_PATTERN =
+  /(\$\s*)?[-+]?[0-9]{1,3}(?:,[0-9]{3})+(?:\.[0-9]{2})?|(\$\s*)?[-+]?[0-9]+(?:\.[0-9]{2})?/g;
+const DATE_PATTERN = /\b[0-9]{1,2}[/-][0-9]{1,2}[/-][0-9]{2,4}\b/g;
+const LOT_NOUNS = '(?:lots|sites|spaces|units|homes)';
+const COUNT_KEYWORDS = {
+  occupiedLots: 'occupied',
+  vacantLots: 'vacan(?:t|cy|cies)',
+  totalLots: LOT_NOUNS,
+};
+
+// Above this many times the parsed row count a number is not a lot count.
+const MAX_COUNT_RATIO = 100;
+const RECONCILIATION_TOLERANCE = 1;
+
+// Numbers on a total line, each marked as currency when it carries a dollar
+// sign, thousands separators or cents. A lot count never does.
+function extractTotalTokens(line) {
+  return Array.from(line.replace(DATE_PATTERN, (date) => ' '.repeat(date.length)).matchAll(AMOUNT_PATTERN))
+    .map((match) => ({
+      value: Number(match[0].replace(/[^0-9.-]/g, '')),
+      index: match.index,
+      currency: /[$,.]/.test(match[0]),
+    }))
+    .filter((token) => Number.isFinite(token.value));
+}
+
+// The count stated right beside its keyword ("Occupied: 52", "Occupied Lots 52"
+// or "52 occupied"), else the line's only plain whole number, provided a line
+// naming rent also has a currency amount for the rent.
+function findCount(line, tokens, keyword, namesRent) {
+  const after = new RegExp(`\\b${keyword}\\b(?:\\s+${LOT_NOUNS}\\b)?\\s*[:=#-]?\\s*(?=[0-9])`, 'i').exec(line);
+  const before = new RegExp(`(?:^|[^0-9,.$])([0-9]+)\\s+${keyword}\\b`, 'i').exec(line);
+  const position = after
+    ? after.index + after[0].length
+    : before
+      ? before.index + before[0].indexOf(before[1])
+      : null;
+  const adjacent = tokens.find((token) => token.index === position && !token.currency);
+  if (adjacent) {
+    return adjacent;
+  }
+
+  const plain = tokens.filter((token) => !token.currency && Number.isInteger(token.value) && token.value >= 0);
+  if (plain.length !== 1 || (namesRent && !tokens.some((token) => token.currency))) {
+    return null;
+  }
+  return plain[0];
+}
+
+const distinctAmounts = (values) =>
+  Array.from(new Set(values.map((value) => Number(value.toFixed(2)))));
+
+// Reads the stated totals from the document's "Total" lines. Lot counts come
+// from lines naming occupied, vacant or lots. The base rent total comes from
+// total lines that name rent, else the largest currency amount on the grand
+// total line; `rentTotals` holds every distinct reading, so more than one
+// means the document is ambiguous.
+export function collectDocumentTotals(lines) {
+  const totals = {
+    rentTotals: [],
+    occupiedLots: null,
+    vacantLots: null,
+    totalLots: null,
+  };
+  const rentLineAmounts = [];
+  const grandTotalAmounts = [];
+  const plainTotalAmounts = [];
+
+  lines.forEach((line) => {
+    if (!/total/i.test(line)) {
+      return;
+    }
+
+    const tokens = extractTotalTokens(line);
+    if (tokens.length === 0) {
+      return;
+    }
+
+    const namesRent = /\brents?\b(?!\s+roll)/i.test(line);
+    const namesStatus = /occupied|vacan/i.test(line);
+    const countTokens = [];
+    Object.entries(COUNT_KEYWORDS).forEach(([key, keyword]) => {
+      if (!new RegExp(`\\b${keyword}\\b`, 'i').test(line) || (key === 'totalLots' && namesStatus)) {
+        return;
+      }
+      const count = findCount(line, tokens, keyword, namesRent);
+      if (count) {
+        totals[key] = totals[key] ?? count.value;
+        countTokens.push(count);
+      }
+    });
+
+    const amounts = tokens.filter((token) => token.value > 0 && !countTokens.includes(token));
+
+    const currency = amounts.filter((token) => token.currency);
+    const preferred = currency.length > 0 ? currency : amounts;
+    if (preferred.length === 0) {
+      return;
+    }
+    if (namesRent) {
+      rentLineAmounts.push(...preferred.map((token) => token.value));
+    } else if (/\bgrand\s+total/i.test(line)) {
+      grandTotalAmounts.push(Math.max(...preferred.map((token) => token.value)));
+    } else if (/^\W*totals?\b/i.test(line) && countTokens.length === 0 && !namesStatus) {
+      plainTotalAmounts.push(Math.max(...preferred.map((token) => token.value)));
+    }
+  });
+
+  const [source = []] = [rentLineAmounts, grandTotalAmounts, plainTotalAmounts].filter(
+    (amounts) => amounts.length > 0
+  );
+  totals.rentTotals = distinctAmounts(source);
+
+  return totals;
+}
+
+// Compares the parsed rows with the document's own totals. Returns null when
+// the document states no totals. A rent total the document states more than
+// once, with different amounts, fails rather than being guessed at.
+export function reconcileTotals(rows, documentTotals) {
+  const checks = [];
+  const parsedRent = rows.reduce(
+    (sum, row) => sum + (typeof row.rent === 'number' && Number.isFinite(row.rent) ? row.rent : 0),
+    0
+  );
+  const parsedOccupied = rows.filter((row) => row.occupied).length;
+  const parsedCounts = {
+    totalLots: rows.length,
+    occupiedLots: parsedOccupied,
+    vacantLots: rows.length - parsedOccupied,
+  };
+  const rentTotals = documentTotals.rentTotals || [];
+
+  if (rentTotals.length === 1) {
+    checks.push({ key: 'rent', label: 'Base Rent', expected: rentTotals[0], parsed: parsedRent });
+  } else if (rentTotals.length > 1) {
+    checks.push({
+      key: 'rent',
+      label: 'Base Rent',
+      expected: null,
+      parsed: parsedRent,
+      ambiguous: rentTotals,
+    });
+  }
+
+  const maxCount = Math.max(rows.length, 1) * MAX_COUNT_RATIO;
+  [
+    ['totalLots', 'Total Lots'],
+    ['occupiedLots', 'Occupied Lots'],
+    ['vacantLots', 'Vacant Lots'],
+  ].forEach(([key, label]) => {
+    const expected = documentTotals[key];
+    if (expected !== null && expected !== undefined && expected <= maxCount) {
+      checks.push({ key, label, expected, parsed: parsedCounts[key] });
+    }
+  });
+
+  if (checks.length === 0) {
+    return null;
+  }
+
+  const resolvedChecks = checks.map((check) => {
+    if (check.expected === null) {
+      return { ...check, difference: null, passed: false };
+    }
+    const difference = Number((check.parsed - check.expected).toFixed(2));
+    return { ...check, difference, passed: Math.abs(difference) < RECONCILIATION_TOLERANCE };
+  });
+  const passed = resolvedChecks.every((check) => check.passed);
+
+  const countCheck = (key) => resolvedChecks.find((check) => check.key === key)?.expected ?? null;
+  const expectedLots =
+    countCheck('totalLots') ??
+    (countCheck('occupiedLots') !== null && countCheck('vacantLots') !== null
+      ? countCheck('occupiedLots') + countCheck('vacantLots')
+      : null);
+  const rentCheck = resolvedChecks.find((check) => check.key === 'rent');
+  const rentedLots = rows.filter((row) => typeof row.rent === 'number' && row.rent > 0);
+  const averageRent = rentedLots.length
+    ? rentedLots.reduce((sum, row) => sum + row.rent, 0) / rentedLots.length
+    : 0;
+
+  let possiblyMissingLots = 0;
+  if (expectedLots !== null) {
+    possiblyMissingLots = Math.max(expectedLots - rows.length, 0);
+  } else if (rentCheck && rentCheck.difference !== null && rentCheck.difference < 0 && averageRent > 0) {
+    possiblyMissingLots = Math.round(-rentCheck.difference / averageRent);
+  }
+
+  const failed = resolvedChecks.filter((check) => !check.passed);
+  const describeFailure = (check) =>
+    check.ambiguous
+      ? `${check.label}: the document states ${check.ambiguous.join(', ')}, parsed ${check.parsed}`
+      : `${check.label}: expected ${check.expected}, parsed ${check.parsed}`;
+
+  return {
+    code: 'reconciliation',
+    severity: passed ? 'info' : 'warning',
+    passed,
+    message: passed
+      ? 'Parsed rent roll reconciles with the document totals.'
+      : `Parsed rent roll does not reconcile with the document totals (${failed
+          .map(describeFailure)
+          .join('; ')})${possiblyMissingLots > 0 ? `; about ${possiblyMissingLots} lot(s) may be missing` : ''}.`,
+    checks: resolvedChecks,
+    possiblyMissingLots,
+  };
+}
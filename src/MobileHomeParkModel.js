@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useMemo, useEffect, useCallback, useRef, useDeferredValue } from 'react';
 import {
   Download,
   RefreshCw,
@@ -15,8 +15,69 @@ import ProfileModal from './components/ProfileModal';
 import { useToast } from './components/ToastProvider';
 import RentRollUpload from './components/RentRollUpload';
 import PnLUpload from './components/PnLUpload';
+import {
+  DEFAULT_PURCHASE_INPUTS,
+  DEFAULT_IRR_INPUTS,
+  normaliseIrrInputs,
+  normaliseProformaInputs,
+  resolveYearAssumptions,
+  calculateDeal,
+  buildSensitivityGrid,
+  DEFAULT_SENSITIVITY_TABLES,
+  SENSITIVITY_VARIABLES,
+  SENSITIVITY_METRICS,
+  BASE_SCENARIO_ID,
+  SCENARIO_COMPARISON_METRICS,
+  normaliseScenarios,
+  applyScenarioOverrides,
+  diffScenarioInputs,
+  compareScenarios,
+  SIMULATION_DISTRIBUTIONS,
+  SIMULATION_VARIABLES,
+  MIN_SIMULATION_ITERATIONS,
+  MAX_SIMULATION_ITERATIONS,
+  normaliseSimulationInputs,
+  DEBT_TRANCHE_TYPES,
+  DEFAULT_DEBT_TRANCHE,
+  resolveLoanSizingMode,
+  normaliseDebtInputs,
+  HOME_OWNERSHIP_TYPES,
+  DEFAULT_HOME_OWNERSHIP,
+  resolveHomeOwnership,
+  resolveLotType,
+  normaliseMarkToMarket,
+  UTILITY_BILLBACK_METHODS,
+  normaliseUtilityBillback,
+  PNL_BASES,
+  DEFAULT_PNL_BASIS,
+  resolvePnlBasis,
+  normaliseMonthlyAmounts,
+  resolvePnlAmount,
+  summarisePnlBases,
+  findPnlTrendAlerts,
+  PNL_SWING_ALERT_PERCENT,
+  LOT_RENT_CATEGORY,
+  buildAverageBaselineId,
+  summarisePnlCategories,
+  comparePnlHistory,
+  resolvePnlBaseline,
+  PNL_ADJUSTMENT_TYPES,
+  DEFAULT_PNL_ADJUSTMENT_TYPE,
+  LOT_RENT_LINE_ID,
+  normalisePropertyTaxInputs,
+  resolvePropertyTaxRule,
+  findPropertyTaxLine,
+} from './engine';
+import {
+  DEFAULT_CATEGORY_RULES,
+  EXPENSE_CATEGORY_OPTIONS,
+  INCOME_CATEGORY_OPTIONS,
+} from './config/categoryRules';
+import { PROPERTY_TAX_JURISDICTIONS } from './config/propertyTaxRates';
+import SensitivityTable from './components/SensitivityTable';
 
 const isDevelopment = process.env.NODE_ENV === 'development';
+const MAX_PROJECTION_YEARS = 30;
 
 if (isDevelopment) {
   console.log('Supabase instance:', supabase);
@@ -36,6 +97,37 @@ if (typeof window !== 'undefined' && !window.__PARK_MODEL_RUNTIME_GUARD__) {
 const isSupabaseConfigured = Boolean(supabase);
 const UNMAPPED_PNL_LABEL = 'Unmapped (Keep As-Is)';
 
+// "FY 2024" for a calendar year of months, otherwise the first and last month.
+const describePnlPeriods = (periods) => {
+  if (!Array.isArray(periods) || periods.length === 0) {
+    return '';
+  }
+
+  const first = periods[0];
+  const last = periods[periods.length - 1];
+  if (periods.length === 12 && first.endsWith('-01') && last === `${first.slice(0, 4)}-12`) {
+    return `FY ${first.slice(0, 4)}`;
+  }
+
+  const format = (period) => {
+    const [year, month] = period.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  };
+  return first === last ? format(first) : `${format(first)} – ${format(last)}`;
+};
+
+// Lines that exist only because a pro-forma adjustment added them.
+const isAdjustmentLine = (line) => String(line?.id).startsWith('adjustment-');
+
+const EMPTY_ADJUSTMENT_DRAFT = {
+  type: DEFAULT_PNL_ADJUSTMENT_TYPE,
+  section: 'expense',
+  lineId: '',
+  label: '',
+  amount: '',
+  reason: '',
+};
+
 const createLineItemId = (prefix) => {
   try {
     if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
@@ -329,21 +421,6 @@ const DEFAULT_CONTACT_INFO = {
   company: ''
 };
 
-const DEFAULT_PURCHASE_INPUTS = {
-  purchasePrice: 850000,
-  closingCosts: 25000,
-  downPaymentPercent: 25,
-  interestRate: 6.5,
-  amortizationYears: 25,
-  loanTermYears: 25,
-  interestOnlyPeriodYears: 0,
-};
-
-const DEFAULT_IRR_INPUTS = {
-  holdPeriod: 5,
-  exitCapRate: 7.5
-};
-
 const DEFAULT_EXPENSES = [
   { id: 1, name: 'Property Tax', amount: 18000, note: '' },
   { id: 2, name: 'Insurance', amount: 12000, note: '' },
@@ -389,48 +466,6 @@ const mapWithNormalisedNotes = (items) => {
 const createDefaultExpenses = () =>
   DEFAULT_EXPENSES.map((expense) => withNormalisedNote(expense));
 
-const DEFAULT_PROFORMA_INPUTS = {
-  year1NewLeases: 7,
-  year2NewLeases: 5,
-  year3NewLeases: 5,
-  year4NewLeases: 5,
-  year5NewLeases: 5,
-  year1RentIncreaseValue: 0,
-  year1RentIncreaseMode: 'percent',
-  year2RentIncreaseValue: 0,
-  year2RentIncreaseMode: 'percent',
-  annualRentIncrease: 3,
-  annualRentIncreaseMode: 'percent',
-  annualExpenseIncrease: 2.5
-};
-
-const normaliseProformaInputs = (inputs = {}) => ({
-  ...DEFAULT_PROFORMA_INPUTS,
-  ...inputs,
-});
-
-const INCOME_CATEGORY_OPTIONS = [
-  'Lot Rent',
-  'Home Rent',
-  'Utility Reimbursement',
-  'Laundry',
-  'Late Fees',
-  'Other Income',
-];
-
-const EXPENSE_CATEGORY_OPTIONS = [
-  'Property Tax',
-  'Insurance',
-  'Utilities',
-  'Repairs & Maintenance',
-  'Payroll',
-  'Management Fee',
-  'Advertising & Marketing',
-  'Legal & Professional',
-  'Administrative',
-  'Other Expense',
-];
-
 const AUTH_REQUIRED_ERROR = 'AUTH_REQUIRED';
 
 const generateUniqueLabel = (baseLabel, existingLabels = []) => {
@@ -545,10 +580,39 @@ const MobileHomeParkModel = () => {
   const [showExpenseOverrides, setShowExpenseOverrides] = useState(false);
   const [pnlTotals, setPnlTotals] = useState(null);
   const [pnlMappingStats, setPnlMappingStats] = useState(null);
+  // Which P&L figure drives the lines that carry monthly values.
+  const [pnlBasis, setPnlBasis] = useState(DEFAULT_PNL_BASIS);
+  // Every imported P&L, oldest first, and the entry (or average) that feeds
+  // additionalIncome, expenses and actual lot rent.
+  const [pnlHistory, setPnlHistory] = useState([]);
+  const [pnlBaselineId, setPnlBaselineId] = useState(null);
+  // Underwriting changes applied, in order, on top of the seller's P&L lines.
+  const [pnlAdjustments, setPnlAdjustments] = useState([]);
+  const [adjustmentDraft, setAdjustmentDraft] = useState(() => ({ ...EMPTY_ADJUSTMENT_DRAFT }));
+  // Post-close property tax reassessment; replaces the seller's tax line when on.
+  const [propertyTaxInputs, setPropertyTaxInputs] = useState(() => normalisePropertyTaxInputs());
   const [purchaseInputs, setPurchaseInputs] = useState(() => ({ ...DEFAULT_PURCHASE_INPUTS }));
   const [irrInputs, setIrrInputs] = useState(() => ({ ...DEFAULT_IRR_INPUTS }));
   const [proformaInputs, setProformaInputs] = useState(() => normaliseProformaInputs());
+  const [debtInputs, setDebtInputs] = useState(() => normaliseDebtInputs());
   const [projectionYears, setProjectionYears] = useState(5);
+  const [proformaView, setProformaView] = useState('annual');
+  const [sensitivityTables, setSensitivityTables] = useState(() =>
+    DEFAULT_SENSITIVITY_TABLES.map((table) => ({ ...table }))
+  );
+  const [scenarios, setScenarios] = useState(() => normaliseScenarios());
+  const [activeScenarioId, setActiveScenarioId] = useState(BASE_SCENARIO_ID);
+  // Base-case inputs parked while another scenario is loaded into the editors.
+  const [baseScenarioInputs, setBaseScenarioInputs] = useState(null);
+  const [pendingScenarioId, setPendingScenarioId] = useState(null);
+  const [newScenarioName, setNewScenarioName] = useState('');
+  const [simulationInputs, setSimulationInputs] = useState(() => normaliseSimulationInputs());
+  const [simulationResults, setSimulationResults] = useState(null);
+  // Saved change reports from comparing updated rent rolls, newest first.
+  const [rentRollDiffs, setRentRollDiffs] = useState([]);
+  // Percent complete while a run is in flight, otherwise null.
+  const [simulationProgress, setSimulationProgress] = useState(null);
+  const simulationWorkerRef = useRef(null);
 
   const quickPopulateIdRef = useRef(2);
   const lastIncomeNoteContextRef = useRef('summary');
@@ -793,12 +857,25 @@ const MobileHomeParkModel = () => {
               ? 'Occupied'
               : 'Vacant';
 
+          const optionalAmount = (value) => {
+            const numericValue = Number(value);
+            return value !== null && value !== undefined && value !== '' && Number.isFinite(numericValue)
+              ? numericValue
+              : '';
+          };
+
           return {
             id: index + 1,
             lotNumber,
             tenant: tenantName,
             rent,
             occupied,
+            homeOwnership: resolveHomeOwnership(row?.homeOwnership),
+            moveInDate: typeof row?.moveInDate === 'string' ? row.moveInDate : '',
+            leaseEnd: typeof row?.leaseEnd === 'string' ? row.leaseEnd : '',
+            utilityBillback: optionalAmount(row?.utilityBillback),
+            otherCharges: optionalAmount(row?.otherCharges),
+            balance: optionalAmount(row?.balance),
           };
         })
       );
@@ -808,6 +885,62 @@ const MobileHomeParkModel = () => {
     [setUnits, setSelectedUnits, showToast]
   );
 
+  // Loads one imported P&L, or an average of the latest few, into the income,
+  // expense and actual lot rent inputs, restated on the given basis.
+  const applyPnlBaseline = useCallback(
+    (history, baselineId, basis) => {
+      const baseline = resolvePnlBaseline(history, baselineId, basis);
+      if (!baseline) {
+        return;
+      }
+
+      const restate = (line) => ({ ...line, amount: Math.round(resolvePnlAmount(line, basis)) });
+      const lotRentLines = baseline.incomeLines.filter(
+        (line) => line.category === LOT_RENT_CATEGORY
+      );
+      const summary = summarisePnlCategories(baseline, basis);
+      const lotRentAnnual = Math.round(Math.max(summary.income[LOT_RENT_CATEGORY] || 0, 0));
+      // Lot rent lands in actual income as one figure, so its months are kept
+      // combined for switching the P&L basis later.
+      const lotRentMonthly = normaliseMonthlyAmounts(
+        lotRentLines.flatMap((line) => line.monthly || [])
+      );
+
+      setPnlBaselineId(baselineId);
+      setAdditionalIncome(
+        mapWithNormalisedNotes(
+          baseline.incomeLines.filter((line) => line.category !== LOT_RENT_CATEGORY).map(restate)
+        )
+      );
+      setExpenses(mapWithNormalisedNotes(baseline.expenseLines.map(restate)));
+
+      if (lotRentLines.length > 0 && lotRentAnnual > 0) {
+        setUseActualIncome(true);
+        setActualIncome(lotRentAnnual);
+      } else {
+        setUseActualIncome(false);
+        setActualIncome(0);
+      }
+
+      setPnlTotals({
+        totalIncome: Math.round(summary.totalIncome),
+        totalExpenses: Math.round(summary.totalExpenses),
+        netIncome: Math.round(summary.noi),
+        ...(lotRentLines.length > 0 && { lotRentAnnual }),
+        ...(lotRentMonthly.length > 0 && { lotRentMonthly }),
+      });
+      setPnlMappingStats(baseline.stats || null);
+    },
+    [
+      setAdditionalIncome,
+      setExpenses,
+      setUseActualIncome,
+      setActualIncome,
+      setPnlTotals,
+      setPnlMappingStats,
+    ]
+  );
+
   const handlePnLMappingApplied = useCallback(
     (payload) => {
       if (!payload || typeof payload !== 'object') {
@@ -817,9 +950,9 @@ const MobileHomeParkModel = () => {
       const {
         incomeLines = [],
         expenseLines = [],
-        totals = null,
         stats = null,
-        derived = {},
+        periods = [],
+        filename = '',
       } = payload;
 
       const toArray = (value) => (Array.isArray(value) ? value : []);
@@ -836,6 +969,7 @@ const MobileHomeParkModel = () => {
           typeof rawLabel === 'string' && rawLabel.trim() ? rawLabel.trim() : fallbackLabel;
         const numericAmount = Number(line?.amount);
         const amount = Number.isFinite(numericAmount) ? numericAmount : 0;
+        const monthly = normaliseMonthlyAmounts(line?.monthly);
         const rawCategory = line?.mappedCategory ?? line?.category;
         const resolvedCategory =
           rawCategory && rawCategory !== UNMAPPED_PNL_LABEL
@@ -854,6 +988,7 @@ const MobileHomeParkModel = () => {
             rawCategory && rawCategory !== UNMAPPED_PNL_LABEL ? rawCategory : null,
           editable: line?.editable !== false,
           note: normaliseNoteValue(line?.note),
+          ...(monthly.length > 0 && { monthly, reportedAmount: amount }),
         };
       };
 
@@ -864,66 +999,232 @@ const MobileHomeParkModel = () => {
         normaliseLine(line, 'expense', index)
       );
 
-      const lotRentEntries = normalisedIncome.filter((item) => item.category === 'Lot Rent');
-      const resolvedLotRentTotal = (() => {
-        if (Number.isFinite(Number(derived?.lotRentTotal))) {
-          return Number(derived.lotRentTotal);
-        }
-        return lotRentEntries.reduce((sum, item) => sum + Number(item.amount), 0);
-      })();
+      const entryPeriods = normaliseMonthlyAmounts(
+        toArray(periods).map((period) => ({ period, amount: 0 }))
+      ).map((entry) => entry.period);
+      const entry = {
+        id: createLineItemId('pnl'),
+        label:
+          describePnlPeriods(entryPeriods) ||
+          String(filename).replace(/\.[^.]+$/, '').trim() ||
+          `P&L ${pnlHistory.length + 1}`,
+        importedAt: new Date().toISOString(),
+        periods: entryPeriods,
+        incomeLines: normalisedIncome,
+        expenseLines: normalisedExpenses,
+        stats,
+      };
 
-      const otherIncomeEntries = normalisedIncome.filter(
-        (item) => item.category !== 'Lot Rent'
-      );
+      // Dated P&Ls slot into calendar order; otherwise the upload goes last.
+      const nextHistory = [...pnlHistory, entry];
+      if (nextHistory.every((item) => item.periods?.length > 0)) {
+        nextHistory.sort((a, b) =>
+          a.periods[a.periods.length - 1].localeCompare(b.periods[b.periods.length - 1])
+        );
+      }
 
-      setAdditionalIncome(mapWithNormalisedNotes(otherIncomeEntries));
-      setExpenses(mapWithNormalisedNotes(normalisedExpenses));
+      setPnlHistory(nextHistory);
+      applyPnlBaseline(nextHistory, entry.id, pnlBasis);
+      showToast({
+        message:
+          nextHistory.length > 1
+            ? `✅ P&L added as "${entry.label}" (${nextHistory.length} P&Ls on file)`
+            : '✅ P&L Imported and Mapped Successfully',
+        tone: 'success',
+      });
+    },
+    [applyPnlBaseline, pnlBasis, pnlHistory, showToast]
+  );
 
-      if (lotRentEntries.length > 0 && resolvedLotRentTotal > 0) {
-        setUseActualIncome(true);
-        setActualIncome(Math.round(Math.max(resolvedLotRentTotal, 0)));
-      } else {
-        setUseActualIncome(false);
-        setActualIncome(0);
-      }
+  const updatePnlHistoryLabel = (id, label) => {
+    setPnlHistory((previous) =>
+      previous.map((entry) => (entry.id === id ? { ...entry, label } : entry))
+    );
+  };
 
-      try {
-        const nextTotals =
-          totals && typeof totals === 'object'
-            ? {
-                ...totals,
-                lotRentAnnual: Math.round(Math.max(resolvedLotRentTotal, 0)),
-              }
-            : lotRentEntries.length > 0
-            ? { lotRentAnnual: Math.round(Math.max(resolvedLotRentTotal, 0)) }
-            : totals ?? null;
+  // Reordering or removing P&Ls changes which ones an average covers, so an
+  // average baseline is reloaded; a baseline that no longer resolves is cleared.
+  const updatePnlHistory = (nextHistory) => {
+    setPnlHistory(nextHistory);
+    if (!resolvePnlBaseline(nextHistory, pnlBaselineId, pnlBasis)) {
+      setPnlBaselineId(null);
+    } else if (!nextHistory.some((entry) => entry.id === pnlBaselineId)) {
+      applyPnlBaseline(nextHistory, pnlBaselineId, pnlBasis);
+    }
+  };
 
-        setPnlTotals(nextTotals);
-        setPnlMappingStats(stats || null);
+  const movePnlHistoryEntry = (id, offset) => {
+    const index = pnlHistory.findIndex((entry) => entry.id === id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= pnlHistory.length) {
+      return;
+    }
 
-        showToast({
-          message: '✅ P&L Imported and Mapped Successfully',
-          tone: 'success',
-        });
-      } catch (err) {
-        console.error('❌ Error setting P&L totals:', err);
-        showToast({
-          message: '⚠️ Error processing P&L import',
-          tone: 'error',
-        });
-      }
-    },
-    [
-      setAdditionalIncome,
-      setExpenses,
-      setUseActualIncome,
-      setActualIncome,
-      setPnlTotals,
-      setPnlMappingStats,
-      showToast,
-    ]
+    const nextHistory = [...pnlHistory];
+    [nextHistory[index], nextHistory[target]] = [nextHistory[target], nextHistory[index]];
+    updatePnlHistory(nextHistory);
+  };
+
+  const removePnlHistoryEntry = (id) => {
+    updatePnlHistory(pnlHistory.filter((entry) => entry.id !== id));
+  };
+
+  // Lines an adjustment can target; actual lot rent counts as an income line.
+  const adjustmentLineOptions = useMemo(
+    () => ({
+      income: [
+        ...(useActualIncome ? [{ id: LOT_RENT_LINE_ID, name: 'Lot Rent Income' }] : []),
+        ...additionalIncome,
+      ],
+      expense: expenses,
+    }),
+    [additionalIncome, expenses, useActualIncome]
+  );
+
+  const updateAdjustmentDraft = (field, value) => {
+    setAdjustmentDraft((previous) => ({
+      ...previous,
+      [field]: value,
+      ...(field === 'section' && { lineId: '' }),
+    }));
+  };
+
+  const addPnlAdjustment = () => {
+    const { type, section, lineId, label, amount, reason } = adjustmentDraft;
+    const line = adjustmentLineOptions[section].find((item) => String(item.id) === lineId);
+
+    if (!line && !(type === 'proForma' && label.trim())) {
+      showToast({
+        message: '⚠️ Choose the line to adjust, or name the new pro-forma line.',
+        tone: 'error',
+      });
+      return;
+    }
+    if (!reason.trim()) {
+      showToast({ message: '⚠️ Give the adjustment a reason.', tone: 'error' });
+      return;
+    }
+
+    setPnlAdjustments((previous) => [
+      ...previous,
+      {
+        id: createLineItemId('adjustment'),
+        type,
+        section,
+        lineId: line ? String(line.id) : null,
+        lineName: line?.name || '',
+        label: line ? '' : label.trim(),
+        amount: Number(amount) || 0,
+        reason: reason.trim(),
+      },
+    ]);
+    setAdjustmentDraft({ ...EMPTY_ADJUSTMENT_DRAFT, section });
+  };
+
+  const updatePnlAdjustment = (id, field, value) => {
+    setPnlAdjustments((previous) =>
+      previous.map((adjustment) => (adjustment.id === id ? { ...adjustment, [field]: value } : adjustment))
+    );
+  };
+
+  const removePnlAdjustment = (id) => {
+    setPnlAdjustments((previous) => previous.filter((adjustment) => adjustment.id !== id));
+  };
+
+  // Blank rate fields fall back to the jurisdiction's figures.
+  const updatePropertyTaxInput = (field, value) => {
+    setPropertyTaxInputs((previous) =>
+      normalisePropertyTaxInputs({ ...previous, [field]: value === '' ? null : value })
+    );
+  };
+
+  const propertyTaxRule = useMemo(
+    () => resolvePropertyTaxRule(propertyTaxInputs, PROPERTY_TAX_JURISDICTIONS),
+    [propertyTaxInputs]
+  );
+  const detectedPropertyTaxLine = useMemo(
+    () => findPropertyTaxLine(expenses, null, DEFAULT_CATEGORY_RULES),
+    [expenses]
+  );
+
+  const pnlHistoryComparison = useMemo(
+    () => (pnlHistory.length > 0 ? comparePnlHistory(pnlHistory, { basis: pnlBasis }) : null),
+    [pnlHistory, pnlBasis]
   );
 
+  const pnlPeriodSummary = useMemo(() => {
+    const lotRentLine = Number.isFinite(Number(pnlTotals?.lotRentAnnual))
+      ? {
+          id: 'lot-rent',
+          name: 'Lot Rent',
+          amount: pnlTotals.lotRentAnnual,
+          monthly: pnlTotals.lotRentMonthly,
+        }
+      : null;
+    const incomeLines = [...(lotRentLine ? [lotRentLine] : []), ...additionalIncome];
+    const lines = [...incomeLines, ...expenses];
+    const hasMonthly = (items) => items.some((line) => line?.monthly?.length > 0);
+
+    if (
+      !hasMonthly(lines) &&
+      !pnlHistory.some((entry) => hasMonthly([...entry.incomeLines, ...entry.expenseLines]))
+    ) {
+      return null;
+    }
+
+    // An average baseline has no months of its own; each basis re-averages
+    // the P&Ls behind it.
+    const bases = resolvePnlBaseline(pnlHistory, pnlBaselineId)
+      ? Object.fromEntries(
+          Object.keys(PNL_BASES).map((basis) => {
+            const summary = summarisePnlCategories(
+              resolvePnlBaseline(pnlHistory, pnlBaselineId, basis),
+              basis
+            );
+            return [
+              basis,
+              { income: summary.totalIncome, expenses: summary.totalExpenses, noi: summary.noi },
+            ];
+          })
+        )
+      : summarisePnlBases({ incomeLines, expenseLines: expenses });
+
+    return { bases, trendAlerts: findPnlTrendAlerts(lines) };
+  }, [additionalIncome, expenses, pnlTotals, pnlHistory, pnlBaselineId]);
+
+  // Reloads the P&L baseline on the chosen basis. Without one (older reports),
+  // lines with monthly values and lot rent are restated in place and lines
+  // without months keep their amounts.
+  const applyPnlBasis = (basis) => {
+    const nextBasis = resolvePnlBasis(basis);
+    if (resolvePnlBaseline(pnlHistory, pnlBaselineId, nextBasis)) {
+      setPnlBasis(nextBasis);
+      applyPnlBaseline(pnlHistory, pnlBaselineId, nextBasis);
+      return;
+    }
+
+    const restate = (items) =>
+      items.map((item) =>
+        item?.monthly?.length > 0
+          ? { ...item, amount: Math.round(resolvePnlAmount(item, nextBasis)) }
+          : item
+      );
+
+    setPnlBasis(nextBasis);
+    setAdditionalIncome((previous) => restate(previous));
+    setExpenses((previous) => restate(previous));
+    if (useActualIncome && pnlTotals?.lotRentMonthly?.length > 0) {
+      setActualIncome(
+        Math.round(
+          resolvePnlAmount(
+            { amount: pnlTotals.lotRentAnnual, monthly: pnlTotals.lotRentMonthly },
+            nextBasis
+          )
+        )
+      );
+    }
+  };
+
   const defaultPreview = {
     totalLots: 0,
     occupiedLots: 0,
@@ -1631,6 +1932,7 @@ const MobileHomeParkModel = () => {
         });
       } else {
         setPurchaseInputs({
+          ...DEFAULT_PURCHASE_INPUTS,
           purchasePrice: data.purchase_price ?? DEFAULT_PURCHASE_INPUTS.purchasePrice,
           closingCosts: data.closing_costs ?? DEFAULT_PURCHASE_INPUTS.closingCosts,
           downPaymentPercent:
@@ -1655,19 +1957,33 @@ const MobileHomeParkModel = () => {
       }
 
       if (savedState?.irrInputs) {
-        setIrrInputs(savedState.irrInputs);
+        setIrrInputs(normaliseIrrInputs(savedState.irrInputs));
       }
 
       if (savedState?.proformaInputs) {
         setProformaInputs(normaliseProformaInputs(savedState.proformaInputs));
       }
 
+      setDebtInputs(normaliseDebtInputs(savedState?.debtInputs));
+
+      if (savedState?.expenseOverrides && typeof savedState.expenseOverrides === 'object') {
+        setExpenseOverrides(savedState.expenseOverrides);
+      } else {
+        setExpenseOverrides({});
+      }
+
       if (savedState?.pnlTotals) {
         setPnlTotals(savedState.pnlTotals);
       } else {
         setPnlTotals(null);
       }
 
+      setPnlBasis(resolvePnlBasis(savedState?.pnlBasis));
+      setPnlHistory(Array.isArray(savedState?.pnlHistory) ? savedState.pnlHistory : []);
+      setPnlBaselineId(savedState?.pnlBaselineId ?? null);
+      setPnlAdjustments(Array.isArray(savedState?.pnlAdjustments) ? savedState.pnlAdjustments : []);
+      setPropertyTaxInputs(normalisePropertyTaxInputs(savedState?.propertyTax));
+
       if (savedState?.pnlMappingStats) {
         setPnlMappingStats(savedState.pnlMappingStats);
       } else {
@@ -1682,6 +1998,27 @@ const MobileHomeParkModel = () => {
         setProjectionYears(5);
       }
 
+      setProformaView(savedState?.proformaView === 'monthly' ? 'monthly' : 'annual');
+      simulationWorkerRef.current?.terminate();
+      simulationWorkerRef.current = null;
+      setSimulationProgress(null);
+      setSimulationInputs(normaliseSimulationInputs(savedState?.simulationInputs));
+      setSimulationResults(savedState?.simulationResults || null);
+      setRentRollDiffs(Array.isArray(savedState?.rentRollDiffs) ? savedState.rentRollDiffs : []);
+      setScenarios(normaliseScenarios(savedState?.scenarios));
+      setActiveScenarioId(BASE_SCENARIO_ID);
+      setBaseScenarioInputs(null);
+      setPendingScenarioId(
+        savedState?.activeScenarioId && savedState.activeScenarioId !== BASE_SCENARIO_ID
+          ? String(savedState.activeScenarioId)
+          : null
+      );
+      setSensitivityTables(
+        Array.isArray(savedState?.sensitivityTables) && savedState.sensitivityTables.length > 0
+          ? savedState.sensitivityTables
+          : DEFAULT_SENSITIVITY_TABLES.map((table) => ({ ...table }))
+      );
+
       if (typeof savedState?.useActualIncome === 'boolean') {
         setUseActualIncome(savedState.useActualIncome);
       }
@@ -1799,6 +2136,14 @@ const MobileHomeParkModel = () => {
   );
 
   // Add/Remove units
+  const saveRentRollDiff = (diff) => {
+    setRentRollDiffs((previous) => [diff, ...previous]);
+  };
+
+  const removeRentRollDiff = (index) => {
+    setRentRollDiffs((previous) => previous.filter((_, diffIndex) => diffIndex !== index));
+  };
+
   const addUnit = () => {
     const newId = Math.max(...units.map(u => u.id), 0) + 1;
     setUnits([...units, {
@@ -1806,7 +2151,8 @@ const MobileHomeParkModel = () => {
       lotNumber: newId.toString(),
       tenant: 'Vacant',
       rent: 450,
-      occupied: false
+      occupied: false,
+      homeOwnership: DEFAULT_HOME_OWNERSHIP
     }]);
   };
 
@@ -1819,7 +2165,8 @@ const MobileHomeParkModel = () => {
         lotNumber: (startId + i).toString(),
         tenant: 'Vacant',
         rent: 450,
-        occupied: false
+        occupied: false,
+        homeOwnership: DEFAULT_HOME_OWNERSHIP
       });
     }
     setUnits([...units, ...newUnits]);
@@ -1837,6 +2184,18 @@ const MobileHomeParkModel = () => {
     ));
   };
 
+  const rentRollLotTypes = useMemo(
+    () => Array.from(new Set(units.map((unit) => resolveLotType(unit)))).sort(),
+    [units]
+  );
+
+  const updateLotTypeMarketRent = (lotType, value) => {
+    setProformaInputs((previous) => ({
+      ...previous,
+      marketRentByLotType: { ...(previous.marketRentByLotType || {}), [lotType]: value },
+    }));
+  };
+
   const toggleUnitSelection = (id) => {
     if (selectedUnits.includes(id)) {
       setSelectedUnits(selectedUnits.filter(uid => uid !== id));
@@ -2310,525 +2669,277 @@ const MobileHomeParkModel = () => {
   }, [expenses, openExpenseNoteId]);
 
   // Calculations
-  const calculations = useMemo(() => {
-    // Rent Roll Metrics
-    const totalUnits = units.length;
-    const occupiedUnits = units.filter((u) => u.occupied).length;
-    const physicalOccupancy = totalUnits > 0 ? (occupiedUnits / totalUnits) * 100 : 0;
-    const grossPotentialRent = units.reduce((sum, u) => sum + Number(u.rent), 0) * 12;
-    const rentRollIncome =
-      units.filter((u) => u.occupied).reduce((sum, u) => sum + Number(u.rent), 0) * 12;
-
-    // Determine which income to use
-    const lotRentIncome = useActualIncome ? Number(actualIncome) : rentRollIncome;
-
-    // Additional Income
-    const totalAdditionalIncome = additionalIncome.reduce(
-      (sum, item) => sum + Number(item.amount),
-      0
-    );
+  const dealInputs = useMemo(
+    () => ({
+      units,
+      additionalIncome,
+      useActualIncome,
+      actualIncome,
+      expenses,
+      pnlAdjustments,
+      propertyTax: propertyTaxInputs,
+      managementPercent,
+      expenseRatio,
+      expenseOverrides,
+      purchaseInputs,
+      irrInputs,
+      proformaInputs,
+      debtInputs,
+      projectionYears,
+      categoryRules: DEFAULT_CATEGORY_RULES,
+      propertyTaxJurisdictions: PROPERTY_TAX_JURISDICTIONS,
+    }),
+    [
+    units,
+    additionalIncome,
+    useActualIncome,
+    actualIncome,
+    expenses,
+    pnlAdjustments,
+    propertyTaxInputs,
+    managementPercent,
+    purchaseInputs,
+    irrInputs,
+    proformaInputs,
+    debtInputs,
+    expenseRatio,
+    expenseOverrides,
+    projectionYears,
+  ]);
 
-    // Total Income
-    const effectiveGrossIncome = lotRentIncome + totalAdditionalIncome;
-    const vacancyLoss = grossPotentialRent - lotRentIncome;
-    const economicOccupancy = grossPotentialRent > 0 ? (lotRentIncome / grossPotentialRent) * 100 : 0;
-
-    // Operating Expenses
-    const managementFee = effectiveGrossIncome * (managementPercent / 100);
-    const detailedExpenses =
-      expenses.reduce((sum, exp) => sum + Number(exp.amount), 0) + managementFee;
-    const ratioValue = Number(expenseRatio);
-    const expenseRatioPercent = Number.isFinite(ratioValue) ? Math.max(ratioValue, 0) : 0;
-    const useExpenseRatioOverride = expenseRatioPercent > 0;
-    const totalOpEx = useExpenseRatioOverride
-      ? effectiveGrossIncome * (expenseRatioPercent / 100)
-      : detailedExpenses;
-    const totalExpenses = totalOpEx;
-
-    // NOI
-    const noi = effectiveGrossIncome - totalOpEx;
-    const capRate = (noi / purchaseInputs.purchasePrice) * 100;
-
-    // Financing
-    const totalInvestment = purchaseInputs.purchasePrice + purchaseInputs.closingCosts;
-    const downPayment = totalInvestment * (purchaseInputs.downPaymentPercent / 100);
-    const loanAmount = totalInvestment - downPayment;
-    const annualRate = purchaseInputs.interestRate / 100;
-    const monthlyRate = annualRate / 12;
-    const amortizationYears = Number(purchaseInputs.amortizationYears) || 0;
-    const amortizationMonthsTotal = Math.max(Math.round(amortizationYears * 12), 0);
-    const totalTermYears = Number(purchaseInputs.loanTermYears) || 0;
-    const totalTermMonths = Math.max(Math.round(totalTermYears * 12), 0);
-    const requestedInterestOnlyYears = Number(purchaseInputs.interestOnlyPeriodYears) || 0;
-    const maxInterestOnlyYears = amortizationYears > 0
-      ? Math.min(totalTermYears, amortizationYears)
-      : totalTermYears;
-    const interestOnlyYears = Math.max(0, Math.min(requestedInterestOnlyYears, maxInterestOnlyYears));
-    const interestOnlyMonths = Math.min(
-      Math.round(interestOnlyYears * 12),
-      totalTermMonths,
-      amortizationMonthsTotal > 0 ? amortizationMonthsTotal : totalTermMonths
-    );
-    const amortizationMonthsForPayment =
-      amortizationMonthsTotal > 0 ? Math.max(amortizationMonthsTotal - interestOnlyMonths, 0) : 0;
+  const calculations = useMemo(() => calculateDeal(dealInputs), [dealInputs]);
 
-    let interestOnlyMonthlyPayment = 0;
-    if (loanAmount > 0) {
-      interestOnlyMonthlyPayment = monthlyRate > 0 ? loanAmount * monthlyRate : 0;
-    }
+  const lossToLeaseByUnitId = useMemo(
+    () => new Map((calculations.lossToLease?.lots || []).map((lot) => [lot.id, lot.monthlyLoss])),
+    [calculations]
+  );
 
-    let amortizingMonthlyPayment = 0;
-    if (loanAmount > 0 && amortizationMonthsForPayment > 0) {
-      if (monthlyRate > 0) {
-        const factor = Math.pow(1 + monthlyRate, amortizationMonthsForPayment);
-        amortizingMonthlyPayment = (loanAmount * monthlyRate * factor) / (factor - 1);
-      } else {
-        amortizingMonthlyPayment = loanAmount / amortizationMonthsForPayment;
-      }
-    } else if (loanAmount > 0) {
-      amortizingMonthlyPayment = interestOnlyMonthlyPayment;
-    }
+  // Each grid reruns the engine 25 times, so let typing stay ahead of it.
+  const deferredDealInputs = useDeferredValue(dealInputs);
 
-    const loanSchedule = [];
-    let remainingBalance = loanAmount;
+  // One entry per configured table; null where the table's inputs are invalid.
+  const sensitivityGrids = useMemo(
+    () => sensitivityTables.map((table) => buildSensitivityGrid(deferredDealInputs, table)),
+    [deferredDealInputs, sensitivityTables]
+  );
 
-    for (let month = 1; month <= totalTermMonths; month += 1) {
-      if (remainingBalance <= 0) {
-        loanSchedule.push({
-          payment: 0,
-          interestPayment: 0,
-          principalPayment: 0,
-          remainingBalance: 0,
-        });
-        continue;
-      }
+  const updateSensitivityTable = (tableIndex, changes) => {
+    setSensitivityTables((previous) =>
+      previous.map((table, index) => (index === tableIndex ? { ...table, ...changes } : table))
+    );
+  };
 
-      const withinInterestOnly = month <= interestOnlyMonths;
-      let payment = 0;
-      let interestPayment = 0;
-
-      if (monthlyRate > 0) {
-        interestPayment = remainingBalance * monthlyRate;
-        if (withinInterestOnly) {
-          payment = interestOnlyMonthlyPayment;
-        } else if (amortizationMonthsForPayment > 0) {
-          payment = amortizingMonthlyPayment;
-        } else {
-          payment = interestPayment;
-        }
-      } else {
-        interestPayment = 0;
-        if (withinInterestOnly) {
-          payment = 0;
-        } else if (amortizationMonthsForPayment > 0) {
-          payment = amortizingMonthlyPayment;
-        } else {
-          payment = 0;
-        }
-      }
+  // The editors always hold the active scenario's inputs. While a non-base
+  // scenario is active its overrides are whatever differs from the parked base.
+  const scenarioSnapshot = useMemo(() => {
+    const currentInputs = {
+      purchaseInputs,
+      irrInputs,
+      proformaInputs,
+      debtInputs,
+      expenses,
+      managementPercent,
+      expenseRatio,
+    };
 
-      let principalPayment = payment - interestPayment;
+    if (activeScenarioId === BASE_SCENARIO_ID || !baseScenarioInputs) {
+      return { baseInputs: currentInputs, scenarios };
+    }
 
-      if (!Number.isFinite(principalPayment) || principalPayment < 0) {
-        principalPayment = 0;
-      }
+    return {
+      baseInputs: baseScenarioInputs,
+      scenarios: scenarios.map((scenario) =>
+        scenario.id === activeScenarioId
+          ? { ...scenario, overrides: diffScenarioInputs(baseScenarioInputs, currentInputs) }
+          : scenario
+      ),
+    };
+  }, [
+    purchaseInputs,
+    irrInputs,
+    proformaInputs,
+    debtInputs,
+    expenses,
+    managementPercent,
+    expenseRatio,
+    activeScenarioId,
+    baseScenarioInputs,
+    scenarios,
+  ]);
 
-      if (principalPayment > remainingBalance) {
-        principalPayment = remainingBalance;
-        payment = interestPayment + principalPayment;
+  const activateScenario = useCallback(
+    (scenarioId, scenarioList = scenarioSnapshot.scenarios) => {
+      const scenario = scenarioList.find((entry) => entry.id === scenarioId);
+      if (!scenario) {
+        return;
       }
 
-      remainingBalance = Math.max(0, remainingBalance - principalPayment);
+      const { baseInputs } = scenarioSnapshot;
+      const isBase = scenarioId === BASE_SCENARIO_ID;
+      const inputs = isBase ? baseInputs : applyScenarioOverrides(baseInputs, scenario);
+
+      setScenarios(scenarioList);
+      setPurchaseInputs(inputs.purchaseInputs);
+      setIrrInputs(inputs.irrInputs);
+      setProformaInputs(normaliseProformaInputs(inputs.proformaInputs));
+      setDebtInputs(normaliseDebtInputs(inputs.debtInputs));
+      setExpenses(inputs.expenses);
+      setManagementPercent(inputs.managementPercent);
+      setExpenseRatio(inputs.expenseRatio);
+      setBaseScenarioInputs(isBase ? null : baseInputs);
+      setActiveScenarioId(scenarioId);
+    },
+    [scenarioSnapshot]
+  );
 
-      loanSchedule.push({
-        payment,
-        interestPayment,
-        principalPayment,
-        remainingBalance,
-      });
+  // Saved reports reopen on Base; the saved active scenario is applied once the
+  // base inputs have landed in state.
+  useEffect(() => {
+    if (!pendingScenarioId) {
+      return;
     }
 
-    const annualDebtServiceSchedule = [];
-    if (totalTermMonths > 0) {
-      const totalYears = Math.ceil(totalTermMonths / 12);
-      for (let yearIndex = 0; yearIndex < totalYears; yearIndex += 1) {
-        const start = yearIndex * 12;
-        const payments = loanSchedule.slice(start, start + 12);
-        if (payments.length === 0) {
-          break;
-        }
+    setPendingScenarioId(null);
+    activateScenario(pendingScenarioId);
+  }, [pendingScenarioId, activateScenario]);
 
-        const totalPayment = payments.reduce((sum, entry) => sum + entry.payment, 0);
-        const totalInterestPaid = payments.reduce(
-          (sum, entry) => sum + entry.interestPayment,
-          0
-        );
-        const totalPrincipalPaid = payments.reduce(
-          (sum, entry) => sum + entry.principalPayment,
-          0
-        );
-        const endingBalance = payments[payments.length - 1]?.remainingBalance ?? 0;
-
-        annualDebtServiceSchedule.push({
-          year: yearIndex + 1,
-          totalPayment,
-          totalInterest: totalInterestPaid,
-          totalPrincipal: totalPrincipalPaid,
-          endingBalance,
-        });
-      }
-    }
+  const addScenario = () => {
+    const current = scenarioSnapshot.scenarios.find((scenario) => scenario.id === activeScenarioId);
+    const scenario = {
+      id: `scenario-${Date.now()}`,
+      name: newScenarioName.trim() || `Scenario ${scenarioSnapshot.scenarios.length}`,
+      overrides: { ...(current?.overrides || {}) },
+    };
 
-    const firstYearDebtService =
-      annualDebtServiceSchedule[0]?.totalPayment ||
-      loanSchedule.slice(0, 12).reduce((sum, entry) => sum + entry.payment, 0);
-    const firstMonthPayment = loanSchedule[0]?.payment || 0;
-    const maturityBalance =
-      loanSchedule.length > 0
-        ? loanSchedule[loanSchedule.length - 1]?.remainingBalance ?? loanAmount
-        : loanAmount;
-
-    // 5/7/10-Year Proforma Calculations
-    const projectionCount = Number.isFinite(Number(projectionYears))
-      ? Math.max(Number(projectionYears), 1)
-      : 5;
-
-    const calculateProforma = () => {
-      const years = [];
-      let currentOccupiedUnits = occupiedUnits;
-      const baseRent = occupiedUnits > 0 ? lotRentIncome / occupiedUnits / 12 : 0;
-      let currentRent = Number.isFinite(baseRent) ? baseRent : 0;
-      let currentOtherIncome = totalAdditionalIncome;
-
-      const resolveMode = (mode) =>
-        mode === 'dollar' || mode === 'flat' ? 'dollar' : 'percent';
-
-      const toNumber = (value) => {
-        const parsed = Number(value);
-        return Number.isFinite(parsed) ? parsed : 0;
-      };
+    setNewScenarioName('');
+    activateScenario(scenario.id, [...scenarioSnapshot.scenarios, scenario]);
+  };
 
-      const applyRentIncrease = (rent, value, mode) => {
-        const safeBase = Number.isFinite(rent) ? rent : 0;
-        const increaseValue = toNumber(value);
-        const resolvedMode = resolveMode(mode);
+  const renameScenario = (scenarioId, name) => {
+    setScenarios((previous) =>
+      previous.map((scenario) => (scenario.id === scenarioId ? { ...scenario, name } : scenario))
+    );
+  };
 
-        if (!increaseValue) {
-          return {
-            nextRent: safeBase,
-            amountChange: 0,
-            percentChange: 0,
-            mode: 'none',
-          };
-        }
+  const removeScenario = (scenarioId) => {
+    if (scenarioId === BASE_SCENARIO_ID) {
+      return;
+    }
 
-        if (resolvedMode === 'dollar') {
-          const nextRentRaw = safeBase + increaseValue;
-          const nextRent = Math.max(0, nextRentRaw);
-          const amountChange = nextRent - safeBase;
-          const percentChange = safeBase !== 0 ? (amountChange / safeBase) * 100 : null;
+    const remaining = scenarioSnapshot.scenarios.filter((scenario) => scenario.id !== scenarioId);
+    if (scenarioId === activeScenarioId) {
+      activateScenario(BASE_SCENARIO_ID, remaining);
+    } else {
+      setScenarios(remaining);
+    }
+  };
 
-          return {
-            nextRent,
-            amountChange,
-            percentChange,
-            mode: 'dollar',
-          };
-        }
+  const deferredScenarioSnapshot = useDeferredValue(scenarioSnapshot);
 
-        const percent = increaseValue;
-        const nextRentRaw = safeBase * (1 + percent / 100);
-        const nextRent = Math.max(0, nextRentRaw);
-        const amountChange = nextRent - safeBase;
+  const scenarioComparison = useMemo(
+    () =>
+      compareScenarios(
+        { ...deferredDealInputs, ...deferredScenarioSnapshot.baseInputs },
+        deferredScenarioSnapshot.scenarios
+      ),
+    [deferredDealInputs, deferredScenarioSnapshot]
+  );
 
-        return {
-          nextRent,
-          amountChange,
-          percentChange: percent,
-          mode: 'percent',
-        };
-      };
+  const stopSimulation = useCallback(() => {
+    simulationWorkerRef.current?.terminate();
+    simulationWorkerRef.current = null;
+    setSimulationProgress(null);
+  }, []);
 
-      const expenseGrowthPercent = toNumber(proformaInputs.annualExpenseIncrease);
-      const expenseGrowthRate = expenseGrowthPercent / 100;
-      const expenseProjections = expenses.map((expense) => {
-        const baseAmount = Number(expense.amount);
-        const safeBase = Number.isFinite(baseAmount) ? baseAmount : 0;
-        const yearValues = [];
-        const overridesForExpense =
-          expenseOverrides?.[String(expense.id)] ?? expenseOverrides?.[expense.id] ?? {};
-
-        for (let yearIndex = 0; yearIndex < projectionCount; yearIndex += 1) {
-          const previousValue = yearIndex === 0 ? safeBase : yearValues[yearIndex - 1];
-          const defaultValue =
-            yearIndex === 0 ? safeBase : previousValue * (1 + expenseGrowthRate);
-          const rawOverride = overridesForExpense?.[yearIndex];
-          const numericOverride =
-            typeof rawOverride === 'number' ? rawOverride : Number(rawOverride);
-          const hasOverride =
-            rawOverride !== undefined &&
-            rawOverride !== null &&
-            Number.isFinite(numericOverride);
-          const finalValue = hasOverride ? numericOverride : defaultValue;
-          yearValues.push(finalValue);
-        }
+  useEffect(() => stopSimulation, [stopSimulation]);
 
-        return {
-          ...expense,
-          yearValues,
-        };
-      });
+  const startSimulation = () => {
+    stopSimulation();
 
-      const managementFeeProjection = [];
+    const worker = new Worker(new URL('./workers/simulation.worker.js', import.meta.url));
+    simulationWorkerRef.current = worker;
+    setSimulationProgress(0);
 
-      for (let year = 1; year <= projectionCount; year += 1) {
-        let newLeases = 0;
-        if (year === 1) newLeases = toNumber(proformaInputs.year1NewLeases);
-        else if (year === 2) newLeases = toNumber(proformaInputs.year2NewLeases);
-        else if (year === 3) newLeases = toNumber(proformaInputs.year3NewLeases);
-        else if (year === 4) newLeases = toNumber(proformaInputs.year4NewLeases);
-        else if (year === 5) newLeases = toNumber(proformaInputs.year5NewLeases);
+    worker.onmessage = (event) => {
+      const message = event.data || {};
 
-        currentOccupiedUnits = Math.min(currentOccupiedUnits + newLeases, totalUnits);
+      if (message.type === 'progress') {
+        setSimulationProgress((message.completed / message.total) * 100);
+        return;
+      }
 
-        let appliedIncrease;
-        if (year === 1) {
-          appliedIncrease = applyRentIncrease(
-            currentRent,
-            proformaInputs.year1RentIncreaseValue,
-            proformaInputs.year1RentIncreaseMode
-          );
-        } else if (year === 2) {
-          appliedIncrease = applyRentIncrease(
-            currentRent,
-            proformaInputs.year2RentIncreaseValue,
-            proformaInputs.year2RentIncreaseMode
-          );
-        } else {
-          appliedIncrease = applyRentIncrease(
-            currentRent,
-            proformaInputs.annualRentIncrease,
-            proformaInputs.annualRentIncreaseMode
-          );
-        }
+      stopSimulation();
 
-        currentRent = appliedIncrease.nextRent;
+      if (message.type === 'result') {
+        setSimulationResults({ ...message.result, runAt: new Date().toISOString() });
+      } else {
+        showToast({ message: `⚠️ ${message.message || 'Simulation failed.'}`, tone: 'error' });
+      }
+    };
 
-        if (appliedIncrease.percentChange !== null && appliedIncrease.percentChange !== 0) {
-          currentOtherIncome =
-            currentOtherIncome * (1 + appliedIncrease.percentChange / 100);
-        }
-
-        const yearLotRent = currentRent * currentOccupiedUnits * 12;
-        const yearTotalIncome = yearLotRent + currentOtherIncome;
-
-        const yearIndex = year - 1;
-        const detailedExpensesForYear = expenseProjections.reduce(
-          (sum, expense) => sum + (Number(expense.yearValues?.[yearIndex]) || 0),
-          0
-        );
-
-        let managementFeeForYear = yearTotalIncome * (managementPercent / 100);
-        managementFeeProjection.push(managementFeeForYear);
-
-        let yearExpensesValue;
-        if (useExpenseRatioOverride) {
-          yearExpensesValue = yearTotalIncome * (expenseRatioPercent / 100);
-        } else {
-          yearExpensesValue = detailedExpensesForYear + managementFeeForYear;
-        }
-
-        const yearNOI = yearTotalIncome - yearExpensesValue;
-        const yearDebtEntry = annualDebtServiceSchedule[year - 1] || null;
-        const yearDebtService = yearDebtEntry ? yearDebtEntry.totalPayment : 0;
-        const yearCashFlow = yearNOI - yearDebtService;
-        const yearOccupancy = totalUnits > 0 ? (currentOccupiedUnits / totalUnits) * 100 : 0;
-
-        years.push({
-          year,
-          occupiedUnits: currentOccupiedUnits,
-          occupancyRate: yearOccupancy,
-          avgMonthlyRent: currentRent,
-          lotRentIncome: yearLotRent,
-          otherIncome: currentOtherIncome,
-          totalIncome: yearTotalIncome,
-          expenses: yearExpensesValue,
-          noi: yearNOI,
-          debtService: yearDebtService,
-          cashFlow: yearCashFlow,
-          rentIncreaseAmount: appliedIncrease.amountChange,
-          rentIncreasePercent: appliedIncrease.percentChange,
-          rentIncreaseMode: appliedIncrease.mode,
-        });
-      }
-
-      return { years, expenseProjections, managementFeeProjection };
+    worker.onerror = (error) => {
+      console.error('Simulation worker failed:', error);
+      stopSimulation();
+      showToast({ message: '⚠️ Simulation failed.', tone: 'error' });
     };
 
-    const { years: proformaYears, expenseProjections, managementFeeProjection } =
-      calculateProforma();
-    const firstYearData = proformaYears[0] || null;
-    const yearSevenData =
-      proformaYears.find((entry) => entry.year === 7) ||
-      (proformaYears.length > 0 ? proformaYears[proformaYears.length - 1] : null);
-    const year7NOI =
-      yearSevenData && Number.isFinite(yearSevenData.noi) ? yearSevenData.noi : noi;
-
-    const annualDebtService = firstYearData?.debtService ?? firstYearDebtService;
-    const monthlyPayment = firstYearData ? firstYearData.debtService / 12 : firstMonthPayment;
-    const cashFlow = firstYearData ? firstYearData.cashFlow : noi - annualDebtService;
-    const cashOnCash = downPayment > 0 ? (cashFlow / downPayment) * 100 : 0;
-    const dscr = annualDebtService > 0 ? noi / annualDebtService : 0;
-
-    // Per Unit Metrics
-    const incomePerUnit = totalUnits > 0 ? effectiveGrossIncome / totalUnits : 0;
-    const expensePerUnit = totalUnits > 0 ? totalOpEx / totalUnits : 0;
-    const noiPerUnit = totalUnits > 0 ? noi / totalUnits : 0;
-
-    // IRR Calculation
-    const holdPeriod = Number(irrInputs.holdPeriod) || 0;
-    const exitCapRatePercent = Number(irrInputs.exitCapRate) || 0;
-    const exitValue =
-      exitCapRatePercent > 0 ? year7NOI / (exitCapRatePercent / 100) : 0;
-
-    const monthsHeld = Math.round(holdPeriod * 12);
-    let remainingBalanceAtExit = loanAmount;
-    if (loanSchedule.length > 0) {
-      if (monthsHeld <= 0) {
-        remainingBalanceAtExit = loanAmount;
-      } else if (monthsHeld <= loanSchedule.length) {
-        remainingBalanceAtExit = loanSchedule[monthsHeld - 1].remainingBalance;
-      } else {
-        remainingBalanceAtExit = 0;
-      }
-    }
-
-    const remainingLoanBalance = remainingBalanceAtExit;
-    const netExitProceeds = exitValue - remainingLoanBalance;
-    const initialInvestment = downPayment;
-
-    const defaultAnnualCashFlow = firstYearData ? firstYearData.cashFlow : cashFlow;
-    const annualCashFlows = [];
-    for (let year = 1; year <= holdPeriod; year += 1) {
-      const yearData =
-        proformaYears.find((entry) => entry.year === year) ||
-        (proformaYears.length > 0 ? proformaYears[Math.min(year - 1, proformaYears.length - 1)] : null);
-      const yearCashFlow = yearData ? yearData.cashFlow : defaultAnnualCashFlow;
-      annualCashFlows.push(yearCashFlow);
-    }
-
-    const calculateIRR = (cashFlows) => {
-      if (!Array.isArray(cashFlows) || cashFlows.length === 0) {
-        return 0;
-      }
-
-      let rate = 0.1;
-      const maxIterations = 100;
-      const tolerance = 0.0001;
-
-      for (let i = 0; i < maxIterations; i += 1) {
-        let npv = 0;
-        let dnpv = 0;
-
-        for (let j = 0; j < cashFlows.length; j += 1) {
-          const cashFlowValue = cashFlows[j];
-          npv += cashFlowValue / Math.pow(1 + rate, j);
-          dnpv -= j * cashFlowValue / Math.pow(1 + rate, j + 1);
-        }
-
-        if (dnpv === 0) {
-          return rate * 100;
-        }
+    worker.postMessage({ deal: dealInputs, simulationInputs });
+  };
 
-        const newRate = rate - npv / dnpv;
+  const simulationIrrBins = simulationResults?.irr?.histogram || [];
+  const simulationTallestBin = Math.max(...simulationIrrBins.map((bin) => bin.count), 1);
 
-        if (!Number.isFinite(newRate)) {
-          return rate * 100;
-        }
+  const updateDebtTranche = (trancheIndex, changes) => {
+    setDebtInputs((previous) => ({
+      ...previous,
+      tranches: previous.tranches.map((tranche, index) =>
+        index === trancheIndex ? { ...tranche, ...changes } : tranche
+      ),
+    }));
+  };
 
-        if (Math.abs(newRate - rate) < tolerance) {
-          return newRate * 100;
-        }
+  const addDebtTranche = () => {
+    setDebtInputs((previous) => ({
+      ...previous,
+      tranches: [...previous.tranches, { ...DEFAULT_DEBT_TRANCHE, id: `tranche-${Date.now()}` }],
+    }));
+  };
 
-        rate = newRate;
-      }
+  const removeDebtTranche = (trancheIndex) => {
+    setDebtInputs((previous) => ({
+      ...previous,
+      tranches: previous.tranches.filter((_, index) => index !== trancheIndex),
+    }));
+  };
 
-      return rate * 100;
-    };
+  const updateRefinance = (changes) => {
+    setDebtInputs((previous) => ({ ...previous, refinance: { ...previous.refinance, ...changes } }));
+  };
 
-    const irr =
-      holdPeriod > 0
-        ? calculateIRR([-initialInvestment, ...annualCashFlows, netExitProceeds])
-        : 0;
+  const hasFinancingEvents = calculations.proformaYears.some((year) => year.financingCashFlow !== 0);
 
-    const cumulativeCashFlow = annualCashFlows.reduce((sum, value) => sum + value, 0);
-    const equityMultiple =
-      initialInvestment > 0
-        ? (netExitProceeds + cumulativeCashFlow) / initialInvestment
-        : 0;
+  const updateSimulationRange = (key, changes) => {
+    setSimulationInputs((previous) => ({ ...previous, [key]: { ...previous[key], ...changes } }));
+  };
 
-    return {
-      totalUnits,
-      occupiedUnits,
-      physicalOccupancy,
-      grossPotentialRent,
-      rentRollIncome,
-      lotRentIncome,
-      totalAdditionalIncome,
-      effectiveGrossIncome,
-      vacancyLoss,
-      economicOccupancy,
-      managementFee,
-      totalExpenses,
-      totalOpEx,
-      noi,
-      capRate,
-      totalInvestment,
-      downPayment,
-      loanAmount,
-      monthlyPayment,
-      annualDebtService,
-      cashFlow,
-      cashOnCash,
-      dscr,
-      incomePerUnit,
-      expensePerUnit,
-      noiPerUnit,
-      exitValue,
-      remainingBalance: remainingLoanBalance,
-      exitProceeds: netExitProceeds,
-      irr,
-      equityMultiple,
-      proformaYears,
-      expenseProjections,
-      managementFeeProjection,
-      useExpenseRatioOverride,
-      annualDebtServiceSchedule,
-      interestOnlyMonthlyPayment,
-      postInterestOnlyMonthlyPayment: amortizingMonthlyPayment,
-      interestOnlyPeriodYears: interestOnlyYears,
-      loanMaturityBalance: maturityBalance,
-      amortizationYears,
-      loanTermYears: totalTermYears,
-      projectionYears: projectionCount,
-    };
-  }, [
-    units,
-    additionalIncome,
-    useActualIncome,
-    actualIncome,
-    expenses,
-    managementPercent,
-    purchaseInputs,
-    irrInputs,
-    proformaInputs,
-    expenseRatio,
-    expenseOverrides,
-    projectionYears,
-  ]);
+  const activeScenarioName =
+    scenarioSnapshot.scenarios.find((scenario) => scenario.id === activeScenarioId)?.name || 'Base';
 
   const { useExpenseRatioOverride, expenseRatio: calculatedExpenseRatio } = calculations ?? {};
 
+  // Seller -> adjustments -> underwritten, by line, with section and net totals.
+  const underwritingRows = useMemo(() => {
+    const { rows, totals } = calculations.underwriting;
+    const sectionRows = (section) => rows.filter((row) => row.section === section);
+    return [
+      ...sectionRows('income'),
+      { id: 'total-income', total: true, name: 'Total Income', ...totals.income },
+      ...sectionRows('expense'),
+      { id: 'total-expenses', total: true, name: 'Total Expenses', ...totals.expenses },
+      { id: 'total-net', total: true, name: 'Net before Management Fee', ...totals.net },
+    ];
+  }, [calculations]);
+
   const expenseRatioActive = useMemo(() => {
     const directRatio = Number(expenseRatio);
     if (Number.isFinite(directRatio) && directRatio > 0) {
@@ -2916,6 +3027,18 @@ const MobileHomeParkModel = () => {
     return `${value.toFixed(2)}%`;
   };
 
+  const formatScenarioMetric = (value, format) => {
+    if (!Number.isFinite(value)) {
+      return '—';
+    }
+
+    if (format === 'currency') {
+      return formatCurrency(value);
+    }
+
+    return format === 'multiple' ? `${value.toFixed(2)}x` : formatPercent(value);
+  };
+
   const propertyAverageRentDisplay = averageRentInfo.hasValues
     ? formatCurrencyWithCents(averageRentInfo.value)
     : '—';
@@ -3002,6 +3125,104 @@ const MobileHomeParkModel = () => {
     return years.slice(0, Math.min(5, years.length));
   }, [calculations]);
 
+  const projectedYearAssumptions = useMemo(
+    () => resolveYearAssumptions(proformaInputs, projectionYears),
+    [proformaInputs, projectionYears]
+  );
+
+  const updateYearAssumption = (yearIndex, changes) => {
+    setProformaInputs((previous) => {
+      const years = resolveYearAssumptions(
+        previous,
+        Math.max(projectionYears, previous.yearAssumptions?.length || 0)
+      );
+      years[yearIndex] = { ...years[yearIndex], ...changes };
+      return { ...previous, yearAssumptions: years };
+    });
+  };
+
+  const updateMarkToMarket = (changes) => {
+    setProformaInputs((previous) => ({
+      ...previous,
+      markToMarket: { ...normaliseMarkToMarket(previous.markToMarket), ...changes },
+    }));
+  };
+
+  const updateUtilityBillback = (changes) => {
+    setProformaInputs((previous) => ({
+      ...previous,
+      utilityBillback: { ...normaliseUtilityBillback(previous.utilityBillback), ...changes },
+    }));
+  };
+
+  // Copies a year's growth rates (not its lease-up) to every later year.
+  const fillYearAssumptionForward = (yearIndex) => {
+    setProformaInputs((previous) => {
+      const years = resolveYearAssumptions(
+        previous,
+        Math.max(projectionYears, previous.yearAssumptions?.length || 0)
+      );
+      const { newLeases, ...growth } = years[yearIndex];
+      return {
+        ...previous,
+        yearAssumptions: years.map((year, index) =>
+          index > yearIndex ? { ...year, ...growth } : year
+        ),
+      };
+    });
+  };
+
+  const proformaSnapshotMonths = useMemo(() => {
+    const months = Array.isArray(calculations?.proformaMonths)
+      ? calculations.proformaMonths
+      : [];
+
+    return months.filter((entry) => entry.year <= proformaSnapshotYears.length);
+  }, [calculations, proformaSnapshotYears]);
+
+  const describeCashFlowTiming = () => {
+    if (proformaInputs.cashFlowMode !== 'monthly') {
+      return 'Leases and rent increases take effect at the start of each year.';
+    }
+
+    const pace = Number(proformaInputs.leaseUpPerMonth);
+    const leasePace =
+      Number.isFinite(pace) && pace > 0
+        ? `${pace} new lease${pace === 1 ? '' : 's'} per month`
+        : "each year's new leases spread evenly across the year";
+
+    return `Lease-up ramps in at ${leasePace}; rent increases take effect in month ${
+      proformaInputs.rentIncreaseMonth || 1
+    } of each year.`;
+  };
+
+  const proformaViewToggle = (
+    <div
+      className="inline-flex overflow-hidden rounded border border-gray-300"
+      role="group"
+      aria-label="Proforma view"
+    >
+      {[
+        { value: 'annual', label: 'Annual' },
+        { value: 'monthly', label: 'Monthly' },
+      ].map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          aria-pressed={proformaView === option.value}
+          onClick={() => setProformaView(option.value)}
+          className={`px-4 py-2 text-sm font-semibold transition ${
+            proformaView === option.value
+              ? 'bg-blue-600 text-white'
+              : 'bg-white text-gray-700 hover:bg-gray-50'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+
   const lastProformaYear =
     calculations.proformaYears.length > 0
       ? calculations.proformaYears[calculations.proformaYears.length - 1]
@@ -3219,6 +3440,7 @@ ${reportContent.innerHTML}
 
     const purchaseDetails = {
       ...purchaseInputs,
+      downPaymentPercent: calculations.loanSizing?.downPaymentPercent ?? purchaseInputs.downPaymentPercent,
       totalInvestment: calculations.totalInvestment,
       downPaymentAmount: calculations.downPayment,
       loanAmount: calculations.loanAmount,
@@ -3241,15 +3463,31 @@ ${reportContent.innerHTML}
       purchaseInputs,
       irrInputs,
       proformaInputs,
+      debtInputs,
       useActualIncome,
       actualIncome,
       expenseRatio,
+      expenseOverrides,
       projectionYears,
+      proformaView,
+      sensitivityTables,
+      // Top-level inputs are always the base case; scenarios carry overrides.
+      ...scenarioSnapshot.baseInputs,
+      scenarios: scenarioSnapshot.scenarios,
+      activeScenarioId,
+      simulationInputs,
+      simulationResults,
+      rentRollDiffs,
       reportName: effectiveReportName,
       activeTab,
       calculations,
       pnlTotals,
       pnlMappingStats,
+      pnlBasis,
+      pnlHistory,
+      pnlBaselineId,
+      pnlAdjustments,
+      propertyTax: propertyTaxInputs,
       ownerUserId: authUser?.id || session?.user?.id || null,
       ownerEmail: sessionEmail || authUser?.email || null,
     };
@@ -3366,6 +3604,7 @@ ${reportContent.innerHTML}
     managementPercent,
     irrInputs,
     proformaInputs,
+    debtInputs,
     useActualIncome,
     actualIncome,
     activeTab,
@@ -3373,7 +3612,20 @@ ${reportContent.innerHTML}
     fetchSavedReports,
     sessionEmail,
     expenseRatio,
+    expenseOverrides,
     projectionYears,
+    proformaView,
+    sensitivityTables,
+    scenarioSnapshot,
+    activeScenarioId,
+    simulationInputs,
+    simulationResults,
+    rentRollDiffs,
+    pnlBasis,
+    pnlHistory,
+    pnlBaselineId,
+    pnlAdjustments,
+    propertyTaxInputs,
     requireAuth,
     ensurePreparedByInfo,
     showToast,
@@ -3679,6 +3931,32 @@ ${reportContent.innerHTML}
           </div>
         </div>
 
+        {/* Active Scenario */}
+        {activeTab !== 'analytics' && activeTab !== 'my-reports' && (
+          <div className="flex flex-wrap items-center gap-3 border-b border-gray-200 bg-white px-6 py-3">
+            <label htmlFor="active-scenario" className="text-sm font-semibold text-gray-700">
+              Scenario
+            </label>
+            <select
+              id="active-scenario"
+              value={activeScenarioId}
+              onChange={(e) => activateScenario(e.target.value)}
+              className="p-2 border border-gray-300 rounded bg-white text-sm"
+            >
+              {scenarioSnapshot.scenarios.map((scenario) => (
+                <option key={scenario.id} value={scenario.id}>
+                  {scenario.name || 'Untitled scenario'}
+                </option>
+              ))}
+            </select>
+            <span className="text-xs text-gray-500">
+              {activeScenarioId === BASE_SCENARIO_ID
+                ? 'Editing the base case. Other scenarios inherit any input they do not override.'
+                : `Edits apply to ${activeScenarioName} only and are stored as overrides of the base case.`}
+            </span>
+          </div>
+        )}
+
         {/* Content */}
         <div className="p-6">
           {activeTab === 'analytics' && (
@@ -4215,6 +4493,13 @@ ${reportContent.innerHTML}
                 <h2 className="text-2xl font-bold text-gray-800">Rent Roll</h2>
                 <div className="flex flex-wrap items-center gap-4">
                   <RentRollUpload onDataParsed={handleRentRollImport} />
+                  {units.length > 0 && (
+                    <RentRollUpload
+                      compareTo={units}
+                      onCompared={saveRentRollDiff}
+                      onDataParsed={handleRentRollImport}
+                    />
+                  )}
                   <div className="flex items-end gap-2">
                     <div>
                       <label className="text-xs font-semibold text-gray-700">Add Multiple Lots</label>
@@ -4330,6 +4615,175 @@ ${reportContent.innerHTML}
                 </div>
               </div>
 
+              {/* Income by Home Ownership */}
+              <div className="grid grid-cols-3 gap-4">
+                {Object.entries(HOME_OWNERSHIP_TYPES).map(([type, label]) => {
+                  const group = calculations.incomeByOwnership?.[type];
+                  return (
+                    <div key={type} className="rounded-lg border border-gray-200 bg-gray-50 p-4">
+                      <div className="text-sm font-semibold text-gray-700">{label}</div>
+                      <div className="text-xs text-gray-500">
+                        {group?.occupiedUnits ?? 0} of {group?.units ?? 0} lots occupied
+                      </div>
+                      <div className="mt-2 text-xl font-bold text-gray-800">
+                        {formatCurrency(group?.rentIncome ?? 0)}
+                        <span className="text-xs font-normal text-gray-500"> rent / yr</span>
+                      </div>
+                      <div className="mt-1 text-xs text-gray-600">
+                        Billbacks {formatCurrency(group?.utilityBillbacks ?? 0)} · Other{' '}
+                        {formatCurrency(group?.otherCharges ?? 0)} · Owed{' '}
+                        {formatCurrency(group?.balanceOwed ?? 0)}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Market Rent & Loss-to-Lease */}
+              <div className="rounded-lg border border-red-200 bg-red-50 p-4">
+                <div className="flex flex-col gap-1 md:flex-row md:items-baseline md:justify-between">
+                  <h3 className="text-lg font-semibold text-gray-800">Market Rent &amp; Loss-to-Lease</h3>
+                  <div className="text-sm text-gray-700">
+                    {calculations.lossToLease?.belowMarketLots ?? 0} occupied lots below market ·{' '}
+                    <span className="font-bold text-red-700">
+                      {formatCurrency(calculations.lossToLease?.annualTotal ?? 0)}/yr
+                    </span>{' '}
+                    ({formatPercent(calculations.lossToLease?.percentOfMarket ?? 0)} of market)
+                  </div>
+                </div>
+                <p className="mt-1 text-xs text-gray-600">
+                  Set a market rent per lot type below, or per lot in the table. Lots with neither are treated as at market.
+                </p>
+                <div className="mt-3 flex flex-wrap gap-4">
+                  {rentRollLotTypes.map((lotType) => (
+                    <label key={lotType} className="text-sm font-semibold text-gray-700">
+                      {lotType}
+                      <input
+                        type="number"
+                        min="0"
+                        value={proformaInputs.marketRentByLotType?.[lotType] ?? ''}
+                        onChange={(e) => updateLotTypeMarketRent(lotType, e.target.value)}
+                        className="ml-2 w-28 rounded border border-gray-300 bg-blue-50 p-2 font-semibold text-blue-900"
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Rent Roll Changes */}
+              {rentRollDiffs.length > 0 && (
+                <div className="rounded-lg border border-blue-200 bg-blue-50 p-4">
+                  <h3 className="text-lg font-semibold text-gray-800">Rent Roll Changes</h3>
+                  <p className="mt-1 text-xs text-gray-600">
+                    Each comparison is against the rent roll loaded when the updated file was uploaded. Lots are matched on their normalised lot number.
+                  </p>
+                  {rentRollDiffs.map((diff, index) => {
+                    const changeSections = [
+                      {
+                        label: 'Move-ins',
+                        items: diff.moveIns,
+                        describe: (item) => `${item.tenant || 'Occupied'} at ${formatCurrency(item.rent || 0)}`,
+                      },
+                      {
+                        label: 'Move-outs',
+                        items: diff.moveOuts,
+                        describe: (item) => `${item.tenant || 'Occupied'} was paying ${formatCurrency(item.rent || 0)}`,
+                      },
+                      {
+                        label: 'Rent changes',
+                        items: diff.rentChanges,
+                        describe: (item) =>
+                          `${formatCurrency(item.previousRent)} → ${formatCurrency(item.currentRent)} (${item.change >= 0 ? '+' : '-'}${formatCurrency(Math.abs(item.change))})`,
+                      },
+                      {
+                        label: 'Tenant changes',
+                        items: diff.tenantChanges,
+                        describe: (item) => `${item.previousTenant} → ${item.currentTenant}`,
+                      },
+                      {
+                        label: 'New lots',
+                        items: diff.addedLots,
+                        describe: (item) => (item.occupied ? `Occupied at ${formatCurrency(item.rent || 0)}` : 'Vacant'),
+                      },
+                      {
+                        label: 'Removed lots',
+                        items: diff.removedLots,
+                        describe: (item) => (item.occupied ? `Was occupied at ${formatCurrency(item.rent || 0)}` : 'Was vacant'),
+                      },
+                    ];
+
+                    return (
+                      <details
+                        key={`${diff.comparedAt}-${index}`}
+                        open={index === 0}
+                        className="mt-3 rounded-md border border-blue-200 bg-white p-3"
+                      >
+                        <summary className="cursor-pointer text-sm font-semibold text-gray-800">
+                          {diff.filename || 'Updated rent roll'}
+                          {diff.comparedAt ? ` · ${formatReportDate(diff.comparedAt)}` : ''} · Occupancy{' '}
+                          {diff.summary.occupiedLotsChange >= 0 ? '+' : ''}
+                          {diff.summary.occupiedLotsChange} lots · Monthly income{' '}
+                          {diff.summary.monthlyIncomeChange < 0 ? '-' : '+'}
+                          {formatCurrency(Math.abs(diff.summary.monthlyIncomeChange))}
+                        </summary>
+                        <div className="mt-3 grid grid-cols-2 gap-3 text-sm md:grid-cols-4">
+                          <div>
+                            <div className="text-xs uppercase tracking-wide text-gray-500">Occupied Lots</div>
+                            <div className="font-semibold text-gray-800">
+                              {diff.summary.previous.occupiedLots} → {diff.summary.current.occupiedLots}
+                            </div>
+                          </div>
+                          <div>
+                            <div className="text-xs uppercase tracking-wide text-gray-500">Occupancy</div>
+                            <div className="font-semibold text-gray-800">
+                              {formatPercent(diff.summary.previous.occupancyRate)} → {formatPercent(diff.summary.current.occupancyRate)}
+                            </div>
+                          </div>
+                          <div>
+                            <div className="text-xs uppercase tracking-wide text-gray-500">Monthly Rent Income</div>
+                            <div className="font-semibold text-gray-800">
+                              {formatCurrency(diff.summary.previous.monthlyIncome)} → {formatCurrency(diff.summary.current.monthlyIncome)}
+                            </div>
+                          </div>
+                          <div>
+                            <div className="text-xs uppercase tracking-wide text-gray-500">Total Lots</div>
+                            <div className="font-semibold text-gray-800">
+                              {diff.summary.previous.totalLots} → {diff.summary.current.totalLots}
+                            </div>
+                          </div>
+                        </div>
+                        <div className="mt-3 grid gap-3 md:grid-cols-2">
+                          {changeSections.map((section) => (
+                            <div key={section.label} className="text-sm">
+                              <div className="font-semibold text-gray-700">
+                                {section.label} ({section.items.length})
+                              </div>
+                              {section.items.length === 0 ? (
+                                <div className="text-xs text-gray-500">None</div>
+                              ) : (
+                                <ul className="mt-1 space-y-0.5 text-xs text-gray-700">
+                                  {section.items.map((item) => (
+                                    <li key={item.lotNumber}>
+                                      <span className="font-semibold">Lot {item.lotNumber}:</span> {section.describe(item)}
+                                    </li>
+                                  ))}
+                                </ul>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                        <button
+                          onClick={() => removeRentRollDiff(index)}
+                          className="mt-3 text-xs font-semibold text-red-600 hover:text-red-700"
+                        >
+                          Remove comparison
+                        </button>
+                      </details>
+                    );
+                  })}
+                </div>
+              )}
+
               {/* Units Table */}
               <div className="overflow-x-auto">
                 <table className="w-full border-collapse">
@@ -4351,8 +4805,17 @@ ${reportContent.innerHTML}
                       </th>
                       <th className="p-3 text-left font-semibold">Lot #</th>
                       <th className="p-3 text-left font-semibold">Status</th>
+                      <th className="p-3 text-left font-semibold">Home</th>
+                      <th className="p-3 text-left font-semibold">Lot Type</th>
                       <th className="p-3 text-left font-semibold">Monthly Rent</th>
+                      <th className="p-3 text-left font-semibold">Market Rent</th>
+                      <th className="p-3 text-left font-semibold">Loss-to-Lease</th>
                       <th className="p-3 text-left font-semibold">Annual Rent</th>
+                      <th className="p-3 text-left font-semibold">Move-In</th>
+                      <th className="p-3 text-left font-semibold">Lease End</th>
+                      <th className="p-3 text-left font-semibold">Utility Billback</th>
+                      <th className="p-3 text-left font-semibold">Other Charges</th>
+                      <th className="p-3 text-left font-semibold">Balance Owed</th>
                       <th className="p-3 text-center font-semibold">Action</th>
                     </tr>
                   </thead>
@@ -4385,6 +4848,28 @@ ${reportContent.innerHTML}
                             <option value="vacant">Vacant</option>
                           </select>
                         </td>
+                        <td className="p-3">
+                          <select
+                            value={resolveHomeOwnership(unit.homeOwnership)}
+                            onChange={(e) => updateUnit(unit.id, 'homeOwnership', e.target.value)}
+                            className="w-40 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold"
+                          >
+                            {Object.entries(HOME_OWNERSHIP_TYPES).map(([value, label]) => (
+                              <option key={value} value={value}>
+                                {label}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="p-3">
+                          <input
+                            type="text"
+                            value={unit.lotType || ''}
+                            placeholder={resolveLotType(null)}
+                            onChange={(e) => updateUnit(unit.id, 'lotType', e.target.value)}
+                            className="w-28 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900"
+                          />
+                        </td>
                         <td className="p-3">
                           <input
                             type="number"
@@ -4393,9 +4878,67 @@ ${reportContent.innerHTML}
                             className="w-28 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold"
                           />
                         </td>
+                        <td className="p-3">
+                          <input
+                            type="number"
+                            value={unit.marketRent ?? ''}
+                            placeholder={
+                              Number(proformaInputs.marketRentByLotType?.[resolveLotType(unit)]) > 0
+                                ? String(proformaInputs.marketRentByLotType[resolveLotType(unit)])
+                                : 'Lot type'
+                            }
+                            onChange={(e) => updateUnit(unit.id, 'marketRent', e.target.value)}
+                            className="w-28 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold"
+                          />
+                        </td>
+                        <td className="p-3 font-semibold text-red-700">
+                          {lossToLeaseByUnitId.get(unit.id) > 0
+                            ? formatCurrency(lossToLeaseByUnitId.get(unit.id))
+                            : '—'}
+                        </td>
                         <td className="p-3 font-semibold">
                           {unit.occupied ? formatCurrency(unit.rent * 12) : formatCurrency(0)}
                         </td>
+                        <td className="p-3">
+                          <input
+                            type="date"
+                            value={unit.moveInDate || ''}
+                            onChange={(e) => updateUnit(unit.id, 'moveInDate', e.target.value)}
+                            className="w-36 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900"
+                          />
+                        </td>
+                        <td className="p-3">
+                          <input
+                            type="date"
+                            value={unit.leaseEnd || ''}
+                            onChange={(e) => updateUnit(unit.id, 'leaseEnd', e.target.value)}
+                            className="w-36 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900"
+                          />
+                        </td>
+                        <td className="p-3">
+                          <input
+                            type="number"
+                            value={unit.utilityBillback ?? ''}
+                            onChange={(e) => updateUnit(unit.id, 'utilityBillback', e.target.value)}
+                            className="w-24 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold"
+                          />
+                        </td>
+                        <td className="p-3">
+                          <input
+                            type="number"
+                            value={unit.otherCharges ?? ''}
+                            onChange={(e) => updateUnit(unit.id, 'otherCharges', e.target.value)}
+                            className="w-24 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold"
+                          />
+                        </td>
+                        <td className="p-3">
+                          <input
+                            type="number"
+                            value={unit.balance ?? ''}
+                            onChange={(e) => updateUnit(unit.id, 'balance', e.target.value)}
+                            className="w-24 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold"
+                          />
+                        </td>
                         <td className="p-3 text-center">
                           <button
                             onClick={() => removeUnit(unit.id)}
@@ -4410,9 +4953,12 @@ ${reportContent.innerHTML}
                   <tfoot>
                     <tr className="bg-gray-100 font-bold border-t-2 border-gray-300">
                       <td className="p-3"></td>
-                      <td className="p-3" colSpan="3">TOTAL</td>
+                      <td className="p-3" colSpan="6">TOTAL</td>
+                      <td className="p-3 text-red-700">
+                        {formatCurrency(calculations.lossToLease?.monthlyTotal ?? 0)}
+                      </td>
                       <td className="p-3">{formatCurrency(calculations.lotRentIncome)}</td>
-                      <td></td>
+                      <td colSpan="6"></td>
                     </tr>
                   </tfoot>
                 </table>
@@ -4467,6 +5013,192 @@ ${reportContent.innerHTML}
                     </div>
                   </div>
                 )}
+
+                {pnlPeriodSummary && (
+                  <div className="mt-4 rounded-lg border border-indigo-200 bg-white/80 p-4 text-sm text-indigo-900">
+                    <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+                      <div>
+                        <div className="font-semibold">P&amp;L Basis</div>
+                        <p className="text-xs text-indigo-700">
+                          Lines with monthly values are restated on the chosen basis; the others keep their reported amounts.
+                        </p>
+                      </div>
+                      <select
+                        value={pnlBasis}
+                        onChange={(e) => applyPnlBasis(e.target.value)}
+                        className="rounded border border-indigo-300 bg-white p-2 text-sm font-semibold"
+                      >
+                        {Object.entries(PNL_BASES).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <table className="mt-3 w-full text-left text-xs sm:text-sm">
+                      <thead>
+                        <tr className="border-b border-indigo-200">
+                          <th className="py-1 font-semibold">Basis</th>
+                          <th className="py-1 text-right font-semibold">Income</th>
+                          <th className="py-1 text-right font-semibold">Expenses</th>
+                          <th className="py-1 text-right font-semibold">NOI</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(PNL_BASES).map(([basis, label]) => {
+                          const totals = pnlPeriodSummary.bases[basis];
+                          return (
+                            <tr key={basis} className={basis === pnlBasis ? 'font-semibold' : ''}>
+                              <td className="py-1">{label}</td>
+                              <td className="py-1 text-right">{formatCurrency(totals.income)}</td>
+                              <td className="py-1 text-right">{formatCurrency(totals.expenses)}</td>
+                              <td className="py-1 text-right">{formatCurrency(totals.noi)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                    {pnlPeriodSummary.trendAlerts.length > 0 && (
+                      <div className="mt-3 rounded border border-amber-300 bg-amber-50 p-3 text-xs text-amber-900">
+                        <div className="font-semibold">Recent trends (last 3 months vs. the rest of the trailing year)</div>
+                        <ul className="mt-1 space-y-0.5">
+                          {pnlPeriodSummary.trendAlerts.map((alert) => (
+                            <li key={alert.id}>
+                              {alert.name}: {formatCurrency(alert.recentMonthlyAverage)}/mo vs.{' '}
+                              {formatCurrency(alert.earlierMonthlyAverage)}/mo ({alert.changePercent > 0 ? '+' : ''}
+                              {alert.changePercent.toFixed(0)}%)
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+                )}
+                {pnlHistoryComparison && (
+                  <div className="mt-4 rounded-lg border border-indigo-200 bg-white/80 p-4 text-sm text-indigo-900">
+                    <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+                      <div>
+                        <div className="font-semibold">Historical P&amp;Ls</div>
+                        <p className="text-xs text-indigo-700">
+                          Each upload is kept. Changes are against the column to the left;
+                          moves of {PNL_SWING_ALERT_PERCENT}% or more are highlighted
+                          {pnlHistoryComparison.flaggedCount > 0
+                            ? ` (${pnlHistoryComparison.flaggedCount} flagged)`
+                            : ''}
+                          .
+                        </p>
+                      </div>
+                      <label className="flex items-center gap-2 text-sm font-semibold">
+                        Baseline
+                        <select
+                          value={pnlBaselineId ?? ''}
+                          onChange={(e) => applyPnlBaseline(pnlHistory, e.target.value, pnlBasis)}
+                          className="rounded border border-indigo-300 bg-white p-2 text-sm font-semibold"
+                        >
+                          {!pnlBaselineId && <option value="">Choose a P&amp;L…</option>}
+                          {pnlHistory.map((entry) => (
+                            <option key={entry.id} value={entry.id}>
+                              {entry.label}
+                            </option>
+                          ))}
+                          {pnlHistory.slice(1).map((_, index) => (
+                            <option key={index} value={buildAverageBaselineId(index + 2)}>
+                              Average of latest {index + 2}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                    <div className="mt-3 overflow-x-auto">
+                      <table className="w-full text-left text-xs sm:text-sm">
+                        <thead>
+                          <tr className="border-b border-indigo-200">
+                            <th className="py-1 pr-3 font-semibold">Category</th>
+                            {pnlHistory.map((entry, index) => (
+                              <th key={entry.id} className="min-w-[9rem] py-1 pr-3 text-right font-semibold">
+                                <input
+                                  type="text"
+                                  value={entry.label}
+                                  onChange={(e) => updatePnlHistoryLabel(entry.id, e.target.value)}
+                                  className="w-full rounded border border-indigo-200 bg-white px-1 text-right font-semibold"
+                                />
+                                <div className="mt-1 flex justify-end gap-2 text-xs font-normal text-indigo-600">
+                                  <button
+                                    type="button"
+                                    onClick={() => movePnlHistoryEntry(entry.id, -1)}
+                                    disabled={index === 0}
+                                    className="disabled:opacity-30"
+                                    title="Move earlier"
+                                  >
+                                    ←
+                                  </button>
+                                  <button
+                                    type="button"
+                                    onClick={() => movePnlHistoryEntry(entry.id, 1)}
+                                    disabled={index === pnlHistory.length - 1}
+                                    className="disabled:opacity-30"
+                                    title="Move later"
+                                  >
+                                    →
+                                  </button>
+                                  <button
+                                    type="button"
+                                    onClick={() => removePnlHistoryEntry(entry.id)}
+                                    className="text-red-600"
+                                    title="Remove this P&L"
+                                  >
+                                    ✕
+                                  </button>
+                                </div>
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {[
+                            ...pnlHistoryComparison.rows,
+                            { section: 'total', category: 'Total Income', ...pnlHistoryComparison.totals.income },
+                            { section: 'total', category: 'Total Expenses', ...pnlHistoryComparison.totals.expenses },
+                            { section: 'total', category: 'NOI', ...pnlHistoryComparison.totals.noi },
+                          ].map((row) => (
+                            <tr
+                              key={`${row.section}-${row.category}`}
+                              className={`border-b border-indigo-100 ${row.section === 'total' ? 'font-semibold' : ''}`}
+                            >
+                              <td className="py-1 pr-3">
+                                {row.category}
+                                {row.section !== 'total' && (
+                                  <span className="ml-1 text-xs text-indigo-500">
+                                    {row.section === 'income' ? 'income' : 'expense'}
+                                  </span>
+                                )}
+                              </td>
+                              {row.amounts.map((amount, index) => {
+                                const change = row.changes[index];
+                                return (
+                                  <td
+                                    key={pnlHistory[index].id}
+                                    className={`py-1 pr-3 text-right ${change?.flagged ? 'bg-amber-100' : ''}`}
+                                  >
+                                    {amount === null ? '—' : formatCurrency(amount)}
+                                    {change && (
+                                      <div className={`text-xs ${change.flagged ? 'font-semibold text-amber-800' : 'text-gray-500'}`}>
+                                        {change.amount >= 0 ? '+' : '-'}
+                                        {formatCurrency(Math.abs(change.amount))}
+                                        {change.percent !== null &&
+                                          ` (${change.percent >= 0 ? '+' : ''}${change.percent.toFixed(1)}%)`}
+                                      </div>
+                                    )}
+                                  </td>
+                                );
+                              })}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
               </div>
 
               <div className="space-y-6">
@@ -4639,6 +5371,11 @@ ${reportContent.innerHTML}
                       <span>Effective Gross Income</span>
                       <span>{formatCurrency(calculations.effectiveGrossIncome)}</span>
                     </div>
+                    {calculations.underwriting.totals.income.adjustment !== 0 && (
+                      <div className="flex justify-end text-xs italic text-amber-700">
+                        After underwriting adjustments below
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -4806,19 +5543,373 @@ ${reportContent.innerHTML}
                       <span>Total Operating Expenses</span>
                       <span>{formatCurrency(calculations.totalOpEx)}</span>
                     </div>
+                    {calculations.underwriting.totals.expenses.adjustment !== 0 && !expenseRatioActive && (
+                      <div className="flex justify-end text-xs italic text-amber-700">
+                        After underwriting adjustments below
+                      </div>
+                    )}
                     <div className="flex justify-end text-sm text-gray-600 font-semibold">
                       {formatCurrency(calculations.totalOpEx / calculations.totalUnits)} per lot/year
                     </div>
                   </div>
                 </div>
 
-                {/* NOI */}
-                <div className="bg-blue-50 p-6 rounded-lg border-2 border-blue-400">
-                  <div className="flex justify-between items-center">
-                    <span className="text-2xl font-bold text-blue-800">Net Operating Income (NOI)</span>
-                    <span className="text-2xl font-bold text-blue-800">{formatCurrency(calculations.noi)}</span>
+                {/* Property Tax Reassessment */}
+                <div className="bg-indigo-50 p-6 rounded-lg border border-indigo-200">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <h3 className="text-xl font-bold text-indigo-900">Property Tax Reassessment</h3>
+                    <label className="flex items-center gap-2 text-sm font-semibold text-indigo-900">
+                      <input
+                        type="checkbox"
+                        checked={propertyTaxInputs.enabled}
+                        onChange={(e) => updatePropertyTaxInput('enabled', e.target.checked)}
+                      />
+                      Reassess on sale
+                    </label>
                   </div>
-                  <div className="mt-4 pt-4 border-t border-blue-300">
+                  <p className="mt-1 text-sm text-indigo-800">
+                    The seller&apos;s tax reflects their basis. Most jurisdictions reassess at the purchase price, and
+                    the reassessed tax replaces the seller&apos;s line for every year of the proforma.
+                  </p>
+
+                  {propertyTaxInputs.enabled && (
+                    <>
+                      <div className="mt-4 grid grid-cols-1 gap-3 text-sm md:grid-cols-4">
+                        <label className="flex flex-col gap-1">
+                          <span className="font-semibold text-gray-700">Jurisdiction</span>
+                          <select
+                            value={propertyTaxInputs.jurisdictionId}
+                            onChange={(e) => updatePropertyTaxInput('jurisdictionId', e.target.value)}
+                            className="rounded border border-indigo-300 bg-white p-2"
+                          >
+                            {PROPERTY_TAX_JURISDICTIONS.map((jurisdiction) => (
+                              <option key={jurisdiction.id} value={jurisdiction.id}>
+                                {jurisdiction.name}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        <label className="flex flex-col gap-1">
+                          <span className="font-semibold text-gray-700">Seller&apos;s tax line</span>
+                          <select
+                            value={propertyTaxInputs.lineId ?? ''}
+                            onChange={(e) => updatePropertyTaxInput('lineId', e.target.value)}
+                            className="rounded border border-indigo-300 bg-white p-2"
+                          >
+                            <option value="">
+                              {detectedPropertyTaxLine ? `Detect (${detectedPropertyTaxLine.name})` : 'None found (a tax line is added)'}
+                            </option>
+                            {expenses.map((expense) => (
+                              <option key={expense.id} value={String(expense.id)}>
+                                {expense.name}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        <label className="flex flex-col gap-1">
+                          <span className="font-semibold text-gray-700">Taxable Value ($)</span>
+                          <input
+                            type="number"
+                            value={propertyTaxInputs.taxableValue ?? ''}
+                            onChange={(e) => updatePropertyTaxInput('taxableValue', e.target.value)}
+                            placeholder={`${purchaseInputs.purchasePrice} (purchase price)`}
+                            className="rounded border border-indigo-300 bg-white p-2"
+                          />
+                        </label>
+                        <label className="flex flex-col gap-1">
+                          <span className="font-semibold text-gray-700">Value Growth (%/yr)</span>
+                          <input
+                            type="number"
+                            step="0.1"
+                            value={propertyTaxInputs.valueGrowthPercent}
+                            onChange={(e) => updatePropertyTaxInput('valueGrowthPercent', e.target.value)}
+                            className="rounded border border-indigo-300 bg-white p-2"
+                          />
+                        </label>
+                        {[
+                          ['assessmentRatio', 'Assessment Ratio (%)', propertyTaxRule.assessmentRatio],
+                          ['millageRate', 'Millage (mills)', propertyTaxRule.millageRate],
+                          ['effectiveRate', 'Effective Rate (%)', propertyTaxRule.effectiveRate],
+                          ['phaseInYears', 'Phase-in (years)', propertyTaxRule.phaseInYears],
+                          ['annualCapPercent', 'Annual Cap (%)', propertyTaxRule.annualCapPercent],
+                        ].map(([field, label, ruleValue]) => (
+                          <label key={field} className="flex flex-col gap-1">
+                            <span className="font-semibold text-gray-700">{label}</span>
+                            <input
+                              type="number"
+                              step="0.01"
+                              value={propertyTaxInputs[field] ?? ''}
+                              onChange={(e) => updatePropertyTaxInput(field, e.target.value)}
+                              placeholder={ruleValue === null ? '—' : `${ruleValue} (table)`}
+                              className="rounded border border-indigo-300 bg-white p-2"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                      {propertyTaxRule.notes && (
+                        <p className="mt-2 text-xs text-indigo-800">{propertyTaxRule.notes}</p>
+                      )}
+                      {!propertyTaxRule.reassessOnSale && (
+                        <p className="mt-2 text-xs text-indigo-800">
+                          This jurisdiction does not reassess on sale, so the seller&apos;s tax is carried forward.
+                        </p>
+                      )}
+
+                      {calculations.propertyTax?.ready ? (
+                        <div className="mt-4 overflow-x-auto">
+                          <div className="mb-3 grid grid-cols-1 gap-3 text-sm md:grid-cols-3">
+                            <div className="rounded bg-white p-3">
+                              <div className="text-gray-600">Seller&apos;s Tax</div>
+                              <div className="text-lg font-bold">{formatCurrency(calculations.propertyTax.sellerTax)}</div>
+                            </div>
+                            <div className="rounded bg-white p-3">
+                              <div className="text-gray-600">Reassessed Tax (Year 1)</div>
+                              <div className="text-lg font-bold">{formatCurrency(calculations.propertyTax.year1Tax)}</div>
+                            </div>
+                            <div className="rounded bg-white p-3">
+                              <div className="text-gray-600">Change</div>
+                              <div
+                                className={`text-lg font-bold ${calculations.propertyTax.change > 0 ? 'text-red-600' : 'text-green-700'}`}
+                              >
+                                {calculations.propertyTax.change >= 0 ? '+' : '-'}
+                                {formatCurrency(Math.abs(calculations.propertyTax.change))}
+                                {calculations.propertyTax.changePercent !== null &&
+                                  ` (${formatPercent(calculations.propertyTax.changePercent)})`}
+                              </div>
+                            </div>
+                          </div>
+                          <table className="w-full text-left text-xs sm:text-sm">
+                            <thead>
+                              <tr className="border-b border-indigo-300">
+                                <th className="py-1 pr-3 font-semibold">Year</th>
+                                <th className="py-1 pr-3 text-right font-semibold">Market Value</th>
+                                <th className="py-1 pr-3 text-right font-semibold">Assessed Value</th>
+                                <th className="py-1 pr-3 text-right font-semibold">Full Tax</th>
+                                <th className="py-1 text-right font-semibold">Tax Line</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {calculations.propertyTax.years.slice(0, projectionYears).map((entry) => (
+                                <tr key={entry.year} className="border-b border-indigo-100">
+                                  <td className="py-1 pr-3">Year {entry.year}</td>
+                                  <td className="py-1 pr-3 text-right">{formatCurrency(entry.marketValue)}</td>
+                                  <td className="py-1 pr-3 text-right">{formatCurrency(entry.assessedValue)}</td>
+                                  <td className="py-1 pr-3 text-right">{formatCurrency(entry.fullTax)}</td>
+                                  <td className="py-1 text-right font-semibold">{formatCurrency(entry.tax)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          <p className="mt-2 text-xs text-indigo-800">
+                            Proforma overrides entered for the tax line take precedence over this schedule.
+                          </p>
+                        </div>
+                      ) : (
+                        <div className="mt-4 rounded border border-red-300 bg-red-50 p-3 text-xs text-red-800">
+                          Enter a millage or effective rate; the seller&apos;s tax is used until one is set.
+                        </div>
+                      )}
+                    </>
+                  )}
+                </div>
+
+                {/* Underwriting Adjustments */}
+                <div className="bg-amber-50 p-6 rounded-lg border border-amber-200">
+                  <h3 className="text-xl font-bold text-amber-900">Underwriting Adjustments</h3>
+                  <p className="mt-1 text-sm text-amber-800">
+                    Changes to the seller&apos;s lines above, applied in order. The underwritten column drives
+                    every calculation and the report.
+                  </p>
+                  <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+                    <select
+                      value={adjustmentDraft.type}
+                      onChange={(e) => updateAdjustmentDraft('type', e.target.value)}
+                      className="rounded border border-amber-300 bg-white p-2"
+                    >
+                      {Object.entries(PNL_ADJUSTMENT_TYPES).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      value={adjustmentDraft.section}
+                      onChange={(e) => updateAdjustmentDraft('section', e.target.value)}
+                      className="rounded border border-amber-300 bg-white p-2"
+                    >
+                      <option value="income">Income</option>
+                      <option value="expense">Expense</option>
+                    </select>
+                    <select
+                      value={adjustmentDraft.lineId}
+                      onChange={(e) => updateAdjustmentDraft('lineId', e.target.value)}
+                      className="rounded border border-amber-300 bg-white p-2"
+                    >
+                      <option value="">
+                        {adjustmentDraft.type === 'proForma' ? 'New pro-forma line…' : 'Choose a line…'}
+                      </option>
+                      {adjustmentLineOptions[adjustmentDraft.section].map((line) => (
+                        <option key={line.id} value={String(line.id)}>
+                          {line.name}
+                        </option>
+                      ))}
+                    </select>
+                    {adjustmentDraft.type === 'proForma' && !adjustmentDraft.lineId && (
+                      <input
+                        type="text"
+                        value={adjustmentDraft.label}
+                        onChange={(e) => updateAdjustmentDraft('label', e.target.value)}
+                        placeholder="New line name"
+                        className="w-40 rounded border border-amber-300 bg-white p-2"
+                      />
+                    )}
+                    {adjustmentDraft.type !== 'removal' && (
+                      <input
+                        type="number"
+                        value={adjustmentDraft.amount}
+                        onChange={(e) => updateAdjustmentDraft('amount', e.target.value)}
+                        placeholder={
+                          {
+                            addBack: 'Amount to take off',
+                            normalisation: 'Change (+/-)',
+                            proForma: 'Replacement amount',
+                          }[adjustmentDraft.type]
+                        }
+                        className="w-40 rounded border border-amber-300 bg-white p-2 text-right"
+                      />
+                    )}
+                    <input
+                      type="text"
+                      value={adjustmentDraft.reason}
+                      onChange={(e) => updateAdjustmentDraft('reason', e.target.value)}
+                      placeholder="Reason"
+                      className="min-w-[12rem] flex-1 rounded border border-amber-300 bg-white p-2"
+                    />
+                    <button
+                      type="button"
+                      onClick={addPnlAdjustment}
+                      className="rounded bg-amber-600 px-4 py-2 text-white transition-colors hover:bg-amber-700"
+                    >
+                      + Add Adjustment
+                    </button>
+                  </div>
+
+                  {pnlAdjustments.length > 0 && (
+                    <table className="mt-4 w-full text-left text-xs sm:text-sm">
+                      <thead>
+                        <tr className="border-b border-amber-200">
+                          <th className="py-1 pr-2 font-semibold">Type</th>
+                          <th className="py-1 pr-2 font-semibold">Line</th>
+                          <th className="py-1 pr-2 text-right font-semibold">Amount</th>
+                          <th className="py-1 pr-2 font-semibold">Reason</th>
+                          <th className="py-1" />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {pnlAdjustments.map((adjustment) => (
+                          <tr key={adjustment.id} className="border-b border-amber-100">
+                            <td className="py-1 pr-2">{PNL_ADJUSTMENT_TYPES[adjustment.type]}</td>
+                            <td className="py-1 pr-2">
+                              {adjustment.lineName || adjustment.label}
+                              <span className="ml-1 text-xs text-amber-700">{adjustment.section}</span>
+                            </td>
+                            <td className="py-1 pr-2 text-right">
+                              {adjustment.type === 'removal' ? (
+                                '—'
+                              ) : (
+                                <input
+                                  type="number"
+                                  value={adjustment.amount}
+                                  onChange={(e) => updatePnlAdjustment(adjustment.id, 'amount', Number(e.target.value))}
+                                  className="w-28 rounded border border-amber-200 bg-white px-1 text-right"
+                                />
+                              )}
+                            </td>
+                            <td className="py-1 pr-2">
+                              <input
+                                type="text"
+                                value={adjustment.reason}
+                                onChange={(e) => updatePnlAdjustment(adjustment.id, 'reason', e.target.value)}
+                                className="w-full rounded border border-amber-200 bg-white px-1"
+                              />
+                            </td>
+                            <td className="py-1 text-right">
+                              <button
+                                type="button"
+                                onClick={() => removePnlAdjustment(adjustment.id)}
+                                className="text-red-600"
+                                title="Remove adjustment"
+                              >
+                                ✕
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+
+                  {calculations.underwriting.unmatched.length > 0 && (
+                    <div className="mt-3 rounded border border-red-300 bg-red-50 p-3 text-xs text-red-800">
+                      These adjustments no longer match a line and are not applied:{' '}
+                      {calculations.underwriting.unmatched
+                        .map((adjustment) => `${adjustment.lineName || adjustment.label} (${adjustment.reason})`)
+                        .join('; ')}
+                    </div>
+                  )}
+                  {expenseRatioActive && pnlAdjustments.some((adjustment) => adjustment.section === 'expense') && (
+                    <p className="mt-3 text-xs text-amber-800">
+                      The flat expense ratio is on, so expense adjustments do not change NOI until it is cleared.
+                    </p>
+                  )}
+
+                  {calculations.underwriting.appliedCount > 0 && (
+                    <div className="mt-4 overflow-x-auto">
+                      <table className="w-full text-left text-xs sm:text-sm">
+                        <thead>
+                          <tr className="border-b border-amber-300">
+                            <th className="py-1 pr-3 font-semibold">Line</th>
+                            <th className="py-1 pr-3 text-right font-semibold">Seller ({PNL_BASES[pnlBasis]})</th>
+                            <th className="py-1 pr-3 text-right font-semibold">Adjustments</th>
+                            <th className="py-1 text-right font-semibold">Underwritten</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {underwritingRows.map((row) => (
+                            <tr
+                              key={`${row.section || 'total'}-${row.id}`}
+                              className={`border-b border-amber-100 ${row.total ? 'font-semibold' : ''}`}
+                            >
+                              <td className="py-1 pr-3">
+                                <span className={row.removed ? 'line-through' : ''}>{row.name}</span>
+                                {row.adjustments?.map((adjustment) => (
+                                  <div key={adjustment.id} className="text-xs font-normal text-amber-700">
+                                    {PNL_ADJUSTMENT_TYPES[adjustment.type]}: {adjustment.reason}
+                                  </div>
+                                ))}
+                              </td>
+                              <td className="py-1 pr-3 text-right">{formatCurrency(row.seller)}</td>
+                              <td className={`py-1 pr-3 text-right ${row.adjustment !== 0 ? 'text-amber-800' : 'text-gray-400'}`}>
+                                {row.adjustment === 0
+                                  ? '—'
+                                  : `${row.adjustment > 0 ? '+' : '-'}${formatCurrency(Math.abs(row.adjustment))}`}
+                              </td>
+                              <td className="py-1 text-right">{formatCurrency(row.underwritten)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+
+                {/* NOI */}
+                <div className="bg-blue-50 p-6 rounded-lg border-2 border-blue-400">
+                  <div className="flex justify-between items-center">
+                    <span className="text-2xl font-bold text-blue-800">Net Operating Income (NOI)</span>
+                    <span className="text-2xl font-bold text-blue-800">{formatCurrency(calculations.noi)}</span>
+                  </div>
+                  <div className="mt-4 pt-4 border-t border-blue-300">
                     <div className="flex justify-between text-sm">
                       <span className="text-gray-700">NOI per Lot</span>
                       <span className="font-semibold">{formatCurrency(calculations.noiPerUnit)}</span>
@@ -4864,16 +5955,39 @@ ${reportContent.innerHTML}
 
               {/* Financing Inputs */}
               <div className="bg-gray-50 p-6 rounded-lg border border-gray-300">
-                <h3 className="text-xl font-bold text-gray-800 mb-4">Financing Terms</h3>
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                  <h3 className="text-xl font-bold text-gray-800">Financing Terms</h3>
+                  <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                    Loan Sizing
+                    <select
+                      value={resolveLoanSizingMode(purchaseInputs.loanSizingMode)}
+                      onChange={(e) => setPurchaseInputs({ ...purchaseInputs, loanSizingMode: e.target.value })}
+                      className="p-2 border border-gray-300 rounded bg-white text-sm font-normal"
+                    >
+                      <option value="downPayment">From down payment</option>
+                      <option value="lender">From lender constraints</option>
+                    </select>
+                  </label>
+                </div>
                 <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-5">
                   <div>
                     <label className="block text-sm font-semibold text-gray-700 mb-2">Down Payment %</label>
-                    <input
-                      type="number"
-                      value={purchaseInputs.downPaymentPercent}
-                      onChange={(e) => setPurchaseInputs({...purchaseInputs, downPaymentPercent: Number(e.target.value)})}
-                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
-                    />
+                    {calculations.loanSizing ? (
+                      <input
+                        type="text"
+                        value={calculations.loanSizing.downPaymentPercent.toFixed(2)}
+                        disabled
+                        title="Set by the lender sizing below"
+                        className="w-full p-3 border border-gray-300 rounded bg-gray-100 text-gray-700 font-semibold text-lg"
+                      />
+                    ) : (
+                      <input
+                        type="number"
+                        value={purchaseInputs.downPaymentPercent}
+                        onChange={(e) => setPurchaseInputs({...purchaseInputs, downPaymentPercent: Number(e.target.value)})}
+                        className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                      />
+                    )}
                   </div>
                   <div>
                     <label className="block text-sm font-semibold text-gray-700 mb-2">Interest Rate %</label>
@@ -4923,6 +6037,245 @@ ${reportContent.innerHTML}
                     />
                   </div>
                 </div>
+                {calculations.loanSizing && (
+                  <div className="mt-6 border-t border-gray-300 pt-4">
+                    <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                      {[
+                        { field: 'maxLoanToValue', label: 'Max LTV %', step: '1' },
+                        { field: 'minDscr', label: 'Min DSCR', step: '0.05' },
+                        { field: 'minDebtYield', label: 'Min Debt Yield %', step: '0.25' },
+                      ].map(({ field, label, step }) => (
+                        <div key={field}>
+                          <label className="block text-sm font-semibold text-gray-700 mb-2">{label}</label>
+                          <input
+                            type="number"
+                            step={step}
+                            value={purchaseInputs[field]}
+                            onChange={(e) => setPurchaseInputs({ ...purchaseInputs, [field]: Number(e.target.value) })}
+                            className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <p className="mt-3 text-xs text-gray-500">
+                      Sized on in-place NOI of {formatCurrency(calculations.noi)}, the purchase price and the amortising
+                      payment at the rate above. Set a limit to 0 to ignore it.
+                    </p>
+                    <div className="grid grid-cols-1 gap-3 mt-3 sm:grid-cols-3">
+                      {[
+                        { key: 'ltv', label: 'LTV Limit', amount: calculations.loanSizing.ltvLoan },
+                        { key: 'dscr', label: 'DSCR Limit', amount: calculations.loanSizing.dscrLoan },
+                        { key: 'debtYield', label: 'Debt Yield Limit', amount: calculations.loanSizing.debtYieldLoan },
+                      ].map(({ key, label, amount }) => (
+                        <div
+                          key={key}
+                          className={`p-3 rounded border ${
+                            calculations.loanSizing.constraint === key
+                              ? 'border-blue-500 bg-blue-50'
+                              : 'border-gray-200 bg-white'
+                          }`}
+                        >
+                          <div className="text-xs font-semibold text-gray-600">
+                            {label}
+                            {calculations.loanSizing.constraint === key ? ' · binding' : ''}
+                          </div>
+                          <div className="text-lg font-bold text-gray-900">
+                            {amount === null ? 'Not set' : formatCurrency(amount)}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    <p className="mt-3 text-sm font-semibold text-gray-800">
+                      Loan {formatCurrency(calculations.loanAmount)} · Down payment{' '}
+                      {formatCurrency(calculations.downPayment)} (
+                      {formatPercent(calculations.loanSizing.downPaymentPercent)})
+                    </p>
+                  </div>
+                )}
+              </div>
+
+              {/* Debt Stack */}
+              <div className="bg-gray-50 p-6 rounded-lg border border-gray-300">
+                <h3 className="text-xl font-bold text-gray-800 mb-1">Debt Stack &amp; Refinance</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Seller carry and second liens fund part of the down payment. Any balance left at a tranche&apos;s
+                  term is paid as a balloon from that year&apos;s cash flow.
+                </p>
+                {debtInputs.tranches.length > 0 && (
+                  <div className="overflow-x-auto mb-4">
+                    <table className="w-full border-collapse bg-white text-sm">
+                      <thead>
+                        <tr className="bg-gray-100 text-gray-700">
+                          {['Name', 'Type', 'Amount', 'Rate %', 'Amortization (Yrs)', 'Interest-Only (Yrs)', 'Term (Yrs)', ''].map(
+                            (heading) => (
+                              <th key={heading} className="p-2 text-left font-semibold border border-gray-200">
+                                {heading}
+                              </th>
+                            )
+                          )}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {debtInputs.tranches.map((tranche, index) => (
+                          <tr key={tranche.id || index}>
+                            <td className="p-2 border border-gray-200">
+                              <input
+                                type="text"
+                                value={tranche.name}
+                                onChange={(e) => updateDebtTranche(index, { name: e.target.value })}
+                                className="w-36 p-1 border border-gray-300 rounded"
+                              />
+                            </td>
+                            <td className="p-2 border border-gray-200">
+                              <select
+                                value={tranche.type}
+                                onChange={(e) => updateDebtTranche(index, { type: e.target.value })}
+                                className="p-1 border border-gray-300 rounded bg-white"
+                              >
+                                {Object.entries(DEBT_TRANCHE_TYPES).map(([value, label]) => (
+                                  <option key={value} value={value}>
+                                    {label}
+                                  </option>
+                                ))}
+                              </select>
+                            </td>
+                            {[
+                              { field: 'amount', step: '1000', width: 'w-32' },
+                              { field: 'interestRate', step: '0.1', width: 'w-20' },
+                              { field: 'amortizationYears', step: '1', width: 'w-20' },
+                              { field: 'interestOnlyPeriodYears', step: '1', width: 'w-20' },
+                              { field: 'loanTermYears', step: '1', width: 'w-20' },
+                            ].map(({ field, step, width }) => (
+                              <td key={field} className="p-2 border border-gray-200">
+                                <input
+                                  type="number"
+                                  step={step}
+                                  value={tranche[field]}
+                                  onChange={(e) => updateDebtTranche(index, { [field]: Number(e.target.value) })}
+                                  className={`${width} p-1 border border-gray-300 rounded`}
+                                />
+                              </td>
+                            ))}
+                            <td className="p-2 border border-gray-200 text-center">
+                              <button
+                                type="button"
+                                onClick={() => removeDebtTranche(index)}
+                                className="text-red-600 hover:text-red-800 font-semibold"
+                              >
+                                Remove
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                <button
+                  onClick={addDebtTranche}
+                  className="rounded border border-blue-600 px-4 py-2 text-sm font-semibold text-blue-600 transition hover:bg-blue-50"
+                >
+                  Add Tranche
+                </button>
+
+                <div className="mt-6 border-t border-gray-300 pt-4">
+                  <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={debtInputs.refinance.enabled}
+                      onChange={(e) => updateRefinance({ enabled: e.target.checked })}
+                    />
+                    Refinance after stabilisation
+                  </label>
+                  {debtInputs.refinance.enabled && (
+                    <>
+                      <div className="grid grid-cols-2 gap-4 mt-4 sm:grid-cols-3 lg:grid-cols-5">
+                        {[
+                          { field: 'year', label: 'Refinance at End of Year', step: '1' },
+                          { field: 'capRate', label: 'Valuation Cap Rate %', step: '0.25' },
+                          { field: 'maxLoanToValue', label: 'Max LTV %', step: '1' },
+                          { field: 'minDscr', label: 'Min DSCR', step: '0.05' },
+                          { field: 'minDebtYield', label: 'Min Debt Yield %', step: '0.25' },
+                          { field: 'closingCostPercent', label: 'Closing Costs %', step: '0.25' },
+                          { field: 'interestRate', label: 'New Rate %', step: '0.1' },
+                          { field: 'amortizationYears', label: 'Amortization (Years)', step: '1' },
+                          { field: 'interestOnlyPeriodYears', label: 'Interest-Only (Years)', step: '1' },
+                          { field: 'loanTermYears', label: 'Term (Years)', step: '1' },
+                        ].map(({ field, label, step }) => (
+                          <div key={field}>
+                            <label className="block text-sm font-semibold text-gray-700 mb-2">{label}</label>
+                            <input
+                              type="number"
+                              step={step}
+                              value={debtInputs.refinance[field]}
+                              onChange={(e) => updateRefinance({ [field]: Number(e.target.value) })}
+                              className="w-full p-2 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                      {calculations.refinance ? (
+                        <div className="grid grid-cols-1 gap-2 mt-4 text-sm sm:grid-cols-2">
+                          <div className="flex justify-between">
+                            <span className="text-gray-700">Year {calculations.refinance.year} NOI</span>
+                            <span className="font-semibold">{formatCurrency(calculations.refinance.noi)}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-700">Appraised Value</span>
+                            <span className="font-semibold">{formatCurrency(calculations.refinance.value)}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-700">Max Loan at LTV</span>
+                            <span className="font-semibold">{formatCurrency(calculations.refinance.ltvLoan)}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-700">Max Loan at DSCR</span>
+                            <span className="font-semibold">{formatCurrency(calculations.refinance.dscrLoan)}</span>
+                          </div>
+                          {calculations.refinance.debtYieldLoan !== null && (
+                            <div className="flex justify-between">
+                              <span className="text-gray-700">Max Loan at Debt Yield</span>
+                              <span className="font-semibold">
+                                {formatCurrency(calculations.refinance.debtYieldLoan)}
+                              </span>
+                            </div>
+                          )}
+                          <div className="flex justify-between">
+                            <span className="text-gray-700">
+                              New Loan (
+                              {{ ltv: 'LTV', dscr: 'DSCR', debtYield: 'debt yield' }[calculations.refinance.constraint] ||
+                                'no limit'}{' '}
+                              constrained)
+                            </span>
+                            <span className="font-semibold">{formatCurrency(calculations.refinance.loanAmount)}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-700">Payoff of Existing Debt</span>
+                            <span className="font-semibold">({formatCurrency(calculations.refinance.payoff)})</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-700">Closing Costs</span>
+                            <span className="font-semibold">({formatCurrency(calculations.refinance.closingCosts)})</span>
+                          </div>
+                          <div className="flex justify-between border-t border-gray-300 pt-1">
+                            <span className="font-bold text-gray-900">Cash-Out to Equity</span>
+                            <span
+                              className={`font-bold ${
+                                calculations.refinance.netProceeds >= 0 ? 'text-green-700' : 'text-red-700'
+                              }`}
+                            >
+                              {formatCurrency(calculations.refinance.netProceeds)}
+                            </span>
+                          </div>
+                        </div>
+                      ) : (
+                        <p className="mt-4 text-sm text-red-600">
+                          The refinance year must fall within the projection or hold period.
+                        </p>
+                      )}
+                    </>
+                  )}
+                </div>
               </div>
 
               {/* Key Metrics */}
@@ -4973,6 +6326,20 @@ ${reportContent.innerHTML}
                       <span className="text-gray-700">Loan Amount</span>
                       <span className="font-bold">{formatCurrency(calculations.loanAmount)}</span>
                     </div>
+                    {calculations.totalDebt > calculations.loanAmount && (
+                      <>
+                        <div className="flex justify-between">
+                          <span className="text-gray-700">Additional Tranches</span>
+                          <span className="font-bold">
+                            {formatCurrency(calculations.totalDebt - calculations.loanAmount)}
+                          </span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-700">Equity Invested</span>
+                          <span className="font-bold">{formatCurrency(calculations.equityInvested)}</span>
+                        </div>
+                      </>
+                    )}
                   </div>
                   <div className="space-y-3">
                     <div className="flex justify-between">
@@ -5012,7 +6379,7 @@ ${reportContent.innerHTML}
               <div className="bg-gradient-to-br from-indigo-50 to-indigo-100 p-6 rounded-lg border-2 border-indigo-400">
                 <h3 className="text-xl font-bold text-indigo-800 mb-4">IRR Analysis</h3>
                 
-                <div className="grid grid-cols-2 gap-4 mb-6">
+                <div className="grid grid-cols-2 gap-4 mb-4">
                   <div>
                     <label className="block text-sm font-semibold text-gray-700 mb-2">Hold Period (Years)</label>
                     <input
@@ -5032,22 +6399,126 @@ ${reportContent.innerHTML}
                       className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
                     />
                   </div>
+                  <div>
+                    <label htmlFor="exit-noi-basis" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Exit NOI Basis
+                    </label>
+                    <select
+                      id="exit-noi-basis"
+                      value={irrInputs.exitNoiBasis}
+                      onChange={(e) => setIrrInputs({...irrInputs, exitNoiBasis: e.target.value})}
+                      className="w-full p-3 border border-gray-300 rounded bg-white text-gray-700 font-semibold"
+                    >
+                      <option value="forward">Forward NOI (Year {Math.floor(irrInputs.holdPeriod) + 1})</option>
+                      <option value="trailing">Trailing NOI (Year {Math.floor(irrInputs.holdPeriod)})</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="exit-price-per-site" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Exit Price per Site (optional)
+                    </label>
+                    <input
+                      id="exit-price-per-site"
+                      type="number"
+                      min="0"
+                      step="500"
+                      value={irrInputs.exitPricePerSite || ''}
+                      placeholder="Use exit cap rate"
+                      onChange={(e) => setIrrInputs({...irrInputs, exitPricePerSite: Number(e.target.value) || 0})}
+                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                    />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-3 gap-4 mb-6">
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Broker Fee %</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={irrInputs.brokerFeePercent}
+                      onChange={(e) => setIrrInputs({...irrInputs, brokerFeePercent: Number(e.target.value)})}
+                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Transfer Tax %</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={irrInputs.transferTaxPercent}
+                      onChange={(e) => setIrrInputs({...irrInputs, transferTaxPercent: Number(e.target.value)})}
+                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Other Selling Costs $</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1000"
+                      value={irrInputs.otherSellingCosts}
+                      onChange={(e) => setIrrInputs({...irrInputs, otherSellingCosts: Number(e.target.value)})}
+                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                    />
+                  </div>
                 </div>
 
                 <div className="space-y-4">
                   <div className="bg-white p-4 rounded border border-indigo-300">
-                    <h4 className="font-bold text-gray-800 mb-3">Exit Analysis</h4>
+                    <h4 className="font-bold text-gray-800 mb-3">Net Proceeds Waterfall</h4>
                     <div className="space-y-2">
                       <div className="flex justify-between text-sm">
-                        <span className="text-gray-700">Exit Value (at {irrInputs.exitCapRate}% cap):</span>
-                        <span className="font-semibold">{formatCurrency(calculations.exitValue)}</span>
+                        <span className="text-gray-700">
+                          Year {calculations.exitWaterfall.exitNoiYear} NOI (
+                          {calculations.exitWaterfall.exitNoiBasis === 'forward' ? 'forward' : 'trailing'}):
+                        </span>
+                        <span className="font-semibold">{formatCurrency(calculations.exitWaterfall.exitNoi)}</span>
+                      </div>
+                      <div className="flex justify-between text-sm">
+                        <span className="text-gray-700">
+                          Gross Sale Price (
+                          {calculations.exitWaterfall.valuationMethod === 'pricePerSite'
+                            ? `${formatCurrency(irrInputs.exitPricePerSite)}/site, ${formatPercent(
+                                calculations.exitWaterfall.impliedExitCapRate
+                              )} implied cap`
+                            : `${irrInputs.exitCapRate}% cap, ${formatCurrency(calculations.exitWaterfall.exitPricePerSite)}/site`}
+                          ):
+                        </span>
+                        <span className="font-semibold">{formatCurrency(calculations.exitWaterfall.grossSalePrice)}</span>
+                      </div>
+                      <div className="flex justify-between text-sm">
+                        <span className="text-gray-700">Less: Broker Fee ({irrInputs.brokerFeePercent || 0}%):</span>
+                        <span className="font-semibold text-red-700">
+                          ({formatCurrency(calculations.exitWaterfall.brokerFee)})
+                        </span>
+                      </div>
+                      <div className="flex justify-between text-sm">
+                        <span className="text-gray-700">Less: Transfer Tax ({irrInputs.transferTaxPercent || 0}%):</span>
+                        <span className="font-semibold text-red-700">
+                          ({formatCurrency(calculations.exitWaterfall.transferTax)})
+                        </span>
+                      </div>
+                      <div className="flex justify-between text-sm">
+                        <span className="text-gray-700">Less: Other Selling Costs:</span>
+                        <span className="font-semibold text-red-700">
+                          ({formatCurrency(calculations.exitWaterfall.otherSellingCosts)})
+                        </span>
+                      </div>
+                      <div className="flex justify-between text-sm pt-2 border-t border-gray-200">
+                        <span className="text-gray-700">Net Sale Proceeds:</span>
+                        <span className="font-semibold">{formatCurrency(calculations.exitWaterfall.netSaleProceeds)}</span>
                       </div>
                       <div className="flex justify-between text-sm">
-                        <span className="text-gray-700">Remaining Loan Balance:</span>
-                        <span className="font-semibold">{formatCurrency(calculations.remainingBalance)}</span>
+                        <span className="text-gray-700">Less: Loan Payoff:</span>
+                        <span className="font-semibold text-red-700">
+                          ({formatCurrency(calculations.exitWaterfall.loanPayoff)})
+                        </span>
                       </div>
                       <div className="flex justify-between pt-2 border-t border-gray-300 font-bold">
-                        <span className="text-gray-700">Net Exit Proceeds:</span>
+                        <span className="text-gray-700">Net Exit Proceeds to Equity:</span>
                         <span className="text-gray-900">{formatCurrency(calculations.exitProceeds)}</span>
                       </div>
                     </div>
@@ -5086,6 +6557,140 @@ ${reportContent.innerHTML}
                   </div>
                 </div>
               </div>
+
+              {/* Scenario Comparison */}
+              <div className="bg-white p-6 rounded-lg border-2 border-indigo-200">
+                <h3 className="text-xl font-bold text-indigo-800 mb-1">Scenario Comparison</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Each scenario starts from the base case and changes only the inputs edited while it was active.
+                  Switch scenarios with the selector above the tabs.
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="bg-indigo-50 text-indigo-800">
+                        <th className="p-2 text-left">Metric</th>
+                        {scenarioComparison.map((scenario) => (
+                          <th key={scenario.id} className="p-2 text-right">
+                            <input
+                              type="text"
+                              value={scenario.name}
+                              onChange={(e) => renameScenario(scenario.id, e.target.value)}
+                              aria-label="Scenario name"
+                              className={`w-32 p-1 border rounded text-right text-sm font-semibold ${
+                                scenario.id === activeScenarioId
+                                  ? 'border-indigo-500 bg-white'
+                                  : 'border-gray-300 bg-indigo-50'
+                              }`}
+                            />
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {SCENARIO_COMPARISON_METRICS.map((metric) => (
+                        <tr key={metric.key} className="border-b border-gray-100">
+                          <td className="p-2 font-semibold text-gray-700">{metric.label}</td>
+                          {scenarioComparison.map((scenario) => (
+                            <td key={scenario.id} className="p-2 text-right text-gray-800">
+                              {formatScenarioMetric(scenario.metrics[metric.key], metric.format)}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                      <tr>
+                        <td className="p-2" />
+                        {scenarioComparison.map((scenario) => (
+                          <td key={scenario.id} className="p-2 text-right">
+                            {scenario.id === activeScenarioId ? (
+                              <span className="text-xs font-semibold text-indigo-700">Active</span>
+                            ) : (
+                              <button
+                                onClick={() => activateScenario(scenario.id)}
+                                className="text-xs font-semibold text-indigo-600 hover:underline"
+                              >
+                                Edit
+                              </button>
+                            )}
+                            {scenario.id !== BASE_SCENARIO_ID && (
+                              <button
+                                onClick={() => removeScenario(scenario.id)}
+                                className="ml-3 text-xs font-semibold text-red-600 hover:underline"
+                              >
+                                Delete
+                              </button>
+                            )}
+                          </td>
+                        ))}
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+                <div className="flex flex-wrap items-center gap-3 mt-4">
+                  <input
+                    type="text"
+                    value={newScenarioName}
+                    onChange={(e) => setNewScenarioName(e.target.value)}
+                    placeholder="e.g. Upside, Downside"
+                    className="p-2 border border-gray-300 rounded bg-white text-sm w-56"
+                  />
+                  <button
+                    onClick={addScenario}
+                    className="rounded border border-indigo-600 px-4 py-2 text-sm font-semibold text-indigo-600 transition hover:bg-indigo-50"
+                  >
+                    Add Scenario
+                  </button>
+                  <span className="text-xs text-gray-500">
+                    New scenarios copy the active scenario's inputs.
+                  </span>
+                </div>
+              </div>
+
+              {/* Sensitivity Analysis */}
+              <div className="bg-white p-6 rounded-lg border-2 border-indigo-200">
+                <h3 className="text-xl font-bold text-indigo-800 mb-1">Sensitivity Analysis</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Each cell reruns the full model with the row and column inputs changed. The outlined cell is the
+                  current deal; green cells beat it and red cells fall short.
+                </p>
+                <div className="space-y-8">
+                  {sensitivityTables.map((table, index) => {
+                    const grid = sensitivityGrids[index];
+
+                    return (
+                      <div key={table.id || index}>
+                        <div className="flex flex-wrap items-end gap-3 mb-3">
+                          {[
+                            { field: 'rowVariable', label: 'Rows', options: SENSITIVITY_VARIABLES },
+                            { field: 'columnVariable', label: 'Columns', options: SENSITIVITY_VARIABLES },
+                            { field: 'metric', label: 'Result', options: SENSITIVITY_METRICS },
+                          ].map(({ field, label, options }) => (
+                            <label key={field} className="flex flex-col text-xs font-semibold text-gray-600">
+                              {label}
+                              <select
+                                value={table[field]}
+                                onChange={(e) => updateSensitivityTable(index, { [field]: e.target.value })}
+                                className="mt-1 p-2 border border-gray-300 rounded bg-white text-sm text-gray-800"
+                              >
+                                {Object.entries(options).map(([key, option]) => (
+                                  <option key={key} value={key}>
+                                    {option.label}
+                                  </option>
+                                ))}
+                              </select>
+                            </label>
+                          ))}
+                        </div>
+                        {grid ? (
+                          <SensitivityTable grid={grid} />
+                        ) : (
+                          <p className="text-sm text-red-600">Choose two different inputs for the rows and columns.</p>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
             </div>
           )}
 
@@ -5096,208 +6701,422 @@ ${reportContent.innerHTML}
                 <label htmlFor="projection-years" className="text-sm font-semibold text-gray-700">
                   Projection Years
                 </label>
-                <select
+                <input
                   id="projection-years"
+                  type="number"
+                  min="1"
+                  max={MAX_PROJECTION_YEARS}
+                  step="1"
                   value={projectionYears}
-                  onChange={(e) => setProjectionYears(Number(e.target.value))}
-                  className="p-2 border border-gray-300 rounded bg-white text-sm"
-                >
-                  {[5, 7, 10].map((option) => (
-                    <option key={option} value={option}>
-                      {option} Years
-                    </option>
-                  ))}
-                </select>
-                <span className="text-sm text-gray-500">Extends revenue and return projections.</span>
+                  onChange={(e) =>
+                    setProjectionYears(
+                      Math.min(Math.max(Math.round(Number(e.target.value)) || 1, 1), MAX_PROJECTION_YEARS)
+                    )
+                  }
+                  className="w-24 p-2 border border-gray-300 rounded bg-white text-sm"
+                />
+                <span className="text-sm text-gray-500">
+                  Extends revenue and return projections. Each year gets its own assumptions below.
+                </span>
               </div>
 
               {/* Lease-Up Strategy Inputs */}
               <div className="bg-gray-50 p-6 rounded-lg border border-gray-300">
                 <h3 className="text-xl font-bold text-gray-800 mb-4">Lease-Up Strategy</h3>
-                <div className="grid grid-cols-3 gap-4 mb-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                   <div>
-                    <label className="block text-sm font-semibold text-gray-700 mb-2">Year 1 New Leases</label>
-                    <input
-                      type="number"
-                      value={proformaInputs.year1NewLeases}
-                      onChange={(e) => setProformaInputs({...proformaInputs, year1NewLeases: Number(e.target.value)})}
-                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
-                    />
+                    <label htmlFor="cash-flow-mode" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Cash Flow Timing
+                    </label>
+                    <select
+                      id="cash-flow-mode"
+                      value={proformaInputs.cashFlowMode}
+                      onChange={(e) =>
+                        setProformaInputs({
+                          ...proformaInputs,
+                          cashFlowMode: e.target.value,
+                        })
+                      }
+                      className="w-full p-3 border border-gray-300 rounded bg-white text-gray-700 font-semibold"
+                    >
+                      <option value="annual">Annual steps</option>
+                      <option value="monthly">Monthly lease-up</option>
+                    </select>
                   </div>
                   <div>
-                    <label className="block text-sm font-semibold text-gray-700 mb-2">Year 2 New Leases</label>
+                    <label htmlFor="lease-up-per-month" className="block text-sm font-semibold text-gray-700 mb-2">
+                      New Leases per Month
+                    </label>
                     <input
+                      id="lease-up-per-month"
                       type="number"
-                      value={proformaInputs.year2NewLeases}
-                      onChange={(e) => setProformaInputs({...proformaInputs, year2NewLeases: Number(e.target.value)})}
-                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                      min="0"
+                      step="1"
+                      value={proformaInputs.leaseUpPerMonth}
+                      disabled={proformaInputs.cashFlowMode !== 'monthly'}
+                      onChange={(e) =>
+                        setProformaInputs({
+                          ...proformaInputs,
+                          leaseUpPerMonth: Math.max(Number(e.target.value) || 0, 0),
+                        })
+                      }
+                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg disabled:opacity-60"
                     />
+                    <p className="mt-1 text-xs text-gray-500">
+                      Use 0 to spread each year&apos;s leases evenly; unsigned leases carry into the next year.
+                    </p>
                   </div>
                   <div>
-                    <label className="block text-sm font-semibold text-gray-700 mb-2">Year 3 New Leases</label>
-                    <input
-                      type="number"
-                      value={proformaInputs.year3NewLeases}
-                      onChange={(e) => setProformaInputs({...proformaInputs, year3NewLeases: Number(e.target.value)})}
-                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
-                    />
+                    <label htmlFor="rent-increase-month" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Rent Increase Month
+                    </label>
+                    <select
+                      id="rent-increase-month"
+                      value={proformaInputs.rentIncreaseMonth}
+                      disabled={proformaInputs.cashFlowMode !== 'monthly'}
+                      onChange={(e) =>
+                        setProformaInputs({
+                          ...proformaInputs,
+                          rentIncreaseMonth: Number(e.target.value),
+                        })
+                      }
+                      className="w-full p-3 border border-gray-300 rounded bg-white text-gray-700 font-semibold disabled:opacity-60"
+                    >
+                      {Array.from({ length: 12 }, (_, index) => index + 1).map((month) => (
+                        <option key={month} value={month}>
+                          Month {month}
+                        </option>
+                      ))}
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Anniversary month after acquisition when each year&apos;s increase takes effect.
+                    </p>
                   </div>
                 </div>
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-sm font-semibold text-gray-700 mb-2">Year 4 New Leases</label>
+                <p className="mt-3 text-sm text-gray-600">{describeCashFlowTiming()}</p>
+              </div>
+
+              {/* Mark-to-Market Plan */}
+              <div className="bg-gray-50 p-6 rounded-lg border border-gray-300">
+                <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+                  <h3 className="text-xl font-bold text-gray-800">Mark-to-Market Plan</h3>
+                  <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
                     <input
-                      type="number"
-                      value={proformaInputs.year4NewLeases}
-                      onChange={(e) => setProformaInputs({...proformaInputs, year4NewLeases: Number(e.target.value)})}
-                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                      type="checkbox"
+                      checked={Boolean(proformaInputs.markToMarket?.enabled)}
+                      onChange={(e) => updateMarkToMarket({ enabled: e.target.checked })}
+                      className="h-4 w-4"
                     />
-                  </div>
+                    Raise below-market lots to market
+                  </label>
+                </div>
+                <p className="mt-1 mb-4 text-sm text-gray-600">
+                  Replaces the uniform rent increase for lots below market: each closes its gap in equal steps, capped per
+                  increase. Lots at market and market rents themselves grow at each year&apos;s rent increase, and
+                  lease-up lots sign at market. Today&apos;s loss-to-lease is{' '}
+                  {formatCurrency(calculations.lossToLease?.annualTotal ?? 0)}/yr.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                   <div>
-                    <label className="block text-sm font-semibold text-gray-700 mb-2">Year 5 New Leases</label>
+                    <label htmlFor="mark-to-market-years" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Years to Reach Market
+                    </label>
                     <input
+                      id="mark-to-market-years"
                       type="number"
-                      value={proformaInputs.year5NewLeases}
-                      onChange={(e) => setProformaInputs({...proformaInputs, year5NewLeases: Number(e.target.value)})}
-                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                      min="1"
+                      step="1"
+                      value={proformaInputs.markToMarket?.years ?? ''}
+                      disabled={!proformaInputs.markToMarket?.enabled}
+                      onChange={(e) => updateMarkToMarket({ years: e.target.value })}
+                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg disabled:opacity-60"
                     />
                   </div>
-                </div>
-              </div>
-
-              {/* Growth Assumptions */}
-              <div className="bg-gray-50 p-6 rounded-lg border border-gray-300">
-                <h3 className="text-xl font-bold text-gray-800 mb-4">Growth Assumptions</h3>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
                   <div>
-                    <label className="block text-sm font-semibold text-gray-700 mb-2">Year 1 Rent Increase</label>
+                    <label htmlFor="mark-to-market-cap" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Cap per Increase
+                    </label>
                     <div className="flex gap-2">
                       <input
+                        id="mark-to-market-cap"
                         type="number"
-                        step="0.1"
-                        value={proformaInputs.year1RentIncreaseValue}
-                        onChange={(e) =>
-                          setProformaInputs({
-                            ...proformaInputs,
-                            year1RentIncreaseValue: Number(e.target.value),
-                          })
-                        }
-                        className="flex-1 p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                        min="0"
+                        step="0.5"
+                        value={proformaInputs.markToMarket?.capValue ?? ''}
+                        disabled={!proformaInputs.markToMarket?.enabled}
+                        onChange={(e) => updateMarkToMarket({ capValue: e.target.value })}
+                        className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg disabled:opacity-60"
                       />
                       <select
-                        value={proformaInputs.year1RentIncreaseMode}
-                        onChange={(e) =>
-                          setProformaInputs({
-                            ...proformaInputs,
-                            year1RentIncreaseMode: e.target.value,
-                          })
-                        }
-                        className="w-32 p-3 border border-gray-300 rounded bg-white text-gray-700 font-semibold"
+                        value={proformaInputs.markToMarket?.capMode || 'percent'}
+                        disabled={!proformaInputs.markToMarket?.enabled}
+                        onChange={(e) => updateMarkToMarket({ capMode: e.target.value })}
+                        className="p-3 border border-gray-300 rounded bg-white text-gray-700 font-semibold disabled:opacity-60"
                       >
-                        <option value="percent">% Percent</option>
-                        <option value="dollar">Flat $</option>
+                        <option value="percent">%</option>
+                        <option value="dollar">$ / mo</option>
                       </select>
                     </div>
+                    <p className="mt-1 text-xs text-gray-500">Use 0 for no cap.</p>
                   </div>
-                  <div>
-                    <label className="block text-sm font-semibold text-gray-700 mb-2">Year 2 Rent Increase</label>
-                    <div className="flex gap-2">
-                      <input
-                        type="number"
-                        step="0.1"
-                        value={proformaInputs.year2RentIncreaseValue}
-                        onChange={(e) =>
-                          setProformaInputs({
-                            ...proformaInputs,
-                            year2RentIncreaseValue: Number(e.target.value),
-                          })
-                        }
-                        className="flex-1 p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
-                      />
-                      <select
-                        value={proformaInputs.year2RentIncreaseMode}
-                        onChange={(e) =>
-                          setProformaInputs({
-                            ...proformaInputs,
-                            year2RentIncreaseMode: e.target.value,
-                          })
-                        }
-                        className="w-32 p-3 border border-gray-300 rounded bg-white text-gray-700 font-semibold"
-                      >
-                        <option value="percent">% Percent</option>
-                        <option value="dollar">Flat $</option>
-                      </select>
-                    </div>
+                </div>
+                {Array.isArray(calculations.markToMarket) && (
+                  <div className="mt-4 overflow-x-auto">
+                    <table className="w-full border-collapse bg-white text-sm">
+                      <thead>
+                        <tr className="bg-gray-100 text-gray-700">
+                          <th className="p-2 text-left font-semibold border border-gray-200">Year</th>
+                          <th className="p-2 text-left font-semibold border border-gray-200">Avg In-Place Rent</th>
+                          <th className="p-2 text-left font-semibold border border-gray-200">New Lease Rent</th>
+                          <th className="p-2 text-left font-semibold border border-gray-200">Lots Catching Up</th>
+                          <th className="p-2 text-left font-semibold border border-gray-200">Remaining Loss-to-Lease</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {calculations.markToMarket.map((year) => (
+                          <tr key={year.year}>
+                            <td className="p-2 border border-gray-200 font-semibold">Year {year.year}</td>
+                            <td className="p-2 border border-gray-200">{formatCurrency(year.averageInPlaceRent)}</td>
+                            <td className="p-2 border border-gray-200">{formatCurrency(year.newLeaseRent)}</td>
+                            <td className="p-2 border border-gray-200">{year.belowMarketLots}</td>
+                            <td className="p-2 border border-gray-200">{formatCurrency(year.lossToLease)}/yr</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
                   </div>
+                )}
+              </div>
+
+              {/* Utility Billback */}
+              <div className="bg-gray-50 p-6 rounded-lg border border-gray-300">
+                <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+                  <h3 className="text-xl font-bold text-gray-800">Utility Billback</h3>
+                  <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(proformaInputs.utilityBillback?.enabled)}
+                      onChange={(e) => updateUtilityBillback({ enabled: e.target.checked })}
+                      className="h-4 w-4"
+                    />
+                    Bill water/sewer back to tenants
+                  </label>
+                </div>
+                <p className="mt-1 mb-4 text-sm text-gray-600">
+                  Recovers the Water/Sewer expense lines from occupied lots. The Utility Reimbursement line steps from
+                  today&apos;s recovery to the target, follows the bill&apos;s growth and lease-up, and never exceeds
+                  the bill. It replaces any Utility Reimbursement income on the P&amp;L.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                   <div>
-                    <label className="block text-sm font-semibold text-gray-700 mb-2">Subsequent Annual Rent Increase</label>
-                    <div className="flex gap-2">
+                    <label htmlFor="utility-billback-method" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Method
+                    </label>
+                    <select
+                      id="utility-billback-method"
+                      value={proformaInputs.utilityBillback?.method || 'rubs'}
+                      disabled={!proformaInputs.utilityBillback?.enabled}
+                      onChange={(e) => updateUtilityBillback({ method: e.target.value })}
+                      className="w-full p-3 border border-gray-300 rounded bg-white text-gray-700 font-semibold disabled:opacity-60"
+                    >
+                      {Object.entries(UTILITY_BILLBACK_METHODS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {[
+                    ['targetRecoveryPercent', 'Target Recovery (% of bill)', '0', '100', '1'],
+                    ['startYear', 'Billing Starts in Year', '1', String(projectionYears), '1'],
+                    ['phaseInYears', 'Phase-in (years)', '0', undefined, '1'],
+                    ['capex', 'Submeter Capex ($)', '0', undefined, '1000'],
+                  ].map(([field, label, min, max, step]) => (
+                    <div key={field}>
+                      <label htmlFor={`utility-billback-${field}`} className="block text-sm font-semibold text-gray-700 mb-2">
+                        {label}
+                      </label>
                       <input
+                        id={`utility-billback-${field}`}
                         type="number"
-                        step="0.1"
-                        value={proformaInputs.annualRentIncrease}
-                        onChange={(e) =>
-                          setProformaInputs({
-                            ...proformaInputs,
-                            annualRentIncrease: Number(e.target.value),
-                          })
-                        }
-                        className="flex-1 p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                        min={min}
+                        max={max}
+                        step={step}
+                        value={proformaInputs.utilityBillback?.[field] ?? ''}
+                        disabled={!proformaInputs.utilityBillback?.enabled}
+                        onChange={(e) => updateUtilityBillback({ [field]: e.target.value })}
+                        className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg disabled:opacity-60"
                       />
-                      <select
-                        value={proformaInputs.annualRentIncreaseMode}
-                        onChange={(e) =>
-                          setProformaInputs({
-                            ...proformaInputs,
-                            annualRentIncreaseMode: e.target.value,
-                          })
-                        }
-                        className="w-32 p-3 border border-gray-300 rounded bg-white text-gray-700 font-semibold"
-                      >
-                        <option value="percent">% Percent</option>
-                        <option value="dollar">Flat $</option>
-                      </select>
                     </div>
-                  </div>
-                </div>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  ))}
                   <div>
-                    <label className="block text-sm font-semibold text-gray-700 mb-2">Annual Expense Increase %</label>
+                    <label htmlFor="utility-billback-lots" className="block text-sm font-semibold text-gray-700 mb-2">
+                      Occupied Lots Billed
+                    </label>
                     <input
+                      id="utility-billback-lots"
                       type="number"
-                      step="0.1"
-                      value={proformaInputs.annualExpenseIncrease}
-                      onChange={(e) =>
-                        setProformaInputs({
-                          ...proformaInputs,
-                          annualExpenseIncrease: Number(e.target.value),
-                        })
-                      }
-                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg"
+                      min="1"
+                      step="1"
+                      value={proformaInputs.utilityBillback?.occupiedLots ?? ''}
+                      placeholder={`${calculations.occupiedUnits} (rent roll)`}
+                      disabled={!proformaInputs.utilityBillback?.enabled}
+                      onChange={(e) => updateUtilityBillback({ occupiedLots: e.target.value })}
+                      className="w-full p-3 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold text-lg disabled:opacity-60"
                     />
                   </div>
                 </div>
-                <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3">
-                  {[
-                    { label: 'Year 1 Rent Change', index: 0 },
-                    { label: 'Year 2 Rent Change', index: 1 },
-                    { label: 'Year 3+ Rent Change', index: 2 },
-                  ].map(({ label, index }) => {
-                    const year = calculations.proformaYears[index] || null;
-                    return (
-                      <div
-                        key={label}
-                        className="bg-white border border-gray-200 rounded p-3 shadow-sm"
-                      >
-                        <div className="text-xs font-semibold text-gray-500 uppercase tracking-wide">
-                          {label}
-                        </div>
-                        <div className="mt-1 text-sm font-semibold text-gray-800">
-                          {describeRentIncrease(year)}
-                        </div>
-                      </div>
-                    );
-                  })}
+                {calculations.utilityBillback && (
+                  calculations.utilityBillback.utilityLineIds.length === 0 ? (
+                    <div className="mt-4 rounded border border-red-300 bg-red-50 p-3 text-sm text-red-800">
+                      No expense line is categorised as Water/Sewer, so there is no bill to recover.
+                    </div>
+                  ) : (
+                    <div className="mt-4 overflow-x-auto">
+                      <p className="mb-2 text-sm text-gray-600">
+                        Bill today {formatCurrency(calculations.utilityBillback.utilityExpense)}/yr, of which{' '}
+                        {formatCurrency(calculations.utilityBillback.existingRecovery)} (
+                        {formatPercent(calculations.utilityBillback.currentRecoveryPercent)}) is recovered.
+                      </p>
+                      <table className="w-full border-collapse bg-white text-sm">
+                        <thead>
+                          <tr className="bg-gray-100 text-gray-700">
+                            <th className="p-2 text-left font-semibold border border-gray-200">Year</th>
+                            <th className="p-2 text-left font-semibold border border-gray-200">Utility Bill</th>
+                            <th className="p-2 text-left font-semibold border border-gray-200">Reimbursement</th>
+                            <th className="p-2 text-left font-semibold border border-gray-200">Recovered</th>
+                            <th className="p-2 text-left font-semibold border border-gray-200">NOI Uplift</th>
+                            <th className="p-2 text-left font-semibold border border-gray-200">Capex</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {calculations.utilityBillback.years.map((year) => (
+                            <tr key={year.year}>
+                              <td className="p-2 border border-gray-200 font-semibold">Year {year.year}</td>
+                              <td className="p-2 border border-gray-200">{formatCurrency(year.utilityBill)}</td>
+                              <td className="p-2 border border-gray-200">{formatCurrency(year.reimbursement)}</td>
+                              <td className="p-2 border border-gray-200">{formatPercent(year.recoveredPercent)}</td>
+                              <td className="p-2 border border-gray-200">{formatCurrency(year.noiUplift)}</td>
+                              <td className="p-2 border border-gray-200">
+                                {year.capex > 0 ? formatCurrency(year.capex) : '—'}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <p className="mt-2 text-sm font-semibold text-gray-700">
+                        Year {calculations.utilityBillback.exitNoiYear} NOI uplift of{' '}
+                        {formatCurrency(calculations.utilityBillback.exitNoiUplift)} adds{' '}
+                        {formatCurrency(calculations.utilityBillback.valueUplift)} at a{' '}
+                        {formatPercent(calculations.utilityBillback.exitCapRate)} exit cap rate (
+                        {formatCurrency(calculations.utilityBillback.netValueUplift)} after capex).
+                      </p>
+                    </div>
+                  )
+                )}
+              </div>
+
+              {/* Year-by-Year Assumptions */}
+              <div className="bg-gray-50 p-6 rounded-lg border border-gray-300">
+                <h3 className="text-xl font-bold text-gray-800 mb-1">Year-by-Year Assumptions</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Growth is measured against the prior year (Year 1 against today&apos;s rent roll and T12). Leave
+                  other-income growth blank to match the year&apos;s rent increase.
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="w-full border-collapse bg-white text-sm">
+                    <thead>
+                      <tr className="bg-gray-100 text-gray-700">
+                        <th className="p-2 text-left font-semibold border border-gray-200">Year</th>
+                        <th className="p-2 text-left font-semibold border border-gray-200">New Leases</th>
+                        <th className="p-2 text-left font-semibold border border-gray-200">Rent Increase</th>
+                        <th className="p-2 text-left font-semibold border border-gray-200">Applied</th>
+                        <th className="p-2 text-left font-semibold border border-gray-200">Other Income Growth %</th>
+                        <th className="p-2 text-left font-semibold border border-gray-200">Expense Growth %</th>
+                        <th className="p-2 border border-gray-200" aria-label="Actions" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {projectedYearAssumptions.map((assumption, index) => (
+                        <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="p-2 font-semibold text-gray-800 border border-gray-200">Year {index + 1}</td>
+                          <td className="p-2 border border-gray-200">
+                            <input
+                              type="number"
+                              min="0"
+                              step="1"
+                              aria-label={`Year ${index + 1} new leases`}
+                              value={assumption.newLeases}
+                              onChange={(e) => updateYearAssumption(index, { newLeases: Number(e.target.value) })}
+                              className="w-24 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold"
+                            />
+                          </td>
+                          <td className="p-2 border border-gray-200">
+                            <div className="flex gap-2">
+                              <input
+                                type="number"
+                                step="0.1"
+                                aria-label={`Year ${index + 1} rent increase`}
+                                value={assumption.rentIncreaseValue}
+                                onChange={(e) =>
+                                  updateYearAssumption(index, { rentIncreaseValue: Number(e.target.value) })
+                                }
+                                className="w-24 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold"
+                              />
+                              <select
+                                aria-label={`Year ${index + 1} rent increase type`}
+                                value={assumption.rentIncreaseMode}
+                                onChange={(e) => updateYearAssumption(index, { rentIncreaseMode: e.target.value })}
+                                className="p-2 border border-gray-300 rounded bg-white text-gray-700 font-semibold"
+                              >
+                                <option value="percent">% Percent</option>
+                                <option value="dollar">Flat $</option>
+                              </select>
+                            </div>
+                          </td>
+                          <td className="p-2 text-gray-700 border border-gray-200">
+                            {describeRentIncrease(calculations.proformaYears[index] || null)}
+                          </td>
+                          <td className="p-2 border border-gray-200">
+                            <input
+                              type="number"
+                              step="0.1"
+                              placeholder="Match rent"
+                              aria-label={`Year ${index + 1} other income growth`}
+                              value={assumption.otherIncomeGrowth ?? ''}
+                              onChange={(e) =>
+                                updateYearAssumption(index, {
+                                  otherIncomeGrowth: e.target.value === '' ? null : Number(e.target.value),
+                                })
+                              }
+                              className="w-28 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold"
+                            />
+                          </td>
+                          <td className="p-2 border border-gray-200">
+                            <input
+                              type="number"
+                              step="0.1"
+                              aria-label={`Year ${index + 1} expense growth`}
+                              value={assumption.expenseGrowth}
+                              onChange={(e) => updateYearAssumption(index, { expenseGrowth: Number(e.target.value) })}
+                              className="w-24 p-2 border border-gray-300 rounded bg-blue-50 text-blue-900 font-semibold"
+                            />
+                          </td>
+                          <td className="p-2 border border-gray-200">
+                            {index < projectedYearAssumptions.length - 1 && (
+                              <button
+                                type="button"
+                                onClick={() => fillYearAssumptionForward(index)}
+                                className="text-xs font-semibold text-blue-600 hover:text-blue-800 whitespace-nowrap"
+                              >
+                                Copy growth to later years
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
                 </div>
               </div>
 
@@ -5325,240 +7144,357 @@ ${reportContent.innerHTML}
               </div>
 
               {/* Proforma Table */}
-              <div className="overflow-x-auto">
-                <table className="w-full border-collapse bg-white shadow-lg">
-                  <thead>
-                    <tr className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
-                      <th className="p-4 text-left font-bold border-r border-blue-500">Metric</th>
-                      {calculations.proformaYears.map((year) => (
-                        <th key={year.year} className="p-4 text-center font-bold border-r border-blue-500">
-                          Year {year.year}
-                        </th>
-                      ))}
-                    </tr>
-                  </thead>
-                  <tbody>
-                    <tr className="bg-purple-50 border-b border-gray-300">
-                      <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Occupied Lots</td>
-                      {calculations.proformaYears.map((year) => (
-                        <td key={year.year} className="p-4 text-center font-semibold border-r border-gray-200">
-                          {year.occupiedUnits} / {calculations.totalUnits}
-                        </td>
-                      ))}
-                    </tr>
-                    <tr className="bg-purple-100 border-b border-gray-300">
-                      <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Occupancy Rate</td>
-                      {calculations.proformaYears.map((year) => (
-                        <td key={year.year} className="p-4 text-center font-semibold border-r border-gray-200">
-                          {formatPercent(year.occupancyRate)}
-                        </td>
-                      ))}
-                    </tr>
-                    <tr className="bg-white border-b border-gray-300">
-                      <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Avg Monthly Rent</td>
-                      {calculations.proformaYears.map((year) => (
-                        <td key={year.year} className="p-4 text-center font-semibold border-r border-gray-200">
-                          {formatCurrency(year.avgMonthlyRent)}
-                        </td>
-                      ))}
-                    </tr>
-                    <tr className="bg-slate-50 border-b border-gray-300">
-                      <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Rent Growth Applied (per lot/month)</td>
-                      {calculations.proformaYears.map((year) => (
-                        <td key={year.year} className="p-4 text-center font-semibold text-gray-700 border-r border-gray-200">
-                          {describeRentIncrease(year)}
-                        </td>
-                      ))}
-                    </tr>
-                    <tr className="bg-green-50 border-b border-gray-300">
-                      <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Lot Rent Income</td>
-                      {calculations.proformaYears.map((year) => (
-                        <td key={year.year} className="p-4 text-center font-semibold border-r border-gray-200">
-                          {formatCurrency(year.lotRentIncome)}
-                        </td>
-                      ))}
-                    </tr>
-                    <tr className="bg-green-100 border-b border-gray-300">
-                      <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Other Income</td>
-                      {calculations.proformaYears.map((year) => (
-                        <td key={year.year} className="p-4 text-center font-semibold border-r border-gray-200">
-                          {formatCurrency(year.otherIncome)}
-                        </td>
-                      ))}
-                    </tr>
-                    <tr className="bg-green-200 border-b-2 border-green-600">
-                      <td className="p-4 font-bold text-gray-900 border-r border-gray-300">Total Income</td>
-                      {calculations.proformaYears.map((year) => (
-                        <td key={year.year} className="p-4 text-center font-bold text-green-700 border-r border-gray-200">
-                          {formatCurrency(year.totalIncome)}
-                        </td>
-                      ))}
-                    </tr>
-                    <tr className="bg-red-50 border-b-2 border-red-400">
-                      <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Operating Expenses</td>
-                      {calculations.proformaYears.map((year) => (
-                        <td key={year.year} className="p-4 text-center font-semibold text-red-700 border-r border-gray-200">
-                          {formatCurrency(year.expenses)}
-                        </td>
-                      ))}
-                    </tr>
-                    {calculations.expenseProjections?.length > 0 && (
-                      <>
-                        <tr className="border-b border-gray-200">
-                          <td
-                            colSpan={calculations.proformaYears.length + 1}
-                            className="p-0"
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <h3 className="text-xl font-bold text-gray-800">
+                  {proformaView === 'monthly' ? 'Monthly Cash Flow' : 'Annual Cash Flow'}
+                </h3>
+                {proformaViewToggle}
+              </div>
+              {proformaView === 'monthly' ? (
+                <div className="overflow-x-auto max-h-[36rem] overflow-y-auto">
+                  <table className="w-full border-collapse bg-white shadow-lg text-sm">
+                    <thead>
+                      <tr className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+                        {[
+                          'Month',
+                          'Occupied Lots',
+                          'New Leases',
+                          'Avg Monthly Rent',
+                          'Lot Rent Income',
+                          'Other Income',
+                          ...(calculations.utilityBillback ? ['Utility Reimbursement'] : []),
+                          'Total Income',
+                          'Operating Expenses',
+                          'Net Operating Income',
+                          'Debt Service',
+                          'Cash Flow',
+                        ].map((heading) => (
+                          <th
+                            key={heading}
+                            className="sticky top-0 bg-blue-600 p-3 text-center font-bold border-r border-blue-500"
                           >
-                            <button
-                              type="button"
-                              aria-expanded={showExpenseOverrides}
-                              onClick={() => setShowExpenseOverrides((prev) => !prev)}
-                              className="flex w-full items-center justify-between bg-red-100 px-3 py-2 text-left font-semibold text-red-700"
-                            >
-                              <span>Expense Notes &amp; Overrides</span>
-                              <span>{showExpenseOverrides ? '▲' : '▼'}</span>
-                            </button>
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {(calculations.proformaMonths || []).map((entry) => (
+                        <tr
+                          key={entry.month}
+                          className={`${entry.year % 2 === 0 ? 'bg-gray-50' : 'bg-white'} ${
+                            entry.monthOfYear === 12 ? 'border-b-2 border-gray-400' : 'border-b border-gray-200'
+                          }`}
+                        >
+                          <td className="p-3 font-semibold text-gray-800 border-r border-gray-200 whitespace-nowrap">
+                            Year {entry.year} · Month {entry.monthOfYear}
+                          </td>
+                          <td className="p-3 text-center border-r border-gray-200">
+                            {entry.occupiedUnits} / {calculations.totalUnits}
+                          </td>
+                          <td className="p-3 text-center border-r border-gray-200">
+                            {entry.newLeases > 0 ? `+${entry.newLeases}` : '—'}
+                          </td>
+                          <td className="p-3 text-center border-r border-gray-200">
+                            {formatCurrency(entry.avgMonthlyRent)}
+                          </td>
+                          <td className="p-3 text-center border-r border-gray-200">
+                            {formatCurrency(entry.lotRentIncome)}
+                          </td>
+                          <td className="p-3 text-center border-r border-gray-200">
+                            {formatCurrency(entry.otherIncome)}
+                          </td>
+                          {calculations.utilityBillback && (
+                            <td className="p-3 text-center border-r border-gray-200">
+                              {formatCurrency(entry.utilityReimbursement)}
+                            </td>
+                          )}
+                          <td className="p-3 text-center font-semibold text-green-700 border-r border-gray-200">
+                            {formatCurrency(entry.totalIncome)}
+                          </td>
+                          <td className="p-3 text-center text-red-700 border-r border-gray-200">
+                            {formatCurrency(entry.expenses)}
+                          </td>
+                          <td className="p-3 text-center font-semibold text-blue-700 border-r border-gray-200">
+                            {formatCurrency(entry.noi)}
+                          </td>
+                          <td className="p-3 text-center border-r border-gray-200">
+                            {formatCurrency(entry.debtService)}
+                          </td>
+                          <td className="p-3 text-center font-semibold text-orange-700 border-r border-gray-200">
+                            {formatCurrency(entry.cashFlow)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full border-collapse bg-white shadow-lg">
+                    <thead>
+                      <tr className="bg-gradient-to-r from-blue-600 to-blue-700 text-white">
+                        <th className="p-4 text-left font-bold border-r border-blue-500">Metric</th>
+                        {calculations.proformaYears.map((year) => (
+                          <th key={year.year} className="p-4 text-center font-bold border-r border-blue-500">
+                            Year {year.year}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <tr className="bg-purple-50 border-b border-gray-300">
+                        <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Occupied Lots</td>
+                        {calculations.proformaYears.map((year) => (
+                          <td key={year.year} className="p-4 text-center font-semibold border-r border-gray-200">
+                            {year.occupiedUnits} / {calculations.totalUnits}
+                          </td>
+                        ))}
+                      </tr>
+                      <tr className="bg-purple-100 border-b border-gray-300">
+                        <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Occupancy Rate</td>
+                        {calculations.proformaYears.map((year) => (
+                          <td key={year.year} className="p-4 text-center font-semibold border-r border-gray-200">
+                            {formatPercent(year.occupancyRate)}
+                          </td>
+                        ))}
+                      </tr>
+                      <tr className="bg-white border-b border-gray-300">
+                        <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Avg Monthly Rent</td>
+                        {calculations.proformaYears.map((year) => (
+                          <td key={year.year} className="p-4 text-center font-semibold border-r border-gray-200">
+                            {formatCurrency(year.avgMonthlyRent)}
+                          </td>
+                        ))}
+                      </tr>
+                      <tr className="bg-slate-50 border-b border-gray-300">
+                        <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Rent Growth Applied (per lot/month)</td>
+                        {calculations.proformaYears.map((year) => (
+                          <td key={year.year} className="p-4 text-center font-semibold text-gray-700 border-r border-gray-200">
+                            {describeRentIncrease(year)}
+                          </td>
+                        ))}
+                      </tr>
+                      <tr className="bg-green-50 border-b border-gray-300">
+                        <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Lot Rent Income</td>
+                        {calculations.proformaYears.map((year) => (
+                          <td key={year.year} className="p-4 text-center font-semibold border-r border-gray-200">
+                            {formatCurrency(year.lotRentIncome)}
+                          </td>
+                        ))}
+                      </tr>
+                      <tr className="bg-green-100 border-b border-gray-300">
+                        <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Other Income</td>
+                        {calculations.proformaYears.map((year) => (
+                          <td key={year.year} className="p-4 text-center font-semibold border-r border-gray-200">
+                            {formatCurrency(year.otherIncome)}
                           </td>
+                        ))}
+                      </tr>
+                      {calculations.utilityBillback && (
+                        <tr className="bg-green-100 border-b border-gray-300">
+                          <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Utility Reimbursement</td>
+                          {calculations.proformaYears.map((year) => (
+                            <td key={year.year} className="p-4 text-center font-semibold border-r border-gray-200">
+                              {formatCurrency(year.utilityReimbursement)}
+                            </td>
+                          ))}
                         </tr>
-                        {showExpenseOverrides && (
-                          <>
-                            <tr className="bg-red-100/40 border-b border-gray-200">
-                              <td className="p-3 text-xs font-semibold uppercase tracking-wide text-red-800 border-r border-gray-200">
-                                Expense Notes &amp; Overrides
-                              </td>
-                              {calculations.proformaYears.map((year) => (
-                                <td
-                                  key={`expense-heading-${year.year}`}
-                                  className="p-3 text-xs text-center font-semibold text-red-700 border-r border-gray-200"
-                                >
-                                  Year {year.year}
+                      )}
+                      <tr className="bg-green-200 border-b-2 border-green-600">
+                        <td className="p-4 font-bold text-gray-900 border-r border-gray-300">Total Income</td>
+                        {calculations.proformaYears.map((year) => (
+                          <td key={year.year} className="p-4 text-center font-bold text-green-700 border-r border-gray-200">
+                            {formatCurrency(year.totalIncome)}
+                          </td>
+                        ))}
+                      </tr>
+                      <tr className="bg-red-50 border-b-2 border-red-400">
+                        <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Operating Expenses</td>
+                        {calculations.proformaYears.map((year) => (
+                          <td key={year.year} className="p-4 text-center font-semibold text-red-700 border-r border-gray-200">
+                            {formatCurrency(year.expenses)}
+                          </td>
+                        ))}
+                      </tr>
+                      {calculations.expenseProjections?.length > 0 && (
+                        <>
+                          <tr className="border-b border-gray-200">
+                            <td
+                              colSpan={calculations.proformaYears.length + 1}
+                              className="p-0"
+                            >
+                              <button
+                                type="button"
+                                aria-expanded={showExpenseOverrides}
+                                onClick={() => setShowExpenseOverrides((prev) => !prev)}
+                                className="flex w-full items-center justify-between bg-red-100 px-3 py-2 text-left font-semibold text-red-700"
+                              >
+                                <span>Expense Notes &amp; Overrides</span>
+                                <span>{showExpenseOverrides ? '▲' : '▼'}</span>
+                              </button>
+                            </td>
+                          </tr>
+                          {showExpenseOverrides && (
+                            <>
+                              <tr className="bg-red-100/40 border-b border-gray-200">
+                                <td className="p-3 text-xs font-semibold uppercase tracking-wide text-red-800 border-r border-gray-200">
+                                  Expense Notes &amp; Overrides
                                 </td>
-                              ))}
-                            </tr>
-                            {calculations.expenseProjections?.map((expense) => {
-                              const overridesForExpense =
-                                expenseOverrides?.[String(expense.id)] ?? expenseOverrides?.[expense.id] ?? {};
-                              return (
-                                <tr
-                                  key={`expense-override-${expense.id}`}
-                                  className="bg-white border-b border-gray-200"
-                                >
-                                  <td className="p-3 pl-8 text-sm font-medium text-red-900 border-r border-gray-200">
-                                    {expense.name}
+                                {calculations.proformaYears.map((year) => (
+                                  <td
+                                    key={`expense-heading-${year.year}`}
+                                    className="p-3 text-xs text-center font-semibold text-red-700 border-r border-gray-200"
+                                  >
+                                    Year {year.year}
                                   </td>
-                                  {calculations.proformaYears.map((year, yearIndex) => {
-                                    const value = Number(expense.yearValues?.[yearIndex]) || 0;
-                                    const hasOverride =
-                                      overridesForExpense &&
-                                      Object.prototype.hasOwnProperty.call(overridesForExpense, yearIndex);
-                                    const baseInputClasses =
-                                      'w-full rounded border px-2 py-1 text-right text-sm transition focus:outline-none focus:ring-2';
-                                    const stateClasses = hasOverride
-                                      ? 'border-amber-400 bg-amber-50 text-amber-900 font-semibold focus:ring-amber-200'
-                                      : 'border-gray-300 bg-white text-gray-800 focus:ring-blue-200';
-                                    const disabledClasses = calculations.useExpenseRatioOverride
-                                      ? 'cursor-not-allowed opacity-60'
-                                      : 'hover:border-blue-400';
-
-                                    return (
-                                      <td
-                                        key={`expense-${expense.id}-year-${year.year}`}
-                                        className="p-2 text-right border-r border-gray-200"
-                                      >
-                                        <input
-                                          type="number"
-                                          min="0"
-                                          step="0.01"
-                                          inputMode="decimal"
-                                          value={
-                                            Number.isFinite(value)
-                                              ? Number(value).toFixed(2)
-                                              : '0.00'
-                                          }
-                                          onChange={(event) => {
-                                            const rawValue = event.target.value;
-                                            const parsedValue =
-                                              rawValue === ''
-                                                ? null
-                                                : Number.parseFloat(rawValue);
-
-                                            handleExpenseOverrideChange(
-                                              expense.id,
-                                              yearIndex,
-                                              Number.isFinite(parsedValue) ? parsedValue : null
-                                            );
-                                          }}
-                                          disabled={calculations.useExpenseRatioOverride}
-                                          className={`${baseInputClasses} ${stateClasses} ${disabledClasses}`}
-                                          title={formatCurrency(value)}
-                                        />
-                                      </td>
-                                    );
-                                  })}
-                                </tr>
-                              );
-                            })}
-                            {calculations.useExpenseRatioOverride && (
-                              <tr className="bg-red-100/60 border-b border-gray-200">
-                                <td
-                                  colSpan={calculations.proformaYears.length + 1}
-                                  className="p-3 text-xs font-semibold text-red-700 text-center"
-                                >
-                                  Expense ratio override is active. Manual year-by-year edits are disabled until the ratio is cleared; totals currently reflect the ratio override.
-                                </td>
+                                ))}
                               </tr>
-                            )}
-                            {Array.isArray(calculations.managementFeeProjection) &&
-                              calculations.managementFeeProjection.length > 0 && (
-                                <tr className="bg-red-50 border-b border-gray-200">
-                                  <td className="p-3 pl-8 text-sm font-semibold text-red-800 border-r border-gray-200">
-                                    Management Fee ({managementPercent}%)
-                                  </td>
-                                  {calculations.proformaYears.map((year, yearIndex) => (
-                                    <td
-                                      key={`management-fee-${year.year}`}
-                                      className="p-3 text-right text-sm font-medium text-red-700 border-r border-gray-200"
-                                    >
-                                      {formatCurrency(
-                                        Number(
-                                          calculations.managementFeeProjection?.[yearIndex] ?? 0
-                                        )
-                                      )}
+                              {calculations.expenseProjections?.map((expense) => {
+                                const overridesForExpense =
+                                  expenseOverrides?.[String(expense.id)] ?? expenseOverrides?.[expense.id] ?? {};
+                                return (
+                                  <tr
+                                    key={`expense-override-${expense.id}`}
+                                    className="bg-white border-b border-gray-200"
+                                  >
+                                    <td className="p-3 pl-8 text-sm font-medium text-red-900 border-r border-gray-200">
+                                      {expense.name}
                                     </td>
-                                  ))}
+                                    {calculations.proformaYears.map((year, yearIndex) => {
+                                      const value = Number(expense.yearValues?.[yearIndex]) || 0;
+                                      const hasOverride =
+                                        overridesForExpense &&
+                                        Object.prototype.hasOwnProperty.call(overridesForExpense, yearIndex);
+                                      const baseInputClasses =
+                                        'w-full rounded border px-2 py-1 text-right text-sm transition focus:outline-none focus:ring-2';
+                                      const stateClasses = hasOverride
+                                        ? 'border-amber-400 bg-amber-50 text-amber-900 font-semibold focus:ring-amber-200'
+                                        : 'border-gray-300 bg-white text-gray-800 focus:ring-blue-200';
+                                      const disabledClasses = calculations.useExpenseRatioOverride
+                                        ? 'cursor-not-allowed opacity-60'
+                                        : 'hover:border-blue-400';
+
+                                      return (
+                                        <td
+                                          key={`expense-${expense.id}-year-${year.year}`}
+                                          className="p-2 text-right border-r border-gray-200"
+                                        >
+                                          <input
+                                            type="number"
+                                            min="0"
+                                            step="0.01"
+                                            inputMode="decimal"
+                                            value={
+                                              Number.isFinite(value)
+                                                ? Number(value).toFixed(2)
+                                                : '0.00'
+                                            }
+                                            onChange={(event) => {
+                                              const rawValue = event.target.value;
+                                              const parsedValue =
+                                                rawValue === ''
+                                                  ? null
+                                                  : Number.parseFloat(rawValue);
+
+                                              handleExpenseOverrideChange(
+                                                expense.id,
+                                                yearIndex,
+                                                Number.isFinite(parsedValue) ? parsedValue : null
+                                              );
+                                            }}
+                                            disabled={calculations.useExpenseRatioOverride}
+                                            className={`${baseInputClasses} ${stateClasses} ${disabledClasses}`}
+                                            title={formatCurrency(value)}
+                                          />
+                                        </td>
+                                      );
+                                    })}
+                                  </tr>
+                                );
+                              })}
+                              {calculations.useExpenseRatioOverride && (
+                                <tr className="bg-red-100/60 border-b border-gray-200">
+                                  <td
+                                    colSpan={calculations.proformaYears.length + 1}
+                                    className="p-3 text-xs font-semibold text-red-700 text-center"
+                                  >
+                                    Expense ratio override is active. Manual year-by-year edits are disabled until the ratio is cleared; totals currently reflect the ratio override.
+                                  </td>
                                 </tr>
                               )}
-                          </>
-                        )}
-                      </>
-                    )}
-                    <tr className="bg-blue-100 border-b-2 border-blue-600">
-                      <td className="p-4 font-bold text-gray-900 border-r border-gray-300">Net Operating Income</td>
-                      {calculations.proformaYears.map((year) => (
-                        <td key={year.year} className="p-4 text-center font-bold text-blue-700 border-r border-gray-200">
-                          {formatCurrency(year.noi)}
-                        </td>
-                      ))}
-                    </tr>
-                    <tr className="bg-orange-50 border-b border-gray-300">
-                      <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Debt Service</td>
-                      {calculations.proformaYears.map((year) => (
-                        <td key={year.year} className="p-4 text-center font-semibold text-gray-700 border-r border-gray-200">
-                          {formatCurrency(year.debtService)}
-                        </td>
-                      ))}
-                    </tr>
-                    <tr className="bg-orange-200 border-b-2 border-orange-600">
-                      <td className="p-4 font-bold text-gray-900 border-r border-gray-300">Annual Cash Flow</td>
-                      {calculations.proformaYears.map((year) => (
-                        <td key={year.year} className="p-4 text-center font-bold text-orange-700 border-r border-gray-200">
-                          {formatCurrency(year.cashFlow)}
-                        </td>
-                      ))}
-                    </tr>
-                  </tbody>
-                </table>
-              </div>
+                              {Array.isArray(calculations.managementFeeProjection) &&
+                                calculations.managementFeeProjection.length > 0 && (
+                                  <tr className="bg-red-50 border-b border-gray-200">
+                                    <td className="p-3 pl-8 text-sm font-semibold text-red-800 border-r border-gray-200">
+                                      Management Fee ({managementPercent}%)
+                                    </td>
+                                    {calculations.proformaYears.map((year, yearIndex) => (
+                                      <td
+                                        key={`management-fee-${year.year}`}
+                                        className="p-3 text-right text-sm font-medium text-red-700 border-r border-gray-200"
+                                      >
+                                        {formatCurrency(
+                                          Number(
+                                            calculations.managementFeeProjection?.[yearIndex] ?? 0
+                                          )
+                                        )}
+                                      </td>
+                                    ))}
+                                  </tr>
+                                )}
+                            </>
+                          )}
+                        </>
+                      )}
+                      <tr className="bg-blue-100 border-b-2 border-blue-600">
+                        <td className="p-4 font-bold text-gray-900 border-r border-gray-300">Net Operating Income</td>
+                        {calculations.proformaYears.map((year) => (
+                          <td key={year.year} className="p-4 text-center font-bold text-blue-700 border-r border-gray-200">
+                            {formatCurrency(year.noi)}
+                          </td>
+                        ))}
+                      </tr>
+                      <tr className="bg-orange-50 border-b border-gray-300">
+                        <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Debt Service</td>
+                        {calculations.proformaYears.map((year) => (
+                          <td key={year.year} className="p-4 text-center font-semibold text-gray-700 border-r border-gray-200">
+                            {formatCurrency(year.debtService)}
+                          </td>
+                        ))}
+                      </tr>
+                      {hasFinancingEvents && (
+                        <tr className="bg-orange-50 border-b border-gray-300">
+                          <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Balloons &amp; Refinance</td>
+                          {calculations.proformaYears.map((year) => (
+                            <td key={year.year} className="p-4 text-center font-semibold text-gray-700 border-r border-gray-200">
+                              {formatCurrency(year.financingCashFlow)}
+                            </td>
+                          ))}
+                        </tr>
+                      )}
+                      {calculations.utilityBillback?.capex > 0 && (
+                        <tr className="bg-orange-50 border-b border-gray-300">
+                          <td className="p-4 font-bold text-gray-800 border-r border-gray-300">Submeter Capex</td>
+                          {calculations.proformaYears.map((year) => (
+                            <td key={year.year} className="p-4 text-center font-semibold text-gray-700 border-r border-gray-200">
+                              {year.capitalExpenditure > 0 ? `(${formatCurrency(year.capitalExpenditure)})` : '—'}
+                            </td>
+                          ))}
+                        </tr>
+                      )}
+                      <tr className="bg-orange-200 border-b-2 border-orange-600">
+                        <td className="p-4 font-bold text-gray-900 border-r border-gray-300">Annual Cash Flow</td>
+                        {calculations.proformaYears.map((year) => (
+                          <td key={year.year} className="p-4 text-center font-bold text-orange-700 border-r border-gray-200">
+                            {formatCurrency(year.cashFlow)}
+                          </td>
+                        ))}
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+              )}
 
               {/* Summary Statistics */}
               <div className="grid grid-cols-3 gap-6">
@@ -5632,6 +7568,158 @@ ${reportContent.innerHTML}
                   </div>
                 </div>
               </div>
+
+              {/* Risk Simulation */}
+              <div className="bg-white p-6 rounded-lg border-2 border-purple-200">
+                <h3 className="text-xl font-bold text-purple-800 mb-1">Risk Simulation</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Reruns the proforma and IRR thousands of times with rent growth, expense growth and lease-up drawn
+                  for every year and the exit cap drawn once per run. Normal draws treat min and max as three standard
+                  deviations from the most likely value.
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="w-full border-collapse bg-white text-sm">
+                    <thead>
+                      <tr className="bg-gray-100 text-gray-700">
+                        <th className="p-2 text-left font-semibold border border-gray-200">Input</th>
+                        <th className="p-2 text-left font-semibold border border-gray-200">Distribution</th>
+                        <th className="p-2 text-left font-semibold border border-gray-200">Min</th>
+                        <th className="p-2 text-left font-semibold border border-gray-200">Most Likely</th>
+                        <th className="p-2 text-left font-semibold border border-gray-200">Max</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(SIMULATION_VARIABLES).map(([key, variable]) => (
+                        <tr key={key}>
+                          <td className="p-2 border border-gray-200 font-semibold text-gray-700">{variable.label}</td>
+                          <td className="p-2 border border-gray-200">
+                            <select
+                              value={simulationInputs[key].distribution}
+                              onChange={(e) => updateSimulationRange(key, { distribution: e.target.value })}
+                              className="w-full p-1 border border-gray-300 rounded bg-white"
+                            >
+                              {Object.entries(SIMULATION_DISTRIBUTIONS).map(([value, label]) => (
+                                <option key={value} value={value}>
+                                  {label}
+                                </option>
+                              ))}
+                            </select>
+                          </td>
+                          {['min', 'mostLikely', 'max'].map((field) => (
+                            <td key={field} className="p-2 border border-gray-200">
+                              <input
+                                type="number"
+                                step={variable.step}
+                                value={simulationInputs[key][field]}
+                                onChange={(e) => updateSimulationRange(key, { [field]: Number(e.target.value) })}
+                                className="w-24 p-1 border border-gray-300 rounded"
+                              />
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="flex flex-wrap items-end gap-3 mt-4">
+                  <label className="flex flex-col text-xs font-semibold text-gray-600">
+                    Iterations
+                    <input
+                      type="number"
+                      min={MIN_SIMULATION_ITERATIONS}
+                      max={MAX_SIMULATION_ITERATIONS}
+                      step="500"
+                      value={simulationInputs.iterations}
+                      onChange={(e) =>
+                        setSimulationInputs({ ...simulationInputs, iterations: Number(e.target.value) })
+                      }
+                      className="mt-1 w-28 p-2 border border-gray-300 rounded bg-white text-sm text-gray-800"
+                    />
+                  </label>
+                  <label className="flex flex-col text-xs font-semibold text-gray-600">
+                    Seed
+                    <input
+                      type="number"
+                      step="1"
+                      value={simulationInputs.seed}
+                      onChange={(e) => setSimulationInputs({ ...simulationInputs, seed: Number(e.target.value) })}
+                      className="mt-1 w-24 p-2 border border-gray-300 rounded bg-white text-sm text-gray-800"
+                    />
+                  </label>
+                  {simulationProgress === null ? (
+                    <button
+                      onClick={() => {
+                        setSimulationInputs(normaliseSimulationInputs(simulationInputs));
+                        startSimulation();
+                      }}
+                      className="bg-purple-600 text-white px-5 py-2 rounded font-semibold hover:bg-purple-700 transition-colors"
+                    >
+                      Run Simulation
+                    </button>
+                  ) : (
+                    <button
+                      onClick={stopSimulation}
+                      className="rounded border border-purple-600 px-5 py-2 font-semibold text-purple-700 transition hover:bg-purple-50"
+                    >
+                      Cancel ({Math.round(simulationProgress)}%)
+                    </button>
+                  )}
+                </div>
+
+                {simulationResults && (
+                  <div className="mt-6 space-y-6">
+                    <p className="text-xs text-gray-500">
+                      {simulationResults.iterations.toLocaleString('en-US')} runs
+                      {simulationResults.runAt ? ` on ${formatReportDate(simulationResults.runAt)}` : ''}. Rerun after
+                      changing the deal to refresh these results.
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      {[
+                        { key: 'irr', label: 'IRR', format: 'percent' },
+                        { key: 'equityMultiple', label: 'Equity Multiple', format: 'multiple' },
+                      ].map(({ key, label, format }) => (
+                        <div key={key} className="bg-purple-50 p-4 rounded border border-purple-200">
+                          <div className="text-sm font-semibold text-purple-800 mb-2">{label}</div>
+                          {['p10', 'p50', 'p90'].map((percentile) => (
+                            <div key={percentile} className="flex justify-between text-sm">
+                              <span className="text-gray-600">{percentile.toUpperCase()}</span>
+                              <span className="font-bold text-gray-900">
+                                {formatScenarioMetric(simulationResults[key][percentile], format)}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      ))}
+                      <div className="bg-red-50 p-4 rounded border border-red-200">
+                        <div className="text-sm font-semibold text-red-800 mb-2">Probability of Losing Capital</div>
+                        <div className="text-3xl font-bold text-red-700">
+                          {formatScenarioMetric(simulationResults.probabilityOfLoss, 'percent')}
+                        </div>
+                        <div className="text-xs text-gray-600 mt-1">Runs returning less than the equity invested</div>
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-sm font-semibold text-gray-700 mb-2">IRR Distribution</div>
+                      <div className="flex items-end gap-1 h-40 border-b border-gray-300">
+                        {simulationIrrBins.map((bin, index) => (
+                          <div
+                            key={index}
+                            title={`${formatPercent(bin.from)} to ${formatPercent(bin.to)}: ${bin.count} runs`}
+                            className={`flex-1 rounded-t ${bin.to <= 0 ? 'bg-red-400' : 'bg-purple-400'}`}
+                            style={{ height: `${(bin.count / simulationTallestBin) * 100}%` }}
+                          />
+                        ))}
+                      </div>
+                      {simulationIrrBins.length > 0 && (
+                        <div className="flex justify-between text-xs text-gray-500 mt-1">
+                          <span>{formatPercent(simulationIrrBins[0].from)}</span>
+                          <span>{formatPercent(simulationIrrBins[simulationIrrBins.length - 1].to)}</span>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
             </div>
           )}
 
@@ -5683,6 +7771,23 @@ ${reportContent.innerHTML}
                   </div>
                 </div>
                 <div className="flex flex-wrap items-center gap-3 justify-end">
+                  {scenarioSnapshot.scenarios.length > 1 && (
+                    <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                      Report Scenario
+                      <select
+                        value={activeScenarioId}
+                        onChange={(e) => activateScenario(e.target.value)}
+                        className="p-2 border border-gray-300 rounded bg-white text-sm font-normal"
+                      >
+                        {scenarioSnapshot.scenarios.map((scenario) => (
+                          <option key={scenario.id} value={scenario.id}>
+                            {scenario.name || 'Untitled scenario'}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                  {proformaViewToggle}
                   {session?.user ? (
                     <button
                       onClick={() => saveReportToAccount()}
@@ -5724,6 +7829,9 @@ ${reportContent.innerHTML}
                       {propertyInfo.state}
                     </p>
                   )}
+                  {scenarioSnapshot.scenarios.length > 1 && (
+                    <p className="text-lg font-semibold text-indigo-700 mt-2">Scenario: {activeScenarioName}</p>
+                  )}
                   <p className="text-gray-600 mt-3">Report Generated: {new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</p>
                 </div>
 
@@ -5845,13 +7953,14 @@ ${reportContent.innerHTML}
                         <span className="text-gray-700 font-semibold">Lot Rent Income</span>
                         <span className="font-semibold">{formatCurrency(calculations.lotRentIncome)}</span>
                       </div>
-                      {additionalIncome.map((item) => {
+                      {calculations.underwriting.additionalIncome.map((item) => {
                         const isEditingNote = openIncomeNoteId === item.id;
                         return (
                           <div key={item.id} className="py-1">
                             <div className="flex items-center justify-between gap-2">
                               <div className="flex items-center gap-2">
                                 <span className="text-sm font-medium text-gray-800">{item.name}</span>
+                                {!isAdjustmentLine(item) && (
                                 <button
                                   type="button"
                                   onClick={() => toggleIncomeNoteEditor(item.id, 'summary')}
@@ -5864,6 +7973,7 @@ ${reportContent.innerHTML}
                                 >
                                   📝
                                 </button>
+                                )}
                               </div>
                               <div className="flex items-center gap-2">
                                 {isEditingNote && (
@@ -5909,13 +8019,14 @@ ${reportContent.innerHTML}
                           </p>
                         </div>
                       ) : (
-                        expenses.map((expense) => {
+                        calculations.underwriting.expenses.map((expense) => {
                           const isEditingNote = openExpenseNoteId === expense.id;
                           return (
                             <div key={expense.id} className="py-1">
                               <div className="flex items-center justify-between gap-2">
                                 <div className="flex items-center gap-2">
                                 <span className="text-sm font-medium text-gray-800">{expense.name}</span>
+                                {!isAdjustmentLine(expense) && (
                                 <button
                                   type="button"
                                   onClick={() => toggleExpenseNoteEditor(expense.id, 'summary')}
@@ -5928,6 +8039,7 @@ ${reportContent.innerHTML}
                                 >
                                   📝
                                 </button>
+                                )}
                               </div>
                               <div className="flex items-center gap-2">
                                 {isEditingNote && (
@@ -5975,7 +8087,144 @@ ${reportContent.innerHTML}
                   </div>
                 </div>
 
-                {proformaSnapshotYears.length > 0 && (
+                {calculations.underwriting.appliedCount > 0 && (
+                  <div className="mb-10">
+                    <h2 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-300 pb-2 mb-4">
+                      Underwriting Reconciliation
+                    </h2>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                      <thead>
+                        <tr style={{ backgroundColor: '#fef3c7' }}>
+                          <th style={{ padding: '0.5rem', textAlign: 'left', border: '1px solid #e5e7eb' }}>Line</th>
+                          {[`Seller (${PNL_BASES[pnlBasis]})`, 'Adjustments', 'Underwritten'].map((label) => (
+                            <th key={label} style={{ padding: '0.5rem', textAlign: 'right', border: '1px solid #e5e7eb' }}>
+                              {label}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {underwritingRows.map((row) => {
+                          const cellStyle = {
+                            padding: '0.5rem',
+                            textAlign: 'right',
+                            border: '1px solid #e5e7eb',
+                            fontWeight: row.total ? 700 : 400,
+                          };
+                          return (
+                            <tr key={`${row.section || 'total'}-${row.id}`}>
+                              <td style={{ ...cellStyle, textAlign: 'left' }}>
+                                <span style={{ textDecoration: row.removed ? 'line-through' : 'none' }}>{row.name}</span>
+                                {row.adjustments?.map((adjustment) => (
+                                  <div key={adjustment.id} style={{ fontSize: '0.75rem', color: '#92400e' }}>
+                                    {PNL_ADJUSTMENT_TYPES[adjustment.type]}: {adjustment.reason}
+                                  </div>
+                                ))}
+                              </td>
+                              <td style={cellStyle}>{formatCurrency(row.seller)}</td>
+                              <td style={cellStyle}>
+                                {row.adjustment === 0
+                                  ? '—'
+                                  : `${row.adjustment > 0 ? '+' : '-'}${formatCurrency(Math.abs(row.adjustment))}`}
+                              </td>
+                              <td style={cellStyle}>{formatCurrency(row.underwritten)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {calculations.propertyTax?.ready && (
+                  <div className="mb-10">
+                    <h2 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-300 pb-2 mb-4">
+                      Property Tax Reassessment
+                    </h2>
+                    <p className="mb-3 text-sm text-gray-700">
+                      {calculations.propertyTax.jurisdiction.name}:{' '}
+                      {calculations.propertyTax.reassessOnSale
+                        ? `reassessed at ${formatCurrency(calculations.propertyTax.taxableValue)}, an effective rate of ${formatPercent(calculations.propertyTax.effectiveRate)}`
+                        : 'not reassessed on sale; the seller’s tax is carried forward'}
+                      {calculations.propertyTax.phaseInYears > 0 &&
+                        `, phased in over ${calculations.propertyTax.phaseInYears} years`}
+                      {calculations.propertyTax.annualCapPercent !== null &&
+                        `, assessed value growth capped at ${calculations.propertyTax.annualCapPercent}% a year`}
+                      .
+                    </p>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                      <thead>
+                        <tr style={{ backgroundColor: '#e0e7ff' }}>
+                          <th style={{ padding: '0.5rem', textAlign: 'left', border: '1px solid #e5e7eb' }}>Year</th>
+                          {['Seller Tax', 'Reassessed Tax', 'Change'].map((label) => (
+                            <th key={label} style={{ padding: '0.5rem', textAlign: 'right', border: '1px solid #e5e7eb' }}>
+                              {label}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {calculations.propertyTax.years.slice(0, projectionYears).map((entry) => {
+                          const cellStyle = { padding: '0.5rem', textAlign: 'right', border: '1px solid #e5e7eb' };
+                          const change = entry.tax - calculations.propertyTax.sellerTax;
+                          return (
+                            <tr key={entry.year}>
+                              <td style={{ ...cellStyle, textAlign: 'left' }}>Year {entry.year}</td>
+                              <td style={cellStyle}>{formatCurrency(calculations.propertyTax.sellerTax)}</td>
+                              <td style={{ ...cellStyle, fontWeight: 700 }}>{formatCurrency(entry.tax)}</td>
+                              <td style={{ ...cellStyle, color: change > 0 ? '#b91c1c' : '#15803d' }}>
+                                {`${change >= 0 ? '+' : '-'}${formatCurrency(Math.abs(change))}`}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {calculations.utilityBillback && calculations.utilityBillback.utilityLineIds.length > 0 && (
+                  <div className="mb-10">
+                    <h2 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-300 pb-2 mb-4">
+                      Utility Recapture
+                    </h2>
+                    <p className="mb-3 text-sm text-gray-700">
+                      {UTILITY_BILLBACK_METHODS[calculations.utilityBillback.method]} of a{' '}
+                      {formatCurrency(calculations.utilityBillback.utilityExpense)}/yr water and sewer bill, moving recovery
+                      from {formatPercent(calculations.utilityBillback.currentRecoveryPercent)} to{' '}
+                      {formatPercent(calculations.utilityBillback.targetRecoveryPercent)} from year{' '}
+                      {calculations.utilityBillback.startYear}
+                      {calculations.utilityBillback.phaseInYears > 1 &&
+                        ` over ${calculations.utilityBillback.phaseInYears} years`}
+                      .
+                    </p>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                      <tbody>
+                        {[
+                          [
+                            `Year ${calculations.utilityBillback.exitNoiYear} NOI uplift`,
+                            formatCurrency(calculations.utilityBillback.exitNoiUplift),
+                          ],
+                          [
+                            `Value uplift at a ${formatPercent(calculations.utilityBillback.exitCapRate)} exit cap rate`,
+                            formatCurrency(calculations.utilityBillback.valueUplift),
+                          ],
+                          ['Submeter capex', formatCurrency(calculations.utilityBillback.capex)],
+                          ['Net value uplift', formatCurrency(calculations.utilityBillback.netValueUplift)],
+                        ].map(([label, value]) => (
+                          <tr key={label}>
+                            <td style={{ padding: '0.5rem', border: '1px solid #e5e7eb' }}>{label}</td>
+                            <td style={{ padding: '0.5rem', textAlign: 'right', fontWeight: 700, border: '1px solid #e5e7eb' }}>
+                              {value}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {proformaView === 'annual' && proformaSnapshotYears.length > 0 && (
                   <div className="mb-10">
                     <h2 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-300 pb-2 mb-4">
                       Five-Year Proforma Summary
@@ -6094,6 +8343,21 @@ ${reportContent.innerHTML}
                               </td>
                             ))}
                           </tr>
+                          {calculations.utilityBillback && (
+                            <tr style={{ backgroundColor: '#dcfce7' }}>
+                              <td style={{ padding: '1rem', fontWeight: 600, color: '#1f2937', border: '1px solid #d1d5db' }}>
+                                Utility Reimbursement
+                              </td>
+                              {proformaSnapshotYears.map((year) => (
+                                <td
+                                  key={`utility-reimbursement-${year.year}`}
+                                  style={{ padding: '1rem', textAlign: 'center', fontWeight: 600, border: '1px solid #e5e7eb' }}
+                                >
+                                  {formatCurrency(year.utilityReimbursement)}
+                                </td>
+                              ))}
+                            </tr>
+                          )}
                           <tr style={{ backgroundColor: '#bbf7d0' }}>
                             <td
                               style={{
@@ -6185,6 +8449,36 @@ ${reportContent.innerHTML}
                               </td>
                             ))}
                           </tr>
+                          {hasFinancingEvents && (
+                            <tr style={{ backgroundColor: '#fff7ed' }}>
+                              <td style={{ padding: '1rem', fontWeight: 600, color: '#9a3412', border: '1px solid #d1d5db' }}>
+                                Balloons &amp; Refinance
+                              </td>
+                              {proformaSnapshotYears.map((year) => (
+                                <td
+                                  key={`financing-${year.year}`}
+                                  style={{ padding: '1rem', textAlign: 'center', fontWeight: 600, border: '1px solid #e5e7eb' }}
+                                >
+                                  {formatCurrency(year.financingCashFlow)}
+                                </td>
+                              ))}
+                            </tr>
+                          )}
+                          {calculations.utilityBillback?.capex > 0 && (
+                            <tr style={{ backgroundColor: '#fff7ed' }}>
+                              <td style={{ padding: '1rem', fontWeight: 600, color: '#9a3412', border: '1px solid #d1d5db' }}>
+                                Submeter Capex
+                              </td>
+                              {proformaSnapshotYears.map((year) => (
+                                <td
+                                  key={`utility-capex-${year.year}`}
+                                  style={{ padding: '1rem', textAlign: 'center', fontWeight: 600, border: '1px solid #e5e7eb' }}
+                                >
+                                  {year.capitalExpenditure > 0 ? `(${formatCurrency(year.capitalExpenditure)})` : '—'}
+                                </td>
+                              ))}
+                            </tr>
+                          )}
                           <tr style={{ backgroundColor: '#fed7aa' }}>
                             <td
                               style={{
@@ -6217,6 +8511,80 @@ ${reportContent.innerHTML}
                   </div>
                 )}
 
+                {proformaView === 'monthly' && proformaSnapshotMonths.length > 0 && (
+                  <div className="mb-10">
+                    <h2 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-300 pb-2 mb-4">
+                      Monthly Proforma Summary
+                    </h2>
+                    <p style={{ marginBottom: '1rem', color: '#4b5563', fontSize: '0.875rem' }}>
+                      {describeCashFlowTiming()}
+                    </p>
+                    <div style={{ overflowX: 'auto' }}>
+                      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8125rem' }}>
+                        <thead>
+                          <tr style={{ background: 'linear-gradient(90deg, #2563eb, #1d4ed8)', color: '#ffffff' }}>
+                            {[
+                              'Month',
+                              'Occupied Lots',
+                              'Avg Monthly Rent',
+                              'Total Income',
+                              'Operating Expenses',
+                              'NOI',
+                              'Debt Service',
+                              'Cash Flow',
+                            ].map((heading) => (
+                              <th
+                                key={heading}
+                                style={{
+                                  padding: '0.5rem',
+                                  textAlign: 'center',
+                                  fontWeight: 700,
+                                  border: '1px solid #bfdbfe',
+                                }}
+                              >
+                                {heading}
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {proformaSnapshotMonths.map((entry) => {
+                            const cellStyle = {
+                              padding: '0.5rem',
+                              textAlign: 'center',
+                              border: '1px solid #e5e7eb',
+                            };
+
+                            return (
+                              <tr
+                                key={`month-${entry.month}`}
+                                style={{ backgroundColor: entry.year % 2 === 0 ? '#f8fafc' : '#ffffff' }}
+                              >
+                                <td style={{ ...cellStyle, textAlign: 'left', fontWeight: 600, color: '#1f2937' }}>
+                                  Year {entry.year} · Month {entry.monthOfYear}
+                                </td>
+                                <td style={cellStyle}>
+                                  {entry.occupiedUnits} / {calculations.totalUnits}
+                                </td>
+                                <td style={cellStyle}>{formatCurrency(entry.avgMonthlyRent)}</td>
+                                <td style={{ ...cellStyle, color: '#15803d' }}>{formatCurrency(entry.totalIncome)}</td>
+                                <td style={{ ...cellStyle, color: '#b91c1c' }}>{formatCurrency(entry.expenses)}</td>
+                                <td style={{ ...cellStyle, fontWeight: 600, color: '#1d4ed8' }}>
+                                  {formatCurrency(entry.noi)}
+                                </td>
+                                <td style={cellStyle}>{formatCurrency(entry.debtService)}</td>
+                                <td style={{ ...cellStyle, fontWeight: 700, color: '#9a3412' }}>
+                                  {formatCurrency(entry.cashFlow)}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+
                 {/* Investment Analysis */}
                 <div className="mb-10">
                   <h2 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-300 pb-2 mb-4">Investment Analysis</h2>
@@ -6244,7 +8612,13 @@ ${reportContent.innerHTML}
                       <h3 className="text-lg font-bold text-gray-800 mb-3">Financing Terms</h3>
                       <div className="space-y-2">
                         <div className="flex justify-between py-2 border-b border-gray-200">
-                          <span className="text-gray-700">Down Payment ({purchaseInputs.downPaymentPercent}%):</span>
+                          <span className="text-gray-700">
+                            Down Payment (
+                            {calculations.loanSizing
+                              ? formatPercent(calculations.loanSizing.downPaymentPercent)
+                              : `${purchaseInputs.downPaymentPercent}%`}
+                            ):
+                          </span>
                           <span className="font-semibold">{formatCurrency(calculations.downPayment)}</span>
                         </div>
                         <div className="flex justify-between py-2 border-b border-gray-200">
@@ -6267,6 +8641,32 @@ ${reportContent.innerHTML}
                           <span className="text-gray-700">Balloon Balance at Maturity:</span>
                           <span className="font-semibold">{formatCurrency(calculations.loanMaturityBalance)}</span>
                         </div>
+                        {calculations.debtStack
+                          .filter((loan) => loan.type !== 'senior')
+                          .map((loan, index) => (
+                            <div key={`tranche-${index}`} className="flex justify-between py-2 border-t border-gray-200">
+                              <span className="text-gray-700">
+                                {loan.name || DEBT_TRANCHE_TYPES[loan.type]} ({loan.interestRate}%, due year {loan.maturityYear}):
+                              </span>
+                              <span className="font-semibold">{formatCurrency(loan.amount)}</span>
+                            </div>
+                          ))}
+                        {calculations.totalDebt > calculations.loanAmount && (
+                          <div className="flex justify-between py-2 border-t border-gray-200 font-bold">
+                            <span className="text-gray-700">Equity Invested:</span>
+                            <span className="text-gray-900">{formatCurrency(calculations.equityInvested)}</span>
+                          </div>
+                        )}
+                        {calculations.refinance && (
+                          <div className="flex justify-between py-2 border-t border-gray-200">
+                            <span className="text-gray-700">
+                              Year {calculations.refinance.year} Refinance ({formatCurrency(calculations.refinance.loanAmount)} loan):
+                            </span>
+                            <span className="font-semibold">
+                              {formatCurrency(calculations.refinance.netProceeds)} cash-out
+                            </span>
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -6347,14 +8747,42 @@ ${reportContent.innerHTML}
                         <span>Exit Cap Rate:</span>
                         <span className="font-semibold">{irrInputs.exitCapRate}%</span>
                       </div>
+                      <div className="flex justify-between py-1">
+                        <span>Exit NOI:</span>
+                        <span className="font-semibold">
+                          Year {calculations.exitWaterfall.exitNoiYear} (
+                          {calculations.exitWaterfall.exitNoiBasis === 'forward' ? 'forward' : 'trailing'})
+                        </span>
+                      </div>
                       <div className="flex justify-between py-1">
                         <span>Projected Exit Value:</span>
                         <span className="font-semibold">{formatCurrency(calculations.exitValue)}</span>
                       </div>
+                      <div className="flex justify-between py-1">
+                        <span>Selling Costs:</span>
+                        <span className="font-semibold">({formatCurrency(calculations.exitWaterfall.totalSellingCosts)})</span>
+                      </div>
+                      <div className="flex justify-between py-1">
+                        <span>Net Exit Proceeds:</span>
+                        <span className="font-semibold">{formatCurrency(calculations.exitProceeds)}</span>
+                      </div>
                     </div>
                   </div>
                 </div>
 
+                {sensitivityGrids.some(Boolean) && (
+                  <div className="mb-10">
+                    <h2 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-300 pb-2 mb-4">
+                      Sensitivity Analysis
+                    </h2>
+                    {sensitivityGrids.filter(Boolean).map((grid, index) => (
+                      <div key={grid.id || index} style={{ marginBottom: '1.5rem' }}>
+                        <SensitivityTable grid={grid} />
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 {/* Cash Flow Summary */}
                 <div className="mb-6">
                   <h2 className="text-2xl font-bold text-gray-900 border-b-2 border-gray-300 pb-2 mb-4">Annual Cash Flow Summary</h2>
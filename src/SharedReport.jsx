@@ -1,6 +1,8 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
 import { supabase } from './lib/supabaseClient';
+import { buildSensitivityTables, resolveScenarioDeal } from './engine';
+import SensitivityTable from './components/SensitivityTable';
 
 const isSupabaseConfigured = Boolean(supabase);
 
@@ -216,7 +218,11 @@ const SharedReport = () => {
     };
   }, [reportId]);
 
-  const reportState = useMemo(() => parseReportState(report?.report_state), [report]);
+  // Saved calculations belong to the active scenario, so show its inputs too.
+  const reportState = useMemo(() => {
+    const state = parseReportState(report?.report_state);
+    return state ? resolveScenarioDeal(state) : null;
+  }, [report]);
 
   const expenseRatioActive = useMemo(() => {
     const directRatio = Number(reportState?.expenseRatio);
@@ -237,10 +243,18 @@ const SharedReport = () => {
     return false;
   }, [reportState]);
 
+  // Reports saved with underwriting adjustments list the underwritten lines,
+  // which are the ones their totals were calculated from.
+  const underwriting = reportState?.calculations?.underwriting;
+  const propertyTax = reportState?.calculations?.propertyTax?.ready
+    ? reportState.calculations.propertyTax
+    : null;
+
   const incomeItems = useMemo(() => {
-    const items = Array.isArray(reportState?.additionalIncome)
-      ? reportState.additionalIncome
-      : [];
+    const source = Array.isArray(underwriting?.additionalIncome)
+      ? underwriting.additionalIncome
+      : reportState?.additionalIncome;
+    const items = Array.isArray(source) ? source : [];
 
     return items.map((item, index) => {
       const rawLabel = item?.name ?? item?.label ?? '';
@@ -254,10 +268,11 @@ const SharedReport = () => {
         note: normaliseLineItemNote(item?.note),
       };
     });
-  }, [reportState]);
+  }, [reportState, underwriting]);
 
   const expenseItems = useMemo(() => {
-    const items = Array.isArray(reportState?.expenses) ? reportState.expenses : [];
+    const source = Array.isArray(underwriting?.expenses) ? underwriting.expenses : reportState?.expenses;
+    const items = Array.isArray(source) ? source : [];
 
     return items.map((item, index) => {
       const rawLabel = item?.name ?? item?.label ?? '';
@@ -271,7 +286,7 @@ const SharedReport = () => {
         note: normaliseLineItemNote(item?.note),
       };
     });
-  }, [reportState]);
+  }, [reportState, underwriting]);
 
   const expenseItemsForDisplay = useMemo(
     () => (expenseRatioActive ? [] : expenseItems),
@@ -322,7 +337,24 @@ const SharedReport = () => {
     };
   }, [report]);
 
+  // Rebuilt from the saved inputs so the grids always match the current engine.
+  const sensitivityGrids = useMemo(() => {
+    if (!reportState || !Array.isArray(reportState.units)) {
+      return [];
+    }
+
+    return buildSensitivityTables(
+      reportState,
+      Array.isArray(reportState.sensitivityTables) && reportState.sensitivityTables.length > 0
+        ? reportState.sensitivityTables
+        : undefined
+    );
+  }, [reportState]);
+
   const reportTitle = report?.report_name?.trim() || 'Shared Report Summary';
+  const scenarioName = Array.isArray(reportState?.scenarios)
+    ? reportState.scenarios.find((scenario) => scenario?.id === reportState.activeScenarioId)?.name
+    : null;
 
   return (
     <div className="min-h-screen bg-slate-100 py-12">
@@ -333,7 +365,9 @@ const SharedReport = () => {
               Shared Report
             </p>
             <h1 className="text-3xl font-bold text-slate-900">{reportTitle}</h1>
-            <p className="text-sm text-slate-600">Read-only summary</p>
+            <p className="text-sm text-slate-600">
+              Read-only summary{scenarioName ? ` · ${scenarioName} scenario` : ''}
+            </p>
           </div>
           <div className="flex flex-wrap items-center gap-2">
             <Link
@@ -485,12 +519,32 @@ const SharedReport = () => {
                             ))}
                           </tbody>
                         </table>
+                        {propertyTax && (
+                          <p className="mt-3 text-xs text-slate-600">
+                            Property tax reassessed on sale ({propertyTax.jurisdiction?.name}): seller paid{' '}
+                            {formatCurrency(propertyTax.sellerTax)}, year one after closing{' '}
+                            {formatCurrency(propertyTax.year1Tax)}.
+                          </p>
+                        )}
                       </div>
                     )
                   )}
                 </div>
               </>
             )}
+
+            {sensitivityGrids.length > 0 && (
+              <>
+                <div className="border-t border-slate-200 px-6 py-4">
+                  <h2 className="text-lg font-semibold text-slate-900">Sensitivity Analysis</h2>
+                </div>
+                <div className="flex flex-col gap-6 px-6 pb-6">
+                  {sensitivityGrids.map((grid, index) => (
+                    <SensitivityTable key={grid.id || index} grid={grid} />
+                  ))}
+                </div>
+              </>
+            )}
           </div>
         )}
       </div>
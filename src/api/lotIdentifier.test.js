@@ -0,0 +1,70 @@
+import { compareLots, createLotNormalizer, normalizeLot } from '../../api/utils/lotIdentifier';
+
+describe('lot identifiers', () => {
+  test('zero-padding never changes which lot an ID names', () => {
+    const lots = ['7', '07', '007', 'Lot 7', 'Site #7', 'No. 7'].map(normalizeLot);
+
+    lots.forEach((lot) => expect(lot).toMatchObject({ display: '007', key: '7', numeric: 7 }));
+    expect(normalizeLot(' 0021 ')).toMatchObject({ key: '21', numeric: 21, original: '0021' });
+  });
+
+  test('RV pads match with or without the dash and padding, keeping how they were written', () => {
+    const dashed = normalizeLot('RV-7');
+    const packed = normalizeLot('rv07');
+
+    expect(dashed).toMatchObject({ display: 'RV-7', key: 'RV-7', prefix: 'RV', numeric: 7 });
+    expect(packed).toMatchObject({ display: 'RV-07', key: 'RV-7', prefix: 'RV', numeric: 7 });
+  });
+
+  test('section prefixes and split-pad suffixes are kept apart from the number', () => {
+    expect(normalizeLot('A12')).toMatchObject({ display: 'A-12', key: 'A-12', prefix: 'A', suffix: '' });
+    expect(normalizeLot('North 14')).toMatchObject({ display: 'NORTH-14', prefix: 'NORTH', numeric: 14 });
+    expect(normalizeLot('200-A')).toMatchObject({
+      display: '200-A',
+      key: '200-A',
+      prefix: '',
+      suffix: 'A',
+      segments: [200, 'A'],
+    });
+    expect(normalizeLot('A12').key).not.toBe(normalizeLot('B12').key);
+  });
+
+  test('summary rows and text that is not an ID are rejected', () => {
+    [
+      null,
+      undefined,
+      '',
+      'Lot',
+      'Total',
+      'Totals 45',
+      'Subtotal 3',
+      'Vacant 2',
+      'Page 2 of 9',
+      'Clubhouse',
+      '$450.00',
+      '12345678901234567890X',
+      'A-1-B-2-C',
+    ].forEach((token) => expect(normalizeLot(token)).toBeNull());
+  });
+
+  test('lots sort naturally, numbers before sections', () => {
+    const sorted = ['RV-10', '200-A', '7', 'RV-9', '200', 'A12', '012', 'B2']
+      .map(normalizeLot)
+      .sort(compareLots)
+      .map((lot) => lot.display);
+
+    expect(sorted).toEqual(['007', '012', '200', '200-A', 'A-12', 'B-2', 'RV-9', 'RV-10']);
+    expect(compareLots(normalizeLot('RV-7'), normalizeLot('RV07'))).not.toBe(0);
+    expect(compareLots(normalizeLot('9'), normalizeLot('10'))).toBeLessThan(0);
+  });
+
+  test('options change the padding and the words stripped or rejected', () => {
+    const normalize = createLotNormalizer({ padDigits: 2, stripWords: ['pad'], rejectWords: ['office'] });
+
+    expect(normalize('7')).toMatchObject({ display: '07', key: '7' });
+    expect(normalize('Pad 7').key).toBe('7');
+    expect(normalize('Lot 7')).toMatchObject({ display: 'LOT-7', key: 'LOT-7' });
+    expect(normalize('Office 1')).toBeNull();
+    expect(normalize('Total 3')).toMatchObject({ key: 'TOTAL-3' });
+  });
+});
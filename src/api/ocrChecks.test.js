@@ -0,0 +1,71 @@
+import { describeOcrConfidence, LOW_OCR_CONFIDENCE, MIN_TEXT_LENGTH, needsOcr } from '../../api/utils/ocrChecks';
+
+describe('OCR checks', () => {
+  test('PDFs with little or no text are read with OCR', () => {
+    expect(needsOcr(undefined)).toBe(true);
+    expect(needsOcr('')).toBe(true);
+    expect(needsOcr(`Page 1 of 3\n${' '.repeat(400)}\n`)).toBe(true);
+    expect(needsOcr('x'.repeat(MIN_TEXT_LENGTH - 1))).toBe(true);
+    expect(needsOcr('x'.repeat(MIN_TEXT_LENGTH))).toBe(false);
+  });
+
+  test('confident, complete OCR raises no warning', () => {
+    expect(describeOcrConfidence(null)).toBeNull();
+    expect(
+      describeOcrConfidence({
+        pages: [
+          { page: 1, confidence: 91 },
+          { page: 2, confidence: LOW_OCR_CONFIDENCE },
+        ],
+        pageCount: 2,
+        truncated: false,
+      })
+    ).toBeNull();
+  });
+
+  test('low-confidence pages and skipped pages are flagged for review', () => {
+    expect(
+      describeOcrConfidence({
+        pages: [
+          { page: 1, confidence: 88 },
+          { page: 2, confidence: 41 },
+          { page: 3, confidence: 59 },
+        ],
+        pageCount: 3,
+        truncated: false,
+      })
+    ).toEqual({
+      code: 'low_ocr_confidence',
+      message: 'Low OCR confidence on page(s) 2 (41%), 3 (59%); check those rows against the scan.',
+      severity: 'warning',
+    });
+
+    expect(
+      describeOcrConfidence({
+        pages: [
+          { page: 1, confidence: 90 },
+          { page: 2, confidence: 12 },
+        ],
+        pageCount: 55,
+        truncated: true,
+      }).message
+    ).toBe(
+      'Low OCR confidence on page(s) 2 (12%); check those rows against the scan. ' +
+        'Only the first 2 of 55 pages were read; pages 3-55 are missing from the rows.'
+    );
+
+    expect(
+      describeOcrConfidence({
+        pages: [{ page: 1, confidence: 90 }],
+        pageCount: 2,
+        truncated: true,
+        unreadPages: [2],
+        stoppedBy: 'time',
+      })
+    ).toEqual({
+      code: 'low_ocr_confidence',
+      message: 'Only the first 1 of 2 pages were read before OCR ran out of time; page 2 is missing from the rows.',
+      severity: 'warning',
+    });
+  });
+});
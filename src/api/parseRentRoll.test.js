@@ -0,0 +1,90 @@
+import { buildRentRollRows, computeSummaryStats, normalizeDate } from '../../api/parse-rentroll';
+
+describe('rent roll parser', () => {
+  test('two-digit years pivot ten years past the reference year', () => {
+    expect(normalizeDate('3/1/98', 2026)).toBe('1998-03-01');
+    expect(normalizeDate('5/31/36', 2026)).toBe('2036-05-31');
+    expect(normalizeDate('5/31/37', 2026)).toBe('1937-05-31');
+    expect(normalizeDate('1/15/05', 2095)).toBe('2105-01-15');
+    expect(normalizeDate('12-1-2024', 2026)).toBe('2024-12-01');
+    expect(normalizeDate('2025-02-03T00:00:00Z', 2026)).toBe('2025-02-03');
+    expect(normalizeDate('13/1/25', 2026)).toBeNull();
+    expect(normalizeDate('March 2025', 2026)).toBeNull();
+    expect(normalizeDate('', 2026)).toBeNull();
+  });
+
+  test('rows carry ownership, dates and charges in the engine shape', () => {
+    const { rows } = buildRentRollRows([
+      {
+        lot_number: '2',
+        occupied: true,
+        rent: 900,
+        tenant: 'Park home',
+        home_ownership: 'park_owned',
+        move_in_date: '3/1/98',
+        lease_end: '2030-06-30',
+        utility_billback: 40,
+        other_charges: 15,
+        balance: 120,
+      },
+      { lot_number: '1', occupied: true, rent: 500, home_ownership: 'Tenant', other_charges: '15' },
+    ]);
+
+    expect(rows[0]).toMatchObject({
+      lotNumber: '001',
+      homeOwnership: 'tenantOwned',
+      moveInDate: null,
+      leaseEnd: null,
+      utilityBillback: null,
+      otherCharges: null,
+      balance: null,
+    });
+    expect(rows[1]).toMatchObject({
+      lotNumber: '002',
+      homeOwnership: 'parkOwned',
+      moveInDate: '1998-03-01',
+      leaseEnd: '2030-06-30',
+      utilityBillback: 40,
+      otherCharges: 15,
+      balance: 120,
+    });
+  });
+
+  test('income by ownership is the engine summary of the parsed rows', () => {
+    const { rows, warnings } = buildRentRollRows([
+      { lot_number: '1', occupied: true, rent: 500 },
+      { lot_number: '2', occupied: true, rent: 900, home_ownership: 'POH', utility_billback: 40 },
+      { lot_number: '3', occupied: false, rent: 850, home_ownership: 'park owned', balance: 300 },
+      { lot_number: '4', occupied: true, rent: 700, home_ownership: 'RTO', other_charges: 15 },
+    ]);
+    const summary = computeSummaryStats(rows, warnings);
+
+    expect(summary).toMatchObject({ totalLots: 4, occupiedLots: 3, totalAnnualIncome: 25200 });
+    expect(summary.incomeByOwnership).toEqual({
+      tenantOwned: {
+        units: 1,
+        occupiedUnits: 1,
+        rentIncome: 6000,
+        utilityBillbacks: 0,
+        otherCharges: 0,
+        balanceOwed: 0,
+      },
+      parkOwned: {
+        units: 2,
+        occupiedUnits: 1,
+        rentIncome: 10800,
+        utilityBillbacks: 480,
+        otherCharges: 0,
+        balanceOwed: 300,
+      },
+      rentToOwn: {
+        units: 1,
+        occupiedUnits: 1,
+        rentIncome: 8400,
+        utilityBillbacks: 0,
+        otherCharges: 180,
+        balanceOwed: 0,
+      },
+    });
+  });
+});
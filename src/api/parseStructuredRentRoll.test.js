@@ -0,0 +1,266 @@
+import zlib from 'zlib';
+import {
+  detectHeaderRow,
+  extractRentRollRows,
+  mapRentRollColumns,
+  parseDelimitedText,
+  parseStructuredRentRoll,
+  parseXlsx,
+} from '../../api/utils/parseStructuredRentRoll';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, byte) => {
+  let crc = byte;
+  for (let bit = 0; bit < 8; bit += 1) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+const crc32 = (buffer) =>
+  (buffer.reduce((crc, byte) => CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8), 0xffffffff) ^
+    0xffffffff) >>>
+  0;
+
+// A minimal zip archive. The first part is stored and the rest are deflated, so
+// both methods the reader supports are covered.
+const buildZip = (parts) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(parts).forEach(([name, text], index) => {
+    const raw = Buffer.from(text, 'utf8');
+    const method = index === 0 ? 0 : 8;
+    const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+    const fileName = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc32(raw), 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc32(raw), 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, data);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const inline = (reference, text) => `<c r="${reference}" t="inlineStr"><is><t>${text}</t></is></c>`;
+const shared = (reference, index) => `<c r="${reference}" t="s"><v>${index}</v></c>`;
+const number = (reference, value) => `<c r="${reference}"><v>${value}</v></c>`;
+
+// Title on row 1, an empty self-closing row 2, the header on row 3, row 5
+// skipped, an empty shared string and a worksheet found through the rels.
+const workbook = buildZip({
+  '[Content_Types].xml': '<?xml version="1.0"?><Types/>',
+  'xl/workbook.xml':
+    '<workbook><sheets><sheet name="Rent Roll" sheetId="1" r:id="rId3"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels':
+    '<Relationships><Relationship Id="rId3" Type="worksheet" Target="worksheets/rentroll.xml"/></Relationships>',
+  'xl/sharedStrings.xml': [
+    '<sst count="8" uniqueCount="8">',
+    '<si><r><t xml:space="preserve">Sunny </t></r><r><t>Acres Rent Roll</t></r></si>',
+    '<si/>',
+    '<si><t>Lot</t></si>',
+    '<si><t>Tenant</t></si>',
+    '<si><t>Lot Rent</t></si>',
+    '<si><t>Status</t></si>',
+    '<si><t>Smith &amp; Sons</t></si>',
+    '<si><t>Vacant</t></si>',
+    '</sst>',
+  ].join(''),
+  'xl/worksheets/rentroll.xml': [
+    '<worksheet><sheetData>',
+    `<row r="1">${shared('A1', 0)}</row>`,
+    '<row r="2" spans="1:4"/>',
+    `<row r="3">${shared('A3', 2)}${shared('B3', 3)}${shared('C3', 4)}${shared('D3', 5)}</row>`,
+    `<row r="4">${number('A4', 1)}${shared('B4', 6)}${number('C4', 450)}${inline('D4', 'Occupied')}</row>`,
+    `<row r="6">${inline('A6', '2')}${shared('B6', 1)}${number('C6', 425)}${shared('D6', 7)}</row>`,
+    `<row r="7">${inline('A7', 'Total')}${number('C7', 875)}</row>`,
+    '</sheetData></worksheet>',
+  ].join(''),
+});
+
+describe('structured rent roll parsing', () => {
+  test('quoted CSV fields keep delimiters, doubled quotes and line breaks', () => {
+    const rows = parseDelimitedText(
+      'Lot,Tenant,Rent\r\n"12","Doe, ""Jimmy"" J.","$1,250.00"\r\n"15","Multi\nline",400'
+    );
+
+    expect(rows).toEqual([
+      ['Lot', 'Tenant', 'Rent'],
+      ['12', 'Doe, "Jimmy" J.', '$1,250.00'],
+      ['15', 'Multi\nline', '400'],
+    ]);
+    expect(parseDelimitedText('Lot\tRent\n7\t300\n')).toEqual([
+      ['Lot', 'Rent'],
+      ['7', '300'],
+    ]);
+  });
+
+  test('columns are claimed once, so lot rent is never the lot', () => {
+    expect(
+      mapRentRollColumns([
+        'Lot Rent',
+        'Lot #',
+        'Occupied Since',
+        'Status',
+        'Water',
+        'Sewer',
+        'Total Due',
+        'Pet Fee',
+        'Late Fee',
+        'Balance',
+      ])
+    ).toEqual({
+      lot: 1,
+      tenant: -1,
+      rent: 0,
+      status: 3,
+      ownership: -1,
+      moveIn: 2,
+      leaseEnd: -1,
+      balance: 9,
+      utilities: [4, 5],
+      otherCharges: [7],
+    });
+  });
+
+  test('a CSV header below title lines is found and empty rows are skipped', () => {
+    const csv = [
+      'Sunny Acres,,,',
+      '"Rent roll as of March 1, 2025",,,',
+      '',
+      'Site #,Resident,Base Rent,Water',
+      '12,"Doe, Jane","$1,250.00",35',
+      ',,,',
+      '14,,(25.00),',
+      'Total,,"1,225.00",',
+    ].join('\r\n');
+    const rows = parseDelimitedText(csv);
+
+    expect(detectHeaderRow(rows)).toMatchObject({ index: 3 });
+
+    const result = parseStructuredRentRoll(Buffer.from(`\uFEFF${csv}`), 'rentroll.csv');
+    expect(result.rows).toEqual([
+      {
+        lot_number: '12',
+        occupied: true,
+        rent: 1250,
+        tenant: 'Doe, Jane',
+        utility_billback: 35,
+        source_page: 1,
+        source_line: 5,
+        source_text: '12 | Doe, Jane | $1,250.00 | 35',
+      },
+      {
+        lot_number: '14',
+        occupied: false,
+        rent: -25,
+        source_page: 1,
+        source_line: 7,
+        source_text: '14 | (25.00)',
+      },
+    ]);
+    expect(result.rentTotal).toBe(1225);
+    expect(result.totalLines).toEqual(['Total 1,225.00']);
+    expect(result.columns).toMatchObject({ lot: 'Site #', tenant: 'Resident', rent: 'Base Rent' });
+  });
+
+  test('ownership, dates, charges and balances are read from their columns', () => {
+    const csv = [
+      'Lot,Resident,Home Type,Move In,Lease Exp,Rent,Water,Trash,Pet Fee,Balance',
+      '3,Lee,POH,3/1/98,45838,900,30,10,15,120.50',
+      '4,Vacant,,,,,,,,',
+    ].join('\n');
+
+    expect(parseStructuredRentRoll(Buffer.from(csv), 'rentroll.csv').rows).toEqual([
+      {
+        lot_number: '3',
+        occupied: true,
+        rent: 900,
+        tenant: 'Lee',
+        home_ownership: 'POH',
+        move_in_date: '3/1/98',
+        lease_end: '2025-06-30',
+        utility_billback: 40,
+        other_charges: 15,
+        balance: 120.5,
+        source_page: 1,
+        source_line: 2,
+        source_text: '3 | Lee | POH | 3/1/98 | 45838 | 900 | 30 | 10 | 15 | 120.50',
+      },
+      { lot_number: '4', occupied: false, source_page: 1, source_line: 3, source_text: '4 | Vacant' },
+    ]);
+  });
+
+  test('an XLSX workbook keeps empty rows and shared strings aligned', () => {
+    expect(parseXlsx(workbook)).toEqual([
+      ['Sunny Acres Rent Roll'],
+      [],
+      ['Lot', 'Tenant', 'Lot Rent', 'Status'],
+      ['1', 'Smith & Sons', '450', 'Occupied'],
+      [],
+      ['2', '', '425', 'Vacant'],
+      ['Total', '', '875'],
+    ]);
+
+    const result = parseStructuredRentRoll(workbook, 'Rent Roll.xlsx');
+    expect(result.rows).toMatchObject([
+      { lot_number: '1', occupied: true, rent: 450, tenant: 'Smith & Sons', source_line: 4 },
+      { lot_number: '2', occupied: false, rent: 425, source_line: 6 },
+    ]);
+    expect(result.rows[1]).not.toHaveProperty('tenant');
+    expect(result.rentTotal).toBe(875);
+  });
+
+  test('files that are not zip archives are rejected', () => {
+    expect(() => parseXlsx(Buffer.from('Lot,Rent\n1,300'))).toThrow('not a valid XLSX file');
+    expect(extractRentRollRows([['Rent roll'], ['nothing to see']])).toBeNull();
+  });
+
+  test('truncated and corrupted workbooks are rejected as bad uploads, not read out of bounds', () => {
+    const endOfDirectory = workbook.subarray(workbook.length - 22);
+    const truncated = Buffer.concat([workbook.subarray(0, 200), endOfDirectory]);
+    const badDirectoryOffset = Buffer.from(workbook);
+    badDirectoryOffset.writeUInt32LE(workbook.length + 1000, workbook.length - 22 + 16);
+    const corruptedData = Buffer.from(workbook);
+    const sheetData = corruptedData.indexOf('xl/worksheets/rentroll.xml') + 'xl/worksheets/rentroll.xml'.length;
+    corruptedData.fill(0xff, sheetData, sheetData + 12);
+
+    [truncated, badDirectoryOffset, corruptedData].forEach((buffer) => {
+      let thrown = null;
+      try {
+        parseStructuredRentRoll(buffer, 'rentroll.xlsx');
+      } catch (error) {
+        thrown = error;
+      }
+      expect(thrown).toMatchObject({ message: 'The file is not a valid XLSX file.', statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import {
+  LOW_CONFIDENCE_SIMILARITY,
+  loadCategoryRules,
+  rankSuggestion,
+  suggestPnlCategories,
+} from '../../api/utils/pnlCategorySuggestions';
+
+// Stand-ins for the OpenAI and Supabase clients the handler passes in. The
+// database returns the nearest examples for each label.
+const openaiClient = {
+  embeddings: {
+    create: async ({ input }) => ({ data: input.map((label, index) => ({ embedding: [index, label.length] })) }),
+  },
+};
+
+const createSupabase = (neighboursByLabelLength) => {
+  const calls = [];
+  return {
+    calls,
+    rpc: async (name, params) => {
+      calls.push({ name, params });
+      return { data: neighboursByLabelLength[params.query_embedding[1]] || [], error: null };
+    },
+  };
+};
+
+describe('P&L category suggestions', () => {
+  test('the nearest examples vote on a category, weighted by similarity', () => {
+    const suggestion = rankSuggestion([
+      { label: 'Water bill', category: 'Water/Sewer', similarity: 0.91 },
+      { label: 'Electric', category: 'Utilities', similarity: 0.9 },
+      { label: 'Power', category: 'Utilities', similarity: 0.88 },
+      { label: 'Sewer', category: 'Water/Sewer', similarity: 0.5 },
+      { label: 'Gas', category: 'Utilities', similarity: 0.4 },
+      { label: 'Sixth', category: 'Water/Sewer', similarity: 0.39 },
+    ]);
+
+    // Utilities 2.18 beats Water/Sewer 1.41; the sixth example does not vote.
+    expect(suggestion).toEqual({
+      category: 'Utilities',
+      similarity: 0.9,
+      matchedLabel: 'Electric',
+      source: 'training',
+      lowConfidence: false,
+    });
+    expect(rankSuggestion([])).toBeNull();
+    expect(rankSuggestion([{ label: 'x', category: null, similarity: 0.9 }])).toBeNull();
+  });
+
+  test('suggestions whose closest example is under the cutoff are low confidence', () => {
+    const at = rankSuggestion([{ label: 'Pest', category: 'Repairs', similarity: LOW_CONFIDENCE_SIMILARITY }]);
+    const under = rankSuggestion([{ label: 'Pest', category: 'Repairs', similarity: 0.7994 }]);
+
+    expect(at.lowConfidence).toBe(false);
+    expect(under).toMatchObject({ similarity: 0.799, lowConfidence: true });
+  });
+
+  test('rules match first and only unmatched lines are looked up in the database', async () => {
+    const rules = await loadCategoryRules();
+    const supabase = createSupabase({
+      14: [
+        { raw_label: 'Landscape crew', mapped_category: 'Landscaping', section: 'expense', similarity: '0.93' },
+        { raw_label: 'Mowing', mapped_category: 'Landscaping', section: 'expense', similarity: 0.85 },
+      ],
+    });
+
+    const suggestions = await suggestPnlCategories({
+      openaiClient,
+      supabase,
+      rules,
+      parsed: {
+        income: { individual_items: [{ label: 'Lot Rent' }] },
+        expenses: { individual_items: [{ label: 'Grounds upkeep' }, { label: 'Misc thing' }, { label: ' ' }] },
+      },
+    });
+
+    expect(suggestions['income:lot rent']).toMatchObject({ source: 'rule', lowConfidence: false });
+    expect(suggestions['expense:grounds upkeep']).toEqual({
+      category: 'Landscaping',
+      similarity: 0.93,
+      matchedLabel: 'Landscape crew',
+      source: 'training',
+      lowConfidence: false,
+      section: 'expense',
+    });
+    expect(suggestions).not.toHaveProperty(['expense:misc thing']);
+    expect(supabase.calls.map((call) => call.name)).toEqual([
+      'match_pnl_label_training',
+      'match_pnl_label_training',
+    ]);
+    expect(supabase.calls[0].params).toMatchObject({ match_section: 'expense', match_count: 5 });
+  });
+
+  test('a failed lookup leaves the rule matches', async () => {
+    const rules = await loadCategoryRules();
+    const supabase = { rpc: async () => ({ data: null, error: new Error('function does not exist') }) };
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const suggestions = await suggestPnlCategories({
+      openaiClient,
+      supabase,
+      rules,
+      parsed: { income: { individual_items: [{ label: 'Lot Rent' }, { label: 'Odd income' }] } },
+    });
+
+    expect(Object.keys(suggestions)).toEqual(['income:lot rent']);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
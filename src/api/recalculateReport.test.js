@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  buildRecalculatedColumns,
+  findCalculationDiscrepancies,
+  loadReferenceTables,
+  recalculateReportState,
+} from '../../api/utils/recalculateReport';
+
+// API modules live outside src, where Jest does not look, so their tests sit
+// here and import them.
+const FIXTURE_DIR = path.join(__dirname, '..', 'engine', '__fixtures__');
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+
+describe('server recalculation', () => {
+  test('recalculates with the bundled reference tables the app uses', async () => {
+    const deal = readJson('property-tax-reassessment.deal.json');
+    const golden = readJson('property-tax-reassessment.golden.json');
+    const calculations = recalculateReportState(deal, await loadReferenceTables());
+
+    expect(calculations.propertyTax.jurisdiction.name).toBe(golden.propertyTax.jurisdiction.name);
+    expect(calculations.irr).toBeCloseTo(golden.irr, 4);
+    expect(recalculateReportState(null)).toBeNull();
+  });
+
+  test('only submitted metrics outside the tolerance are discrepancies', () => {
+    const server = { noi: 120000, capRate: 6.25, irr: 14.5, dscr: 1.31 };
+    const discrepancies = findCalculationDiscrepancies(
+      { noi: '120000.004', capRate: 6.5, irr: 'n/a', dscr: null, cashOnCash: undefined },
+      server
+    );
+
+    expect(discrepancies).toEqual([
+      { key: 'capRate', column: 'cap_rate', client: 6.5, server: 6.25, difference: 0.25 },
+      { key: 'irr', column: 'irr', client: null, server: 14.5, difference: null },
+    ]);
+    expect(findCalculationDiscrepancies(null, server)).toEqual([]);
+    expect(findCalculationDiscrepancies({ noi: 1 }, null)).toEqual([]);
+  });
+
+  test('the tolerance scales with large values', () => {
+    expect(findCalculationDiscrepancies({ totalInvestment: 5000000.9 }, { totalInvestment: 5000000 }))
+      .toEqual([]);
+    expect(
+      findCalculationDiscrepancies({ totalInvestment: 5000010 }, { totalInvestment: 5000000 })
+    ).toHaveLength(1);
+  });
+
+  test('recalculated columns keep only finite server values', () => {
+    expect(
+      buildRecalculatedColumns({
+        noi: 120000,
+        capRate: '6.25',
+        irr: NaN,
+        dscr: Infinity,
+        totalUnits: 40,
+        unrelated: 5,
+      })
+    ).toEqual({ noi: 120000, cap_rate: 6.25, total_lots: 40 });
+    expect(buildRecalculatedColumns(null)).toEqual({});
+  });
+});
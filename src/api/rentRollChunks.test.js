@@ -0,0 +1,73 @@
+import { buildChunks, buildSourceLines, dedupeChunkRows } from '../../api/utils/rentRollChunks';
+
+const header = 'Sunny Acres Rent Roll\nLot  Tenant        Rent';
+
+describe('rent roll chunking', () => {
+  test('a row on a chunk boundary is repeated whole in the next chunk and read once', () => {
+    const rows = Array.from({ length: 12 }, (_, index) => `${index + 1}  Tenant ${index + 1}  450.00`);
+    const sourceLines = buildSourceLines(`${header}\n${rows.join('\n')}\f`);
+    const chunks = buildChunks(sourceLines, { chunkSize: 200, overlapLines: 2 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk) => expect(chunk.length).toBeLessThanOrEqual(200));
+    chunks.slice(1).forEach((chunk, index) => {
+      const previousLines = chunks[index].split('\n');
+      expect(chunk.split('\n').slice(0, 2)).toEqual(previousLines.slice(-2));
+    });
+    sourceLines.forEach((entry) => {
+      const line = `[p${entry.page}:l${entry.line}] ${entry.text}`;
+      expect(chunks.some((chunk) => chunk.split('\n').includes(line))).toBe(true);
+    });
+
+    // Both chunks read the boundary row; the copy from the second is dropped.
+    const boundary = chunks[0].split('\n').pop();
+    expect(boundary).toMatch(/^\[p1:l\d+\] \d+ {2}Tenant/);
+    const line = Number(boundary.match(/l(\d+)/)[1]);
+    const lot = boundary.split('] ')[1].split(' ')[0];
+    const read = { lot_number: lot, rent: 450, source_page: 1, source_line: line };
+    expect(dedupeChunkRows([read, { ...read, lot_number: ` ${lot} ` }])).toEqual([read]);
+  });
+
+  test('each page restarts its line numbers and a repeated page header is kept per page', () => {
+    const text = `${header}\n1  Smith  450.00\n2  Jones  425.00\f\n${header}\n3  Doe  400.00\f`;
+    const sourceLines = buildSourceLines(text);
+
+    expect(sourceLines.map(({ page, line }) => `${page}:${line}`)).toEqual([
+      '1:1',
+      '1:2',
+      '1:3',
+      '1:4',
+      '2:1',
+      '2:2',
+      '2:3',
+    ]);
+
+    // Page 1 fills over half a chunk, so the break falls at the page with no overlap.
+    const chunks = buildChunks(sourceLines, { chunkSize: 150, overlapLines: 2 });
+    expect(chunks).toEqual([
+      [
+        '[p1:l1] Sunny Acres Rent Roll',
+        '[p1:l2] Lot  Tenant        Rent',
+        '[p1:l3] 1  Smith  450.00',
+        '[p1:l4] 2  Jones  425.00',
+      ].join('\n'),
+      ['[p2:l1] Sunny Acres Rent Roll', '[p2:l2] Lot  Tenant        Rent', '[p2:l3] 3  Doe  400.00'].join(
+        '\n'
+      ),
+    ]);
+    expect(buildChunks(sourceLines)).toHaveLength(1);
+  });
+
+  test('only copies of the same lot from the same line are dropped', () => {
+    const rows = [
+      { lot_number: '1', source_page: 1, source_line: 3 },
+      { lot_number: '1', source_page: 2, source_line: 3 },
+      { lot_number: '2', source_page: 1, source_line: 3 },
+      { lot_number: '9' },
+      { lot_number: '9' },
+      { lot_number: '1', source_page: 1, source_line: 3 },
+    ];
+
+    expect(dedupeChunkRows(rows)).toEqual(rows.slice(0, 5));
+  });
+});
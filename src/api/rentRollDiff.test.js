@@ -0,0 +1,74 @@
+import { diffRentRolls } from '../../api/utils/rentRollDiff';
+
+const previous = [
+  { lotNumber: '007', occupied: true, rent: 450, tenant: 'Smith' },
+  { lotNumber: '8', occupied: false, rent: null, tenant: 'Vacant' },
+  { lotNumber: '9', occupied: true, rent: 400, tenant: 'Jones' },
+  { lotNumber: 'RV-07', occupied: true, rent: 300, tenant: 'Occupied' },
+  { lotNumber: '11', occupied: true, rent: 500, tenant: 'Brown  Family' },
+  { lotNumber: '12', occupied: true, rent: 500, tenant: 'White' },
+  { lotNumber: 'Office', occupied: false, rent: null },
+];
+
+// A later upload in the raw parser shape, with the padding dropped.
+const current = [
+  { lot_number: '7', occupied: true, rent: 475, tenant: 'Smith' },
+  { lot_number: '08', occupied: true, rent: 425, tenant: 'Doe' },
+  { lot_number: 'RV7', occupied: true, rent: '300', tenantName: 'Lee' },
+  { lot_number: '10', occupied: true, rent: 410, tenant: 'New' },
+  { lot_number: '11', occupied: true, rent: 500, tenant: 'brown family' },
+  { lot_number: '012', occupied: true, rent: 500, tenant: 'Green' },
+  { lot_number: 'office', occupied: false, rent: '' },
+];
+
+describe('rent roll diff', () => {
+  test('zero-padded and dashed lot IDs line up across uploads', () => {
+    const diff = diffRentRolls(previous, current);
+
+    expect(diff.rentChanges).toEqual([
+      { lotNumber: '007', previousRent: 450, currentRent: 475, change: 25 },
+    ]);
+    expect(diff.moveIns).toEqual([{ lotNumber: '008', tenant: 'Doe', rent: 425 }]);
+    expect(diff.moveOuts).toEqual([]);
+  });
+
+  test('placeholder tenant names and case or spacing changes are not tenant changes', () => {
+    const diff = diffRentRolls(previous, current);
+
+    // "Occupied" on RV-07 is a placeholder, so Lee is not a change of tenant.
+    expect(diff.tenantChanges).toEqual([
+      { lotNumber: '012', previousTenant: 'White', currentTenant: 'Green' },
+    ]);
+
+    const moveOut = diffRentRolls(
+      [{ lotNumber: '3', occupied: true, rent: 400, tenant: 'Vacant' }],
+      [{ lotNumber: '3', occupied: false, rent: 400, tenant: 'VACANT' }]
+    );
+    expect(moveOut.moveOuts).toEqual([{ lotNumber: '003', tenant: null, rent: 400 }]);
+    expect(moveOut.tenantChanges).toEqual([]);
+  });
+
+  test('added and removed lots are listed and the summary moves with them', () => {
+    const diff = diffRentRolls(previous, current);
+
+    expect(diff.addedLots).toEqual([{ lotNumber: '010', occupied: true, rent: 410, tenant: 'New' }]);
+    expect(diff.removedLots).toEqual([{ lotNumber: '009', occupied: true, rent: 400, tenant: 'Jones' }]);
+    expect(diff.summary.previous).toMatchObject({ totalLots: 7, occupiedLots: 5, monthlyIncome: 2150 });
+    expect(diff.summary.current).toMatchObject({ totalLots: 7, occupiedLots: 6, monthlyIncome: 2610 });
+    expect(diff.summary).toMatchObject({ occupiedLotsChange: 1, monthlyIncomeChange: 460 });
+    expect(diff.summary.occupancyRateChange).toBeCloseTo(100 / 7, 6);
+  });
+
+  test('an empty earlier roll adds every lot', () => {
+    const diff = diffRentRolls(null, current.slice(0, 2));
+
+    expect(diff.addedLots.map((lot) => lot.lotNumber)).toEqual(['007', '008']);
+    expect(diff.removedLots).toEqual([]);
+    expect(diff.summary.previous).toEqual({
+      totalLots: 0,
+      occupiedLots: 0,
+      occupancyRate: 0,
+      monthlyIncome: 0,
+    });
+  });
+});
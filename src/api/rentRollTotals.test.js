@@ -0,0 +1,110 @@
+import { buildRentRollRows } from '../../api/parse-rentroll';
+import { collectDocumentTotals, reconcileTotals } from '../../api/utils/rentRollTotals';
+
+const lots = (count, rent, occupied = true) =>
+  Array.from({ length: count }, (_, index) => ({ lotNumber: String(index + 1), rent, occupied }));
+
+describe('rent roll totals', () => {
+  test('lot counts come from the number beside the keyword, never a rent amount', () => {
+    expect(collectDocumentTotals(['Total Occupied Rent 24,000 45'])).toMatchObject({
+      occupiedLots: 45,
+      rentTotals: [24000],
+    });
+    expect(
+      collectDocumentTotals(['Total Occupied: 52   Rent $24,000.00', '3 vacant lots total', 'Total Lots 55'])
+    ).toMatchObject({ occupiedLots: 52, vacantLots: 3, totalLots: 55, rentTotals: [24000] });
+
+    // A bare rent amount is the rent, not the count.
+    expect(collectDocumentTotals(['Total Occupied Rent 24000'])).toMatchObject({
+      occupiedLots: null,
+      rentTotals: [24000],
+    });
+  });
+
+  test('a total line naming rent wins over the grand total, and dates are not amounts', () => {
+    expect(
+      collectDocumentTotals([
+        'Rent Roll Totals as of 3/1/2025',
+        'Total Rent 24,000.00 (52 lots)',
+        'Grand Total 31,500.00 3,100.00',
+      ])
+    ).toEqual({
+      rentTotals: [24000],
+      occupiedLots: null,
+      vacantLots: null,
+      totalLots: 52,
+    });
+
+    expect(
+      collectDocumentTotals(['Page Total 12,000.00', 'Grand Total 12 24,500.00 3,100.00']).rentTotals
+    ).toEqual([24500]);
+    expect(collectDocumentTotals(['Lot 1 Smith 450.00', 'Notes: none']).rentTotals).toEqual([]);
+  });
+
+  test('rent is checked against the stated total, not the amount closest to the parse', () => {
+    const rows = lots(50, 480);
+    const totals = collectDocumentTotals(['Total Occupied Rent 24,000.00 50', 'Total Balance 23,990.00']);
+    const result = reconcileTotals(rows, totals);
+
+    expect(result.passed).toBe(true);
+    expect(result.checks).toEqual([
+      { key: 'rent', label: 'Base Rent', expected: 24000, parsed: 24000, difference: 0, passed: true },
+      {
+        key: 'occupiedLots',
+        label: 'Occupied Lots',
+        expected: 50,
+        parsed: 50,
+        difference: 0,
+        passed: true,
+      },
+    ]);
+
+    const short = reconcileTotals(lots(48, 480), collectDocumentTotals(['Totals $24,000.00 $960.00']));
+    expect(short).toMatchObject({ passed: false, severity: 'warning', possiblyMissingLots: 2 });
+    expect(short.message).toBe(
+      'Parsed rent roll does not reconcile with the document totals (Base Rent: expected 24000, parsed 23040); about 2 lot(s) may be missing.'
+    );
+  });
+
+  test('differing rent totals fail as ambiguous', () => {
+    const totals = collectDocumentTotals(['Total 12,000.00 500.00', 'Total 24,000.00 900.00']);
+    expect(totals.rentTotals).toEqual([12000, 24000]);
+
+    const result = reconcileTotals(lots(50, 480), totals);
+    expect(result.passed).toBe(false);
+    expect(result.checks[0]).toMatchObject({ key: 'rent', expected: null, difference: null, passed: false });
+    expect(result.message).toBe(
+      'Parsed rent roll does not reconcile with the document totals (Base Rent: the document states 12000, 24000, parsed 24000).'
+    );
+  });
+
+  test('counts far above the parsed rows are ignored, and no totals gives null', () => {
+    const result = reconcileTotals(lots(4, 500), {
+      rentTotals: [],
+      occupiedLots: 2000,
+      vacantLots: 1,
+      totalLots: null,
+    });
+
+    expect(result.checks).toHaveLength(1);
+    expect(result.checks[0]).toMatchObject({ key: 'vacantLots', expected: 1, parsed: 0, passed: false });
+    expect(reconcileTotals(lots(4, 500), collectDocumentTotals(['Lot 1 450']))).toBeNull();
+  });
+
+  test('a lot rent equal to a stated count or balance is kept and reconciles', () => {
+    const totals = collectDocumentTotals([
+      'Total Occupied Lots: 3',
+      'Total Rent $1,003.00',
+      'Total Balance 450.00',
+    ]);
+    const { rows, warnings } = buildRentRollRows([
+      { lot_number: '1', occupied: true, rent: 3 },
+      { lot_number: '2', occupied: true, rent: 450 },
+      { lot_number: '3', occupied: true, rent: 550 },
+    ]);
+
+    expect(rows.map((row) => row.rent)).toEqual([3, 450, 550]);
+    expect(warnings).toEqual([]);
+    expect(reconcileTotals(rows, totals)).toMatchObject({ passed: true, possiblyMissingLots: 0 });
+  });
+});
@@ -8,33 +8,22 @@ import React, {
 } from 'react';
 import { Button } from './ui/button';
 import { useToast } from './ToastProvider';
+import { calculatePeriodTotals, normaliseMonthlyAmounts } from '../engine';
+import { EXPENSE_CATEGORY_OPTIONS, INCOME_CATEGORY_OPTIONS } from '../config/categoryRules';
 
 const UNMAPPED_OPTION = 'Unmapped (Keep As-Is)';
 const SLOW_NOTICE_DELAY = 15000;
 
-const DEFAULT_INCOME_OPTIONS = [
-  'Lot Rent',
-  'Home Rent',
-  'Utility Reimbursement',
-  'Laundry',
-  'Late Fees',
-  'Other Income',
-];
-
-const DEFAULT_EXPENSE_OPTIONS = [
-  'Property Taxes',
-  'Insurance',
-  'Water/Sewer',
-  'Repairs & Maintenance',
-  'Payroll',
-  'Management Fees',
-  'Utilities',
-  'Administrative',
-  'Other Expense',
-];
-
 const STORAGE_KEY = 'pnl-mapping-cache';
 
+const formatPeriod = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+};
+
+const formatWholeDollars = (value) =>
+  `$${value.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
+
 function loadCachedMappings() {
   if (typeof window === 'undefined') {
     return {};
@@ -172,6 +161,33 @@ function groupItemsByMapping(items, mapping) {
   return Object.entries(grouped).map(([label, amount]) => ({ label, amount }));
 }
 
+// Suggestions for one section, keyed by lower-cased label. Keys are
+// "<section>:<label>"; bare labels apply to both sections.
+function selectSectionSuggestions(suggestions, section) {
+  const selected = {};
+  Object.entries(suggestions || {}).forEach(([key, meta]) => {
+    if (!key || !meta?.category) {
+      return;
+    }
+    const separator = key.indexOf(':');
+    const keySection = separator >= 0 ? key.slice(0, separator) : null;
+    if (keySection && keySection !== section) {
+      return;
+    }
+    const label = (separator >= 0 ? key.slice(separator + 1) : key).toLowerCase();
+    if (!keySection && selected[label]) {
+      return;
+    }
+    selected[label] = meta;
+  });
+  return selected;
+}
+
+const mergeOptions = (...lists) => Array.from(new Set(lists.flat().filter(Boolean)));
+
+const describeRule = (rule) =>
+  rule?.type === 'pattern' ? `pattern /${rule.value}/` : `keyword "${rule?.value}"`;
+
 const ProgressBar = ({ progress, label, fading, showNotice }) => (
   <div className={`mt-3 w-full transition-opacity ${fading ? 'opacity-0' : 'opacity-100'}`}>
     <div className="h-2 w-full overflow-hidden rounded-full bg-slate-800">
@@ -187,14 +203,39 @@ const ProgressBar = ({ progress, label, fading, showNotice }) => (
   </div>
 );
 
+// A row still sitting on a weak suggested match that nobody has confirmed.
+const rowNeedsReview = (row) =>
+  Boolean(row.suggestion?.lowConfidence) &&
+  !row.suggestionConfirmed &&
+  row.mappedCategory === row.suggestion.category;
+
 const MappingRow = ({ row, onChangeCategory, onChangeLabel, onChangeNote, categoryOptions }) => {
   const isUnmapped = row.mappedCategory === UNMAPPED_OPTION;
+  const periodTotals = calculatePeriodTotals(row.monthly);
+  const suggestion = row.suggestion;
+  const needsReview = rowNeedsReview(row);
   const rowClassName = [
     'grid grid-cols-[minmax(0,2.2fr)_minmax(0,1fr)_minmax(0,0.7fr)] gap-4 rounded-lg border p-4 text-sm transition-colors duration-200',
-    isUnmapped
+    isUnmapped || needsReview
       ? 'border-amber-400/50 bg-slate-800/70 hover:bg-slate-800'
       : 'border-slate-700 bg-slate-900 hover:bg-slate-900/80',
   ].join(' ');
+  const similarityLabel =
+    suggestion?.similarity !== null && suggestion?.similarity !== undefined
+      ? ` (${Math.round(suggestion.similarity * 100)}% match)`
+      : '';
+  const suggestionLabel =
+    suggestion?.source === 'rule'
+      ? `Matched rule: ${describeRule(suggestion.rule)}${
+          suggestion.rulesVersion ? ` (rules v${suggestion.rulesVersion})` : ''
+        }`
+      : `Suggested from past mappings${similarityLabel}`;
+  // Suggestions can name a category the options do not list (older training
+  // data, for example); keep it selectable rather than silently showing another.
+  const options =
+    row.mappedCategory === UNMAPPED_OPTION || categoryOptions.includes(row.mappedCategory)
+      ? categoryOptions
+      : [...categoryOptions, row.mappedCategory];
 
   return (
     <div className={rowClassName}>
@@ -218,12 +259,34 @@ const MappingRow = ({ row, onChangeCategory, onChangeLabel, onChangeNote, catego
             className="w-full rounded-md border border-slate-600 bg-slate-950 px-2 py-1 text-sm text-gray-100 focus:border-blue-400 focus:outline-none"
           >
             <option value={UNMAPPED_OPTION}>{UNMAPPED_OPTION}</option>
-            {categoryOptions.map((option) => (
+            {options.map((option) => (
               <option key={option} value={option}>
                 {option}
               </option>
             ))}
           </select>
+          {suggestion && row.mappedCategory === suggestion.category && (
+            <div
+              className={`mt-1 flex flex-wrap items-center gap-2 text-xs ${
+                needsReview ? 'text-amber-300' : 'text-slate-400'
+              }`}
+              title={suggestion.matchedLabel ? `Closest past label: ${suggestion.matchedLabel}` : undefined}
+            >
+              <span>
+                {suggestionLabel}
+                {needsReview ? ' — please confirm.' : ''}
+              </span>
+              {needsReview && (
+                <button
+                  type="button"
+                  onClick={() => onChangeCategory(row.id, row.mappedCategory)}
+                  className="rounded border border-amber-400/60 px-2 py-0.5 font-semibold text-amber-200 hover:bg-amber-400/10"
+                >
+                  Confirm
+                </button>
+              )}
+            </div>
+          )}
         </div>
       </div>
       <div className="flex flex-col justify-center gap-1">
@@ -241,10 +304,12 @@ const MappingRow = ({ row, onChangeCategory, onChangeLabel, onChangeNote, catego
         <p className="text-xs text-slate-500">Keep track of adjustments or caveats.</p>
       </div>
       <div className="self-center text-right text-base font-semibold text-indigo-200">
-        ${row.amount.toLocaleString(undefined, {
-          minimumFractionDigits: 0,
-          maximumFractionDigits: 0,
-        })}
+        {formatWholeDollars(row.amount)}
+        {periodTotals && (
+          <div className="mt-1 text-xs font-normal text-slate-400">
+            T12 {formatWholeDollars(periodTotals.t12)} • T3 {formatWholeDollars(periodTotals.t3Annualised)}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -252,8 +317,8 @@ const MappingRow = ({ row, onChangeCategory, onChangeLabel, onChangeNote, catego
 
 const PnLUpload = ({
   onApplyMapping,
-  incomeCategories = DEFAULT_INCOME_OPTIONS,
-  expenseCategories = DEFAULT_EXPENSE_OPTIONS,
+  incomeCategories = INCOME_CATEGORY_OPTIONS,
+  expenseCategories = EXPENSE_CATEGORY_OPTIONS,
 }) => {
   const { showToast } = useToast();
   const fileInputRef = useRef(null);
@@ -273,6 +338,13 @@ const PnLUpload = ({
   const [sourceIncomeItems, setSourceIncomeItems] = useState([]);
   const [sourceExpenseItems, setSourceExpenseItems] = useState([]);
   const [totals, setTotals] = useState({ totalIncome: 0, totalExpenses: 0, netIncome: 0 });
+  // Per-page OCR confidence when the P&L was a scan.
+  const [ocrSummary, setOcrSummary] = useState(null);
+  // Months ("YYYY-MM") the statement has columns for; empty for annual-only P&Ls.
+  const [periods, setPeriods] = useState([]);
+  const [sourceFilename, setSourceFilename] = useState('');
+  // Version, categories and load problems of the rule file the server used.
+  const [categoryRules, setCategoryRules] = useState(null);
   const [selectAllIncome, setSelectAllIncome] = useState(UNMAPPED_OPTION);
   const [selectAllExpense, setSelectAllExpense] = useState(UNMAPPED_OPTION);
   const cacheRef = useRef({});
@@ -344,7 +416,7 @@ const PnLUpload = ({
       const nextRows = items.map((item, index) => {
         const rowId = buildRowId(section, index, item.label);
         const cached = applyCachedMapping(section, item.label);
-        const suggestionKey = item.label ? item.label.toLowerCase() : '';
+        const suggestionKey = item.label ? item.label.trim().toLowerCase() : '';
         const suggestion = suggestions[suggestionKey];
         const suggestedCategory = suggestion?.category;
         const priorMatch = previousRows.find((row) => {
@@ -362,7 +434,23 @@ const PnLUpload = ({
             cached?.mappedCategory ||
             (suggestedCategory ? suggestedCategory : UNMAPPED_OPTION),
           amount: item.amount,
+          monthly: normaliseMonthlyAmounts(item.monthly),
           suggestionSource: suggestion?.source || null,
+          // Kept only when the suggestion picked the category, so the row can
+          // ask for a review of weak matches.
+          suggestion:
+            !cached?.mappedCategory && suggestedCategory
+              ? {
+                  category: suggestedCategory,
+                  source: suggestion.source || null,
+                  rule: suggestion.rule || null,
+                  rulesVersion: suggestion.rulesVersion || null,
+                  similarity: Number(suggestion.similarity) || null,
+                  matchedLabel: suggestion.matchedLabel || null,
+                  lowConfidence: Boolean(suggestion.lowConfidence),
+                }
+              : null,
+          suggestionConfirmed: false,
           note: cached?.note || priorMatch?.note || '',
         };
       });
@@ -446,22 +534,20 @@ const PnLUpload = ({
 
         const suggestionSource =
           data.category_suggestions || metadata?.category_suggestions || {};
-        const suggestionMapping = {};
-        Object.entries(suggestionSource).forEach(([label, meta]) => {
-          if (!label || !meta?.category) {
-            return;
-          }
-          suggestionMapping[label] = meta.category;
-          suggestionMapping[label.toLowerCase()] = meta.category;
-        });
+        const incomeSuggestions = selectSectionSuggestions(suggestionSource, 'income');
+        const expenseSuggestions = selectSectionSuggestions(suggestionSource, 'expense');
+        const toMapping = (suggestions) =>
+          Object.fromEntries(
+            Object.entries(suggestions).map(([label, meta]) => [label, meta.category])
+          );
 
         const mappedIncomePreview = groupItemsByMapping(
           rawIncomeItems,
-          suggestionMapping
+          toMapping(incomeSuggestions)
         );
         const mappedExpensePreview = groupItemsByMapping(
           rawExpenseItems,
-          suggestionMapping
+          toMapping(expenseSuggestions)
         );
         const totalIncome =
           mappedIncomePreview.reduce(
@@ -474,13 +560,23 @@ const PnLUpload = ({
             0
           ) || Number(expenseSource.total_expense) || 0;
 
-        handleSetRows('income', rawIncomeItems, suggestionSource);
-        handleSetRows('expense', rawExpenseItems, suggestionSource);
+        handleSetRows('income', rawIncomeItems, incomeSuggestions);
+        handleSetRows('expense', rawExpenseItems, expenseSuggestions);
         setTotals({
           totalIncome,
           totalExpenses,
           netIncome: totalIncome - totalExpenses,
         });
+        setOcrSummary(metadata?.ocr || null);
+        setCategoryRules(metadata?.category_rules || null);
+        setSourceFilename(file.name);
+        setPeriods(
+          normaliseMonthlyAmounts(
+            [...rawIncomeItems, ...rawExpenseItems].flatMap((item) =>
+              Array.isArray(item?.monthly) ? item.monthly : []
+            )
+          ).map((entry) => entry.period)
+        );
 
         completeProgress();
         setModalOpen(true);
@@ -504,13 +600,21 @@ const PnLUpload = ({
     setModalOpen(false);
   }, []);
 
+  // A team rule file can add categories the app does not list.
+  const incomeOptions = useMemo(
+    () => mergeOptions(incomeCategories, categoryRules?.income || []),
+    [categoryRules, incomeCategories]
+  );
+  const expenseOptions = useMemo(
+    () => mergeOptions(expenseCategories, categoryRules?.expense || []),
+    [categoryRules, expenseCategories]
+  );
+
   const handleChangeCategory = useCallback((id, nextCategory) => {
-    setIncomeRows((rows) =>
-      rows.map((row) => (row.id === id ? { ...row, mappedCategory: nextCategory } : row))
-    );
-    setExpenseRows((rows) =>
-      rows.map((row) => (row.id === id ? { ...row, mappedCategory: nextCategory } : row))
-    );
+    const update = (row) =>
+      row.id === id ? { ...row, mappedCategory: nextCategory, suggestionConfirmed: true } : row;
+    setIncomeRows((rows) => rows.map(update));
+    setExpenseRows((rows) => rows.map(update));
   }, []);
 
   const handleChangeLabel = useCallback((id, nextLabel) => {
@@ -616,6 +720,7 @@ const PnLUpload = ({
       coverage,
       incomeMapped,
       expenseMapped,
+      needsReview: [...incomeRows, ...expenseRows].filter(rowNeedsReview).length,
     };
   }, [expenseRows, incomeRows]);
 
@@ -685,6 +790,7 @@ const PnLUpload = ({
         label,
         name: label,
         amount: safeAmount,
+        ...(row.monthly?.length > 0 && { monthly: row.monthly }),
         note: row.note || '',
         editable: true,
       };
@@ -706,6 +812,8 @@ const PnLUpload = ({
         expenseLines,
         totals: totalsForParent,
         stats,
+        periods,
+        filename: sourceFilename,
         derived: {
           lotRentTotal,
         },
@@ -720,9 +828,11 @@ const PnLUpload = ({
     expenseRows,
     incomeRows,
     onApplyMapping,
+    periods,
     persistTrainingExamples,
     resolvedTotals,
     showToast,
+    sourceFilename,
     stats,
     totals,
   ]);
@@ -802,10 +912,21 @@ const PnLUpload = ({
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
           <div className="flex max-h-[90vh] w-full max-w-5xl flex-col overflow-hidden rounded-2xl bg-slate-950 text-gray-100 shadow-2xl ring-1 ring-slate-800">
             <div className="flex items-center justify-between border-b border-slate-800 bg-slate-950/80 px-6 py-4">
-              <h2 className="text-xl font-semibold text-gray-50">Map P&L Line Items</h2>
+              <div>
+                <h2 className="text-xl font-semibold text-gray-50">Map P&L Line Items</h2>
+                {periods.length > 0 && (
+                  <p className="text-xs text-gray-400">
+                    {periods.length} monthly columns, {formatPeriod(periods[0])} –{' '}
+                    {formatPeriod(periods[periods.length - 1])}
+                  </p>
+                )}
+              </div>
               <div className="flex items-center gap-3 text-xs text-gray-300">
                 <div className="font-medium">
                   {stats.totalMapped} mapped • {stats.totalUnmapped} unmapped • {stats.coverage}% coverage
+                  {stats.needsReview > 0 && (
+                    <span className="text-amber-300"> • {stats.needsReview} to confirm</span>
+                  )}
                 </div>
                 <div className="flex items-center gap-2">
                   <button
@@ -827,6 +948,30 @@ const PnLUpload = ({
             </div>
 
             <div className="space-y-6 overflow-y-auto px-6 py-6">
+              {categoryRules?.problems?.length > 0 && (
+                <div className="rounded-lg border border-amber-500/40 bg-amber-500/10 p-3 text-sm text-amber-100">
+                  <p className="font-medium">
+                    Category rules{categoryRules.version ? ` v${categoryRules.version}` : ''} loaded with problems
+                  </p>
+                  <ul className="mt-1 list-disc pl-5 text-xs">
+                    {categoryRules.problems.map((problem) => (
+                      <li key={problem}>{problem}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {ocrSummary && (
+                <div className="rounded-lg border border-amber-500/40 bg-amber-500/10 p-3 text-sm text-amber-100">
+                  <p className="font-medium">
+                    Scanned document read with OCR ({ocrSummary.averageConfidence}% average confidence)
+                  </p>
+                  <p className="mt-1 text-xs">
+                    {ocrSummary.pages.map((page) => `Page ${page.page}: ${page.confidence}%`).join(' • ')}
+                  </p>
+                  {ocrSummary.warning && <p className="mt-1 text-xs">{ocrSummary.warning}</p>}
+                </div>
+              )}
+
               <section className="space-y-4">
                 <header className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
                   <div>
@@ -846,7 +991,7 @@ const PnLUpload = ({
                       className="rounded-md border border-slate-700 bg-slate-950 px-3 py-1 text-sm text-gray-100 focus:border-blue-400 focus:outline-none"
                     >
                       <option value={UNMAPPED_OPTION}>{UNMAPPED_OPTION}</option>
-                      {incomeCategories.map((option) => (
+                      {incomeOptions.map((option) => (
                         <option key={option} value={option}>
                           {option}
                         </option>
@@ -868,7 +1013,7 @@ const PnLUpload = ({
                       onChangeCategory={handleChangeCategory}
                       onChangeLabel={handleChangeLabel}
                       onChangeNote={handleNoteChange}
-                      categoryOptions={incomeCategories}
+                      categoryOptions={incomeOptions}
                     />
                   ))}
                 </div>
@@ -893,7 +1038,7 @@ const PnLUpload = ({
                       className="rounded-md border border-slate-700 bg-slate-950 px-3 py-1 text-sm text-gray-100 focus:border-blue-400 focus:outline-none"
                     >
                       <option value={UNMAPPED_OPTION}>{UNMAPPED_OPTION}</option>
-                      {expenseCategories.map((option) => (
+                      {expenseOptions.map((option) => (
                         <option key={option} value={option}>
                           {option}
                         </option>
@@ -915,7 +1060,7 @@ const PnLUpload = ({
                       onChangeCategory={handleChangeCategory}
                       onChangeLabel={handleChangeLabel}
                       onChangeNote={handleNoteChange}
-                      categoryOptions={expenseCategories}
+                      categoryOptions={expenseOptions}
                     />
                   ))}
                 </div>
@@ -1,12 +1,18 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { Button } from './ui/button';
+import { HOME_OWNERSHIP_TYPES, resolveHomeOwnership } from '../engine';
 
-const ROW_HEIGHT = 52;
+// Each row shows the parsed fields plus the source line it was read from.
+const ROW_HEIGHT = 72;
 const VIRTUAL_BUFFER = 8;
 const MIN_INITIAL_ROWS = 5;
 const DEFAULT_VISIBLE_ROWS = 18;
 
-const RentRollUpload = ({ onDataParsed }) => {
+// With `compareTo` set, the upload is diffed against those rows and the review
+// can save the change report through `onCompared`.
+const RentRollUpload = ({ onDataParsed, compareTo, onCompared }) => {
+  const isCompareMode = Array.isArray(compareTo);
+
   const fileInputRef = useRef(null);
   const scrollContainerRef = useRef(null);
   const headerRef = useRef(null);
@@ -16,6 +22,8 @@ const RentRollUpload = ({ onDataParsed }) => {
   const [loadingStatus, setLoadingStatus] = useState('');
   const [previewData, setPreviewData] = useState(null);
   const [summary, setSummary] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [uploadedFilename, setUploadedFilename] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [progress, setProgress] = useState(0);
   const [progressLabel, setProgressLabel] = useState('');
@@ -204,12 +212,26 @@ const RentRollUpload = ({ onDataParsed }) => {
         if (!base64) {
           throw new Error('File payload could not be processed.');
         }
-        updateProgress(35, 'Extracting text from PDF...');
+        updateProgress(
+          35,
+          file.name.toLowerCase().endsWith('.pdf') ? 'Extracting text from PDF...' : 'Reading spreadsheet...'
+        );
 
         const response = await fetch('/api/parse-rentroll', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ file: base64, filename: file.name }),
+          body: JSON.stringify({
+            file: base64,
+            filename: file.name,
+            ...(isCompareMode && {
+              compareTo: compareTo.map(({ lotNumber, occupied, rent, tenant }) => ({
+                lotNumber,
+                occupied,
+                rent,
+                tenant,
+              })),
+            }),
+          }),
         });
 
         updateProgress(65, 'Analyzing rent roll data...');
@@ -222,6 +244,8 @@ const RentRollUpload = ({ onDataParsed }) => {
         const rows = Array.isArray(result.data) ? result.data : [];
         setPreviewData(rows);
         setSummary(result.summary || null);
+        setDiff(result.diff || null);
+        setUploadedFilename(file.name);
         setShowModal(true);
 
         updateProgress(85, 'Finalizing preview...');
@@ -260,6 +284,17 @@ const RentRollUpload = ({ onDataParsed }) => {
     handleCloseModal();
   };
 
+  const handleSaveComparison = (alsoImport) => {
+    if (typeof onCompared === 'function' && diff) {
+      onCompared({ ...diff, filename: uploadedFilename, comparedAt: new Date().toISOString() });
+    }
+    if (alsoImport) {
+      handleConfirmImport();
+    } else {
+      handleCloseModal();
+    }
+  };
+
   const summaryLine = useMemo(() => {
     if (!summary) {
       return null;
@@ -301,9 +336,17 @@ const RentRollUpload = ({ onDataParsed }) => {
     if (!summary || !Array.isArray(summary.warnings)) {
       return [];
     }
-    return summary.warnings;
+    return summary.warnings.filter((warning) => warning?.code !== 'reconciliation');
   }, [summary]);
 
+  const reconciliation = useMemo(
+    () =>
+      Array.isArray(summary?.warnings)
+        ? summary.warnings.find((warning) => warning?.code === 'reconciliation') || null
+        : null,
+    [summary]
+  );
+
   const hasOnlySequenceIssue = warnings.length === 1 && warnings[0]?.code === 'non_sequential';
 
   const totalRows = Array.isArray(previewData) ? previewData.length : 0;
@@ -335,13 +378,13 @@ const RentRollUpload = ({ onDataParsed }) => {
             {progressLabel || loadingStatus || 'Processing...'}
           </>
         ) : (
-          'Upload Rent Roll'
+          isCompareMode ? 'Compare Updated Rent Roll' : 'Upload Rent Roll'
         )}
       </Button>
       <input
         type="file"
         ref={fileInputRef}
-        accept=".pdf,.csv"
+        accept=".pdf,.csv,.tsv,.xlsx"
         className="hidden"
         onChange={handleFileUpload}
       />
@@ -363,7 +406,9 @@ const RentRollUpload = ({ onDataParsed }) => {
             />
           </div>
           {showSlowNotice && (
-            <p className="mt-2 text-xs text-slate-300">This may take a minute for large PDFs…</p>
+            <p className="mt-2 text-xs text-slate-300">
+              This may take a minute for large PDFs, and longer for scans read with OCR…
+            </p>
           )}
         </div>
       )}
@@ -371,7 +416,9 @@ const RentRollUpload = ({ onDataParsed }) => {
       {showModal && Array.isArray(previewData) && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70">
           <div className="w-full max-w-4xl rounded-xl bg-slate-900 p-6 text-white shadow-2xl">
-            <h2 className="mb-3 text-xl font-semibold">Review Parsed Rent Roll</h2>
+            <h2 className="mb-3 text-xl font-semibold">
+              {diff ? 'Review Rent Roll Changes' : 'Review Parsed Rent Roll'}
+            </h2>
 
             {completionMessage && (
               <div className="mb-4 rounded-lg border border-emerald-500/40 bg-emerald-500/10 p-3 text-sm text-emerald-200">
@@ -379,6 +426,94 @@ const RentRollUpload = ({ onDataParsed }) => {
               </div>
             )}
 
+            {summary?.ocr && (
+              <div className="mb-4 rounded-lg border border-slate-700 bg-slate-800/70 p-3 text-sm text-slate-200">
+                <p className="font-medium text-white">
+                  Scanned document read with OCR ({summary.ocr.averageConfidence}% average confidence)
+                </p>
+                <p className="mt-1 text-xs text-slate-300">
+                  {summary.ocr.pages.map((page) => `Page ${page.page}: ${page.confidence}%`).join(' • ')}
+                </p>
+              </div>
+            )}
+
+            {diff && (
+              <div className="mb-4 rounded-lg border border-blue-500/40 bg-blue-500/10 p-3 text-sm text-blue-100">
+                <p className="font-medium text-white">Changes against the current rent roll</p>
+                <div className="mt-2 grid gap-2 sm:grid-cols-3">
+                  <p>Move-ins: {diff.moveIns.length}</p>
+                  <p>Move-outs: {diff.moveOuts.length}</p>
+                  <p>Rent changes: {diff.rentChanges.length}</p>
+                  <p>Tenant changes: {diff.tenantChanges.length}</p>
+                  <p>New lots: {diff.addedLots.length}</p>
+                  <p>Removed lots: {diff.removedLots.length}</p>
+                </div>
+                <p className="mt-2">
+                  Net occupancy: {diff.summary.occupiedLotsChange >= 0 ? '+' : ''}
+                  {diff.summary.occupiedLotsChange} lots ({diff.summary.previous.occupiedLots} →{' '}
+                  {diff.summary.current.occupiedLots}) • Net monthly income:{' '}
+                  {diff.summary.monthlyIncomeChange < 0 ? '-' : '+'}
+                  {formatCurrency(Math.abs(diff.summary.monthlyIncomeChange))}
+                </p>
+              </div>
+            )}
+
+            {reconciliation && (
+              <div
+                className={`mb-4 rounded-lg border p-3 text-sm ${
+                  reconciliation.passed
+                    ? 'border-emerald-500/40 bg-emerald-500/10 text-emerald-100'
+                    : 'border-red-500/40 bg-red-500/10 text-red-100'
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <span
+                    className={`rounded px-2 py-0.5 text-xs font-bold uppercase tracking-wide ${
+                      reconciliation.passed ? 'bg-emerald-500 text-white' : 'bg-red-500 text-white'
+                    }`}
+                  >
+                    {reconciliation.passed ? 'Pass' : 'Fail'}
+                  </span>
+                  <span className="font-medium">Reconciliation with document totals</span>
+                </div>
+                {Array.isArray(reconciliation.checks) && (
+                  <table className="mt-2 w-full text-left text-xs">
+                    <thead>
+                      <tr className="text-slate-300">
+                        <th className="py-1 font-semibold">Check</th>
+                        <th className="py-1 font-semibold">Expected</th>
+                        <th className="py-1 font-semibold">Parsed</th>
+                        <th className="py-1 font-semibold">Difference</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {reconciliation.checks.map((check) => {
+                        const format = (value) =>
+                          check.key === 'rent' ? formatCurrency(value) : value?.toLocaleString('en-US');
+                        return (
+                          <tr key={check.key} className={check.passed ? '' : 'font-semibold'}>
+                            <td className="py-1">{check.label}</td>
+                            <td className="py-1">
+                              {Array.isArray(check.ambiguous)
+                                ? check.ambiguous.map(format).join(' or ')
+                                : format(check.expected)}
+                            </td>
+                            <td className="py-1">{format(check.parsed)}</td>
+                            <td className="py-1">{format(check.difference)}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
+                {reconciliation.possiblyMissingLots > 0 && (
+                  <p className="mt-2 text-xs">
+                    About {reconciliation.possiblyMissingLots} lot(s) may be missing from the parsed rows.
+                  </p>
+                )}
+              </div>
+            )}
+
             {warnings.length > 0 && (
               <div
                 className={
@@ -418,16 +553,29 @@ const RentRollUpload = ({ onDataParsed }) => {
                       : '-'}
                   </p>
                 </div>
+                {summary.incomeByOwnership && (
+                  <div className="grid gap-2 sm:grid-cols-3">
+                    {Object.entries(HOME_OWNERSHIP_TYPES).map(([type, label]) => {
+                      const group = summary.incomeByOwnership[type];
+                      return (
+                        <p key={type}>
+                          {label}: {group?.units ?? 0} lots, {formatCurrency(group?.rentIncome ?? 0)}/yr
+                        </p>
+                      );
+                    })}
+                  </div>
+                )}
               </div>
             )}
 
             <div className="rounded-lg border border-slate-700 bg-slate-900/80">
               <div
                 ref={headerRef}
-                className="sticky top-0 z-20 grid grid-cols-[1.2fr_2fr_1fr_1fr] gap-2 border-b border-slate-700 bg-slate-800 px-3 py-2 text-xs font-semibold uppercase tracking-wide text-slate-300"
+                className="sticky top-0 z-20 grid grid-cols-[1.2fr_2fr_1.4fr_1fr_1fr] gap-2 border-b border-slate-700 bg-slate-800 px-3 py-2 text-xs font-semibold uppercase tracking-wide text-slate-300"
               >
                 <span>Lot #</span>
                 <span>Tenant</span>
+                <span>Home</span>
                 <span>Occupied</span>
                 <span>Rent</span>
               </div>
@@ -436,7 +584,7 @@ const RentRollUpload = ({ onDataParsed }) => {
                 {visibleRows.map((row, index) => {
                   const actualIndex = start + index;
                   const rowClasses = [
-                    'grid grid-cols-[1.2fr_2fr_1fr_1fr] gap-2 px-3 text-sm transition-colors',
+                    'grid grid-cols-[1.2fr_2fr_1.4fr_1fr_1fr] gap-x-2 gap-y-1 px-3 pt-2 text-sm transition-colors',
                     row.occupied
                       ? 'bg-slate-900/80 hover:bg-slate-800/80'
                       : 'bg-slate-900/40 text-slate-300',
@@ -463,6 +611,9 @@ const RentRollUpload = ({ onDataParsed }) => {
                         )}
                       </div>
                       <div className="truncate text-slate-200">{tenantDisplay}</div>
+                      <div className="truncate text-slate-200">
+                        {HOME_OWNERSHIP_TYPES[resolveHomeOwnership(row.homeOwnership)]}
+                      </div>
                       <div className="text-slate-200">{row.occupied ? 'Yes' : 'No'}</div>
                       <div
                         className={`px-2 py-1 text-slate-200 ${
@@ -471,6 +622,14 @@ const RentRollUpload = ({ onDataParsed }) => {
                       >
                         {row.missingRent ? '—' : formatCurrency(row.rent)}
                       </div>
+                      <div
+                        className="col-span-5 truncate pb-2 font-mono text-xs text-slate-400"
+                        title={row.sourceText || undefined}
+                      >
+                        {row.sourceLine
+                          ? `p${row.sourcePage ?? 1} · line ${row.sourceLine}: ${row.sourceText || '—'}`
+                          : 'Source line not recorded'}
+                      </div>
                     </div>
                   );
                 })}
@@ -485,9 +644,21 @@ const RentRollUpload = ({ onDataParsed }) => {
 
             <div className="mt-4 flex justify-end gap-3">
               <Button onClick={handleCloseModal}>Cancel</Button>
-              <Button onClick={handleConfirmImport} className="bg-blue-500 text-white hover:bg-blue-600">
-                Confirm Import
-              </Button>
+              {diff ? (
+                <>
+                  <Button onClick={() => handleSaveComparison(false)}>Save Comparison</Button>
+                  <Button
+                    onClick={() => handleSaveComparison(true)}
+                    className="bg-blue-500 text-white hover:bg-blue-600"
+                  >
+                    Save &amp; Import
+                  </Button>
+                </>
+              ) : (
+                <Button onClick={handleConfirmImport} className="bg-blue-500 text-white hover:bg-blue-600">
+                  Confirm Import
+                </Button>
+              )}
             </div>
           </div>
         </div>
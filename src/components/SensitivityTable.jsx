@@ -0,0 +1,147 @@
+import React from 'react';
+
+// Inline styles only: the table is copied verbatim into the downloaded report
+// HTML and rendered on the shared report page, neither of which has Tailwind.
+const formatValue = (value, format) => {
+  if (!Number.isFinite(value)) {
+    return '—';
+  }
+
+  if (format === 'currency') {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      maximumFractionDigits: 0,
+    }).format(value);
+  }
+
+  if (format === 'multiple') {
+    return `${value.toFixed(2)}x`;
+  }
+
+  return `${value.toFixed(2)}%`;
+};
+
+const mixChannel = (from, to, weight) => Math.round(from + (to - from) * weight);
+
+const mixColor = (from, to, weight) =>
+  `rgb(${mixChannel(from[0], to[0], weight)}, ${mixChannel(from[1], to[1], weight)}, ${mixChannel(
+    from[2],
+    to[2],
+    weight
+  )})`;
+
+const WHITE = [255, 255, 255];
+const GREEN = [134, 239, 172];
+const RED = [252, 165, 165];
+
+// Shades each cell by how far it sits above (green) or below (red) the base case.
+const resolveCellColor = (value, grid, range) => {
+  if (!Number.isFinite(value) || !Number.isFinite(grid.baseValue)) {
+    return '#f9fafb';
+  }
+
+  if (value >= grid.baseValue) {
+    const spread = range.max - grid.baseValue;
+    return mixColor(WHITE, GREEN, spread > 0 ? (value - grid.baseValue) / spread : 0);
+  }
+
+  const spread = grid.baseValue - range.min;
+  return mixColor(WHITE, RED, spread > 0 ? (grid.baseValue - value) / spread : 0);
+};
+
+const cellStyle = {
+  padding: '0.5rem 0.75rem',
+  textAlign: 'center',
+  border: '1px solid #e5e7eb',
+  fontSize: '0.875rem',
+};
+
+const SensitivityTable = ({ grid }) => {
+  if (!grid) {
+    return null;
+  }
+
+  const values = grid.cells.flat().filter(Number.isFinite);
+  const range = {
+    min: values.length > 0 ? Math.min(...values) : 0,
+    max: values.length > 0 ? Math.max(...values) : 0,
+  };
+
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', backgroundColor: '#ffffff' }}>
+        <caption
+          style={{
+            captionSide: 'top',
+            textAlign: 'left',
+            fontWeight: 700,
+            color: '#1f2937',
+            paddingBottom: '0.5rem',
+          }}
+        >
+          {grid.metricLabel}: {grid.rowLabel} × {grid.columnLabel}
+        </caption>
+        <thead>
+          <tr style={{ backgroundColor: '#eef2ff', color: '#3730a3' }}>
+            <th style={{ ...cellStyle, textAlign: 'left', fontWeight: 700 }}>
+              {grid.rowLabel} \ {grid.columnLabel}
+            </th>
+            {grid.columnValues.map((columnValue, columnIndex) => (
+              <th
+                key={`column-${columnIndex}`}
+                style={{
+                  ...cellStyle,
+                  fontWeight: 700,
+                  textDecoration: columnIndex === grid.baseColumnIndex ? 'underline' : 'none',
+                }}
+              >
+                {formatValue(columnValue, grid.columnFormat)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {grid.rowValues.map((rowValue, rowIndex) => (
+            <tr key={`row-${rowIndex}`}>
+              <th
+                scope="row"
+                style={{
+                  ...cellStyle,
+                  textAlign: 'left',
+                  fontWeight: 700,
+                  color: '#3730a3',
+                  backgroundColor: '#eef2ff',
+                  textDecoration: rowIndex === grid.baseRowIndex ? 'underline' : 'none',
+                }}
+              >
+                {formatValue(rowValue, grid.rowFormat)}
+              </th>
+              {grid.cells[rowIndex].map((value, columnIndex) => {
+                const isBase =
+                  rowIndex === grid.baseRowIndex && columnIndex === grid.baseColumnIndex;
+
+                return (
+                  <td
+                    key={`cell-${rowIndex}-${columnIndex}`}
+                    style={{
+                      ...cellStyle,
+                      backgroundColor: resolveCellColor(value, grid, range),
+                      fontWeight: isBase ? 700 : 500,
+                      outline: isBase ? '2px solid #4338ca' : 'none',
+                      outlineOffset: '-2px',
+                    }}
+                  >
+                    {formatValue(value, grid.metricFormat)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SensitivityTable;
@@ -0,0 +1,10 @@
+import categoryMap from './category_map.json';
+import { listCategoryOptions, normaliseCategoryRules } from '../engine';
+
+// The bundled P&L category rules for the app. The API reads the same file from
+// disk (api/utils/pnlCategorySuggestions.js), so the engine stays free of JSON
+// imports.
+export const DEFAULT_CATEGORY_RULES = normaliseCategoryRules(categoryMap);
+
+export const INCOME_CATEGORY_OPTIONS = listCategoryOptions(DEFAULT_CATEGORY_RULES, 'income');
+export const EXPENSE_CATEGORY_OPTIONS = listCategoryOptions(DEFAULT_CATEGORY_RULES, 'expense');
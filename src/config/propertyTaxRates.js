@@ -0,0 +1,10 @@
+import propertyTaxRates from './property_tax_rates.json';
+import { normalisePropertyTaxRates } from '../engine';
+
+// The bundled property tax rate table for the app. The API reads the same file
+// from disk (api/utils/recalculateReport.js), so the engine stays free of JSON
+// imports.
+const { version, jurisdictions } = normalisePropertyTaxRates(propertyTaxRates);
+
+export const PROPERTY_TAX_RATES_VERSION = version;
+export const PROPERTY_TAX_JURISDICTIONS = jurisdictions;
@@ -0,0 +1,405 @@
+import fs from 'fs';
+import path from 'path';
+import { calculateDeal, calculateIRR, normaliseProformaInputs } from './index';
+import { DEFAULT_CATEGORY_RULES } from '../config/categoryRules';
+import { PROPERTY_TAX_JURISDICTIONS } from '../config/propertyTaxRates';
+
+// Golden files live next to their deal inputs. Regenerate them with
+// `UPDATE_GOLDEN=1 npm test -- src/engine` after an intentional change to the math.
+const FIXTURE_DIR = path.join(__dirname, '__fixtures__');
+const updateGolden = Boolean(process.env.UPDATE_GOLDEN);
+
+const roundDeep = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Number(value.toFixed(6)) : value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(roundDeep);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, roundDeep(entry)])
+    );
+  }
+
+  return value;
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const fixtures = fs
+  .readdirSync(FIXTURE_DIR)
+  .filter((file) => file.endsWith('.deal.json'))
+  .map((file) => file.replace(/\.deal\.json$/, ''));
+
+describe('calculateDeal golden files', () => {
+  test.each(fixtures)('%s', (name) => {
+    const deal = readJson(path.join(FIXTURE_DIR, `${name}.deal.json`));
+    const goldenPath = path.join(FIXTURE_DIR, `${name}.golden.json`);
+    const result = roundDeep(
+      calculateDeal({
+        ...deal,
+        categoryRules: DEFAULT_CATEGORY_RULES,
+        propertyTaxJurisdictions: PROPERTY_TAX_JURISDICTIONS,
+      })
+    );
+
+    if (updateGolden || (!process.env.CI && !fs.existsSync(goldenPath))) {
+      fs.writeFileSync(goldenPath, `${JSON.stringify(result, null, 2)}\n`);
+    }
+
+    expect(result).toEqual(readJson(goldenPath));
+  });
+});
+
+describe('calculateDeal scenarios', () => {
+  const loadDeal = (name) => readJson(path.join(FIXTURE_DIR, `${name}.deal.json`));
+
+  test('interest-only period pays interest only, then amortises', () => {
+    const result = calculateDeal(loadDeal('interest-only'));
+    const [year1, year2, year3] = result.annualDebtServiceSchedule;
+
+    expect(year1.totalPrincipal).toBe(0);
+    expect(year2.totalPrincipal).toBe(0);
+    expect(year2.endingBalance).toBeCloseTo(result.loanAmount, 6);
+    expect(year3.totalPrincipal).toBeGreaterThan(0);
+    expect(result.interestOnlyMonthlyPayment).toBeCloseTo(result.loanAmount * 0.065 / 12, 6);
+  });
+
+  test('zero-rate loan amortises straight-line', () => {
+    const result = calculateDeal(loadDeal('zero-rate'));
+
+    expect(result.postInterestOnlyMonthlyPayment).toBeCloseTo(result.loanAmount / 240, 6);
+    result.annualDebtServiceSchedule.forEach((year) => {
+      expect(year.totalInterest).toBe(0);
+    });
+    expect(result.loanMaturityBalance).toBeCloseTo(0, 6);
+  });
+
+  test('hold period longer than the projection exits on forward NOI past the horizon', () => {
+    const result = calculateDeal(loadDeal('long-hold'));
+    const lastYear = result.proformaYears[result.proformaYears.length - 1];
+
+    expect(result.proformaYears).toHaveLength(7);
+    expect(result.exitWaterfall.exitNoiYear).toBe(11);
+    expect(result.exitWaterfall.exitNoi).toBeGreaterThan(lastYear.noi);
+    expect(result.exitValue).toBeCloseTo(result.exitWaterfall.exitNoi / 0.08, 6);
+    expect(Number.isFinite(result.irr)).toBe(true);
+  });
+
+  test('forward exit prices the sale on the year after the hold', () => {
+    const deal = loadDeal('baseline');
+    deal.projectionYears = 7;
+    deal.irrInputs = { ...deal.irrInputs, exitNoiBasis: 'forward' };
+    const result = calculateDeal(deal);
+
+    expect(result.exitWaterfall.exitNoiBasis).toBe('forward');
+    expect(result.exitWaterfall.exitNoi).toBeCloseTo(result.proformaYears[5].noi, 6);
+  });
+
+  test('reports saved without an exit basis keep pricing on trailing NOI', () => {
+    // baseline.deal.json predates exitNoiBasis; 129.959096 is its IRR from
+    // before forward NOI existed.
+    const result = calculateDeal(loadDeal('baseline'));
+
+    expect(result.exitWaterfall.exitNoiBasis).toBe('trailing');
+    expect(result.exitWaterfall.exitNoi).toBeCloseTo(result.proformaYears[4].noi, 6);
+    expect(result.irr).toBeCloseTo(129.959096, 5);
+  });
+
+  test('trailing exit nets selling costs and the loan payoff from the sale price', () => {
+    const deal = loadDeal('trailing-exit');
+    deal.projectionYears = 7;
+    const result = calculateDeal(deal);
+    const waterfall = result.exitWaterfall;
+
+    expect(waterfall.exitNoi).toBeCloseTo(result.proformaYears[4].noi, 6);
+    expect(waterfall.grossSalePrice).toBeCloseTo(waterfall.exitNoi / 0.075, 6);
+    expect(waterfall.totalSellingCosts).toBeCloseTo(waterfall.grossSalePrice * 0.04 + 15000, 6);
+    expect(result.exitProceeds).toBeCloseTo(
+      waterfall.grossSalePrice - waterfall.totalSellingCosts - result.remainingBalance,
+      6
+    );
+  });
+
+  test('exit price per site overrides the cap rate valuation', () => {
+    const deal = loadDeal('baseline');
+    deal.irrInputs = { ...deal.irrInputs, exitPricePerSite: 40000 };
+    const result = calculateDeal(deal);
+
+    expect(result.exitWaterfall.valuationMethod).toBe('pricePerSite');
+    expect(result.exitValue).toBe(40000 * result.totalUnits);
+    expect(result.exitWaterfall.impliedExitCapRate).toBeCloseTo(
+      (result.exitWaterfall.exitNoi / result.exitValue) * 100,
+      6
+    );
+  });
+
+  test('monthly lease-up ramps leases in and defers the rent increase', () => {
+    const annual = calculateDeal(loadDeal('baseline'));
+    const monthly = calculateDeal(loadDeal('monthly-lease-up'));
+    const [firstMonth, secondMonth] = monthly.proformaMonths;
+
+    expect(monthly.proformaMonths).toHaveLength(60);
+    expect(firstMonth.newLeases).toBe(1);
+    expect(secondMonth.occupiedUnits).toBe(firstMonth.occupiedUnits + 1);
+    expect(monthly.proformaMonths[5].avgMonthlyRent).toBeCloseTo(firstMonth.avgMonthlyRent, 6);
+    expect(monthly.proformaMonths[6].avgMonthlyRent).toBeCloseTo(firstMonth.avgMonthlyRent + 25, 6);
+    expect(monthly.proformaYears[0].occupiedUnits).toBe(annual.proformaYears[0].occupiedUnits);
+    expect(monthly.proformaYears[0].totalIncome).toBeLessThan(annual.proformaYears[0].totalIncome);
+  });
+
+  test('annual mode months roll up to the annual proforma', () => {
+    const result = calculateDeal(loadDeal('baseline'));
+
+    result.proformaYears.forEach((year) => {
+      const months = result.proformaMonths.filter((entry) => entry.year === year.year);
+      const total = months.reduce((sum, entry) => sum + entry.noi, 0);
+      expect(total).toBeCloseTo(year.noi, 4);
+    });
+  });
+
+  test('per-year assumptions drive lease-up past year five', () => {
+    const result = calculateDeal(loadDeal('ten-year-horizon'));
+    const occupied = result.proformaYears.map((year) => year.occupiedUnits);
+
+    expect(result.proformaYears).toHaveLength(10);
+    expect(occupied.slice(4)).toEqual([59, 60, 61, 62, 63, 64]);
+    expect(result.proformaYears[9].otherIncome).toBeCloseTo(
+      result.totalAdditionalIncome * 1.02 ** 9,
+      6
+    );
+  });
+
+  test('years past the last assumption keep its growth and add no leases', () => {
+    const deal = loadDeal('ten-year-horizon');
+    deal.proformaInputs.yearAssumptions = deal.proformaInputs.yearAssumptions.slice(0, 3);
+    const result = calculateDeal(deal);
+    const [, , year3, year4] = result.proformaYears;
+
+    expect(year4.occupiedUnits).toBe(year3.occupiedUnits);
+    expect(year4.avgMonthlyRent).toBeCloseTo(year3.avgMonthlyRent * 1.05, 6);
+  });
+
+  test('a senior loan maturing inside the hold pays its balloon that year', () => {
+    const deal = loadDeal('interest-only');
+    deal.purchaseInputs.loanTermYears = 3;
+    const result = calculateDeal(deal);
+    const year3 = result.proformaYears[2];
+
+    expect(year3.financingCashFlow).toBeCloseTo(-result.loanMaturityBalance, 6);
+    expect(year3.cashFlow).toBeCloseTo(year3.noi - year3.debtService - result.loanMaturityBalance, 6);
+    expect(result.proformaYears[3].debtService).toBe(0);
+    expect(result.remainingBalance).toBe(0);
+  });
+
+  test('extra tranches reduce the equity invested and balloon at maturity', () => {
+    const deal = loadDeal('debt-stack-refinance');
+    deal.debtInputs.refinance.enabled = false;
+    const result = calculateDeal(deal);
+    const base = calculateDeal(loadDeal('baseline'));
+    const seller = result.debtStack.find((loan) => loan.type === 'seller');
+
+    expect(result.totalDebt).toBeCloseTo(base.loanAmount + 150000, 6);
+    expect(result.equityInvested).toBeCloseTo(base.downPayment - 150000, 6);
+    expect(result.annualDebtService).toBeGreaterThan(base.annualDebtService);
+    expect(seller.maturityYear).toBe(4);
+    expect(seller.balloonPayment).toBeGreaterThan(0);
+    expect(result.proformaYears[3].financingCashFlow).toBeCloseTo(-seller.balloonPayment, 6);
+  });
+
+  test('a refinance sizes the new loan from NOI and returns the cash-out to equity', () => {
+    const result = calculateDeal(loadDeal('debt-stack-refinance'));
+    const { refinance } = result;
+    const [, , year3, year4] = result.proformaYears;
+
+    expect(refinance.noi).toBeCloseTo(year3.noi, 6);
+    expect(refinance.value).toBeCloseTo(year3.noi / 0.075, 6);
+    expect(refinance.loanAmount).toBeCloseTo(Math.min(refinance.ltvLoan, refinance.dscrLoan), 6);
+    expect(refinance.netProceeds).toBeCloseTo(
+      refinance.loanAmount - refinance.payoff - refinance.closingCosts,
+      6
+    );
+    expect(year3.financingCashFlow).toBeCloseTo(refinance.netProceeds, 6);
+    // The refinance retires the seller carry before its balloon falls due.
+    expect(year4.financingCashFlow).toBe(0);
+    expect(year4.debtService).toBeCloseTo(refinance.firstYearDebtService, 6);
+    expect(result.remainingBalance).toBeCloseTo(result.annualDebtServiceSchedule[4].endingBalance, 6);
+  });
+
+  test('lender sizing takes the tightest of LTV, DSCR and debt yield', () => {
+    const deal = loadDeal('baseline');
+    deal.purchaseInputs = {
+      ...deal.purchaseInputs,
+      purchasePrice: 4000000,
+      loanSizingMode: 'lender',
+      maxLoanToValue: 80,
+      minDscr: 1.25,
+      minDebtYield: 9,
+    };
+    const result = calculateDeal(deal);
+    const { loanSizing } = result;
+
+    expect(loanSizing.ltvLoan).toBeCloseTo(3200000, 6);
+    expect(loanSizing.debtYieldLoan).toBeCloseTo(result.noi / 0.09, 6);
+    expect(loanSizing.constraint).toBe('dscr');
+    expect(result.loanAmount).toBeCloseTo(loanSizing.dscrLoan, 6);
+    expect(result.dscr).toBeCloseTo(1.25, 6);
+    expect(loanSizing.downPaymentPercent).toBeCloseTo(
+      (result.downPayment / result.totalInvestment) * 100,
+      6
+    );
+  });
+
+  test('lender DSCR sizing tests the payment the loan carries after interest only', () => {
+    const deal = loadDeal('baseline');
+    const lenderInputs = {
+      ...deal.purchaseInputs,
+      purchasePrice: 4000000,
+      loanSizingMode: 'lender',
+      maxLoanToValue: 0,
+      minDscr: 1.25,
+      minDebtYield: 0,
+      amortizationYears: 25,
+      loanTermYears: 10,
+    };
+
+    const partial = calculateDeal({
+      ...deal,
+      purchaseInputs: { ...lenderInputs, interestOnlyPeriodYears: 2 },
+    });
+    // The amortising payment after two interest-only years covers NOI 1.25x.
+    expect(partial.noi / (partial.postInterestOnlyMonthlyPayment * 12)).toBeCloseTo(1.25, 6);
+    expect(partial.loanAmount).toBeLessThan(
+      calculateDeal({ ...deal, purchaseInputs: lenderInputs }).loanAmount
+    );
+
+    const fullTerm = calculateDeal({
+      ...deal,
+      purchaseInputs: { ...lenderInputs, interestOnlyPeriodYears: 10 },
+    });
+    // A loan that never amortises in its term is tested on interest only.
+    expect(fullTerm.noi / (fullTerm.interestOnlyMonthlyPayment * 12)).toBeCloseTo(1.25, 6);
+  });
+
+  test('rent roll income is split by home ownership', () => {
+    const { incomeByOwnership, rentRollIncome } = calculateDeal({
+      units: [
+        { id: 1, rent: 500, occupied: true },
+        { id: 2, rent: 900, occupied: true, homeOwnership: 'park_owned', utilityBillback: 40 },
+        { id: 3, rent: 850, occupied: false, homeOwnership: 'parkOwned', balance: 300 },
+        { id: 4, rent: 700, occupied: true, homeOwnership: 'Rent-to-Own', otherCharges: 15 },
+      ],
+    });
+
+    expect(incomeByOwnership.tenantOwned).toMatchObject({ units: 1, rentIncome: 6000 });
+    expect(incomeByOwnership.parkOwned).toEqual({
+      units: 2,
+      occupiedUnits: 1,
+      rentIncome: 10800,
+      utilityBillbacks: 480,
+      otherCharges: 0,
+      balanceOwed: 300,
+    });
+    expect(incomeByOwnership.rentToOwn).toMatchObject({ rentIncome: 8400, otherCharges: 180 });
+    expect(
+      Object.values(incomeByOwnership).reduce((sum, group) => sum + group.rentIncome, 0)
+    ).toBeCloseTo(rentRollIncome, 6);
+  });
+
+  test('loss-to-lease uses lot market rent, then lot type market rent', () => {
+    const { lossToLease } = calculateDeal({
+      units: [
+        { id: 1, rent: 400, occupied: true, marketRent: 500 },
+        { id: 2, rent: 450, occupied: true, lotType: 'Double' },
+        { id: 3, rent: 450, occupied: true },
+        { id: 4, rent: 300, occupied: false, lotType: 'Double' },
+      ],
+      proformaInputs: { marketRentByLotType: { Double: 600 } },
+    });
+
+    expect(lossToLease.lots.map((lot) => lot.monthlyLoss)).toEqual([100, 150, 0, 300]);
+    expect(lossToLease.belowMarketLots).toBe(2);
+    expect(lossToLease.annualTotal).toBe(3000);
+  });
+
+  test('mark-to-market closes below-market gaps over the plan, capped per step', () => {
+    const deal = {
+      units: [
+        { id: 1, rent: 400, occupied: true, marketRent: 500 },
+        { id: 2, rent: 500, occupied: true, marketRent: 500 },
+        { id: 3, rent: 0, occupied: false, marketRent: 500 },
+      ],
+      proformaInputs: {
+        yearAssumptions: [1, 2, 3].map((year) => ({
+          newLeases: year === 2 ? 1 : 0,
+          rentIncreaseValue: 0,
+          rentIncreaseMode: 'percent',
+          otherIncomeGrowth: 0,
+          expenseGrowth: 0,
+        })),
+        markToMarket: { enabled: true, years: 2, capValue: 30, capMode: 'dollar' },
+      },
+      projectionYears: 3,
+    };
+    const { proformaYears, markToMarket } = calculateDeal(deal);
+
+    // Lot 1 needs $50 a year to close in two years but is capped at $30, so it
+    // keeps catching up after the plan ends.
+    expect(markToMarket.map((year) => year.averageInPlaceRent)).toEqual([465, 480, 495]);
+    expect(proformaYears[0].lotRentIncome).toBeCloseTo((430 + 500) * 12, 6);
+    // The year-two lease-up lot signs at market.
+    expect(proformaYears[1].lotRentIncome).toBeCloseTo((460 + 500 + 500) * 12, 6);
+    expect(proformaYears[2].rentIncreaseMode).toBe('markToMarket');
+
+    const monthly = calculateDeal({
+      ...deal,
+      proformaInputs: { ...deal.proformaInputs, cashFlowMode: 'monthly' },
+    });
+    expect(monthly.proformaYears[2].lotRentIncome).toBeCloseTo(proformaYears[2].lotRentIncome, 6);
+  });
+
+  test('missing inputs fall back to defaults', () => {
+    const result = calculateDeal({});
+
+    expect(result.totalUnits).toBe(0);
+    expect(result.loanAmount).toBeCloseTo((850000 + 25000) * 0.75, 6);
+    expect(result.proformaYears).toHaveLength(5);
+  });
+});
+
+describe('normaliseProformaInputs', () => {
+  test('migrates the fixed five-year fields to per-year assumptions', () => {
+    const legacy = readJson(path.join(FIXTURE_DIR, 'baseline.deal.json')).proformaInputs;
+    const migrated = normaliseProformaInputs(legacy);
+
+    expect(migrated).not.toHaveProperty('year1NewLeases');
+    expect(migrated).not.toHaveProperty('annualExpenseIncrease');
+    expect(migrated.yearAssumptions).toEqual([
+      { newLeases: 7, rentIncreaseValue: 25, rentIncreaseMode: 'dollar', otherIncomeGrowth: null, expenseGrowth: 0 },
+      { newLeases: 5, rentIncreaseValue: 4, rentIncreaseMode: 'percent', otherIncomeGrowth: 4, expenseGrowth: 2.5 },
+      { newLeases: 5, rentIncreaseValue: 3, rentIncreaseMode: 'percent', otherIncomeGrowth: 3, expenseGrowth: 2.5 },
+      { newLeases: 5, rentIncreaseValue: 3, rentIncreaseMode: 'percent', otherIncomeGrowth: 3, expenseGrowth: 2.5 },
+      { newLeases: 5, rentIncreaseValue: 3, rentIncreaseMode: 'percent', otherIncomeGrowth: 3, expenseGrowth: 2.5 },
+    ]);
+  });
+
+  test('migrated inputs reproduce the legacy results', () => {
+    const deal = readJson(path.join(FIXTURE_DIR, 'baseline.deal.json'));
+    const migrated = { ...deal, proformaInputs: normaliseProformaInputs(deal.proformaInputs) };
+
+    expect(calculateDeal(migrated)).toEqual(calculateDeal(deal));
+  });
+});
+
+describe('calculateIRR', () => {
+  test('solves a simple two-period cash flow', () => {
+    expect(calculateIRR([-100, 110])).toBeCloseTo(10, 4);
+  });
+
+  test('returns 0 for an empty series', () => {
+    expect(calculateIRR([])).toBe(0);
+  });
+});
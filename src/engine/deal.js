@@ -0,0 +1,431 @@
+import {
+  DEFAULT_PURCHASE_INPUTS,
+  DEFAULT_MANAGEMENT_PERCENT,
+  DEFAULT_PROJECTION_YEARS,
+  normaliseIrrInputs,
+  normaliseProformaInputs,
+  normaliseDebtInputs,
+  resolveLoanSizingMode,
+} from './defaults.js';
+import {
+  buildLoanSchedule,
+  buildAnnualDebtServiceSchedule,
+  resolveBalanceAfterMonths,
+  solveLoanAmount,
+} from './loan.js';
+import { buildDebtStack, applyRefinance } from './debt.js';
+import { summariseIncomeByOwnership, calculateLossToLease } from './rentRoll.js';
+import { buildMarkToMarketPath } from './markToMarket.js';
+import { calculateProforma, toNumber } from './proforma.js';
+import { calculateIRR, calculateEquityMultiple } from './irr.js';
+import { calculateExit, resolveExitNoiYear } from './exit.js';
+import { applyPnlAdjustments, normalisePnlAdjustments } from './pnlAdjustments.js';
+import { buildUtilityBillbackPlan, summariseUtilityBillback } from './utilityBillback.js';
+import {
+  calculatePropertyTaxReassessment,
+  findPropertyTaxLine,
+  normalisePropertyTaxInputs,
+} from './propertyTax.js';
+
+const toArray = (value) => (Array.isArray(value) ? value : []);
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+export const normaliseDeal = (deal = {}) => {
+  const source = deal && typeof deal === 'object' ? deal : {};
+
+  return {
+    units: toArray(source.units),
+    additionalIncome: toArray(source.additionalIncome),
+    useActualIncome: Boolean(source.useActualIncome),
+    actualIncome: source.actualIncome ?? 0,
+    expenses: toArray(source.expenses),
+    pnlAdjustments: normalisePnlAdjustments(source.pnlAdjustments),
+    propertyTax: normalisePropertyTaxInputs(source.propertyTax),
+    managementPercent: source.managementPercent ?? DEFAULT_MANAGEMENT_PERCENT,
+    expenseRatio: source.expenseRatio ?? 0,
+    expenseOverrides:
+      source.expenseOverrides && typeof source.expenseOverrides === 'object'
+        ? source.expenseOverrides
+        : {},
+    purchaseInputs: { ...DEFAULT_PURCHASE_INPUTS, ...(source.purchaseInputs || {}) },
+    irrInputs: normaliseIrrInputs(source.irrInputs),
+    proformaInputs: normaliseProformaInputs(source.proformaInputs || {}),
+    debtInputs: normaliseDebtInputs(source.debtInputs || {}),
+    projectionYears: source.projectionYears ?? DEFAULT_PROJECTION_YEARS,
+    // Reference tables supplied by the caller rather than saved with the
+    // report: normalised P&L category rules, used to recognise hand-entered
+    // lines by name, and the property tax jurisdictions.
+    categoryRules: isPlainObject(source.categoryRules) ? source.categoryRules : null,
+    propertyTaxJurisdictions: toArray(source.propertyTaxJurisdictions),
+  };
+};
+
+export const calculateDeal = (deal) => {
+  const {
+    units,
+    additionalIncome: sellerAdditionalIncome,
+    useActualIncome,
+    actualIncome: sellerActualIncome,
+    expenses: sellerExpenses,
+    pnlAdjustments,
+    propertyTax: propertyTaxInputs,
+    managementPercent,
+    expenseRatio,
+    expenseOverrides: userExpenseOverrides,
+    purchaseInputs,
+    irrInputs,
+    proformaInputs,
+    debtInputs,
+    projectionYears,
+    categoryRules,
+    propertyTaxJurisdictions,
+  } = normaliseDeal(deal);
+
+  const projectionCount = Number.isFinite(Number(projectionYears))
+    ? Math.max(Number(projectionYears), 1)
+    : 5;
+  const holdPeriod = Number(irrInputs.holdPeriod) || 0;
+  // Model past the displayed horizon when the hold (plus the buyer's year for
+  // forward NOI) runs longer, then trim the projection back for display.
+  const modelledYears = Math.max(
+    projectionCount,
+    Math.ceil(holdPeriod),
+    resolveExitNoiYear(holdPeriod, irrInputs.exitNoiBasis)
+  );
+
+  // A sale usually resets the property tax. The reassessed tax replaces the
+  // seller's tax line (or is added when there is none) as the last underwriting
+  // adjustment, and its yearly schedule drives that line through the proforma
+  // wherever the user has not overridden a year.
+  const taxLine = propertyTaxInputs.enabled
+    ? findPropertyTaxLine(sellerExpenses, propertyTaxInputs.lineId, categoryRules)
+    : null;
+  const reassessment = propertyTaxInputs.enabled
+    ? calculatePropertyTaxReassessment({
+        purchasePrice: purchaseInputs.purchasePrice,
+        sellerTax: taxLine ? taxLine.amount : 0,
+        inputs: propertyTaxInputs,
+        years: modelledYears,
+        jurisdictions: propertyTaxJurisdictions,
+      })
+    : null;
+  const propertyTaxAdjustment = reassessment?.ready
+    ? {
+        id: 'property-tax-reassessment',
+        type: 'proForma',
+        section: 'expense',
+        lineId: taxLine ? taxLine.id : null,
+        lineName: taxLine ? taxLine.name : '',
+        label: 'Property Tax (Reassessed)',
+        amount: reassessment.year1Tax,
+        reason: `Reassessed on sale (${reassessment.jurisdiction.name})`,
+      }
+    : null;
+  const propertyTax = reassessment
+    ? {
+        ...reassessment,
+        lineId: propertyTaxAdjustment
+          ? propertyTaxAdjustment.lineId ?? `adjustment-${propertyTaxAdjustment.id}`
+          : null,
+        lineName: taxLine ? taxLine.name : null,
+      }
+    : null;
+  const expenseOverrides = propertyTax?.lineId
+    ? {
+        ...userExpenseOverrides,
+        [propertyTax.lineId]: {
+          ...Object.fromEntries(propertyTax.years.map((entry, index) => [index, entry.tax])),
+          ...(userExpenseOverrides[propertyTax.lineId] || {}),
+        },
+      }
+    : userExpenseOverrides;
+
+  // The seller's P&L lines are underwritten through the adjustments before any
+  // of the math below sees them.
+  const underwriting = applyPnlAdjustments(
+    {
+      additionalIncome: sellerAdditionalIncome,
+      expenses: sellerExpenses,
+      useActualIncome,
+      actualIncome: sellerActualIncome,
+    },
+    propertyTaxAdjustment ? [...pnlAdjustments, propertyTaxAdjustment] : pnlAdjustments
+  );
+  const { additionalIncome, expenses, actualIncome } = underwriting;
+
+  // Rent Roll Metrics
+  const totalUnits = units.length;
+  const occupiedUnits = units.filter((u) => u.occupied).length;
+  const physicalOccupancy = totalUnits > 0 ? (occupiedUnits / totalUnits) * 100 : 0;
+  const grossPotentialRent = units.reduce((sum, u) => sum + Number(u.rent), 0) * 12;
+  const rentRollIncome =
+    units.filter((u) => u.occupied).reduce((sum, u) => sum + Number(u.rent), 0) * 12;
+  const incomeByOwnership = summariseIncomeByOwnership(units);
+  const lossToLease = calculateLossToLease(units, proformaInputs.marketRentByLotType);
+
+  // Determine which income to use
+  const lotRentIncome = useActualIncome ? Number(actualIncome) : rentRollIncome;
+
+  // Additional Income
+  const totalAdditionalIncome = additionalIncome.reduce(
+    (sum, item) => sum + Number(item.amount),
+    0
+  );
+
+  // Total Income
+  const effectiveGrossIncome = lotRentIncome + totalAdditionalIncome;
+  const vacancyLoss = grossPotentialRent - lotRentIncome;
+  const economicOccupancy = grossPotentialRent > 0 ? (lotRentIncome / grossPotentialRent) * 100 : 0;
+
+  // Operating Expenses
+  const managementFee = effectiveGrossIncome * (managementPercent / 100);
+  const detailedExpenses =
+    expenses.reduce((sum, exp) => sum + Number(exp.amount), 0) + managementFee;
+  const ratioValue = Number(expenseRatio);
+  const expenseRatioPercent = Number.isFinite(ratioValue) ? Math.max(ratioValue, 0) : 0;
+  const useExpenseRatioOverride = expenseRatioPercent > 0;
+  const totalOpEx = useExpenseRatioOverride
+    ? effectiveGrossIncome * (expenseRatioPercent / 100)
+    : detailedExpenses;
+  const totalExpenses = totalOpEx;
+
+  // NOI
+  const noi = effectiveGrossIncome - totalOpEx;
+  const capRate = (noi / purchaseInputs.purchasePrice) * 100;
+
+  // Financing
+  const totalInvestment = purchaseInputs.purchasePrice + purchaseInputs.closingCosts;
+  // Lender sizing solves the loan from in-place NOI and the purchase price, and
+  // the down payment becomes whatever the loan leaves uncovered.
+  const solvedLoan =
+    resolveLoanSizingMode(purchaseInputs.loanSizingMode) === 'lender'
+      ? solveLoanAmount({
+          noi,
+          value: toNumber(purchaseInputs.purchasePrice),
+          interestRate: toNumber(purchaseInputs.interestRate),
+          amortizationYears: toNumber(purchaseInputs.amortizationYears),
+          loanTermYears: toNumber(purchaseInputs.loanTermYears),
+          interestOnlyPeriodYears: toNumber(purchaseInputs.interestOnlyPeriodYears),
+          maxLoanToValue: toNumber(purchaseInputs.maxLoanToValue),
+          minDscr: toNumber(purchaseInputs.minDscr),
+          minDebtYield: toNumber(purchaseInputs.minDebtYield),
+        })
+      : null;
+  const downPayment = solvedLoan
+    ? totalInvestment - Math.min(solvedLoan.loanAmount, Math.max(totalInvestment, 0))
+    : totalInvestment * (purchaseInputs.downPaymentPercent / 100);
+  const loanAmount = totalInvestment - downPayment;
+  const loanSizing = solvedLoan
+    ? {
+        ...solvedLoan,
+        downPaymentPercent: totalInvestment > 0 ? (downPayment / totalInvestment) * 100 : 0,
+      }
+    : null;
+
+  const {
+    maturityBalance,
+    interestOnlyMonthlyPayment,
+    amortizingMonthlyPayment,
+    interestOnlyYears,
+    amortizationYears,
+    totalTermYears,
+  } = buildLoanSchedule({ loanAmount, purchaseInputs });
+
+  // Extra tranches (seller carry, second liens) fund part of the down payment.
+  const debtStack = buildDebtStack({
+    seniorLoanAmount: loanAmount,
+    purchaseInputs,
+    tranches: debtInputs.tranches,
+  });
+  const totalDebt = debtStack.loans.reduce((sum, loan) => sum + loan.amount, 0);
+  const equityInvested = Math.max(totalInvestment - totalDebt, 0);
+
+  // 5/7/10-Year Proforma Calculations
+  const markToMarketPath = buildMarkToMarketPath({
+    units,
+    proformaInputs,
+    projectionCount: modelledYears,
+  });
+  const utilityBillbackPlan = buildUtilityBillbackPlan({
+    expenses,
+    additionalIncome,
+    occupiedUnits,
+    proformaInputs,
+    projectionCount: modelledYears,
+    categoryRules,
+  });
+
+  const runProforma = (loanSchedule) =>
+    calculateProforma({
+      totalUnits,
+      occupiedUnits,
+      lotRentIncome,
+      totalAdditionalIncome,
+      expenses,
+      expenseOverrides,
+      proformaInputs,
+      projectionCount: modelledYears,
+      managementPercent,
+      useExpenseRatioOverride,
+      expenseRatioPercent,
+      annualDebtServiceSchedule: buildAnnualDebtServiceSchedule(loanSchedule),
+      loanSchedule,
+      markToMarketPath,
+      utilityBillbackPlan,
+    });
+
+  let loanSchedule = debtStack.loanSchedule;
+  let proforma = runProforma(loanSchedule);
+  let refinance = null;
+
+  // NOI does not depend on debt, so the first pass sizes the refinance and the
+  // second reruns the cash flows on the refinanced schedule.
+  const refinanceYear = Math.round(toNumber(debtInputs.refinance.year));
+  if (debtInputs.refinance.enabled && refinanceYear >= 1 && refinanceYear <= modelledYears) {
+    ({ loanSchedule, refinance } = applyRefinance({
+      loanSchedule,
+      refinance: debtInputs.refinance,
+      noi: proforma.years[refinanceYear - 1].noi,
+    }));
+    proforma = runProforma(loanSchedule);
+  }
+
+  const annualDebtServiceSchedule = buildAnnualDebtServiceSchedule(loanSchedule);
+  const {
+    years: modelledProformaYears,
+    months: modelledProformaMonths,
+    expenseProjections: modelledExpenseProjections,
+    managementFeeProjection: modelledManagementFees,
+  } = proforma;
+  const proformaYears = modelledProformaYears.slice(0, projectionCount);
+  const proformaMonths = modelledProformaMonths.slice(0, projectionCount * 12);
+  const expenseProjections = modelledExpenseProjections.map((expense) => ({
+    ...expense,
+    yearValues: expense.yearValues.slice(0, projectionCount),
+  }));
+  const managementFeeProjection = modelledManagementFees.slice(0, projectionCount);
+  const firstYearData = proformaYears[0] || null;
+
+  const annualDebtService =
+    firstYearData?.debtService ?? annualDebtServiceSchedule[0]?.totalPayment ?? 0;
+  const monthlyPayment = firstYearData
+    ? firstYearData.debtService / 12
+    : loanSchedule[0]?.payment || 0;
+  const cashFlow = firstYearData ? firstYearData.cashFlow : noi - annualDebtService;
+  const cashOnCash = equityInvested > 0 ? (cashFlow / equityInvested) * 100 : 0;
+  const dscr = annualDebtService > 0 ? noi / annualDebtService : 0;
+
+  // Per Unit Metrics
+  const incomePerUnit = totalUnits > 0 ? effectiveGrossIncome / totalUnits : 0;
+  const expensePerUnit = totalUnits > 0 ? totalOpEx / totalUnits : 0;
+  const noiPerUnit = totalUnits > 0 ? noi / totalUnits : 0;
+
+  // IRR Calculation
+  const monthsHeld = Math.round(holdPeriod * 12);
+  const remainingLoanBalance = resolveBalanceAfterMonths(loanSchedule, totalDebt, monthsHeld);
+  const exitWaterfall = calculateExit({
+    proformaYears: modelledProformaYears,
+    currentNoi: noi,
+    totalUnits,
+    irrInputs,
+    remainingLoanBalance,
+  });
+  const exitValue = exitWaterfall.grossSalePrice;
+  const utilityBillback = utilityBillbackPlan
+    ? summariseUtilityBillback({
+        plan: utilityBillbackPlan,
+        proformaYears: modelledProformaYears,
+        projectionCount,
+        exitNoiYear: exitWaterfall.exitNoiYear,
+        exitCapRate:
+          toNumber(irrInputs.exitCapRate) > 0
+            ? toNumber(irrInputs.exitCapRate)
+            : exitWaterfall.impliedExitCapRate,
+        feePercent: useExpenseRatioOverride ? expenseRatioPercent : managementPercent,
+      })
+    : null;
+  const netExitProceeds = exitWaterfall.netExitProceeds;
+  const initialInvestment = equityInvested;
+
+  const defaultAnnualCashFlow = firstYearData ? firstYearData.cashFlow : cashFlow;
+  const annualCashFlows = [];
+  for (let year = 1; year <= holdPeriod; year += 1) {
+    const yearData =
+      modelledProformaYears.find((entry) => entry.year === year) ||
+      (modelledProformaYears.length > 0
+        ? modelledProformaYears[Math.min(year - 1, modelledProformaYears.length - 1)]
+        : null);
+    const yearCashFlow = yearData ? yearData.cashFlow : defaultAnnualCashFlow;
+    annualCashFlows.push(yearCashFlow);
+  }
+
+  const irr =
+    holdPeriod > 0
+      ? calculateIRR([-initialInvestment, ...annualCashFlows, netExitProceeds])
+      : 0;
+
+  const equityMultiple = calculateEquityMultiple({
+    initialInvestment,
+    cashFlows: annualCashFlows,
+    exitProceeds: netExitProceeds,
+  });
+
+  return {
+    totalUnits,
+    occupiedUnits,
+    physicalOccupancy,
+    grossPotentialRent,
+    rentRollIncome,
+    incomeByOwnership,
+    lossToLease,
+    markToMarket: markToMarketPath ? markToMarketPath.years.slice(0, projectionCount) : null,
+    utilityBillback,
+    lotRentIncome,
+    totalAdditionalIncome,
+    effectiveGrossIncome,
+    vacancyLoss,
+    economicOccupancy,
+    managementFee,
+    totalExpenses,
+    totalOpEx,
+    noi,
+    capRate,
+    totalInvestment,
+    downPayment,
+    loanAmount,
+    loanSizing,
+    totalDebt,
+    equityInvested,
+    debtStack: debtStack.loans,
+    refinance,
+    monthlyPayment,
+    annualDebtService,
+    cashFlow,
+    cashOnCash,
+    dscr,
+    incomePerUnit,
+    expensePerUnit,
+    noiPerUnit,
+    exitValue,
+    remainingBalance: remainingLoanBalance,
+    exitProceeds: netExitProceeds,
+    exitWaterfall,
+    irr,
+    equityMultiple,
+    proformaYears,
+    proformaMonths,
+    expenseProjections,
+    managementFeeProjection,
+    useExpenseRatioOverride,
+    annualDebtServiceSchedule,
+    interestOnlyMonthlyPayment,
+    postInterestOnlyMonthlyPayment: amortizingMonthlyPayment,
+    interestOnlyPeriodYears: interestOnlyYears,
+    loanMaturityBalance: maturityBalance,
+    amortizationYears,
+    loanTermYears: totalTermYears,
+    projectionYears: projectionCount,
+    underwriting,
+    propertyTax,
+  };
+};
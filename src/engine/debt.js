@@ -0,0 +1,135 @@
+import { buildLoanSchedule, buildAnnualDebtServiceSchedule, solveLoanAmount } from './loan.js';
+import { toNumber } from './proforma.js';
+
+// Pays off whatever a loan still owes in its final scheduled month. Fully
+// amortised loans can end a fraction of a cent off zero, which is not a balloon.
+const withBalloon = (loanSchedule) =>
+  loanSchedule.map((entry, index) =>
+    index === loanSchedule.length - 1 && entry.remainingBalance >= 0.01
+      ? { ...entry, balloonPayment: entry.remainingBalance, remainingBalance: 0 }
+      : entry
+  );
+
+const combineSchedules = (schedules) => {
+  const length = Math.max(0, ...schedules.map((schedule) => schedule.length));
+
+  return Array.from({ length }, (_, index) => {
+    const sum = (key) =>
+      schedules.reduce((total, schedule) => total + (schedule[index]?.[key] || 0), 0);
+
+    return {
+      payment: sum('payment'),
+      interestPayment: sum('interestPayment'),
+      principalPayment: sum('principalPayment'),
+      balloonPayment: sum('balloonPayment'),
+      remainingBalance: sum('remainingBalance'),
+    };
+  });
+};
+
+const describeLoan = ({ name, type, amount, terms, loanSchedule }) => {
+  const annualSchedule = buildAnnualDebtServiceSchedule(loanSchedule);
+  const maturity = loanSchedule[loanSchedule.length - 1];
+
+  return {
+    name,
+    type,
+    amount,
+    interestRate: toNumber(terms.interestRate),
+    firstYearDebtService: annualSchedule[0]?.totalPayment || 0,
+    maturityYear: Math.ceil(loanSchedule.length / 12),
+    balloonPayment: maturity?.balloonPayment || 0,
+  };
+};
+
+// Builds the combined monthly schedule for the senior loan and any extra
+// tranches. Each entry carries the regular payment, any balloon due that month
+// and the total balance still owed across the stack.
+export const buildDebtStack = ({ seniorLoanAmount, purchaseInputs, tranches = [] }) => {
+  const loans = [
+    { name: 'Senior Loan', type: 'senior', amount: seniorLoanAmount, terms: purchaseInputs },
+    ...tranches
+      .filter((tranche) => toNumber(tranche.amount) > 0)
+      .map((tranche) => ({
+        name: tranche.name,
+        type: tranche.type,
+        amount: toNumber(tranche.amount),
+        terms: tranche,
+      })),
+  ].map((loan) => ({
+    ...loan,
+    loanSchedule: withBalloon(
+      buildLoanSchedule({ loanAmount: loan.amount, purchaseInputs: loan.terms }).loanSchedule
+    ),
+  }));
+
+  return {
+    loanSchedule: combineSchedules(loans.map((loan) => loan.loanSchedule)),
+    loans: loans.map(describeLoan),
+  };
+};
+
+// The new loan is appraised off the refinance year's NOI at the valuation cap.
+export const sizeRefinanceLoan = ({ noi, refinance }) => {
+  const capRate = toNumber(refinance.capRate);
+  const value = capRate > 0 ? noi / (capRate / 100) : 0;
+
+  return {
+    value,
+    ...solveLoanAmount({
+      noi,
+      value,
+      interestRate: toNumber(refinance.interestRate),
+      amortizationYears: toNumber(refinance.amortizationYears),
+      loanTermYears: toNumber(refinance.loanTermYears),
+      interestOnlyPeriodYears: toNumber(refinance.interestOnlyPeriodYears),
+      maxLoanToValue: toNumber(refinance.maxLoanToValue),
+      minDscr: toNumber(refinance.minDscr),
+      minDebtYield: toNumber(refinance.minDebtYield),
+    }),
+  };
+};
+
+// Replaces the stack from the end of the refinance year with the new loan.
+// The refinance month records the net proceeds (negative when the new loan
+// does not cover the payoff and closing costs).
+export const applyRefinance = ({ loanSchedule, refinance, noi }) => {
+  const month = Math.round(toNumber(refinance.year)) * 12;
+  const sizing = sizeRefinanceLoan({ noi, refinance });
+  const payoff = month <= loanSchedule.length ? loanSchedule[month - 1].remainingBalance : 0;
+  const closingCosts = sizing.loanAmount * (toNumber(refinance.closingCostPercent) / 100);
+  const netProceeds = sizing.loanAmount - payoff - closingCosts;
+  const newLoanSchedule = withBalloon(
+    buildLoanSchedule({ loanAmount: sizing.loanAmount, purchaseInputs: refinance }).loanSchedule
+  );
+  const emptyMonth = {
+    payment: 0,
+    interestPayment: 0,
+    principalPayment: 0,
+    balloonPayment: 0,
+    remainingBalance: 0,
+  };
+
+  const beforeRefinance = Array.from(
+    { length: month },
+    (_, index) => loanSchedule[index] || emptyMonth
+  );
+  beforeRefinance[month - 1] = {
+    ...beforeRefinance[month - 1],
+    refinanceProceeds: netProceeds,
+    remainingBalance: sizing.loanAmount,
+  };
+
+  return {
+    loanSchedule: [...beforeRefinance, ...newLoanSchedule],
+    refinance: {
+      year: month / 12,
+      noi,
+      ...sizing,
+      payoff,
+      closingCosts,
+      netProceeds,
+      firstYearDebtService: buildAnnualDebtServiceSchedule(newLoanSchedule)[0]?.totalPayment || 0,
+    },
+  };
+};
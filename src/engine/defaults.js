@@ -0,0 +1,322 @@
+export const DEFAULT_PURCHASE_INPUTS = {
+  purchasePrice: 850000,
+  closingCosts: 25000,
+  downPaymentPercent: 25,
+  interestRate: 6.5,
+  amortizationYears: 25,
+  loanTermYears: 25,
+  interestOnlyPeriodYears: 0,
+  // 'downPayment' sizes the loan from downPaymentPercent; 'lender' solves for
+  // the largest loan the LTV, DSCR and debt-yield limits below allow.
+  loanSizingMode: 'downPayment',
+  maxLoanToValue: 75,
+  minDscr: 1.25,
+  minDebtYield: 9,
+};
+
+export const resolveLoanSizingMode = (mode) => (mode === 'lender' ? 'lender' : 'downPayment');
+
+export const DEFAULT_IRR_INPUTS = {
+  holdPeriod: 5,
+  exitCapRate: 7.5,
+  // 'forward' prices the sale on year hold + 1 NOI, 'trailing' on year hold.
+  exitNoiBasis: 'forward',
+  // When set, the sale is priced per site instead of at the exit cap rate.
+  exitPricePerSite: 0,
+  brokerFeePercent: 0,
+  transferTaxPercent: 0,
+  otherSellingCosts: 0,
+};
+
+// Reports saved before the exit NOI basis existed priced the sale on the last
+// hold year's NOI, so a missing basis keeps that trailing behaviour. New
+// reports start from DEFAULT_IRR_INPUTS and always save their basis.
+export const LEGACY_EXIT_NOI_BASIS = 'trailing';
+
+export const normaliseIrrInputs = (irrInputs = {}) => {
+  const source = irrInputs && typeof irrInputs === 'object' ? irrInputs : {};
+  return {
+    ...DEFAULT_IRR_INPUTS,
+    ...source,
+    exitNoiBasis: source.exitNoiBasis ?? LEGACY_EXIT_NOI_BASIS,
+  };
+};
+
+export const resolveIncreaseMode = (mode) =>
+  mode === 'dollar' || mode === 'flat' ? 'dollar' : 'percent';
+
+// One entry per projection year. Growth is measured against the prior year
+// (year 1 against the in-place T12). otherIncomeGrowth of null tracks the
+// year's rent increase, which is how older reports grew other income.
+export const DEFAULT_YEAR_ASSUMPTION = {
+  newLeases: 0,
+  rentIncreaseValue: 3,
+  rentIncreaseMode: 'percent',
+  otherIncomeGrowth: 3,
+  expenseGrowth: 2.5,
+};
+
+// Catch-up plan for lots below market rent. Each below-market lot closes its
+// gap in equal steps over `years`, every step capped at capValue (capMode
+// 'percent' or 'dollar'), and lease-up lots sign at market. Market rents grow
+// with each year's rent increase.
+export const DEFAULT_MARK_TO_MARKET = {
+  enabled: false,
+  years: 3,
+  capValue: 10,
+  capMode: 'percent',
+};
+
+// Utility recapture for the water/sewer bill the park pays today, by RUBS
+// (ratio billing) or submeters. Occupied lots are billed a share of the bill
+// that rises from the park's current recovery to `targetRecoveryPercent` in
+// equal steps over `phaseInYears`, starting in `startYear`. `capex` is the
+// submeter installation cost, spent in the start year.
+export const UTILITY_BILLBACK_METHODS = {
+  rubs: 'RUBS (ratio billing)',
+  submeter: 'Submetering',
+};
+
+export const DEFAULT_UTILITY_BILLBACK = {
+  enabled: false,
+  method: 'rubs',
+  targetRecoveryPercent: 80,
+  startYear: 1,
+  phaseInYears: 2,
+  capex: 0,
+  // Occupied lots the bill is spread over; the rent roll's count when null.
+  occupiedLots: null,
+};
+
+export const DEFAULT_PROFORMA_INPUTS = {
+  yearAssumptions: [
+    { newLeases: 7, rentIncreaseValue: 0, rentIncreaseMode: 'percent', otherIncomeGrowth: 0, expenseGrowth: 0 },
+    { newLeases: 5, rentIncreaseValue: 0, rentIncreaseMode: 'percent', otherIncomeGrowth: 0, expenseGrowth: 2.5 },
+    { ...DEFAULT_YEAR_ASSUMPTION, newLeases: 5 },
+    { ...DEFAULT_YEAR_ASSUMPTION, newLeases: 5 },
+    { ...DEFAULT_YEAR_ASSUMPTION, newLeases: 5 },
+  ],
+  // 'annual' adds each year's leases and rent increase on day one; 'monthly'
+  // ramps leases in over the year and applies increases on rentIncreaseMonth.
+  cashFlowMode: 'annual',
+  leaseUpPerMonth: 0,
+  rentIncreaseMonth: 1,
+  // Market rent per lot type, used for lots without a marketRent of their own.
+  marketRentByLotType: {},
+  markToMarket: DEFAULT_MARK_TO_MARKET,
+  utilityBillback: DEFAULT_UTILITY_BILLBACK,
+};
+
+// Fixed five-year fields used by reports saved before yearAssumptions existed.
+const LEGACY_PROFORMA_DEFAULTS = {
+  year1NewLeases: 7,
+  year2NewLeases: 5,
+  year3NewLeases: 5,
+  year4NewLeases: 5,
+  year5NewLeases: 5,
+  year1RentIncreaseValue: 0,
+  year1RentIncreaseMode: 'percent',
+  year2RentIncreaseValue: 0,
+  year2RentIncreaseMode: 'percent',
+  annualRentIncrease: 3,
+  annualRentIncreaseMode: 'percent',
+  annualExpenseIncrease: 2.5,
+};
+
+const LEGACY_PROFORMA_FIELDS = Object.keys(LEGACY_PROFORMA_DEFAULTS);
+
+const toNumberOr = (value, fallback) => {
+  const parsed = Number(value);
+  return value !== '' && value !== null && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const normaliseYearAssumption = (assumption = {}) => {
+  const source = assumption && typeof assumption === 'object' ? assumption : {};
+  const otherIncomeGrowth =
+    source.otherIncomeGrowth === null || source.otherIncomeGrowth === ''
+      ? null
+      : toNumberOr(source.otherIncomeGrowth, DEFAULT_YEAR_ASSUMPTION.otherIncomeGrowth);
+
+  return {
+    newLeases: Math.max(toNumberOr(source.newLeases, 0), 0),
+    rentIncreaseValue: toNumberOr(source.rentIncreaseValue, 0),
+    rentIncreaseMode: resolveIncreaseMode(source.rentIncreaseMode),
+    otherIncomeGrowth,
+    expenseGrowth: toNumberOr(source.expenseGrowth, DEFAULT_YEAR_ASSUMPTION.expenseGrowth),
+  };
+};
+
+const migrateLegacyYearAssumptions = (inputs) => {
+  const legacy = { ...LEGACY_PROFORMA_DEFAULTS, ...inputs };
+
+  return [1, 2, 3, 4, 5].map((year) => {
+    const rentIncreaseValue =
+      year <= 2 ? legacy[`year${year}RentIncreaseValue`] : legacy.annualRentIncrease;
+    const rentIncreaseMode = resolveIncreaseMode(
+      year <= 2 ? legacy[`year${year}RentIncreaseMode`] : legacy.annualRentIncreaseMode
+    );
+
+    return normaliseYearAssumption({
+      newLeases: legacy[`year${year}NewLeases`],
+      rentIncreaseValue,
+      rentIncreaseMode,
+      // Flat-dollar increases grew other income by the implied percentage.
+      otherIncomeGrowth: rentIncreaseMode === 'dollar' ? null : toNumberOr(rentIncreaseValue, 0),
+      expenseGrowth: year === 1 ? 0 : legacy.annualExpenseIncrease,
+    });
+  });
+};
+
+export const normaliseMarkToMarket = (plan = {}) => {
+  const source = plan && typeof plan === 'object' ? plan : {};
+
+  return {
+    enabled: Boolean(source.enabled),
+    years: Math.max(Math.round(toNumberOr(source.years, DEFAULT_MARK_TO_MARKET.years)), 1),
+    capValue: Math.max(toNumberOr(source.capValue, DEFAULT_MARK_TO_MARKET.capValue), 0),
+    capMode: resolveIncreaseMode(source.capMode),
+  };
+};
+
+export const normaliseUtilityBillback = (plan = {}) => {
+  const source = plan && typeof plan === 'object' ? plan : {};
+  const occupiedLots = toNumberOr(source.occupiedLots, null);
+
+  return {
+    enabled: Boolean(source.enabled),
+    method: UTILITY_BILLBACK_METHODS[source.method] ? source.method : DEFAULT_UTILITY_BILLBACK.method,
+    targetRecoveryPercent: Math.min(
+      Math.max(
+        toNumberOr(source.targetRecoveryPercent, DEFAULT_UTILITY_BILLBACK.targetRecoveryPercent),
+        0
+      ),
+      100
+    ),
+    startYear: Math.max(Math.round(toNumberOr(source.startYear, DEFAULT_UTILITY_BILLBACK.startYear)), 1),
+    phaseInYears: Math.max(
+      Math.round(toNumberOr(source.phaseInYears, DEFAULT_UTILITY_BILLBACK.phaseInYears)),
+      0
+    ),
+    capex: Math.max(toNumberOr(source.capex, DEFAULT_UTILITY_BILLBACK.capex), 0),
+    occupiedLots: occupiedLots !== null && occupiedLots > 0 ? occupiedLots : null,
+  };
+};
+
+export const normaliseProformaInputs = (inputs = {}) => {
+  const source = inputs && typeof inputs === 'object' ? inputs : {};
+  const { yearAssumptions, ...rest } = source;
+  const hasLegacyFields = LEGACY_PROFORMA_FIELDS.some((field) => rest[field] !== undefined);
+  let resolvedYears;
+
+  if (Array.isArray(yearAssumptions) && yearAssumptions.length > 0) {
+    resolvedYears = yearAssumptions.map(normaliseYearAssumption);
+  } else if (hasLegacyFields) {
+    resolvedYears = migrateLegacyYearAssumptions(rest);
+  } else {
+    resolvedYears = DEFAULT_PROFORMA_INPUTS.yearAssumptions.map(normaliseYearAssumption);
+  }
+
+  LEGACY_PROFORMA_FIELDS.forEach((field) => {
+    delete rest[field];
+  });
+
+  return {
+    ...DEFAULT_PROFORMA_INPUTS,
+    ...rest,
+    yearAssumptions: resolvedYears,
+    marketRentByLotType:
+      rest.marketRentByLotType && typeof rest.marketRentByLotType === 'object'
+        ? rest.marketRentByLotType
+        : {},
+    markToMarket: normaliseMarkToMarket(rest.markToMarket),
+    utilityBillback: normaliseUtilityBillback(rest.utilityBillback),
+  };
+};
+
+// Sizes yearAssumptions to the projection horizon. Years past the last entry
+// keep its growth rates but add no new leases.
+export const resolveYearAssumptions = (proformaInputs = {}, projectionCount = 0) => {
+  const years = Array.isArray(proformaInputs.yearAssumptions)
+    ? proformaInputs.yearAssumptions.map(normaliseYearAssumption)
+    : [];
+  const template = years.length > 0 ? years[years.length - 1] : DEFAULT_YEAR_ASSUMPTION;
+
+  return Array.from({ length: Math.max(projectionCount, 0) }, (_, index) =>
+    years[index] || { ...template, newLeases: 0 }
+  );
+};
+
+export const DEFAULT_MANAGEMENT_PERCENT = 5;
+export const DEFAULT_PROJECTION_YEARS = 5;
+
+export const DEBT_TRANCHE_TYPES = {
+  seller: 'Seller Carry',
+  second: 'Second Lien',
+  supplemental: 'Supplemental Loan',
+};
+
+// Tranches sit alongside the senior loan sized from purchaseInputs and reduce
+// the equity needed at closing. Any balance left at maturity is a balloon.
+export const DEFAULT_DEBT_TRANCHE = {
+  name: 'Seller Carry',
+  type: 'seller',
+  amount: 0,
+  interestRate: 5,
+  amortizationYears: 20,
+  loanTermYears: 5,
+  interestOnlyPeriodYears: 0,
+};
+
+// A refinance at the end of `year` sizes a new loan from that year's NOI and
+// pays off every tranche; whatever is left after costs goes to equity.
+export const DEFAULT_REFINANCE = {
+  enabled: false,
+  year: 3,
+  capRate: 7.5,
+  maxLoanToValue: 70,
+  minDscr: 1.25,
+  minDebtYield: 0,
+  interestRate: 6.5,
+  amortizationYears: 25,
+  loanTermYears: 10,
+  interestOnlyPeriodYears: 0,
+  closingCostPercent: 1,
+};
+
+export const DEFAULT_DEBT_INPUTS = {
+  tranches: [],
+  refinance: DEFAULT_REFINANCE,
+};
+
+const normaliseLoanTerms = (source, defaults) =>
+  Object.fromEntries(
+    Object.entries(defaults).map(([key, fallback]) => [
+      key,
+      typeof fallback === 'number' ? toNumberOr(source[key], fallback) : source[key] ?? fallback,
+    ])
+  );
+
+export const normaliseDebtTranche = (tranche = {}, index = 0) => {
+  const source = tranche && typeof tranche === 'object' ? tranche : {};
+  const normalised = normaliseLoanTerms(source, DEFAULT_DEBT_TRANCHE);
+
+  return {
+    ...normalised,
+    id: source.id ?? `tranche-${index + 1}`,
+    type: DEBT_TRANCHE_TYPES[normalised.type] ? normalised.type : DEFAULT_DEBT_TRANCHE.type,
+    name: typeof source.name === 'string' ? source.name : DEBT_TRANCHE_TYPES[normalised.type] || '',
+  };
+};
+
+export const normaliseDebtInputs = (inputs = {}) => {
+  const source = inputs && typeof inputs === 'object' ? inputs : {};
+  const refinance = source.refinance && typeof source.refinance === 'object' ? source.refinance : {};
+
+  return {
+    tranches: Array.isArray(source.tranches) ? source.tranches.map(normaliseDebtTranche) : [],
+    refinance: {
+      ...normaliseLoanTerms(refinance, DEFAULT_REFINANCE),
+      enabled: Boolean(refinance.enabled),
+    },
+  };
+};
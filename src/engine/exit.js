@@ -0,0 +1,57 @@
+import { toNumber } from './proforma.js';
+
+export const resolveExitNoiBasis = (basis) => (basis === 'trailing' ? 'trailing' : 'forward');
+
+// The proforma year whose NOI prices the sale: the buyer's first year for
+// forward NOI, or the seller's last year for trailing NOI.
+export const resolveExitNoiYear = (holdPeriod, basis) => {
+  const holdYears = Math.max(Math.floor(toNumber(holdPeriod)), 0);
+  return resolveExitNoiBasis(basis) === 'forward' ? holdYears + 1 : holdYears;
+};
+
+export const calculateExit = ({
+  proformaYears,
+  currentNoi,
+  totalUnits,
+  irrInputs,
+  remainingLoanBalance,
+}) => {
+  const exitNoiBasis = resolveExitNoiBasis(irrInputs.exitNoiBasis);
+  const exitNoiYear = resolveExitNoiYear(irrInputs.holdPeriod, exitNoiBasis);
+  const exitYearData = proformaYears.find((entry) => entry.year === exitNoiYear) || null;
+  const exitNoi =
+    exitYearData && Number.isFinite(exitYearData.noi) ? exitYearData.noi : currentNoi;
+
+  const exitCapRatePercent = toNumber(irrInputs.exitCapRate);
+  const exitPricePerSite = Math.max(toNumber(irrInputs.exitPricePerSite), 0);
+  const usePricePerSite = exitPricePerSite > 0 && totalUnits > 0;
+  let grossSalePrice = 0;
+  if (usePricePerSite) {
+    grossSalePrice = exitPricePerSite * totalUnits;
+  } else if (exitCapRatePercent > 0) {
+    grossSalePrice = exitNoi / (exitCapRatePercent / 100);
+  }
+
+  const brokerFee = grossSalePrice * (Math.max(toNumber(irrInputs.brokerFeePercent), 0) / 100);
+  const transferTax = grossSalePrice * (Math.max(toNumber(irrInputs.transferTaxPercent), 0) / 100);
+  const otherSellingCosts = Math.max(toNumber(irrInputs.otherSellingCosts), 0);
+  const totalSellingCosts = brokerFee + transferTax + otherSellingCosts;
+  const netSaleProceeds = grossSalePrice - totalSellingCosts;
+
+  return {
+    exitNoiBasis,
+    exitNoiYear,
+    exitNoi,
+    valuationMethod: usePricePerSite ? 'pricePerSite' : 'capRate',
+    exitPricePerSite: totalUnits > 0 ? grossSalePrice / totalUnits : 0,
+    impliedExitCapRate: grossSalePrice > 0 ? (exitNoi / grossSalePrice) * 100 : 0,
+    grossSalePrice,
+    brokerFee,
+    transferTax,
+    otherSellingCosts,
+    totalSellingCosts,
+    netSaleProceeds,
+    loanPayoff: remainingLoanBalance,
+    netExitProceeds: netSaleProceeds - remainingLoanBalance,
+  };
+};
@@ -0,0 +1,126 @@
+// Pure underwriting engine shared by the React app and the API routes. It takes
+// a plain deal object (the same shape as a saved report_state) and has no
+// browser or React dependencies. Relative imports keep their .js extension and
+// nothing here imports JSON, so Node can load the engine as ES modules.
+export {
+  DEFAULT_PURCHASE_INPUTS,
+  DEFAULT_IRR_INPUTS,
+  LEGACY_EXIT_NOI_BASIS,
+  normaliseIrrInputs,
+  DEFAULT_PROFORMA_INPUTS,
+  DEFAULT_MARK_TO_MARKET,
+  normaliseMarkToMarket,
+  UTILITY_BILLBACK_METHODS,
+  DEFAULT_UTILITY_BILLBACK,
+  normaliseUtilityBillback,
+  resolveLoanSizingMode,
+  DEFAULT_YEAR_ASSUMPTION,
+  DEFAULT_MANAGEMENT_PERCENT,
+  DEFAULT_PROJECTION_YEARS,
+  normaliseProformaInputs,
+  normaliseYearAssumption,
+  resolveYearAssumptions,
+  DEBT_TRANCHE_TYPES,
+  DEFAULT_DEBT_TRANCHE,
+  DEFAULT_REFINANCE,
+  DEFAULT_DEBT_INPUTS,
+  normaliseDebtTranche,
+  normaliseDebtInputs,
+} from './defaults.js';
+export {
+  calculateAmortizingPayment,
+  buildAnnualDebtServiceSchedule,
+  buildLoanSchedule,
+  solveLoanAmount,
+} from './loan.js';
+export {
+  HOME_OWNERSHIP_TYPES,
+  DEFAULT_HOME_OWNERSHIP,
+  resolveHomeOwnership,
+  summariseIncomeByOwnership,
+  DEFAULT_LOT_TYPE,
+  resolveLotType,
+  resolveMarketRent,
+  calculateLossToLease,
+} from './rentRoll.js';
+export { buildMarkToMarketPath } from './markToMarket.js';
+export {
+  UTILITY_EXPENSE_CATEGORY,
+  UTILITY_REIMBURSEMENT_CATEGORY,
+  buildUtilityBillbackPlan,
+  summariseUtilityBillback,
+} from './utilityBillback.js';
+export {
+  PNL_BASES,
+  DEFAULT_PNL_BASIS,
+  PNL_TREND_ALERT_PERCENT,
+  resolvePnlBasis,
+  normaliseMonthlyAmounts,
+  calculatePeriodTotals,
+  resolvePnlAmount,
+  summarisePnlBases,
+  findPnlTrendAlerts,
+} from './pnlPeriods.js';
+export {
+  PNL_SWING_ALERT_PERCENT,
+  LOT_RENT_CATEGORY,
+  buildAverageBaselineId,
+  summarisePnlCategories,
+  comparePnlHistory,
+  averagePnlEntries,
+  resolvePnlBaseline,
+} from './pnlHistory.js';
+export {
+  PNL_CATEGORY_SECTIONS,
+  normaliseCategoryRules,
+  listCategoryOptions,
+  categoriseLabel,
+} from './pnlCategories.js';
+export {
+  PNL_ADJUSTMENT_TYPES,
+  DEFAULT_PNL_ADJUSTMENT_TYPE,
+  LOT_RENT_LINE_ID,
+  normalisePnlAdjustments,
+  applyPnlAdjustments,
+} from './pnlAdjustments.js';
+export {
+  DEFAULT_PROPERTY_TAX_INPUTS,
+  normalisePropertyTaxRates,
+  normalisePropertyTaxInputs,
+  resolvePropertyTaxRule,
+  findPropertyTaxLine,
+  calculatePropertyTaxReassessment,
+} from './propertyTax.js';
+export { buildDebtStack, sizeRefinanceLoan, applyRefinance } from './debt.js';
+export { applyRentIncrease, calculateProforma, calculateMonthlyProforma } from './proforma.js';
+export { calculateIRR, calculateEquityMultiple } from './irr.js';
+export { calculateExit, resolveExitNoiBasis, resolveExitNoiYear } from './exit.js';
+export { normaliseDeal, calculateDeal } from './deal.js';
+export {
+  SENSITIVITY_VARIABLES,
+  SENSITIVITY_METRICS,
+  DEFAULT_SENSITIVITY_TABLES,
+  buildSensitivityGrid,
+  buildSensitivityTables,
+} from './sensitivity.js';
+export {
+  BASE_SCENARIO_ID,
+  SCENARIO_INPUT_KEYS,
+  SCENARIO_COMPARISON_METRICS,
+  normaliseScenarios,
+  applyScenarioOverrides,
+  diffScenarioInputs,
+  resolveScenarioDeal,
+  compareScenarios,
+} from './scenarios.js';
+export {
+  SIMULATION_DISTRIBUTIONS,
+  SIMULATION_VARIABLES,
+  DEFAULT_SIMULATION_INPUTS,
+  MIN_SIMULATION_ITERATIONS,
+  MAX_SIMULATION_ITERATIONS,
+  normaliseSimulationInputs,
+  calculatePercentile,
+  buildHistogram,
+  runSimulation,
+} from './simulation.js';
@@ -0,0 +1,45 @@
+export const calculateIRR = (cashFlows) => {
+  if (!Array.isArray(cashFlows) || cashFlows.length === 0) {
+    return 0;
+  }
+
+  let rate = 0.1;
+  const maxIterations = 100;
+  const tolerance = 0.0001;
+
+  for (let i = 0; i < maxIterations; i += 1) {
+    let npv = 0;
+    let dnpv = 0;
+
+    for (let j = 0; j < cashFlows.length; j += 1) {
+      const cashFlowValue = cashFlows[j];
+      npv += cashFlowValue / Math.pow(1 + rate, j);
+      dnpv -= j * cashFlowValue / Math.pow(1 + rate, j + 1);
+    }
+
+    if (dnpv === 0) {
+      return rate * 100;
+    }
+
+    const newRate = rate - npv / dnpv;
+
+    if (!Number.isFinite(newRate)) {
+      return rate * 100;
+    }
+
+    if (Math.abs(newRate - rate) < tolerance) {
+      return newRate * 100;
+    }
+
+    rate = newRate;
+  }
+
+  return rate * 100;
+};
+
+export const calculateEquityMultiple = ({ initialInvestment, cashFlows, exitProceeds }) => {
+  const cumulativeCashFlow = cashFlows.reduce((sum, value) => sum + value, 0);
+  return initialInvestment > 0
+    ? (exitProceeds + cumulativeCashFlow) / initialInvestment
+    : 0;
+};
@@ -0,0 +1,247 @@
+export const calculateAmortizingPayment = (principal, monthlyRate, months) => {
+  if (!(principal > 0) || !(months > 0)) {
+    return 0;
+  }
+
+  if (monthlyRate > 0) {
+    const factor = Math.pow(1 + monthlyRate, months);
+    return (principal * monthlyRate * factor) / (factor - 1);
+  }
+
+  return principal / months;
+};
+
+// The interest-only period is capped by the term and the amortisation, and it
+// uses up part of the amortisation: the payment after it repays the loan over
+// what is left.
+const resolveLoanTerms = ({
+  interestRate,
+  amortizationYears: amortizationInput,
+  loanTermYears,
+  interestOnlyPeriodYears,
+}) => {
+  const monthlyRate = (Number(interestRate) || 0) / 100 / 12;
+  const amortizationYears = Number(amortizationInput) || 0;
+  const amortizationMonthsTotal = Math.max(Math.round(amortizationYears * 12), 0);
+  const totalTermYears = Number(loanTermYears) || 0;
+  const totalTermMonths = Math.max(Math.round(totalTermYears * 12), 0);
+  const requestedInterestOnlyYears = Number(interestOnlyPeriodYears) || 0;
+  const maxInterestOnlyYears = amortizationYears > 0
+    ? Math.min(totalTermYears, amortizationYears)
+    : totalTermYears;
+  const interestOnlyYears = Math.max(0, Math.min(requestedInterestOnlyYears, maxInterestOnlyYears));
+  const interestOnlyMonths = Math.min(
+    Math.round(interestOnlyYears * 12),
+    totalTermMonths,
+    amortizationMonthsTotal > 0 ? amortizationMonthsTotal : totalTermMonths
+  );
+  const amortizationMonthsForPayment =
+    amortizationMonthsTotal > 0 ? Math.max(amortizationMonthsTotal - interestOnlyMonths, 0) : 0;
+
+  return {
+    monthlyRate,
+    amortizationYears,
+    totalTermYears,
+    totalTermMonths,
+    interestOnlyYears,
+    interestOnlyMonths,
+    amortizationMonthsForPayment,
+  };
+};
+
+// Largest loan that satisfies every lender limit set above zero. DSCR sizing
+// tests the highest payment the loan carries in its term: the amortising
+// payment after any interest-only period (over the amortisation that is left),
+// or the interest-only payment when the loan never amortises within its term.
+// Debt yield is NOI over the loan amount.
+export const solveLoanAmount = ({
+  noi,
+  value,
+  interestRate,
+  amortizationYears,
+  loanTermYears,
+  interestOnlyPeriodYears,
+  maxLoanToValue,
+  minDscr,
+  minDebtYield,
+}) => {
+  const sizingNoi = Math.max(Number(noi) || 0, 0);
+  const { monthlyRate, totalTermMonths, interestOnlyMonths, amortizationMonthsForPayment } =
+    resolveLoanTerms({ interestRate, amortizationYears, loanTermYears, interestOnlyPeriodYears });
+  const amortisesInTerm =
+    amortizationMonthsForPayment > 0 &&
+    (totalTermMonths === 0 || interestOnlyMonths < totalTermMonths);
+  const annualPaymentPerDollar = amortisesInTerm
+    ? calculateAmortizingPayment(1, monthlyRate, amortizationMonthsForPayment) * 12
+    : monthlyRate * 12;
+
+  const limits = {
+    ltv: maxLoanToValue > 0 ? Math.max(Number(value) || 0, 0) * (maxLoanToValue / 100) : null,
+    dscr:
+      minDscr > 0 && annualPaymentPerDollar > 0
+        ? sizingNoi / minDscr / annualPaymentPerDollar
+        : null,
+    debtYield: minDebtYield > 0 ? sizingNoi / (minDebtYield / 100) : null,
+  };
+  const binding = Object.entries(limits)
+    .filter(([, amount]) => amount !== null)
+    .reduce((lowest, entry) => (!lowest || entry[1] < lowest[1] ? entry : lowest), null);
+
+  return {
+    ltvLoan: limits.ltv,
+    dscrLoan: limits.dscr,
+    debtYieldLoan: limits.debtYield,
+    loanAmount: binding ? binding[1] : 0,
+    constraint: binding ? binding[0] : null,
+  };
+};
+
+export const buildAnnualDebtServiceSchedule = (loanSchedule) => {
+  const annualDebtServiceSchedule = [];
+  const totalYears = Math.ceil(loanSchedule.length / 12);
+
+  for (let yearIndex = 0; yearIndex < totalYears; yearIndex += 1) {
+    const payments = loanSchedule.slice(yearIndex * 12, yearIndex * 12 + 12);
+    const sum = (key) => payments.reduce((total, entry) => total + (entry[key] || 0), 0);
+
+    annualDebtServiceSchedule.push({
+      year: yearIndex + 1,
+      totalPayment: sum('payment'),
+      totalInterest: sum('interestPayment'),
+      totalPrincipal: sum('principalPayment'),
+      // Maturity and refinance events sit outside regular debt service.
+      balloonPayment: sum('balloonPayment'),
+      refinanceProceeds: sum('refinanceProceeds'),
+      endingBalance: payments[payments.length - 1]?.remainingBalance ?? 0,
+    });
+  }
+
+  return annualDebtServiceSchedule;
+};
+
+export const buildLoanSchedule = ({ loanAmount, purchaseInputs }) => {
+  const {
+    monthlyRate,
+    amortizationYears,
+    totalTermYears,
+    totalTermMonths,
+    interestOnlyYears,
+    interestOnlyMonths,
+    amortizationMonthsForPayment,
+  } = resolveLoanTerms(purchaseInputs);
+
+  let interestOnlyMonthlyPayment = 0;
+  if (loanAmount > 0) {
+    interestOnlyMonthlyPayment = monthlyRate > 0 ? loanAmount * monthlyRate : 0;
+  }
+
+  let amortizingMonthlyPayment = 0;
+  if (loanAmount > 0 && amortizationMonthsForPayment > 0) {
+    amortizingMonthlyPayment = calculateAmortizingPayment(
+      loanAmount,
+      monthlyRate,
+      amortizationMonthsForPayment
+    );
+  } else if (loanAmount > 0) {
+    amortizingMonthlyPayment = interestOnlyMonthlyPayment;
+  }
+
+  const loanSchedule = [];
+  let remainingBalance = loanAmount;
+
+  for (let month = 1; month <= totalTermMonths; month += 1) {
+    if (remainingBalance <= 0) {
+      loanSchedule.push({
+        payment: 0,
+        interestPayment: 0,
+        principalPayment: 0,
+        remainingBalance: 0,
+      });
+      continue;
+    }
+
+    const withinInterestOnly = month <= interestOnlyMonths;
+    let payment = 0;
+    let interestPayment = 0;
+
+    if (monthlyRate > 0) {
+      interestPayment = remainingBalance * monthlyRate;
+      if (withinInterestOnly) {
+        payment = interestOnlyMonthlyPayment;
+      } else if (amortizationMonthsForPayment > 0) {
+        payment = amortizingMonthlyPayment;
+      } else {
+        payment = interestPayment;
+      }
+    } else {
+      interestPayment = 0;
+      if (withinInterestOnly) {
+        payment = 0;
+      } else if (amortizationMonthsForPayment > 0) {
+        payment = amortizingMonthlyPayment;
+      } else {
+        payment = 0;
+      }
+    }
+
+    let principalPayment = payment - interestPayment;
+
+    if (!Number.isFinite(principalPayment) || principalPayment < 0) {
+      principalPayment = 0;
+    }
+
+    if (principalPayment > remainingBalance) {
+      principalPayment = remainingBalance;
+      payment = interestPayment + principalPayment;
+    }
+
+    remainingBalance = Math.max(0, remainingBalance - principalPayment);
+
+    loanSchedule.push({
+      payment,
+      interestPayment,
+      principalPayment,
+      remainingBalance,
+    });
+  }
+
+  const annualDebtServiceSchedule = buildAnnualDebtServiceSchedule(loanSchedule);
+
+  const firstYearDebtService =
+    annualDebtServiceSchedule[0]?.totalPayment ||
+    loanSchedule.slice(0, 12).reduce((sum, entry) => sum + entry.payment, 0);
+  const firstMonthPayment = loanSchedule[0]?.payment || 0;
+  const maturityBalance =
+    loanSchedule.length > 0
+      ? loanSchedule[loanSchedule.length - 1]?.remainingBalance ?? loanAmount
+      : loanAmount;
+
+  return {
+    loanSchedule,
+    annualDebtServiceSchedule,
+    firstYearDebtService,
+    firstMonthPayment,
+    maturityBalance,
+    interestOnlyMonthlyPayment,
+    amortizingMonthlyPayment,
+    interestOnlyYears,
+    amortizationYears,
+    totalTermYears,
+  };
+};
+
+export const resolveBalanceAfterMonths = (loanSchedule, loanAmount, months) => {
+  if (loanSchedule.length === 0) {
+    return loanAmount;
+  }
+
+  if (months <= 0) {
+    return loanAmount;
+  }
+
+  if (months <= loanSchedule.length) {
+    return loanSchedule[months - 1].remainingBalance;
+  }
+
+  return 0;
+};
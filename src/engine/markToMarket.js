@@ -0,0 +1,78 @@
+import { resolveYearAssumptions } from './defaults.js';
+import { applyRentIncrease, toNumber } from './proforma.js';
+import { resolveMarketRent } from './rentRoll.js';
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+
+// Steps every occupied lot's rent through the projection under the
+// mark-to-market plan. Lots at market take the year's regular increase; lots
+// below it take whichever is larger of the regular increase and an equal
+// share of the remaining gap, capped per step. Returns null when the plan is
+// off so the proforma keeps its uniform increases.
+export const buildMarkToMarketPath = ({ units = [], proformaInputs, projectionCount }) => {
+  const plan = proformaInputs?.markToMarket;
+  if (!plan?.enabled) {
+    return null;
+  }
+
+  const marketRentByLotType = proformaInputs.marketRentByLotType || {};
+  const yearAssumptions = resolveYearAssumptions(proformaInputs, projectionCount);
+  let leasedLots = units
+    .filter((unit) => unit?.occupied)
+    .map((unit) => ({
+      rent: toNumber(unit.rent),
+      marketRent: resolveMarketRent(unit, marketRentByLotType),
+    }));
+  let vacantMarketRents = units
+    .filter((unit) => unit && !unit.occupied)
+    .map((unit) => resolveMarketRent(unit, marketRentByLotType));
+  if (vacantMarketRents.length === 0) {
+    vacantMarketRents = leasedLots.map((lot) => lot.marketRent);
+  }
+
+  const startingRent = leasedLots.reduce((total, lot) => total + lot.rent, 0);
+  const startingNewLeaseRent = average(vacantMarketRents);
+
+  const years = yearAssumptions.map((assumption, index) => {
+    const grow = (rent) =>
+      applyRentIncrease(rent, assumption.rentIncreaseValue, assumption.rentIncreaseMode).nextRent;
+    const remainingYears = Math.max(plan.years - index, 1);
+    let belowMarketLots = 0;
+
+    leasedLots = leasedLots.map((lot) => {
+      const marketRent = grow(lot.marketRent);
+      const regularRent = grow(lot.rent);
+
+      if (regularRent >= marketRent - 0.005) {
+        return { rent: regularRent, marketRent };
+      }
+
+      belowMarketLots += 1;
+      const cap =
+        plan.capValue > 0
+          ? plan.capMode === 'dollar'
+            ? plan.capValue
+            : lot.rent * (plan.capValue / 100)
+          : Infinity;
+      const step = Math.min((marketRent - lot.rent) / remainingYears, cap);
+
+      return { rent: Math.max(regularRent, lot.rent + step), marketRent };
+    });
+    vacantMarketRents = vacantMarketRents.map(grow);
+
+    const inPlaceRent = leasedLots.reduce((total, lot) => total + lot.rent, 0);
+
+    return {
+      year: index + 1,
+      inPlaceFactor: startingRent > 0 ? inPlaceRent / startingRent : 1,
+      averageInPlaceRent: average(leasedLots.map((lot) => lot.rent)),
+      newLeaseRent: average(vacantMarketRents),
+      belowMarketLots,
+      lossToLease:
+        leasedLots.reduce((total, lot) => total + Math.max(lot.marketRent - lot.rent, 0), 0) * 12,
+    };
+  });
+
+  return { startingNewLeaseRent, years };
+};
@@ -0,0 +1,168 @@
+import { toNumber } from './proforma.js';
+
+// How an underwriting adjustment changes the seller's line:
+// - addBack: takes `amount` off the line (one-off or non-operating costs,
+//   capex booked as repairs);
+// - removal: drops the line entirely (owner's salary);
+// - normalisation: moves the line by a signed `amount`;
+// - proForma: replaces the line with `amount` (our insurance quote), or adds a
+//   new line when no line is targeted.
+export const PNL_ADJUSTMENT_TYPES = {
+  addBack: 'Add-back',
+  removal: 'Removal',
+  normalisation: 'Normalisation',
+  proForma: 'Pro-forma replacement',
+};
+
+export const DEFAULT_PNL_ADJUSTMENT_TYPE = 'normalisation';
+
+// Actual lot rent is a single figure rather than a line; adjustments target it
+// by this id.
+export const LOT_RENT_LINE_ID = 'lot-rent';
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+export const normalisePnlAdjustments = (adjustments) =>
+  (Array.isArray(adjustments) ? adjustments : [])
+    .filter((adjustment) => isPlainObject(adjustment) && adjustment.id !== undefined)
+    .map((adjustment) => ({
+      id: String(adjustment.id),
+      type: PNL_ADJUSTMENT_TYPES[adjustment.type] ? adjustment.type : DEFAULT_PNL_ADJUSTMENT_TYPE,
+      section: adjustment.section === 'income' ? 'income' : 'expense',
+      lineId:
+        adjustment.lineId !== undefined && adjustment.lineId !== null && adjustment.lineId !== ''
+          ? String(adjustment.lineId)
+          : null,
+      // The targeted line's name when the adjustment was made, used when a new
+      // P&L baseline replaces the line (and its id).
+      lineName: typeof adjustment.lineName === 'string' ? adjustment.lineName : '',
+      label: typeof adjustment.label === 'string' ? adjustment.label : '',
+      amount: toNumber(adjustment.amount),
+      reason: typeof adjustment.reason === 'string' ? adjustment.reason : '',
+    }));
+
+const resolveDelta = (type, amount, current) => {
+  switch (type) {
+    case 'removal':
+      return -current;
+    case 'addBack':
+      return -Math.abs(amount);
+    case 'proForma':
+      return amount - current;
+    default:
+      return amount;
+  }
+};
+
+const sumRows = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+// Applies the adjustments, in order, to the seller's lines. Returns the
+// underwritten lines in the deal's own shape (removed lines dropped, added
+// lines appended) and a reconciliation of seller, adjustment and underwritten
+// amounts per line. A line is found by id, then by the name it had; adjustments
+// whose line no longer exists are returned in `unmatched` and change nothing.
+export const applyPnlAdjustments = (
+  { additionalIncome = [], expenses = [], useActualIncome = false, actualIncome = 0 } = {},
+  adjustments = []
+) => {
+  const toRow = (section) => (line) => ({
+    section,
+    id: String(line.id),
+    name: line.name,
+    seller: toNumber(line.amount),
+    adjustment: 0,
+    removed: false,
+    added: false,
+    adjustments: [],
+    line,
+  });
+
+  const rows = [
+    ...(useActualIncome
+      ? [toRow('income')({ id: LOT_RENT_LINE_ID, name: 'Lot Rent Income', amount: actualIncome })]
+      : []),
+    ...additionalIncome.map(toRow('income')),
+    ...expenses.map(toRow('expense')),
+  ];
+  const unmatched = [];
+
+  normalisePnlAdjustments(adjustments).forEach((adjustment) => {
+    const sectionRows = rows.filter((entry) => entry.section === adjustment.section && !entry.added);
+    const lineName = adjustment.lineName.trim().toLowerCase();
+    let row = adjustment.lineId
+      ? sectionRows.find((entry) => entry.id === adjustment.lineId) ||
+        (lineName
+          ? sectionRows.find((entry) => String(entry.name || '').trim().toLowerCase() === lineName)
+          : null)
+      : null;
+
+    if (!row && !adjustment.lineId && adjustment.type === 'proForma') {
+      const name = adjustment.label.trim() || 'Pro-forma line';
+      row = {
+        ...toRow(adjustment.section)({ id: `adjustment-${adjustment.id}`, name, amount: 0 }),
+        added: true,
+      };
+      row.line = { ...row.line, note: adjustment.reason };
+      rows.push(row);
+    }
+
+    if (!row) {
+      unmatched.push(adjustment);
+      return;
+    }
+
+    const delta = resolveDelta(adjustment.type, adjustment.amount, row.seller + row.adjustment);
+    row.adjustment += delta;
+    // A later adjustment that puts an amount back on a removed line revives it.
+    if (adjustment.type === 'removal') {
+      row.removed = true;
+    } else if (delta !== 0) {
+      row.removed = false;
+    }
+    row.adjustments.push({
+      id: adjustment.id,
+      type: adjustment.type,
+      reason: adjustment.reason,
+      amount: delta,
+    });
+  });
+
+  const reconciliationRows = rows.map(({ line, ...row }) => ({
+    ...row,
+    underwritten: row.seller + row.adjustment,
+  }));
+  const totalsFor = (section) => {
+    const sectionRows = reconciliationRows.filter((row) => row.section === section);
+    return {
+      seller: sumRows(sectionRows, 'seller'),
+      adjustment: sumRows(sectionRows, 'adjustment'),
+      underwritten: sumRows(sectionRows, 'underwritten'),
+    };
+  };
+  const income = totalsFor('income');
+  const expenseTotals = totalsFor('expense');
+
+  const underwrittenLines = (section) =>
+    rows
+      .filter((row) => row.section === section && row.id !== LOT_RENT_LINE_ID && !row.removed)
+      .map((row) => ({ ...row.line, amount: row.seller + row.adjustment }));
+  const lotRentRow = rows.find((row) => row.id === LOT_RENT_LINE_ID);
+
+  return {
+    additionalIncome: underwrittenLines('income'),
+    expenses: underwrittenLines('expense'),
+    actualIncome: lotRentRow ? lotRentRow.seller + lotRentRow.adjustment : actualIncome,
+    rows: reconciliationRows,
+    totals: {
+      income,
+      expenses: expenseTotals,
+      net: {
+        seller: income.seller - expenseTotals.seller,
+        adjustment: income.adjustment - expenseTotals.adjustment,
+        underwritten: income.underwritten - expenseTotals.underwritten,
+      },
+    },
+    appliedCount: reconciliationRows.reduce((count, row) => count + row.adjustments.length, 0),
+    unmatched,
+  };
+};
@@ -0,0 +1,70 @@
+import { LOT_RENT_LINE_ID, applyPnlAdjustments, calculateDeal } from './index';
+
+const seller = {
+  additionalIncome: [{ id: 1, name: 'Laundry', amount: 2400, note: 'Coin-op' }],
+  expenses: [
+    { id: 1, name: 'Insurance', amount: 12000 },
+    { id: 2, name: 'Owner Salary', amount: 30000 },
+    { id: 3, name: 'Repairs', amount: 20000 },
+  ],
+  useActualIncome: true,
+  actualIncome: 150000,
+};
+
+describe('P&L underwriting adjustments', () => {
+  test('each adjustment type moves its line and the reconciliation adds up', () => {
+    const result = applyPnlAdjustments(seller, [
+      { id: 'a', type: 'removal', section: 'expense', lineId: 2, reason: 'Owner salary' },
+      { id: 'b', type: 'proForma', section: 'expense', lineId: 1, amount: 14500, reason: 'Our quote' },
+      { id: 'c', type: 'addBack', section: 'expense', lineId: 3, amount: -6000, reason: 'Capex in repairs' },
+      { id: 'd', type: 'normalisation', section: 'income', lineId: LOT_RENT_LINE_ID, amount: -3000 },
+    ]);
+
+    expect(result.expenses).toEqual([
+      { id: 1, name: 'Insurance', amount: 14500 },
+      { id: 3, name: 'Repairs', amount: 14000 },
+    ]);
+    expect(result.additionalIncome).toEqual(seller.additionalIncome);
+    expect(result.actualIncome).toBe(147000);
+    expect(result.totals.expenses).toEqual({ seller: 62000, adjustment: -33500, underwritten: 28500 });
+    expect(result.totals.net.adjustment).toBe(30500);
+    expect(result.rows.find((row) => row.id === '2')).toMatchObject({ removed: true, underwritten: 0 });
+  });
+
+  test('pro-forma lines without a target are added, and stale targets are reported', () => {
+    const result = applyPnlAdjustments(seller, [
+      { id: 'e', type: 'proForma', section: 'expense', label: 'Payroll', amount: 18000, reason: 'On-site manager' },
+      { id: 'f', type: 'addBack', section: 'expense', lineId: 42, amount: 500 },
+    ]);
+
+    expect(result.expenses[result.expenses.length - 1]).toEqual({
+      id: 'adjustment-e',
+      name: 'Payroll',
+      amount: 18000,
+      note: 'On-site manager',
+    });
+    expect(result.unmatched.map((adjustment) => adjustment.id)).toEqual(['f']);
+    expect(result.appliedCount).toBe(1);
+  });
+
+  test('a line replaced by a new P&L baseline is found again by its name', () => {
+    const result = applyPnlAdjustments(
+      { ...seller, expenses: [{ id: 'average-expense-Insurance', name: 'insurance ', amount: 11000 }] },
+      [{ id: 'g', type: 'proForma', section: 'expense', lineId: 1, lineName: 'Insurance', amount: 14500 }]
+    );
+
+    expect(result.expenses[0].amount).toBe(14500);
+    expect(result.unmatched).toEqual([]);
+  });
+
+  test('calculateDeal underwrites the seller lines before computing NOI', () => {
+    const base = { ...seller, managementPercent: 0, purchaseInputs: { purchasePrice: 1000000 } };
+    const adjusted = calculateDeal({
+      ...base,
+      pnlAdjustments: [{ id: 'a', type: 'removal', section: 'expense', lineId: 2 }],
+    });
+
+    expect(adjusted.noi - calculateDeal(base).noi).toBe(30000);
+    expect(adjusted.underwriting.totals.net.underwritten).toBe(adjusted.noi);
+  });
+});
@@ -0,0 +1,109 @@
+// P&L sections a rule file lists categories for, in the order they are shown.
+export const PNL_CATEGORY_SECTIONS = ['income', 'expense'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Lower-case words separated by single spaces, so "Pad Rent - North" and
+// "pad rent" compare equal at word boundaries.
+const normaliseText = (text) =>
+  String(text ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const cleanStrings = (list) =>
+  (Array.isArray(list) ? list : [])
+    .filter((value) => typeof value === 'string' && value.trim())
+    .map((value) => value.trim());
+
+const compilePatterns = (patterns, category, problems) =>
+  cleanStrings(patterns)
+    .map((source) => {
+      try {
+        return { source, regex: new RegExp(source, 'i') };
+      } catch (error) {
+        problems.push(`${category}: invalid pattern "${source}" was skipped.`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+// Validates a rule file ({ version, embeddingFallback, income: [...], expense:
+// [...] }, see src/config/category_map.json). Rules keep the file's order,
+// which is the order they are tried in. Anything unusable is dropped and
+// described in `problems` rather than failing the whole file. The engine never
+// reads the file itself: the app bundles it (src/config/categoryRules.js) and
+// the API reads it from disk, and each passes the normalised rules in.
+export const normaliseCategoryRules = (raw) => {
+  const problems = [];
+  const source = isPlainObject(raw) ? raw : {};
+  if (!isPlainObject(raw)) {
+    problems.push('The rule file is not a JSON object.');
+  }
+
+  const sections = Object.fromEntries(
+    PNL_CATEGORY_SECTIONS.map((section) => {
+      const entries = Array.isArray(source[section]) ? source[section] : [];
+      const rules = entries
+        .map((entry, index) => {
+          const category = typeof entry?.category === 'string' ? entry.category.trim() : '';
+          if (!category) {
+            problems.push(`${section} rule ${index + 1} has no category and was skipped.`);
+            return null;
+          }
+
+          return {
+            category,
+            keywords: cleanStrings(entry.keywords).map(normaliseText).filter(Boolean),
+            patterns: compilePatterns(entry.patterns, category, problems),
+            exclude: cleanStrings(entry.exclude).map(normaliseText).filter(Boolean),
+          };
+        })
+        .filter(Boolean);
+      return [section, rules];
+    })
+  );
+
+  return {
+    version: source.version !== undefined && source.version !== null ? String(source.version) : null,
+    embeddingFallback: source.embeddingFallback !== false,
+    ...sections,
+    problems,
+  };
+};
+
+// Category names for one section, in rule order, without duplicates.
+export const listCategoryOptions = (rules, section) =>
+  Array.from(new Set((rules?.[section] || []).map((rule) => rule.category)));
+
+const containsPhrase = (text, phrase) => ` ${text} `.includes(` ${phrase} `);
+
+// The first rule in the section whose keyword or pattern matches the label and
+// none of whose exclusions do. Returns the category with the rule that matched,
+// or null (always null without rules).
+export const categoriseLabel = (label, section, rules) => {
+  const rawLabel = typeof label === 'string' ? label.trim() : '';
+  const text = normaliseText(rawLabel);
+  if (!text) {
+    return null;
+  }
+
+  for (const rule of rules?.[section] || []) {
+    if (rule.exclude.some((phrase) => containsPhrase(text, phrase))) {
+      continue;
+    }
+
+    const keyword = rule.keywords.find((phrase) => containsPhrase(text, phrase));
+    const pattern = keyword ? null : rule.patterns.find(({ regex }) => regex.test(rawLabel));
+    if (keyword || pattern) {
+      return {
+        category: rule.category,
+        rule: keyword
+          ? { type: 'keyword', value: keyword }
+          : { type: 'pattern', value: pattern.source },
+      };
+    }
+  }
+
+  return null;
+};
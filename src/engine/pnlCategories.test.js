@@ -0,0 +1,62 @@
+import { categoriseLabel, normaliseCategoryRules } from './index';
+import {
+  DEFAULT_CATEGORY_RULES,
+  EXPENSE_CATEGORY_OPTIONS,
+  INCOME_CATEGORY_OPTIONS,
+} from '../config/categoryRules';
+
+const categorise = (label, section) => categoriseLabel(label, section, DEFAULT_CATEGORY_RULES);
+
+describe('P&L category rules', () => {
+  test('the bundled rule file loads cleanly and drives the option lists', () => {
+    expect(DEFAULT_CATEGORY_RULES.problems).toEqual([]);
+    expect(INCOME_CATEGORY_OPTIONS[0]).toBe('Lot Rent');
+    expect(INCOME_CATEGORY_OPTIONS).toContain('Utility Reimbursement');
+    expect(EXPENSE_CATEGORY_OPTIONS).toContain('Water/Sewer');
+    expect(EXPENSE_CATEGORY_OPTIONS[EXPENSE_CATEGORY_OPTIONS.length - 1]).toBe('Other Expense');
+  });
+
+  test('keywords match whole words within the section only', () => {
+    expect(categorise('Pad Rent - North', 'income')).toEqual({
+      category: 'Lot Rent',
+      rule: { type: 'keyword', value: 'pad rent' },
+    });
+    expect(categorise('Water', 'income').category).toBe('Utility Reimbursement');
+    expect(categorise('Water', 'expense')).toEqual({
+      category: 'Water/Sewer',
+      rule: { type: 'pattern', value: '^water\\b' },
+    });
+    // "rc" is a keyword, but only as a word of its own.
+    expect(categorise('RCV Adjustments', 'income')).toBeNull();
+    expect(categoriseLabel('Pad Rent', 'income')).toBeNull();
+  });
+
+  test('exclusions pass the label on to later rules', () => {
+    expect(categorise('Payroll Taxes', 'expense').category).toBe('Payroll');
+    expect(categorise('Taxes', 'expense').category).toBe('Property Taxes');
+    expect(categorise('RTO Home Rent', 'income').category).toBe('Home Rent');
+  });
+
+  test('team rule files keep their order and report unusable entries', () => {
+    const rules = normaliseCategoryRules({
+      version: 7,
+      embeddingFallback: false,
+      expense: [
+        { category: 'Snow Removal', keywords: ['Snow Plowing'], patterns: ['(unclosed'] },
+        { keywords: ['orphan'] },
+        { category: 'Repairs', patterns: ['^r&m\\b'], exclude: ['snow'] },
+      ],
+    });
+
+    expect(rules.version).toBe('7');
+    expect(rules.embeddingFallback).toBe(false);
+    expect(rules.income).toEqual([]);
+    expect(rules.problems).toHaveLength(2);
+    expect(categoriseLabel('Snow plowing - Jan', 'expense', rules).category).toBe('Snow Removal');
+    expect(categoriseLabel('R&M General', 'expense', rules)).toEqual({
+      category: 'Repairs',
+      rule: { type: 'pattern', value: '^r&m\\b' },
+    });
+    expect(categoriseLabel('R&M snow', 'expense', rules)).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+import { DEFAULT_PNL_BASIS, resolvePnlAmount } from './pnlPeriods.js';
+
+// Year-over-year moves at least this large are flagged on the comparison.
+export const PNL_SWING_ALERT_PERCENT = 15;
+
+export const LOT_RENT_CATEGORY = 'Lot Rent';
+
+// Baselines built from several P&Ls are identified as "average-<count>" and
+// cover that many of the most recent entries.
+const AVERAGE_BASELINE_PREFIX = 'average-';
+
+export const buildAverageBaselineId = (count) => `${AVERAGE_BASELINE_PREFIX}${count}`;
+
+const lineCategory = (line, section) =>
+  line?.category || (section === 'income' ? 'Other Income' : 'Other Expense');
+
+const sumByCategory = (lines = [], section, basis) =>
+  lines.reduce((totals, line) => {
+    const category = lineCategory(line, section);
+    totals[category] = (totals[category] || 0) + resolvePnlAmount(line, basis);
+    return totals;
+  }, {});
+
+// One P&L's totals by mapped category, on the given basis.
+export const summarisePnlCategories = (entry, basis = DEFAULT_PNL_BASIS) => {
+  const income = sumByCategory(entry?.incomeLines, 'income', basis);
+  const expenses = sumByCategory(entry?.expenseLines, 'expense', basis);
+  const sum = (totals) => Object.values(totals).reduce((total, amount) => total + amount, 0);
+  const totalIncome = sum(income);
+  const totalExpenses = sum(expenses);
+
+  return { income, expenses, totalIncome, totalExpenses, noi: totalIncome - totalExpenses };
+};
+
+const describeChange = (previous, current, swingPercent) => {
+  if (previous === null || current === null) {
+    return null;
+  }
+
+  const amount = current - previous;
+  const percent = previous !== 0 ? (amount / Math.abs(previous)) * 100 : null;
+
+  return {
+    amount,
+    percent,
+    // A category that appears from nothing is a swing as well.
+    flagged: percent === null ? amount !== 0 : Math.abs(percent) >= swingPercent,
+  };
+};
+
+// Side-by-side view of several P&Ls, in the order given. Every mapped category
+// gets one amount per entry (null where that P&L lacks it) and its change
+// against the previous entry.
+export const comparePnlHistory = (
+  entries = [],
+  { basis = DEFAULT_PNL_BASIS, swingPercent = PNL_SWING_ALERT_PERCENT } = {}
+) => {
+  const summaries = entries.map((entry) => summarisePnlCategories(entry, basis));
+  const withChanges = (amounts) =>
+    amounts.map((amount, index) =>
+      index === 0 ? null : describeChange(amounts[index - 1], amount, swingPercent)
+    );
+
+  const rows = [
+    ['income', 'income'],
+    ['expense', 'expenses'],
+  ].flatMap(([section, key]) => {
+    const categories = Array.from(
+      new Set(summaries.flatMap((summary) => Object.keys(summary[key])))
+    );
+
+    return categories.map((category) => {
+      const amounts = summaries.map((summary) =>
+        category in summary[key] ? summary[key][category] : null
+      );
+      return { section, category, amounts, changes: withChanges(amounts) };
+    });
+  });
+
+  const totalsRow = (key) => {
+    const amounts = summaries.map((summary) => summary[key]);
+    return { amounts, changes: withChanges(amounts) };
+  };
+
+  return {
+    entries: entries.map((entry, index) => ({
+      id: entry.id,
+      label: entry.label,
+      ...summaries[index],
+    })),
+    rows,
+    totals: {
+      income: totalsRow('totalIncome'),
+      expenses: totalsRow('totalExpenses'),
+      noi: totalsRow('noi'),
+    },
+    flaggedCount: rows.reduce(
+      (count, row) => count + row.changes.filter((change) => change?.flagged).length,
+      0
+    ),
+  };
+};
+
+// A P&L whose lines are the per-category averages of the given entries. A
+// category missing from one of them counts as zero for that year.
+export const averagePnlEntries = (entries = [], basis = DEFAULT_PNL_BASIS) => {
+  const summaries = entries.map((entry) => summarisePnlCategories(entry, basis));
+  const averageLines = (section, key) =>
+    Array.from(new Set(summaries.flatMap((summary) => Object.keys(summary[key])))).map(
+      (category) => ({
+        id: `average-${section}-${category}`,
+        name: category,
+        originalLabel: category,
+        category,
+        mappedCategory: category,
+        amount:
+          summaries.reduce((total, summary) => total + (summary[key][category] || 0), 0) /
+          Math.max(summaries.length, 1),
+        editable: true,
+        note: `Average of ${entries.map((entry) => entry.label).join(', ')}`,
+      })
+    );
+
+  return {
+    id: buildAverageBaselineId(entries.length),
+    label: `${entries.length}-period average`,
+    incomeLines: averageLines('income', 'income'),
+    expenseLines: averageLines('expense', 'expenses'),
+  };
+};
+
+// The P&L a baseline id points at: one entry, or the average of the latest
+// few. Null when the id no longer matches anything.
+export const resolvePnlBaseline = (history = [], baselineId, basis = DEFAULT_PNL_BASIS) => {
+  if (typeof baselineId === 'string' && baselineId.startsWith(AVERAGE_BASELINE_PREFIX)) {
+    const count = Number(baselineId.slice(AVERAGE_BASELINE_PREFIX.length));
+    return Number.isInteger(count) && count >= 2 && count <= history.length
+      ? averagePnlEntries(history.slice(-count), basis)
+      : null;
+  }
+
+  return history.find((entry) => entry.id === baselineId) || null;
+};
@@ -0,0 +1,76 @@
+import {
+  averagePnlEntries,
+  buildAverageBaselineId,
+  comparePnlHistory,
+  resolvePnlBaseline,
+  summarisePnlCategories,
+} from './index';
+
+const entry = (id, label, { rent, water, taxes, laundry }) => ({
+  id,
+  label,
+  incomeLines: [
+    { id: `${id}-rent`, name: 'Rent', category: 'Lot Rent', amount: rent },
+    ...(laundry ? [{ id: `${id}-laundry`, name: 'Laundry', category: 'Laundry', amount: laundry }] : []),
+  ],
+  expenseLines: [
+    { id: `${id}-water`, name: 'Water', category: 'Water/Sewer', amount: water },
+    { id: `${id}-taxes`, name: 'Taxes', category: 'Property Taxes', amount: taxes },
+  ],
+});
+
+const history = [
+  entry('2022', '2022', { rent: 100000, water: 10000, taxes: 8000 }),
+  entry('2023', '2023', { rent: 105000, water: 10500, taxes: 8100 }),
+  entry('2024', '2024', { rent: 110000, water: 15000, taxes: 8200, laundry: 1200 }),
+];
+
+describe('P&L history', () => {
+  test('category totals and NOI for one P&L', () => {
+    expect(summarisePnlCategories(history[0])).toEqual({
+      income: { 'Lot Rent': 100000 },
+      expenses: { 'Water/Sewer': 10000, 'Property Taxes': 8000 },
+      totalIncome: 100000,
+      totalExpenses: 18000,
+      noi: 82000,
+    });
+  });
+
+  test('year-over-year changes flag big swings and new categories', () => {
+    const comparison = comparePnlHistory(history);
+    const water = comparison.rows.find((row) => row.category === 'Water/Sewer');
+    const laundry = comparison.rows.find((row) => row.category === 'Laundry');
+    const taxes = comparison.rows.find((row) => row.category === 'Property Taxes');
+
+    expect(water.amounts).toEqual([10000, 10500, 15000]);
+    expect(water.changes[0]).toBeNull();
+    expect(water.changes[1]).toEqual({ amount: 500, percent: 5, flagged: false });
+    expect(water.changes[2].percent).toBeCloseTo(42.857, 2);
+    expect(water.changes[2].flagged).toBe(true);
+    expect(laundry.amounts).toEqual([null, null, 1200]);
+    expect(laundry.changes[2]).toBeNull();
+    expect(taxes.changes.every((change) => !change?.flagged)).toBe(true);
+    expect(comparison.totals.noi.amounts).toEqual([82000, 86400, 88000]);
+    expect(comparison.flaggedCount).toBe(1);
+  });
+
+  test('averages treat a missing category as zero for that year', () => {
+    const average = averagePnlEntries(history.slice(-2));
+    const byCategory = (lines) =>
+      Object.fromEntries(lines.map((line) => [line.category, line.amount]));
+
+    expect(average.id).toBe('average-2');
+    expect(byCategory(average.incomeLines)).toEqual({ 'Lot Rent': 107500, Laundry: 600 });
+    expect(byCategory(average.expenseLines)).toEqual({
+      'Water/Sewer': 12750,
+      'Property Taxes': 8150,
+    });
+  });
+
+  test('baselines resolve to one entry or an average of the latest entries', () => {
+    expect(resolvePnlBaseline(history, '2023')).toBe(history[1]);
+    expect(resolvePnlBaseline(history, buildAverageBaselineId(3)).incomeLines[0].amount).toBe(105000);
+    expect(resolvePnlBaseline(history, buildAverageBaselineId(4))).toBeNull();
+    expect(resolvePnlBaseline(history, 'missing')).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+import { toNumber } from './proforma.js';
+
+// Bases a P&L line can be stated on. "reported" is the statement's own total
+// column; the others are built from the line's monthly values.
+export const PNL_BASES = {
+  reported: 'As Reported',
+  t12: 'T12',
+  t3Annualised: 'T3 Annualised',
+  ytdAnnualised: 'YTD Annualised',
+};
+
+export const DEFAULT_PNL_BASIS = 'reported';
+
+// A line whose last three months run this far above or below the rest of its
+// trailing year is flagged as a recent trend.
+export const PNL_TREND_ALERT_PERCENT = 20;
+
+const PERIOD_PATTERN = /^(\d{4})-(\d{2})$/;
+
+export const resolvePnlBasis = (basis) => (PNL_BASES[basis] ? basis : DEFAULT_PNL_BASIS);
+
+// Sorts monthly values by period ("YYYY-MM") and folds duplicate months
+// together. Entries without a valid period or amount are dropped.
+export const normaliseMonthlyAmounts = (monthly) => {
+  if (!Array.isArray(monthly)) {
+    return [];
+  }
+
+  const byPeriod = new Map();
+  monthly.forEach((entry) => {
+    const period = typeof entry?.period === 'string' ? entry.period.trim() : '';
+    const match = period.match(PERIOD_PATTERN);
+    const amount = Number(entry?.amount);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12 || !Number.isFinite(amount)) {
+      return;
+    }
+    byPeriod.set(period, (byPeriod.get(period) || 0) + amount);
+  });
+
+  return Array.from(byPeriod.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([period, amount]) => ({ period, amount }));
+};
+
+const sumAmounts = (entries) => entries.reduce((total, entry) => total + entry.amount, 0);
+
+// Scales the last `count` months (or all of them, if fewer) to a year.
+const annualiseTrailing = (months, count) => {
+  const trailing = months.slice(-count);
+  return trailing.length > 0 ? (sumAmounts(trailing) * 12) / trailing.length : 0;
+};
+
+// Trailing and annualised totals for one line's monthly values. T12 is the
+// last twelve months, scaled up when the statement has fewer. YTD covers the
+// months in the latest month's calendar year.
+export const calculatePeriodTotals = (monthly) => {
+  const months = normaliseMonthlyAmounts(monthly);
+  if (months.length === 0) {
+    return null;
+  }
+
+  const latestPeriod = months[months.length - 1].period;
+  const ytd = months.filter((entry) => entry.period.slice(0, 4) === latestPeriod.slice(0, 4));
+  const trailingYear = months.slice(-12);
+  const recent = trailingYear.slice(-3);
+  const earlier = trailingYear.slice(0, -3);
+  const recentAverage = sumAmounts(recent) / recent.length;
+  const earlierAverage = earlier.length > 0 ? sumAmounts(earlier) / earlier.length : null;
+
+  return {
+    months: months.length,
+    firstPeriod: months[0].period,
+    latestPeriod,
+    t12: annualiseTrailing(months, 12),
+    t3Annualised: annualiseTrailing(months, 3),
+    ytdAnnualised: annualiseTrailing(ytd, ytd.length),
+    ytdMonths: ytd.length,
+    recentMonthlyAverage: recentAverage,
+    earlierMonthlyAverage: earlierAverage,
+    recentChangePercent:
+      earlierAverage !== null && earlierAverage !== 0
+        ? ((recentAverage - earlierAverage) / Math.abs(earlierAverage)) * 100
+        : null,
+  };
+};
+
+// A line's annual amount on the chosen basis. Lines without monthly values
+// keep their reported amount on every basis.
+export const resolvePnlAmount = (line, basis = DEFAULT_PNL_BASIS) => {
+  const resolvedBasis = resolvePnlBasis(basis);
+  const reported = toNumber(line?.reportedAmount ?? line?.amount);
+  if (resolvedBasis === 'reported') {
+    return reported;
+  }
+
+  const totals = calculatePeriodTotals(line?.monthly);
+  return totals ? totals[resolvedBasis] : reported;
+};
+
+// Income, expenses and NOI on every basis, for comparing them side by side.
+export const summarisePnlBases = ({ incomeLines = [], expenseLines = [] }) =>
+  Object.fromEntries(
+    Object.keys(PNL_BASES).map((basis) => {
+      const income = incomeLines.reduce((total, line) => total + resolvePnlAmount(line, basis), 0);
+      const expenses = expenseLines.reduce((total, line) => total + resolvePnlAmount(line, basis), 0);
+      return [basis, { income, expenses, noi: income - expenses }];
+    })
+  );
+
+// Lines whose last three months moved by at least `thresholdPercent` against
+// the rest of the trailing year, largest moves first.
+export const findPnlTrendAlerts = (lines = [], thresholdPercent = PNL_TREND_ALERT_PERCENT) =>
+  lines
+    .map((line) => ({ line, totals: calculatePeriodTotals(line?.monthly) }))
+    .filter(
+      ({ totals }) =>
+        totals?.recentChangePercent !== null &&
+        totals?.recentChangePercent !== undefined &&
+        Math.abs(totals.recentChangePercent) >= thresholdPercent
+    )
+    .map(({ line, totals }) => ({
+      id: line.id,
+      name: line.name ?? line.label,
+      recentMonthlyAverage: totals.recentMonthlyAverage,
+      earlierMonthlyAverage: totals.earlierMonthlyAverage,
+      changePercent: totals.recentChangePercent,
+    }))
+    .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
@@ -0,0 +1,87 @@
+import {
+  calculatePeriodTotals,
+  findPnlTrendAlerts,
+  normaliseMonthlyAmounts,
+  resolvePnlAmount,
+  summarisePnlBases,
+} from './index';
+
+// Fourteen months, Nov 2023 - Dec 2024, at 100 a month except the last three
+// of 2024, which run at 160.
+const PERIODS = [
+  '2023-11',
+  '2023-12',
+  ...Array.from({ length: 12 }, (_, index) => `2024-${String(index + 1).padStart(2, '0')}`),
+];
+const months = (amountFor) => PERIODS.map((period) => ({ period, amount: amountFor(period) }));
+const water = months((period) => (period >= '2024-10' ? 160 : 100));
+
+describe('P&L periods', () => {
+  test('monthly values are sorted, merged by month and cleaned of bad entries', () => {
+    expect(
+      normaliseMonthlyAmounts([
+        { period: '2024-02', amount: 20 },
+        { period: '2024-01', amount: 10 },
+        { period: '2024-01', amount: 5 },
+        { period: 'Jan', amount: 1 },
+        { period: '2024-13', amount: 1 },
+        { period: '2024-03', amount: 'n/a' },
+      ])
+    ).toEqual([
+      { period: '2024-01', amount: 15 },
+      { period: '2024-02', amount: 20 },
+    ]);
+  });
+
+  test('T12, T3 and YTD totals come from the trailing months', () => {
+    const totals = calculatePeriodTotals(water);
+
+    expect(totals.months).toBe(14);
+    expect(totals.latestPeriod).toBe('2024-12');
+    expect(totals.t12).toBe(9 * 100 + 3 * 160);
+    expect(totals.t3Annualised).toBe(160 * 12);
+    expect(totals.ytdMonths).toBe(12);
+    expect(totals.ytdAnnualised).toBe(1380);
+    expect(totals.recentChangePercent).toBeCloseTo(60);
+  });
+
+  test('short statements are annualised from the months they have', () => {
+    const totals = calculatePeriodTotals([
+      { period: '2025-01', amount: 100 },
+      { period: '2025-02', amount: 200 },
+    ]);
+
+    expect(totals.t12).toBe(1800);
+    expect(totals.ytdAnnualised).toBe(1800);
+    expect(totals.recentChangePercent).toBeNull();
+  });
+
+  test('lines without monthly values keep their reported amount on every basis', () => {
+    const lines = {
+      incomeLines: [{ id: 'rent', amount: 50000 }],
+      expenseLines: [
+        { id: 'water', amount: 1500, monthly: water },
+        { id: 'tax', amount: 4000 },
+      ],
+    };
+
+    expect(resolvePnlAmount(lines.expenseLines[0], 't3Annualised')).toBe(1920);
+    expect(resolvePnlAmount(lines.expenseLines[1], 't3Annualised')).toBe(4000);
+    expect(resolvePnlAmount(lines.expenseLines[0], 'unknown')).toBe(1500);
+
+    const bases = summarisePnlBases(lines);
+    expect(bases.reported).toEqual({ income: 50000, expenses: 5500, noi: 44500 });
+    expect(bases.t12.expenses).toBe(5380);
+  });
+
+  test('recent spikes are flagged as trend alerts', () => {
+    const alerts = findPnlTrendAlerts([
+      { id: 'water', name: 'Water', monthly: water },
+      { id: 'flat', name: 'Flat', monthly: months(() => 100) },
+      { id: 'none', name: 'No months', amount: 10 },
+    ]);
+
+    expect(alerts.map((alert) => alert.id)).toEqual(['water']);
+    expect(alerts[0].changePercent).toBeCloseTo(60);
+  });
+});
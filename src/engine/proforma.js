@@ -0,0 +1,503 @@
+import { resolveIncreaseMode, resolveYearAssumptions } from './defaults.js';
+
+export const toNumber = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+export const applyRentIncrease = (rent, value, mode) => {
+  const safeBase = Number.isFinite(rent) ? rent : 0;
+  const increaseValue = toNumber(value);
+  const resolvedMode = resolveIncreaseMode(mode);
+
+  if (!increaseValue) {
+    return {
+      nextRent: safeBase,
+      amountChange: 0,
+      percentChange: 0,
+      mode: 'none',
+    };
+  }
+
+  if (resolvedMode === 'dollar') {
+    const nextRentRaw = safeBase + increaseValue;
+    const nextRent = Math.max(0, nextRentRaw);
+    const amountChange = nextRent - safeBase;
+    const percentChange = safeBase !== 0 ? (amountChange / safeBase) * 100 : null;
+
+    return {
+      nextRent,
+      amountChange,
+      percentChange,
+      mode: 'dollar',
+    };
+  }
+
+  const percent = increaseValue;
+  const nextRentRaw = safeBase * (1 + percent / 100);
+  const nextRent = Math.max(0, nextRentRaw);
+  const amountChange = nextRent - safeBase;
+
+  return {
+    nextRent,
+    amountChange,
+    percentChange: percent,
+    mode: 'percent',
+  };
+};
+
+export const buildExpenseProjections = ({
+  expenses,
+  expenseOverrides,
+  projectionCount,
+  yearAssumptions = [],
+}) => {
+  return expenses.map((expense) => {
+    const baseAmount = Number(expense.amount);
+    const safeBase = Number.isFinite(baseAmount) ? baseAmount : 0;
+    const yearValues = [];
+    const overridesForExpense =
+      expenseOverrides?.[String(expense.id)] ?? expenseOverrides?.[expense.id] ?? {};
+
+    for (let yearIndex = 0; yearIndex < projectionCount; yearIndex += 1) {
+      const previousValue = yearIndex === 0 ? safeBase : yearValues[yearIndex - 1];
+      const expenseGrowthRate = toNumber(yearAssumptions[yearIndex]?.expenseGrowth) / 100;
+      const defaultValue = previousValue * (1 + expenseGrowthRate);
+      const rawOverride = overridesForExpense?.[yearIndex];
+      const numericOverride =
+        typeof rawOverride === 'number' ? rawOverride : Number(rawOverride);
+      const hasOverride =
+        rawOverride !== undefined &&
+        rawOverride !== null &&
+        Number.isFinite(numericOverride);
+      const finalValue = hasOverride ? numericOverride : defaultValue;
+      yearValues.push(finalValue);
+    }
+
+    return {
+      ...expense,
+      yearValues,
+    };
+  });
+};
+
+// Other income follows the year's rent increase unless the year sets its own
+// growth rate.
+const resolveOtherIncomeGrowth = (assumption, appliedIncrease) => {
+  if (assumption.otherIncomeGrowth === null || assumption.otherIncomeGrowth === undefined) {
+    return appliedIncrease.percentChange || 0;
+  }
+
+  return toNumber(assumption.otherIncomeGrowth);
+};
+
+const NO_RENT_INCREASE = {
+  amountChange: 0,
+  percentChange: 0,
+  mode: 'none',
+};
+
+const resolveRentIncreaseMonth = (proformaInputs) => {
+  const month = Math.round(toNumber(proformaInputs.rentIncreaseMonth));
+  return month >= 1 && month <= 12 ? month : 1;
+};
+
+const resolveMonthlyLeases = ({ monthlyTiming, leaseUpPerMonth, yearNewLeases, monthOfYear, pendingLeases }) => {
+  if (!monthlyTiming) {
+    return monthOfYear === 1 ? pendingLeases : 0;
+  }
+
+  if (leaseUpPerMonth > 0) {
+    return Math.min(leaseUpPerMonth, pendingLeases);
+  }
+
+  // Spread the year's leases as evenly as whole lots allow.
+  const signedByNow = Math.round((yearNewLeases * monthOfYear) / 12);
+  const signedBefore = Math.round((yearNewLeases * (monthOfYear - 1)) / 12);
+  return Math.min(Math.max(signedByNow - signedBefore, 0), pendingLeases);
+};
+
+// Refinance proceeds less balloon payments; both sit outside debt service.
+const resolveFinancingCashFlow = (debtEntry) =>
+  (debtEntry?.refinanceProceeds || 0) - (debtEntry?.balloonPayment || 0);
+
+// Under a mark-to-market plan the lots leased at acquisition follow the plan's
+// in-place rent and lease-up lots sign at the year's market rent.
+const resolveLotRent = ({ markToMarketPath, currentRent, newLeaseRent, occupiedUnits, currentOccupiedUnits }) => {
+  if (!markToMarketPath) {
+    return currentRent * currentOccupiedUnits;
+  }
+
+  const leasedAtAcquisition = Math.min(occupiedUnits, currentOccupiedUnits);
+  return currentRent * leasedAtAcquisition + newLeaseRent * (currentOccupiedUnits - leasedAtAcquisition);
+};
+
+// The year's utility bill: the projected Water/Sewer lines the billback
+// recovers.
+const sumUtilityBill = (expenseProjections, plan, yearIndex) =>
+  expenseProjections
+    .filter((expense) => plan.utilityLineIds.includes(String(expense.id)))
+    .reduce((sum, expense) => sum + (Number(expense.yearValues?.[yearIndex]) || 0), 0);
+
+// The generated Utility Reimbursement income for a period. Before the billback
+// starts it is the park's current recovery; from then on it is the year's
+// recovery share of the bill, scaled to the lots occupied and never more than
+// the bill itself.
+const resolveUtilityReimbursement = ({ plan, year, utilityBill, occupiedUnits, baselineRecovery }) => {
+  if (year < plan.startYear) {
+    return baselineRecovery;
+  }
+
+  const occupancyFactor = plan.occupiedLots > 0 ? occupiedUnits / plan.occupiedLots : 0;
+  const recovery = utilityBill * ((plan.recoveryPercents[year - 1] ?? 0) / 100) * occupancyFactor;
+  return Math.min(Math.max(recovery, 0), Math.max(utilityBill, 0));
+};
+
+const describeMarkToMarketIncrease = (previousRent, nextRent) => ({
+  amountChange: nextRent - previousRent,
+  percentChange: previousRent !== 0 ? ((nextRent - previousRent) / previousRent) * 100 : null,
+  mode: 'markToMarket',
+});
+
+export const calculateMonthlyProforma = ({
+  totalUnits,
+  occupiedUnits,
+  lotRentIncome,
+  totalAdditionalIncome,
+  expenseProjections,
+  proformaInputs,
+  projectionCount,
+  managementPercent,
+  useExpenseRatioOverride,
+  expenseRatioPercent,
+  loanSchedule,
+  yearAssumptions = resolveYearAssumptions(proformaInputs, projectionCount),
+  markToMarketPath = null,
+  utilityBillbackPlan = null,
+}) => {
+  const monthlyTiming = proformaInputs.cashFlowMode === 'monthly';
+  const rentIncreaseMonth = monthlyTiming ? resolveRentIncreaseMonth(proformaInputs) : 1;
+  const leaseUpPerMonth = monthlyTiming ? Math.max(toNumber(proformaInputs.leaseUpPerMonth), 0) : 0;
+
+  const months = [];
+  const years = [];
+  let currentOccupiedUnits = occupiedUnits;
+  const baseRent = occupiedUnits > 0 ? lotRentIncome / occupiedUnits / 12 : 0;
+  const startingRent = Number.isFinite(baseRent) ? baseRent : 0;
+  let currentRent = startingRent;
+  let newLeaseRent = markToMarketPath ? markToMarketPath.startingNewLeaseRent : 0;
+  // The billback's reimbursement line replaces the park's current recovery,
+  // which is kept growing as other income only to measure the recapture.
+  let currentRecovery = (utilityBillbackPlan?.existingRecovery || 0) / 12;
+  let currentOtherIncome = totalAdditionalIncome / 12 - currentRecovery;
+  let pendingLeases = 0;
+
+  for (let year = 1; year <= projectionCount; year += 1) {
+    const yearIndex = year - 1;
+    const assumption = yearAssumptions[yearIndex];
+    const yearNewLeases = assumption.newLeases;
+    const detailedExpensesForMonth =
+      expenseProjections.reduce(
+        (sum, expense) => sum + (Number(expense.yearValues?.[yearIndex]) || 0),
+        0
+      ) / 12;
+    const monthUtilityBill = utilityBillbackPlan
+      ? sumUtilityBill(expenseProjections, utilityBillbackPlan, yearIndex) / 12
+      : 0;
+    let appliedIncrease = NO_RENT_INCREASE;
+    const yearMonths = [];
+
+    pendingLeases = monthlyTiming && leaseUpPerMonth > 0 ? pendingLeases + yearNewLeases : yearNewLeases;
+
+    for (let monthOfYear = 1; monthOfYear <= 12; monthOfYear += 1) {
+      const month = yearIndex * 12 + monthOfYear;
+      const newLeases = resolveMonthlyLeases({
+        monthlyTiming,
+        leaseUpPerMonth,
+        yearNewLeases,
+        monthOfYear,
+        pendingLeases,
+      });
+
+      pendingLeases -= newLeases;
+      currentOccupiedUnits = Math.min(currentOccupiedUnits + newLeases, totalUnits);
+
+      if (monthOfYear === rentIncreaseMonth) {
+        appliedIncrease = applyRentIncrease(
+          currentRent,
+          assumption.rentIncreaseValue,
+          assumption.rentIncreaseMode
+        );
+
+        const otherIncomeGrowth = resolveOtherIncomeGrowth(assumption, appliedIncrease);
+        if (otherIncomeGrowth !== 0) {
+          currentOtherIncome = currentOtherIncome * (1 + otherIncomeGrowth / 100);
+          currentRecovery = currentRecovery * (1 + otherIncomeGrowth / 100);
+        }
+
+        const markToMarketYear = markToMarketPath?.years[yearIndex];
+        if (markToMarketYear) {
+          const nextRent = startingRent * markToMarketYear.inPlaceFactor;
+          appliedIncrease = describeMarkToMarketIncrease(currentRent, nextRent);
+          currentRent = nextRent;
+          newLeaseRent = markToMarketYear.newLeaseRent;
+        } else {
+          currentRent = appliedIncrease.nextRent;
+        }
+      }
+
+      const monthLotRent = resolveLotRent({
+        markToMarketPath,
+        currentRent,
+        newLeaseRent,
+        occupiedUnits,
+        currentOccupiedUnits,
+      });
+      const monthUtilityReimbursement = utilityBillbackPlan
+        ? resolveUtilityReimbursement({
+            plan: utilityBillbackPlan,
+            year,
+            utilityBill: monthUtilityBill,
+            occupiedUnits: currentOccupiedUnits,
+            baselineRecovery: currentRecovery,
+          })
+        : 0;
+      const capitalExpenditure =
+        utilityBillbackPlan && year === utilityBillbackPlan.startYear && monthOfYear === 1
+          ? utilityBillbackPlan.capex
+          : 0;
+      const monthTotalIncome = monthLotRent + currentOtherIncome + monthUtilityReimbursement;
+      const managementFee = monthTotalIncome * (managementPercent / 100);
+      const monthExpenses = useExpenseRatioOverride
+        ? monthTotalIncome * (expenseRatioPercent / 100)
+        : detailedExpensesForMonth + managementFee;
+      const monthNOI = monthTotalIncome - monthExpenses;
+      const debtEntry = loanSchedule[month - 1];
+      const debtService = debtEntry?.payment || 0;
+      const financingCashFlow = resolveFinancingCashFlow(debtEntry);
+
+      yearMonths.push({
+        month,
+        year,
+        monthOfYear,
+        newLeases,
+        occupiedUnits: currentOccupiedUnits,
+        occupancyRate: totalUnits > 0 ? (currentOccupiedUnits / totalUnits) * 100 : 0,
+        avgMonthlyRent: currentOccupiedUnits > 0 ? monthLotRent / currentOccupiedUnits : currentRent,
+        lotRentIncome: monthLotRent,
+        otherIncome: currentOtherIncome,
+        ...(utilityBillbackPlan && {
+          utilityBill: monthUtilityBill,
+          utilityReimbursement: monthUtilityReimbursement,
+          utilityRecapture: monthUtilityReimbursement - currentRecovery,
+          capitalExpenditure,
+        }),
+        totalIncome: monthTotalIncome,
+        managementFee,
+        expenses: monthExpenses,
+        noi: monthNOI,
+        debtService,
+        financingCashFlow,
+        cashFlow: monthNOI - debtService + financingCashFlow - capitalExpenditure,
+      });
+    }
+
+    const sum = (key) => yearMonths.reduce((total, entry) => total + entry[key], 0);
+    const occupiedLotMonths = sum('occupiedUnits');
+    const yearLotRent = sum('lotRentIncome');
+    const averageOccupiedUnits = occupiedLotMonths / 12;
+
+    years.push({
+      year,
+      occupiedUnits: currentOccupiedUnits,
+      occupancyRate: totalUnits > 0 ? (currentOccupiedUnits / totalUnits) * 100 : 0,
+      averageOccupiedUnits,
+      averageOccupancyRate: totalUnits > 0 ? (averageOccupiedUnits / totalUnits) * 100 : 0,
+      avgMonthlyRent: occupiedLotMonths > 0 ? yearLotRent / occupiedLotMonths : currentRent,
+      lotRentIncome: yearLotRent,
+      otherIncome: sum('otherIncome'),
+      ...(utilityBillbackPlan && {
+        utilityBill: sum('utilityBill'),
+        utilityReimbursement: sum('utilityReimbursement'),
+        utilityRecapture: sum('utilityRecapture'),
+        capitalExpenditure: sum('capitalExpenditure'),
+      }),
+      totalIncome: sum('totalIncome'),
+      managementFee: sum('managementFee'),
+      expenses: sum('expenses'),
+      noi: sum('noi'),
+      debtService: sum('debtService'),
+      financingCashFlow: sum('financingCashFlow'),
+      cashFlow: sum('cashFlow'),
+      rentIncreaseAmount: appliedIncrease.amountChange,
+      rentIncreasePercent: appliedIncrease.percentChange,
+      rentIncreaseMode: appliedIncrease.mode,
+    });
+
+    months.push(...yearMonths);
+  }
+
+  return { months, years };
+};
+
+export const calculateProforma = ({
+  totalUnits,
+  occupiedUnits,
+  lotRentIncome,
+  totalAdditionalIncome,
+  expenses,
+  expenseOverrides,
+  proformaInputs,
+  projectionCount,
+  managementPercent,
+  useExpenseRatioOverride,
+  expenseRatioPercent,
+  annualDebtServiceSchedule,
+  loanSchedule = [],
+  markToMarketPath = null,
+  utilityBillbackPlan = null,
+}) => {
+  const years = [];
+  let currentOccupiedUnits = occupiedUnits;
+  const baseRent = occupiedUnits > 0 ? lotRentIncome / occupiedUnits / 12 : 0;
+  const startingRent = Number.isFinite(baseRent) ? baseRent : 0;
+  let currentRent = startingRent;
+  let currentRecovery = utilityBillbackPlan?.existingRecovery || 0;
+  let currentOtherIncome = totalAdditionalIncome - currentRecovery;
+  const yearAssumptions = resolveYearAssumptions(proformaInputs, projectionCount);
+
+  const expenseProjections = buildExpenseProjections({
+    expenses,
+    expenseOverrides,
+    projectionCount,
+    yearAssumptions,
+  });
+
+  const managementFeeProjection = [];
+
+  for (let year = 1; year <= projectionCount; year += 1) {
+    const assumption = yearAssumptions[year - 1];
+
+    currentOccupiedUnits = Math.min(currentOccupiedUnits + assumption.newLeases, totalUnits);
+
+    let appliedIncrease = applyRentIncrease(
+      currentRent,
+      assumption.rentIncreaseValue,
+      assumption.rentIncreaseMode
+    );
+
+    const otherIncomeGrowth = resolveOtherIncomeGrowth(assumption, appliedIncrease);
+    if (otherIncomeGrowth !== 0) {
+      currentOtherIncome = currentOtherIncome * (1 + otherIncomeGrowth / 100);
+      currentRecovery = currentRecovery * (1 + otherIncomeGrowth / 100);
+    }
+
+    const markToMarketYear = markToMarketPath?.years[year - 1];
+    if (markToMarketYear) {
+      const nextRent = startingRent * markToMarketYear.inPlaceFactor;
+      appliedIncrease = describeMarkToMarketIncrease(currentRent, nextRent);
+      currentRent = nextRent;
+    } else {
+      currentRent = appliedIncrease.nextRent;
+    }
+
+    const yearLotRent =
+      resolveLotRent({
+        markToMarketPath,
+        currentRent,
+        newLeaseRent: markToMarketYear?.newLeaseRent || 0,
+        occupiedUnits,
+        currentOccupiedUnits,
+      }) * 12;
+    const yearIndex = year - 1;
+    const yearUtilityBill = utilityBillbackPlan
+      ? sumUtilityBill(expenseProjections, utilityBillbackPlan, yearIndex)
+      : 0;
+    const yearUtilityReimbursement = utilityBillbackPlan
+      ? resolveUtilityReimbursement({
+          plan: utilityBillbackPlan,
+          year,
+          utilityBill: yearUtilityBill,
+          occupiedUnits: currentOccupiedUnits,
+          baselineRecovery: currentRecovery,
+        })
+      : 0;
+    const yearCapitalExpenditure =
+      utilityBillbackPlan && year === utilityBillbackPlan.startYear ? utilityBillbackPlan.capex : 0;
+    const yearTotalIncome = yearLotRent + currentOtherIncome + yearUtilityReimbursement;
+
+    const detailedExpensesForYear = expenseProjections.reduce(
+      (sum, expense) => sum + (Number(expense.yearValues?.[yearIndex]) || 0),
+      0
+    );
+
+    const managementFeeForYear = yearTotalIncome * (managementPercent / 100);
+    managementFeeProjection.push(managementFeeForYear);
+
+    let yearExpensesValue;
+    if (useExpenseRatioOverride) {
+      yearExpensesValue = yearTotalIncome * (expenseRatioPercent / 100);
+    } else {
+      yearExpensesValue = detailedExpensesForYear + managementFeeForYear;
+    }
+
+    const yearNOI = yearTotalIncome - yearExpensesValue;
+    const yearDebtEntry = annualDebtServiceSchedule[year - 1] || null;
+    const yearDebtService = yearDebtEntry ? yearDebtEntry.totalPayment : 0;
+    const yearFinancingCashFlow = resolveFinancingCashFlow(yearDebtEntry);
+    const yearCashFlow = yearNOI - yearDebtService + yearFinancingCashFlow - yearCapitalExpenditure;
+    const yearOccupancy = totalUnits > 0 ? (currentOccupiedUnits / totalUnits) * 100 : 0;
+
+    years.push({
+      year,
+      occupiedUnits: currentOccupiedUnits,
+      occupancyRate: yearOccupancy,
+      avgMonthlyRent: currentOccupiedUnits > 0 ? yearLotRent / currentOccupiedUnits / 12 : currentRent,
+      lotRentIncome: yearLotRent,
+      otherIncome: currentOtherIncome,
+      ...(utilityBillbackPlan && {
+        utilityBill: yearUtilityBill,
+        utilityReimbursement: yearUtilityReimbursement,
+        utilityRecapture: yearUtilityReimbursement - currentRecovery,
+        capitalExpenditure: yearCapitalExpenditure,
+      }),
+      totalIncome: yearTotalIncome,
+      expenses: yearExpensesValue,
+      noi: yearNOI,
+      debtService: yearDebtService,
+      financingCashFlow: yearFinancingCashFlow,
+      cashFlow: yearCashFlow,
+      rentIncreaseAmount: appliedIncrease.amountChange,
+      rentIncreasePercent: appliedIncrease.percentChange,
+      rentIncreaseMode: appliedIncrease.mode,
+    });
+  }
+
+  const monthly = calculateMonthlyProforma({
+    totalUnits,
+    occupiedUnits,
+    lotRentIncome,
+    totalAdditionalIncome,
+    expenseProjections,
+    proformaInputs,
+    projectionCount,
+    managementPercent,
+    useExpenseRatioOverride,
+    expenseRatioPercent,
+    loanSchedule,
+    yearAssumptions,
+    markToMarketPath,
+    utilityBillbackPlan,
+  });
+
+  if (proformaInputs.cashFlowMode === 'monthly') {
+    return {
+      years: monthly.years.map(({ managementFee, ...year }) => year),
+      months: monthly.months,
+      expenseProjections,
+      managementFeeProjection: monthly.years.map((year) => year.managementFee),
+    };
+  }
+
+  return { years, months: monthly.months, expenseProjections, managementFeeProjection };
+};
@@ -0,0 +1,174 @@
+import { categoriseLabel } from './pnlCategories.js';
+import { toNumber } from './proforma.js';
+
+const PROPERTY_TAX_CATEGORY = 'Property Taxes';
+
+// Per-report settings. Rates left null come from the chosen jurisdiction in the
+// rate table (src/config/property_tax_rates.json, passed in by the caller);
+// anything entered here overrides it.
+export const DEFAULT_PROPERTY_TAX_INPUTS = {
+  enabled: false,
+  jurisdictionId: 'custom',
+  // Value the new assessment starts from; the purchase price when null.
+  taxableValue: null,
+  assessmentRatio: null,
+  millageRate: null,
+  effectiveRate: null,
+  phaseInYears: null,
+  annualCapPercent: null,
+  // Yearly growth in market value after the sale.
+  valueGrowthPercent: 2,
+  // Expense line holding the seller's tax; found by its category when null.
+  lineId: null,
+};
+
+const toNullableNumber = (value) =>
+  value === null || value === undefined || value === '' || !Number.isFinite(Number(value))
+    ? null
+    : Number(value);
+
+const normaliseJurisdiction = (entry) => ({
+  id: String(entry.id),
+  name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : String(entry.id),
+  state: entry.state || null,
+  county: entry.county || null,
+  assessmentRatio: toNullableNumber(entry.assessmentRatio) ?? 100,
+  millageRate: toNullableNumber(entry.millageRate),
+  effectiveRate: toNullableNumber(entry.effectiveRate),
+  reassessOnSale: entry.reassessOnSale !== false,
+  phaseInYears: toNullableNumber(entry.phaseInYears) ?? 0,
+  annualCapPercent: toNullableNumber(entry.annualCapPercent),
+  notes: typeof entry.notes === 'string' ? entry.notes : '',
+});
+
+// Validates a rate table ({ version, jurisdictions: [...] }). The engine never
+// reads the file itself: the app bundles it (src/config/propertyTaxRates.js)
+// and the API reads it from disk.
+export const normalisePropertyTaxRates = (raw) => ({
+  version: String(raw?.version ?? ''),
+  jurisdictions: (Array.isArray(raw?.jurisdictions) ? raw.jurisdictions : [])
+    .filter((entry) => entry && entry.id !== undefined)
+    .map(normaliseJurisdiction),
+});
+
+export const normalisePropertyTaxInputs = (inputs = {}) => {
+  const source = inputs && typeof inputs === 'object' ? inputs : {};
+  return {
+    enabled: Boolean(source.enabled),
+    jurisdictionId:
+      typeof source.jurisdictionId === 'string' && source.jurisdictionId
+        ? source.jurisdictionId
+        : DEFAULT_PROPERTY_TAX_INPUTS.jurisdictionId,
+    taxableValue: toNullableNumber(source.taxableValue),
+    assessmentRatio: toNullableNumber(source.assessmentRatio),
+    millageRate: toNullableNumber(source.millageRate),
+    effectiveRate: toNullableNumber(source.effectiveRate),
+    phaseInYears: toNullableNumber(source.phaseInYears),
+    annualCapPercent: toNullableNumber(source.annualCapPercent),
+    valueGrowthPercent:
+      toNullableNumber(source.valueGrowthPercent) ?? DEFAULT_PROPERTY_TAX_INPUTS.valueGrowthPercent,
+    lineId:
+      source.lineId === null || source.lineId === undefined || source.lineId === ''
+        ? null
+        : String(source.lineId),
+  };
+};
+
+// The jurisdiction's rules with the report's overrides on top. A millage rate
+// wins over an effective rate, except that an effective rate entered on the
+// report replaces the jurisdiction's millage.
+export const resolvePropertyTaxRule = (inputs, jurisdictions = []) => {
+  const settings = normalisePropertyTaxInputs(inputs);
+  const jurisdiction =
+    jurisdictions.find((entry) => entry.id === settings.jurisdictionId) ||
+    normaliseJurisdiction({ id: settings.jurisdictionId || 'custom' });
+  const millageRate =
+    settings.millageRate ?? (settings.effectiveRate !== null ? null : jurisdiction.millageRate);
+
+  return {
+    ...jurisdiction,
+    assessmentRatio: settings.assessmentRatio ?? jurisdiction.assessmentRatio,
+    millageRate,
+    effectiveRate: millageRate !== null ? null : settings.effectiveRate ?? jurisdiction.effectiveRate,
+    phaseInYears: settings.phaseInYears ?? jurisdiction.phaseInYears,
+    annualCapPercent: settings.annualCapPercent ?? jurisdiction.annualCapPercent,
+  };
+};
+
+// The seller's property tax line: the one chosen on the report, else the first
+// expense categorised as Property Taxes or that the category rules file there.
+export const findPropertyTaxLine = (expenses = [], lineId = null, categoryRules = null) =>
+  (lineId !== null ? expenses.find((line) => String(line.id) === String(lineId)) : null) ||
+  expenses.find(
+    (line) =>
+      line?.category === PROPERTY_TAX_CATEGORY ||
+      categoriseLabel(line?.name, 'expense', categoryRules)?.category === PROPERTY_TAX_CATEGORY
+  ) ||
+  null;
+
+// Post-close property tax for each year of the hold. With a millage rate the
+// tax is assessed value x mills / 1,000, where assessed value is the market
+// value x the assessment ratio; an effective rate applies to market value.
+// Market value starts at the taxable value (the purchase price) and grows by
+// `valueGrowthPercent`, with assessed-value growth held to the annual cap. A
+// phase-in moves from the seller's tax to the full reassessed tax in equal
+// steps. Where a sale does not trigger reassessment the seller's tax simply
+// grows. `ready` is false when no rate is known, so nothing should be applied.
+export const calculatePropertyTaxReassessment = ({
+  purchasePrice = 0,
+  sellerTax = 0,
+  inputs = {},
+  years = 5,
+  jurisdictions = [],
+}) => {
+  const settings = normalisePropertyTaxInputs(inputs);
+  const rule = resolvePropertyTaxRule(settings, jurisdictions);
+  const taxableValue = settings.taxableValue ?? toNumber(purchasePrice);
+  const growth = settings.valueGrowthPercent / 100;
+  const cap = rule.annualCapPercent !== null ? rule.annualCapPercent / 100 : null;
+  const usesMillage = rule.millageRate !== null;
+  const ratio = usesMillage ? rule.assessmentRatio / 100 : 1;
+  const rate = usesMillage ? rule.millageRate / 1000 : (rule.effectiveRate ?? 0) / 100;
+  const seller = toNumber(sellerTax);
+  const phaseInYears = Math.max(Math.round(rule.phaseInYears || 0), 0);
+
+  const schedule = [];
+  for (let year = 1; year <= Math.max(Math.round(years), 1); year += 1) {
+    const previous = schedule[year - 2];
+    const marketValue = previous ? previous.marketValue * (1 + growth) : taxableValue;
+    const uncapped = marketValue * ratio;
+    const assessedValue =
+      previous && cap !== null ? Math.min(uncapped, previous.assessedValue * (1 + cap)) : uncapped;
+    const fullTax = assessedValue * rate;
+    const carriedTax = seller * (1 + (cap !== null ? Math.min(growth, cap) : growth)) ** (year - 1);
+    const phaseShare = phaseInYears > 0 ? Math.min(year / phaseInYears, 1) : 1;
+
+    schedule.push({
+      year,
+      marketValue,
+      assessedValue,
+      fullTax,
+      tax: rule.reassessOnSale ? seller + (fullTax - seller) * phaseShare : carriedTax,
+    });
+  }
+
+  const [firstYear] = schedule;
+  return {
+    jurisdiction: { id: rule.id, name: rule.name, notes: rule.notes },
+    reassessOnSale: rule.reassessOnSale,
+    taxableValue,
+    assessmentRatio: usesMillage ? rule.assessmentRatio : null,
+    millageRate: rule.millageRate,
+    effectiveRate: taxableValue > 0 ? (firstYear.fullTax / taxableValue) * 100 : 0,
+    phaseInYears,
+    annualCapPercent: rule.annualCapPercent,
+    assessedValue: firstYear.assessedValue,
+    fullTax: firstYear.fullTax,
+    sellerTax: seller,
+    year1Tax: firstYear.tax,
+    change: firstYear.tax - seller,
+    changePercent: seller !== 0 ? ((firstYear.tax - seller) / Math.abs(seller)) * 100 : null,
+    years: schedule,
+    ready: !rule.reassessOnSale || rate > 0,
+  };
+};
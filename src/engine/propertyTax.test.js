@@ -0,0 +1,106 @@
+import {
+  calculateDeal,
+  calculatePropertyTaxReassessment,
+  findPropertyTaxLine,
+  resolvePropertyTaxRule,
+} from './index';
+import { DEFAULT_CATEGORY_RULES } from '../config/categoryRules';
+import { PROPERTY_TAX_JURISDICTIONS } from '../config/propertyTaxRates';
+
+const jurisdictions = [
+  { id: 'mills', name: 'Millage county', assessmentRatio: 40, millageRate: 25, reassessOnSale: true, phaseInYears: 0, annualCapPercent: null, notes: '' },
+  { id: 'capped', name: 'Capped state', assessmentRatio: 100, millageRate: null, effectiveRate: 1, reassessOnSale: true, phaseInYears: 0, annualCapPercent: 2, notes: '' },
+  { id: 'no-reset', name: 'No reset', assessmentRatio: 100, millageRate: null, effectiveRate: 1, reassessOnSale: false, phaseInYears: 0, annualCapPercent: null, notes: '' },
+];
+
+describe('property tax reassessment', () => {
+  test('the bundled table loads with a custom entry first', () => {
+    expect(PROPERTY_TAX_JURISDICTIONS[0].id).toBe('custom');
+    expect(PROPERTY_TAX_JURISDICTIONS.every((entry) => entry.assessmentRatio > 0)).toBe(true);
+  });
+
+  test('assessed value x millage gives the post-close tax, growing with value', () => {
+    const result = calculatePropertyTaxReassessment({
+      purchasePrice: 2000000,
+      sellerTax: 8000,
+      inputs: { jurisdictionId: 'mills', valueGrowthPercent: 3 },
+      years: 3,
+      jurisdictions,
+    });
+
+    expect(result.assessedValue).toBe(800000);
+    expect(result.year1Tax).toBe(20000);
+    expect(result.change).toBe(12000);
+    expect(result.changePercent).toBe(150);
+    expect(result.years[2].tax).toBeCloseTo(20000 * 1.03 ** 2, 6);
+  });
+
+  test('phase-ins step from the seller tax and caps hold assessed growth', () => {
+    const phased = calculatePropertyTaxReassessment({
+      purchasePrice: 2000000,
+      sellerTax: 8000,
+      inputs: { jurisdictionId: 'mills', phaseInYears: 4, valueGrowthPercent: 0 },
+      years: 5,
+      jurisdictions,
+    });
+    expect(phased.years.map((entry) => entry.tax)).toEqual([11000, 14000, 17000, 20000, 20000]);
+
+    const capped = calculatePropertyTaxReassessment({
+      purchasePrice: 1000000,
+      inputs: { jurisdictionId: 'capped', valueGrowthPercent: 5 },
+      years: 2,
+      jurisdictions,
+    });
+    expect(capped.years[1].assessedValue).toBeCloseTo(1020000, 6);
+    expect(capped.years[1].tax).toBeCloseTo(10200, 6);
+  });
+
+  test('jurisdictions that do not reassess carry the seller tax forward', () => {
+    const result = calculatePropertyTaxReassessment({
+      purchasePrice: 3000000,
+      sellerTax: 9000,
+      inputs: { jurisdictionId: 'no-reset', valueGrowthPercent: 2 },
+      years: 2,
+      jurisdictions,
+    });
+
+    expect(result.reassessOnSale).toBe(false);
+    expect(result.year1Tax).toBe(9000);
+    expect(result.years[1].tax).toBeCloseTo(9180, 6);
+  });
+
+  test('report overrides win, and an effective rate replaces the millage', () => {
+    const rule = resolvePropertyTaxRule({ jurisdictionId: 'mills', effectiveRate: 1.5 }, jurisdictions);
+    expect(rule).toMatchObject({ millageRate: null, effectiveRate: 1.5 });
+    expect(
+      calculatePropertyTaxReassessment({ purchasePrice: 1000000, inputs: { jurisdictionId: 'custom' } })
+        .ready
+    ).toBe(false);
+  });
+
+  test('calculateDeal replaces the seller tax line and drives it through the proforma', () => {
+    const expenses = [
+      { id: 1, name: 'Real Estate Taxes', amount: 8000 },
+      { id: 2, name: 'Insurance', amount: 6000 },
+    ];
+    expect(findPropertyTaxLine(expenses)).toBeNull();
+    expect(findPropertyTaxLine(expenses, null, DEFAULT_CATEGORY_RULES)).toBe(expenses[0]);
+
+    const result = calculateDeal({
+      useActualIncome: true,
+      actualIncome: 200000,
+      expenses,
+      managementPercent: 0,
+      purchaseInputs: { purchasePrice: 2000000 },
+      projectionYears: 5,
+      propertyTax: { enabled: true, jurisdictionId: 'custom', effectiveRate: 1, valueGrowthPercent: 0 },
+      expenseOverrides: { 1: { 4: 25000 } },
+      categoryRules: DEFAULT_CATEGORY_RULES,
+    });
+
+    expect(result.propertyTax).toMatchObject({ sellerTax: 8000, year1Tax: 20000, lineId: 1 });
+    expect(result.totalExpenses).toBe(26000);
+    const taxProjection = result.expenseProjections.find((expense) => expense.id === 1);
+    expect(taxProjection.yearValues).toEqual([20000, 20000, 20000, 20000, 25000]);
+  });
+});
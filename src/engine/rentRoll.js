@@ -0,0 +1,105 @@
+export const HOME_OWNERSHIP_TYPES = {
+  tenantOwned: 'Tenant-Owned',
+  parkOwned: 'Park-Owned Rental',
+  rentToOwn: 'Rent-to-Own',
+};
+
+export const DEFAULT_HOME_OWNERSHIP = 'tenantOwned';
+
+// Accepts the camelCase keys, the snake_case values the rent roll parser's
+// model returns and the display labels.
+export const resolveHomeOwnership = (value) => {
+  if (HOME_OWNERSHIP_TYPES[value]) {
+    return value;
+  }
+
+  const key = String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+
+  if (key.startsWith('park') || key === 'poh' || key === 'rental') {
+    return 'parkOwned';
+  }
+
+  if (key.startsWith('renttoown') || key === 'rto' || key === 'leasetoown') {
+    return 'rentToOwn';
+  }
+
+  return DEFAULT_HOME_OWNERSHIP;
+};
+
+const toAmount = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+// Rent roll income split by who owns the home on each lot. Billbacks and other
+// charges are shown alongside rent; they stay out of lot rent income.
+export const summariseIncomeByOwnership = (units = []) =>
+  Object.fromEntries(
+    Object.keys(HOME_OWNERSHIP_TYPES).map((type) => {
+      const group = units.filter((unit) => resolveHomeOwnership(unit?.homeOwnership) === type);
+      const occupied = group.filter((unit) => unit.occupied);
+      const sum = (key) => occupied.reduce((total, unit) => total + toAmount(unit[key]), 0) * 12;
+
+      return [
+        type,
+        {
+          units: group.length,
+          occupiedUnits: occupied.length,
+          rentIncome: sum('rent'),
+          utilityBillbacks: sum('utilityBillback'),
+          otherCharges: sum('otherCharges'),
+          balanceOwed: group.reduce((total, unit) => total + toAmount(unit?.balance), 0),
+        },
+      ];
+    })
+  );
+
+export const DEFAULT_LOT_TYPE = 'Standard';
+
+export const resolveLotType = (unit) =>
+  (typeof unit?.lotType === 'string' && unit.lotType.trim()) || DEFAULT_LOT_TYPE;
+
+// A lot's own market rent wins over its lot type's; with neither, the lot is
+// treated as already at market.
+export const resolveMarketRent = (unit, marketRentByLotType = {}) => {
+  const ownRent = toAmount(unit?.marketRent);
+  if (ownRent > 0) {
+    return ownRent;
+  }
+
+  const typeRent = toAmount(marketRentByLotType?.[resolveLotType(unit)]);
+  return typeRent > 0 ? typeRent : toAmount(unit?.rent);
+};
+
+// Monthly gap between market and in-place rent for every lot. Totals count
+// occupied lots only; a vacant lot has no lease to lose on.
+export const calculateLossToLease = (units = [], marketRentByLotType = {}) => {
+  const lots = units.map((unit) => {
+    const rent = toAmount(unit?.rent);
+    const marketRent = resolveMarketRent(unit, marketRentByLotType);
+
+    return {
+      id: unit?.id,
+      lotNumber: unit?.lotNumber,
+      lotType: resolveLotType(unit),
+      occupied: Boolean(unit?.occupied),
+      rent,
+      marketRent,
+      monthlyLoss: Math.max(marketRent - rent, 0),
+    };
+  });
+  const occupiedLots = lots.filter((lot) => lot.occupied);
+  const monthlyTotal = occupiedLots.reduce((total, lot) => total + lot.monthlyLoss, 0);
+  const marketTotal = occupiedLots.reduce((total, lot) => total + lot.marketRent, 0);
+
+  return {
+    lots,
+    belowMarketLots: occupiedLots.filter((lot) => lot.monthlyLoss > 0).length,
+    monthlyTotal,
+    annualTotal: monthlyTotal * 12,
+    // Share of occupied market rent lost to below-market leases.
+    percentOfMarket: marketTotal > 0 ? (monthlyTotal / marketTotal) * 100 : 0,
+  };
+};
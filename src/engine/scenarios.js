@@ -0,0 +1,120 @@
+import { normaliseProformaInputs } from './defaults.js';
+import { calculateDeal } from './deal.js';
+
+export const BASE_SCENARIO_ID = 'base';
+
+// Input groups a scenario can override. Object groups merge field by field over
+// the base case; the rest replace the base value outright.
+const MERGED_INPUTS = ['purchaseInputs', 'irrInputs', 'proformaInputs', 'debtInputs'];
+const REPLACED_INPUTS = ['expenses', 'managementPercent', 'expenseRatio'];
+
+export const SCENARIO_INPUT_KEYS = [...MERGED_INPUTS, ...REPLACED_INPUTS];
+
+export const SCENARIO_COMPARISON_METRICS = [
+  { key: 'noi', label: 'NOI', format: 'currency' },
+  { key: 'capRate', label: 'Cap Rate', format: 'percent' },
+  { key: 'cashOnCash', label: 'Cash-on-Cash', format: 'percent' },
+  { key: 'dscr', label: 'DSCR', format: 'multiple' },
+  { key: 'irr', label: 'IRR', format: 'percent' },
+  { key: 'equityMultiple', label: 'Equity Multiple', format: 'multiple' },
+];
+
+const isSameValue = (left, right) => JSON.stringify(left) === JSON.stringify(right);
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Always returns a Base scenario first; other scenarios keep their saved order.
+export const normaliseScenarios = (scenarios) => {
+  const list = Array.isArray(scenarios) ? scenarios.filter((scenario) => isPlainObject(scenario)) : [];
+  const base = list.find((scenario) => scenario.id === BASE_SCENARIO_ID);
+  const others = list
+    .filter((scenario) => scenario.id && scenario.id !== BASE_SCENARIO_ID)
+    .map((scenario) => ({
+      id: String(scenario.id),
+      name: (typeof scenario.name === 'string' && scenario.name.trim()) || 'Untitled scenario',
+      overrides: isPlainObject(scenario.overrides) ? scenario.overrides : {},
+    }));
+
+  return [
+    {
+      id: BASE_SCENARIO_ID,
+      name: (typeof base?.name === 'string' && base.name.trim()) || 'Base',
+      overrides: {},
+    },
+    ...others,
+  ];
+};
+
+export const applyScenarioOverrides = (deal, scenario) => {
+  const overrides = isPlainObject(scenario?.overrides) ? scenario.overrides : {};
+  const next = { ...deal };
+
+  MERGED_INPUTS.forEach((key) => {
+    if (!isPlainObject(overrides[key])) {
+      return;
+    }
+
+    const baseGroup =
+      key === 'proformaInputs' ? normaliseProformaInputs(deal[key] || {}) : deal[key] || {};
+    next[key] = { ...baseGroup, ...overrides[key] };
+  });
+
+  REPLACED_INPUTS.forEach((key) => {
+    if (overrides[key] !== undefined) {
+      next[key] = overrides[key];
+    }
+  });
+
+  return next;
+};
+
+// The smallest set of overrides that turns `base` into `current`.
+export const diffScenarioInputs = (base, current) => {
+  const overrides = {};
+
+  MERGED_INPUTS.forEach((key) => {
+    const baseGroup = base?.[key] || {};
+    const currentGroup = current?.[key] || {};
+    const changed = Object.keys(currentGroup).filter(
+      (field) => !isSameValue(baseGroup[field], currentGroup[field])
+    );
+
+    if (changed.length > 0) {
+      overrides[key] = Object.fromEntries(changed.map((field) => [field, currentGroup[field]]));
+    }
+  });
+
+  REPLACED_INPUTS.forEach((key) => {
+    if (current?.[key] !== undefined && !isSameValue(base?.[key], current[key])) {
+      overrides[key] = current[key];
+    }
+  });
+
+  return overrides;
+};
+
+// A saved report_state keeps the Base inputs at the top level; this returns the
+// inputs of whichever scenario drives the report.
+export const resolveScenarioDeal = (state) => {
+  const scenarios = normaliseScenarios(state?.scenarios);
+  const active =
+    scenarios.find((scenario) => scenario.id === state?.activeScenarioId) || scenarios[0];
+
+  return applyScenarioOverrides(state || {}, active);
+};
+
+export const compareScenarios = (baseDeal, scenarios) =>
+  normaliseScenarios(scenarios).map((scenario) => {
+    const calculations = calculateDeal(applyScenarioOverrides(baseDeal, scenario));
+
+    return {
+      id: scenario.id,
+      name: scenario.name,
+      metrics: Object.fromEntries(
+        SCENARIO_COMPARISON_METRICS.map(({ key }) => [
+          key,
+          Number.isFinite(calculations[key]) ? calculations[key] : null,
+        ])
+      ),
+    };
+  });
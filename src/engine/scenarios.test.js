@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  calculateDeal,
+  normaliseScenarios,
+  applyScenarioOverrides,
+  diffScenarioInputs,
+  resolveScenarioDeal,
+  compareScenarios,
+} from './index';
+
+const deal = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '__fixtures__', 'baseline.deal.json'), 'utf8')
+);
+
+const downside = {
+  id: 'downside',
+  name: 'Downside',
+  overrides: {
+    purchaseInputs: { interestRate: 7.5 },
+    irrInputs: { exitCapRate: 8.5 },
+  },
+};
+
+describe('scenarios', () => {
+  test('normaliseScenarios always leads with an override-free Base case', () => {
+    const scenarios = normaliseScenarios([
+      downside,
+      { id: 'base', name: 'Base', overrides: { irrInputs: { holdPeriod: 3 } } },
+      null,
+    ]);
+
+    expect(scenarios.map((scenario) => scenario.id)).toEqual(['base', 'downside']);
+    expect(scenarios[0].overrides).toEqual({});
+    expect(normaliseScenarios(undefined)).toEqual([{ id: 'base', name: 'Base', overrides: {} }]);
+  });
+
+  test('overrides merge into input groups and replace expenses', () => {
+    const expenses = [{ id: 1, name: 'Taxes', amount: 1000 }];
+    const applied = applyScenarioOverrides(deal, {
+      overrides: { ...downside.overrides, expenses },
+    });
+
+    expect(applied.purchaseInputs).toEqual({ ...deal.purchaseInputs, interestRate: 7.5 });
+    expect(applied.irrInputs.holdPeriod).toBe(deal.irrInputs.holdPeriod);
+    expect(applied.expenses).toBe(expenses);
+    expect(deal.purchaseInputs.interestRate).not.toBe(7.5);
+  });
+
+  test('diffScenarioInputs records only the changed fields', () => {
+    const current = applyScenarioOverrides(deal, downside);
+    const overrides = diffScenarioInputs(deal, current);
+
+    expect(overrides).toEqual(downside.overrides);
+    expect(applyScenarioOverrides(deal, { overrides })).toEqual(current);
+  });
+
+  test('resolveScenarioDeal applies the scenario that drives the report', () => {
+    const state = { ...deal, scenarios: [downside], activeScenarioId: 'downside' };
+
+    expect(resolveScenarioDeal(state).irrInputs.exitCapRate).toBe(8.5);
+    expect(resolveScenarioDeal({ ...state, activeScenarioId: 'missing' }).irrInputs).toEqual(
+      deal.irrInputs
+    );
+  });
+
+  test('compareScenarios reports the headline metrics for every scenario', () => {
+    const [base, worse] = compareScenarios(deal, [downside]);
+
+    expect(base.metrics.irr).toBeCloseTo(calculateDeal(deal).irr, 6);
+    expect(Object.keys(worse.metrics)).toEqual([
+      'noi',
+      'capRate',
+      'cashOnCash',
+      'dscr',
+      'irr',
+      'equityMultiple',
+    ]);
+    expect(worse.metrics.noi).toBeCloseTo(base.metrics.noi, 6);
+    expect(worse.metrics.dscr).toBeLessThan(base.metrics.dscr);
+    expect(worse.metrics.irr).toBeLessThan(base.metrics.irr);
+  });
+});
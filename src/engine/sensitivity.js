@@ -0,0 +1,173 @@
+import { resolveLoanSizingMode, resolveYearAssumptions } from './defaults.js';
+import { calculateDeal, normaliseDeal } from './deal.js';
+import { toNumber } from './proforma.js';
+
+const offsets = (base, steps) => steps.map((step) => base + step);
+
+const isLenderSized = (deal) => resolveLoanSizingMode(deal.purchaseInputs.loanSizingMode) === 'lender';
+
+const withPurchaseInputs = (deal, changes) => ({
+  ...deal,
+  purchaseInputs: { ...deal.purchaseInputs, ...changes },
+});
+
+const withIrrInputs = (deal, changes) => ({
+  ...deal,
+  irrInputs: { ...deal.irrInputs, ...changes },
+});
+
+const withYearAssumptions = (deal, mapYear) => {
+  const years = resolveYearAssumptions(
+    deal.proformaInputs,
+    Math.max(deal.proformaInputs.yearAssumptions.length, 1)
+  );
+
+  return {
+    ...deal,
+    proformaInputs: { ...deal.proformaInputs, yearAssumptions: years.map(mapYear) },
+  };
+};
+
+// Year 1 usually carries a one-off bump, so the "annual" increase is the rate
+// applied from year 2 onwards.
+const resolveAnnualRentIncrease = (deal) => {
+  const years = deal.proformaInputs.yearAssumptions;
+  const recurring = years[years.length - 1];
+  return recurring && recurring.rentIncreaseMode === 'percent'
+    ? toNumber(recurring.rentIncreaseValue)
+    : 3;
+};
+
+// Each variable reads its base value from a normalised deal, proposes five
+// values centred on it, and returns a copy of the deal with a value applied.
+export const SENSITIVITY_VARIABLES = {
+  purchasePrice: {
+    label: 'Purchase Price',
+    format: 'currency',
+    base: (deal) => toNumber(deal.purchaseInputs.purchasePrice),
+    values: (base) => [0.9, 0.95, 1, 1.05, 1.1].map((factor) => base * factor),
+    apply: (deal, value) => withPurchaseInputs(deal, { purchasePrice: value }),
+  },
+  exitCapRate: {
+    label: 'Exit Cap Rate',
+    format: 'percent',
+    base: (deal) => toNumber(deal.irrInputs.exitCapRate),
+    values: (base) => offsets(base, [-1, -0.5, 0, 0.5, 1]).map((value) => Math.max(value, 0.25)),
+    apply: (deal, value) => withIrrInputs(deal, { exitCapRate: value, exitPricePerSite: 0 }),
+  },
+  interestRate: {
+    label: 'Interest Rate',
+    format: 'percent',
+    base: (deal) => toNumber(deal.purchaseInputs.interestRate),
+    values: (base) => offsets(base, [-1, -0.5, 0, 0.5, 1]).map((value) => Math.max(value, 0)),
+    apply: (deal, value) => withPurchaseInputs(deal, { interestRate: value }),
+  },
+  // Under lender sizing this flexes the lender's LTV limit instead.
+  loanToValue: {
+    label: 'Loan-to-Value',
+    format: 'percent',
+    base: (deal) =>
+      isLenderSized(deal)
+        ? toNumber(deal.purchaseInputs.maxLoanToValue)
+        : 100 - toNumber(deal.purchaseInputs.downPaymentPercent),
+    values: (base) =>
+      offsets(base, [-10, -5, 0, 5, 10]).map((value) => Math.min(Math.max(value, 0), 95)),
+    apply: (deal, value) =>
+      withPurchaseInputs(
+        deal,
+        isLenderSized(deal) ? { maxLoanToValue: value } : { downPaymentPercent: 100 - value }
+      ),
+  },
+  annualRentIncrease: {
+    label: 'Annual Rent Increase',
+    format: 'percent',
+    base: resolveAnnualRentIncrease,
+    values: (base) => offsets(base, [-2, -1, 0, 1, 2]),
+    apply: (deal, value) =>
+      withYearAssumptions(deal, (year, index, years) =>
+        index > 0 || years.length === 1
+          ? { ...year, rentIncreaseValue: value, rentIncreaseMode: 'percent' }
+          : year
+      ),
+  },
+  leaseUpPace: {
+    label: 'Lease-Up Pace (% of plan)',
+    format: 'percent',
+    base: () => 100,
+    values: () => [50, 75, 100, 125, 150],
+    apply: (deal, value) =>
+      withYearAssumptions(deal, (year) => ({
+        ...year,
+        newLeases: Math.round((year.newLeases * value) / 100),
+      })),
+  },
+};
+
+export const SENSITIVITY_METRICS = {
+  irr: { label: 'IRR', format: 'percent' },
+  equityMultiple: { label: 'Equity Multiple', format: 'multiple' },
+  dscr: { label: 'DSCR', format: 'multiple' },
+  cashOnCash: { label: 'Cash-on-Cash', format: 'percent' },
+  capRate: { label: 'Going-in Cap Rate', format: 'percent' },
+};
+
+export const DEFAULT_SENSITIVITY_TABLES = [
+  { id: 'price-exit-cap', rowVariable: 'purchasePrice', columnVariable: 'exitCapRate', metric: 'irr' },
+  { id: 'rate-ltv', rowVariable: 'interestRate', columnVariable: 'loanToValue', metric: 'dscr' },
+  { id: 'rent-lease-up', rowVariable: 'annualRentIncrease', columnVariable: 'leaseUpPace', metric: 'equityMultiple' },
+];
+
+const readMetric = (calculations, metric) => {
+  const value = calculations?.[metric];
+  return Number.isFinite(value) ? value : null;
+};
+
+// Reruns the engine for every row × column combination. Returns null when the
+// table references an unknown variable or metric, or uses one variable twice.
+export const buildSensitivityGrid = (deal, table) => {
+  const { id, rowVariable, columnVariable, metric } = table || {};
+  const row = SENSITIVITY_VARIABLES[rowVariable];
+  const column = SENSITIVITY_VARIABLES[columnVariable];
+  const metricDefinition = SENSITIVITY_METRICS[metric];
+
+  if (!row || !column || !metricDefinition || rowVariable === columnVariable) {
+    return null;
+  }
+
+  const baseDeal = normaliseDeal(deal);
+  const rowValues = row.values(row.base(baseDeal));
+  const columnValues = column.values(column.base(baseDeal));
+  const cells = rowValues.map((rowValue) => {
+    const rowDeal = row.apply(baseDeal, rowValue);
+    return columnValues.map((columnValue) =>
+      readMetric(calculateDeal(column.apply(rowDeal, columnValue)), metric)
+    );
+  });
+
+  const baseRowIndex = Math.floor(rowValues.length / 2);
+  const baseColumnIndex = Math.floor(columnValues.length / 2);
+
+  return {
+    id,
+    rowVariable,
+    columnVariable,
+    metric,
+    rowLabel: row.label,
+    rowFormat: row.format,
+    columnLabel: column.label,
+    columnFormat: column.format,
+    metricLabel: metricDefinition.label,
+    metricFormat: metricDefinition.format,
+    rowValues,
+    columnValues,
+    baseRowIndex,
+    baseColumnIndex,
+    baseValue: cells[baseRowIndex]?.[baseColumnIndex] ?? null,
+    cells,
+  };
+};
+
+export const buildSensitivityTables = (deal, tables = DEFAULT_SENSITIVITY_TABLES) =>
+  (Array.isArray(tables) ? tables : [])
+    .map((table) => buildSensitivityGrid(deal, table))
+    .filter(Boolean);
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+import { calculateDeal, buildSensitivityGrid, buildSensitivityTables } from './index';
+
+const deal = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '__fixtures__', 'baseline.deal.json'), 'utf8')
+);
+
+const column = (grid, index) => grid.cells.map((row) => row[index]);
+
+describe('buildSensitivityGrid', () => {
+  test('centre cell matches the unadjusted deal', () => {
+    const grid = buildSensitivityGrid(deal, {
+      rowVariable: 'purchasePrice',
+      columnVariable: 'exitCapRate',
+      metric: 'irr',
+    });
+
+    expect(grid.cells).toHaveLength(5);
+    grid.cells.forEach((row) => expect(row).toHaveLength(5));
+    expect(grid.baseValue).toBeCloseTo(calculateDeal(deal).irr, 6);
+    expect(grid.rowValues[grid.baseRowIndex]).toBe(deal.purchaseInputs.purchasePrice);
+  });
+
+  test('IRR falls as the purchase price and exit cap rate rise', () => {
+    const grid = buildSensitivityGrid(deal, {
+      rowVariable: 'purchasePrice',
+      columnVariable: 'exitCapRate',
+      metric: 'irr',
+    });
+    const byPrice = column(grid, grid.baseColumnIndex);
+    const byExitCap = grid.cells[grid.baseRowIndex];
+
+    byPrice.slice(1).forEach((value, index) => expect(value).toBeLessThan(byPrice[index]));
+    byExitCap.slice(1).forEach((value, index) => expect(value).toBeLessThan(byExitCap[index]));
+  });
+
+  test('DSCR falls as the interest rate and loan-to-value rise', () => {
+    const grid = buildSensitivityGrid(deal, {
+      rowVariable: 'interestRate',
+      columnVariable: 'loanToValue',
+      metric: 'dscr',
+    });
+
+    expect(grid.cells[0][0]).toBeGreaterThan(grid.baseValue);
+    expect(grid.cells[4][4]).toBeLessThan(grid.baseValue);
+  });
+
+  test('faster lease-up and rent growth raise the equity multiple', () => {
+    const grid = buildSensitivityGrid(deal, {
+      rowVariable: 'annualRentIncrease',
+      columnVariable: 'leaseUpPace',
+      metric: 'equityMultiple',
+    });
+
+    expect(grid.cells[4][4]).toBeGreaterThan(grid.baseValue);
+    expect(grid.cells[0][0]).toBeLessThan(grid.baseValue);
+  });
+});
+
+describe('buildSensitivityTables', () => {
+  test('builds the default tables and skips invalid ones', () => {
+    expect(buildSensitivityTables(deal)).toHaveLength(3);
+    expect(
+      buildSensitivityTables(deal, [
+        { rowVariable: 'interestRate', columnVariable: 'interestRate', metric: 'irr' },
+        { rowVariable: 'interestRate', columnVariable: 'loanToValue', metric: 'unknown' },
+      ])
+    ).toEqual([]);
+  });
+});
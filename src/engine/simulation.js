@@ -0,0 +1,217 @@
+import { resolveYearAssumptions } from './defaults.js';
+import { calculateDeal, normaliseDeal } from './deal.js';
+import { resolveExitNoiYear } from './exit.js';
+
+export const SIMULATION_DISTRIBUTIONS = {
+  uniform: 'Uniform',
+  triangular: 'Triangular',
+  normal: 'Normal',
+};
+
+// Growth and lease-up are drawn separately for every projected year; the exit
+// cap rate is drawn once per iteration.
+export const SIMULATION_VARIABLES = {
+  rentGrowth: { label: 'Rent Growth (% / year)', step: 0.25 },
+  expenseGrowth: { label: 'Expense Growth (% / year)', step: 0.25 },
+  leaseUpPerYear: { label: 'New Leases per Year', step: 1 },
+  exitCapRate: { label: 'Exit Cap Rate (%)', step: 0.25 },
+};
+
+export const DEFAULT_SIMULATION_INPUTS = {
+  iterations: 2000,
+  seed: 1,
+  rentGrowth: { distribution: 'triangular', min: 1, mostLikely: 3, max: 5 },
+  expenseGrowth: { distribution: 'triangular', min: 1.5, mostLikely: 2.5, max: 4 },
+  leaseUpPerYear: { distribution: 'triangular', min: 0, mostLikely: 3, max: 6 },
+  exitCapRate: { distribution: 'triangular', min: 6.5, mostLikely: 7.5, max: 9 },
+};
+
+export const MIN_SIMULATION_ITERATIONS = 100;
+export const MAX_SIMULATION_ITERATIONS = 10000;
+
+const HISTOGRAM_BINS = 20;
+
+const toFiniteNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value !== '' && value !== null && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const normaliseRange = (range, fallback) => {
+  const source = range && typeof range === 'object' ? range : {};
+  const [min, mostLikely, max] = [
+    toFiniteNumber(source.min, fallback.min),
+    toFiniteNumber(source.mostLikely, fallback.mostLikely),
+    toFiniteNumber(source.max, fallback.max),
+  ].sort((left, right) => left - right);
+
+  return {
+    distribution: SIMULATION_DISTRIBUTIONS[source.distribution]
+      ? source.distribution
+      : fallback.distribution,
+    min,
+    mostLikely,
+    max,
+  };
+};
+
+export const normaliseSimulationInputs = (inputs = {}) => {
+  const source = inputs && typeof inputs === 'object' ? inputs : {};
+  const iterations = Math.round(toFiniteNumber(source.iterations, DEFAULT_SIMULATION_INPUTS.iterations));
+
+  return {
+    iterations: Math.min(Math.max(iterations, MIN_SIMULATION_ITERATIONS), MAX_SIMULATION_ITERATIONS),
+    seed: Math.round(toFiniteNumber(source.seed, DEFAULT_SIMULATION_INPUTS.seed)),
+    ...Object.fromEntries(
+      Object.keys(SIMULATION_VARIABLES).map((key) => [
+        key,
+        normaliseRange(source[key], DEFAULT_SIMULATION_INPUTS[key]),
+      ])
+    ),
+  };
+};
+
+// Seeded so a saved run can be reproduced exactly (mulberry32).
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Normal draws treat min and max as three standard deviations either side of
+// the most likely value and are clamped to that range.
+const sampleRange = ({ distribution, min, mostLikely, max }, random) => {
+  if (max <= min) {
+    return min;
+  }
+
+  if (distribution === 'uniform') {
+    return min + (max - min) * random();
+  }
+
+  if (distribution === 'normal') {
+    const radius = Math.sqrt(-2 * Math.log(1 - random()));
+    const gaussian = radius * Math.cos(2 * Math.PI * random());
+    return Math.min(Math.max(mostLikely + gaussian * ((max - min) / 6), min), max);
+  }
+
+  const draw = random();
+  const split = (mostLikely - min) / (max - min);
+  return draw < split
+    ? min + Math.sqrt(draw * (max - min) * (mostLikely - min))
+    : max - Math.sqrt((1 - draw) * (max - min) * (max - mostLikely));
+};
+
+export const calculatePercentile = (sortedValues, percentile) => {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+
+  const position = (sortedValues.length - 1) * (percentile / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+};
+
+const summariseValues = (values) => {
+  const sorted = [...values].sort((left, right) => left - right);
+
+  return {
+    p10: calculatePercentile(sorted, 10),
+    p50: calculatePercentile(sorted, 50),
+    p90: calculatePercentile(sorted, 90),
+    mean: sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null,
+    min: sorted.length > 0 ? sorted[0] : null,
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+  };
+};
+
+export const buildHistogram = (values, binCount = HISTOGRAM_BINS) => {
+  if (values.length === 0) {
+    return [];
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = max > min ? (max - min) / binCount : 1;
+  const bins = Array.from({ length: max > min ? binCount : 1 }, (_, index) => ({
+    from: min + index * width,
+    to: min + (index + 1) * width,
+    count: 0,
+  }));
+
+  values.forEach((value) => {
+    const index = Math.min(Math.floor((value - min) / width), bins.length - 1);
+    bins[index].count += 1;
+  });
+
+  return bins;
+};
+
+// Reruns the full deal for each iteration with the sampled growth, lease-up
+// and exit cap. onProgress(completed, total) is called every few hundred runs.
+export const runSimulation = (deal, simulationInputs, { onProgress } = {}) => {
+  const baseDeal = normaliseDeal(deal);
+  const inputs = normaliseSimulationInputs(simulationInputs);
+  const random = createRandom(inputs.seed);
+  const holdPeriod = Number(baseDeal.irrInputs.holdPeriod) || 0;
+  const yearCount = Math.max(
+    Number(baseDeal.projectionYears) || 1,
+    Math.ceil(holdPeriod),
+    resolveExitNoiYear(holdPeriod, baseDeal.irrInputs.exitNoiBasis)
+  );
+  const baseYears = resolveYearAssumptions(baseDeal.proformaInputs, yearCount);
+
+  const irrValues = [];
+  const equityMultiples = [];
+  let losses = 0;
+
+  for (let iteration = 1; iteration <= inputs.iterations; iteration += 1) {
+    const yearAssumptions = baseYears.map((year) => ({
+      ...year,
+      rentIncreaseValue: sampleRange(inputs.rentGrowth, random),
+      rentIncreaseMode: 'percent',
+      expenseGrowth: sampleRange(inputs.expenseGrowth, random),
+      newLeases: Math.max(Math.round(sampleRange(inputs.leaseUpPerYear, random)), 0),
+    }));
+    const exitCapRate = Math.max(sampleRange(inputs.exitCapRate, random), 0.25);
+
+    const { irr, equityMultiple } = calculateDeal({
+      ...baseDeal,
+      proformaInputs: { ...baseDeal.proformaInputs, yearAssumptions },
+      irrInputs: { ...baseDeal.irrInputs, exitCapRate, exitPricePerSite: 0 },
+    });
+
+    if (Number.isFinite(irr)) {
+      irrValues.push(irr);
+    }
+
+    if (Number.isFinite(equityMultiple)) {
+      equityMultiples.push(equityMultiple);
+      if (equityMultiple < 1) {
+        losses += 1;
+      }
+    }
+
+    if (onProgress && (iteration % 250 === 0 || iteration === inputs.iterations)) {
+      onProgress(iteration, inputs.iterations);
+    }
+  }
+
+  return {
+    inputs,
+    iterations: inputs.iterations,
+    irr: { ...summariseValues(irrValues), histogram: buildHistogram(irrValues) },
+    equityMultiple: {
+      ...summariseValues(equityMultiples),
+      histogram: buildHistogram(equityMultiples),
+    },
+    // Share of runs that return less equity than was invested.
+    probabilityOfLoss: equityMultiples.length > 0 ? (losses / equityMultiples.length) * 100 : null,
+  };
+};
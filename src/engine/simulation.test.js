@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+import { calculateDeal, normaliseSimulationInputs, runSimulation } from './index';
+
+const deal = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '__fixtures__', 'baseline.deal.json'), 'utf8')
+);
+
+const fixedRange = (value) => ({ distribution: 'triangular', min: value, mostLikely: value, max: value });
+
+describe('runSimulation', () => {
+  test('is reproducible for a given seed', () => {
+    const inputs = { iterations: 200, seed: 42 };
+
+    expect(runSimulation(deal, inputs)).toEqual(runSimulation(deal, inputs));
+    expect(runSimulation(deal, { ...inputs, seed: 7 }).irr.p50).not.toBe(
+      runSimulation(deal, inputs).irr.p50
+    );
+  });
+
+  test('collapses to the point estimate when every range is fixed', () => {
+    // Cover every modelled year so none falls back to the repeated last entry.
+    const pointDeal = {
+      ...deal,
+      proformaInputs: {
+        yearAssumptions: Array.from({ length: 10 }, () => ({
+          newLeases: 2,
+          rentIncreaseValue: 3,
+          rentIncreaseMode: 'percent',
+          otherIncomeGrowth: 3,
+          expenseGrowth: 2.5,
+        })),
+      },
+    };
+    const result = runSimulation(pointDeal, {
+      iterations: 100,
+      rentGrowth: fixedRange(3),
+      expenseGrowth: fixedRange(2.5),
+      leaseUpPerYear: fixedRange(2),
+      exitCapRate: fixedRange(pointDeal.irrInputs.exitCapRate),
+    });
+    const { irr, equityMultiple } = calculateDeal(pointDeal);
+
+    expect(result.irr.p10).toBeCloseTo(irr, 6);
+    expect(result.irr.p90).toBeCloseTo(irr, 6);
+    expect(result.equityMultiple.p50).toBeCloseTo(equityMultiple, 6);
+    expect(result.irr.histogram).toHaveLength(1);
+    expect(result.probabilityOfLoss).toBe(equityMultiple < 1 ? 100 : 0);
+  });
+
+  test('reports ordered percentiles, a full histogram and the chance of loss', () => {
+    const result = runSimulation(deal, {
+      iterations: 500,
+      exitCapRate: { distribution: 'uniform', min: 6, mostLikely: 8, max: 14 },
+    });
+
+    expect(result.irr.p10).toBeLessThan(result.irr.p50);
+    expect(result.irr.p50).toBeLessThan(result.irr.p90);
+    expect(result.irr.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(500);
+    expect(result.probabilityOfLoss).toBeGreaterThanOrEqual(0);
+    expect(result.probabilityOfLoss).toBeLessThanOrEqual(100);
+  });
+});
+
+describe('normaliseSimulationInputs', () => {
+  test('orders ranges and clamps the iteration count', () => {
+    const inputs = normaliseSimulationInputs({
+      iterations: 50000,
+      exitCapRate: { distribution: 'bogus', min: 9, mostLikely: 7, max: 6 },
+    });
+
+    expect(inputs.iterations).toBe(10000);
+    expect(inputs.exitCapRate).toEqual({ distribution: 'triangular', min: 6, mostLikely: 7, max: 9 });
+  });
+});
@@ -0,0 +1,106 @@
+import { categoriseLabel } from './pnlCategories.js';
+import { toNumber } from './proforma.js';
+
+export const UTILITY_EXPENSE_CATEGORY = 'Water/Sewer';
+export const UTILITY_REIMBURSEMENT_CATEGORY = 'Utility Reimbursement';
+
+// Imported P&L lines carry their mapped category; lines typed in by hand are
+// categorised from their name with the deal's category rules.
+const isCategory = (line, section, category, rules) =>
+  line?.category === category || categoriseLabel(line?.name, section, rules)?.category === category;
+
+const sumAmounts = (lines) => lines.reduce((total, line) => total + toNumber(line.amount), 0);
+
+// Resolves the utility billback plan against the deal: the Water/Sewer expense
+// lines that make up the bill, the Utility Reimbursement income the park
+// already collects, and the share of the bill recovered in each proforma year.
+// Returns null when the plan is off so the proforma keeps its other income as
+// it is.
+export const buildUtilityBillbackPlan = ({
+  expenses = [],
+  additionalIncome = [],
+  occupiedUnits = 0,
+  proformaInputs,
+  projectionCount,
+  categoryRules = null,
+}) => {
+  const plan = proformaInputs?.utilityBillback;
+  if (!plan?.enabled) {
+    return null;
+  }
+
+  const utilityLines = expenses.filter((line) =>
+    isCategory(line, 'expense', UTILITY_EXPENSE_CATEGORY, categoryRules)
+  );
+  const reimbursementLines = additionalIncome.filter((line) =>
+    isCategory(line, 'income', UTILITY_REIMBURSEMENT_CATEGORY, categoryRules)
+  );
+  const utilityExpense = sumAmounts(utilityLines);
+  const existingRecovery = sumAmounts(reimbursementLines);
+  const currentRecoveryPercent =
+    utilityExpense > 0 ? Math.min(Math.max((existingRecovery / utilityExpense) * 100, 0), 100) : 0;
+  const targetRecoveryPercent = Math.max(plan.targetRecoveryPercent, currentRecoveryPercent);
+
+  const recoveryPercents = Array.from({ length: projectionCount }, (_, index) => {
+    const step = index + 2 - plan.startYear;
+    if (step < 1) {
+      return currentRecoveryPercent;
+    }
+
+    const share = plan.phaseInYears > 0 ? Math.min(step / plan.phaseInYears, 1) : 1;
+    return currentRecoveryPercent + (targetRecoveryPercent - currentRecoveryPercent) * share;
+  });
+
+  return {
+    method: plan.method,
+    utilityLineIds: utilityLines.map((line) => String(line.id)),
+    reimbursementLineIds: reimbursementLines.map((line) => String(line.id)),
+    utilityExpense,
+    existingRecovery,
+    currentRecoveryPercent,
+    targetRecoveryPercent,
+    occupiedLots: plan.occupiedLots ?? occupiedUnits,
+    startYear: plan.startYear,
+    phaseInYears: plan.phaseInYears,
+    capex: plan.capex,
+    recoveryPercents,
+  };
+};
+
+// What the billback adds, year by year, over the park's current recovery
+// (which would have grown with other income). The NOI uplift is the extra
+// income less the management fee, or the flat expense ratio when that is on,
+// and the value uplift prices the exit year's NOI uplift at the exit cap rate.
+export const summariseUtilityBillback = ({
+  plan,
+  proformaYears = [],
+  projectionCount,
+  exitNoiYear,
+  exitCapRate,
+  feePercent = 0,
+}) => {
+  const describeYear = (entry) => ({
+    year: entry.year,
+    recoveryPercent: plan.recoveryPercents[entry.year - 1] ?? 0,
+    // Above the year's share while lease-up adds billed lots, up to the bill.
+    recoveredPercent: entry.utilityBill > 0 ? (entry.utilityReimbursement / entry.utilityBill) * 100 : 0,
+    utilityBill: entry.utilityBill,
+    reimbursement: entry.utilityReimbursement,
+    recapture: entry.utilityRecapture,
+    noiUplift: entry.utilityRecapture * (1 - feePercent / 100),
+    capex: entry.capitalExpenditure,
+  });
+  const exitYear = proformaYears.find((entry) => entry.year === exitNoiYear);
+  const exitNoiUplift = exitYear ? describeYear(exitYear).noiUplift : 0;
+  const valueUplift = exitCapRate > 0 ? exitNoiUplift / (exitCapRate / 100) : 0;
+
+  return {
+    ...plan,
+    years: proformaYears.slice(0, projectionCount).map(describeYear),
+    exitNoiYear,
+    exitCapRate,
+    exitNoiUplift,
+    valueUplift,
+    netValueUplift: valueUplift - plan.capex,
+  };
+};
@@ -0,0 +1,85 @@
+import { buildUtilityBillbackPlan, calculateDeal, normaliseProformaInputs } from './index';
+import { DEFAULT_CATEGORY_RULES } from '../config/categoryRules';
+
+const flatYears = Array.from({ length: 5 }, () => ({
+  newLeases: 0,
+  rentIncreaseValue: 0,
+  otherIncomeGrowth: 0,
+  expenseGrowth: 0,
+}));
+
+const units = Array.from({ length: 10 }, (_, index) => ({
+  id: index + 1,
+  rent: 400,
+  occupied: index < 8,
+}));
+
+const deal = (utilityBillback, overrides = {}) => ({
+  units,
+  additionalIncome: [{ id: 1, name: 'Water Reimbursement', amount: 2000 }],
+  expenses: [
+    { id: 1, name: 'Water & Sewer', amount: 10000 },
+    { id: 2, name: 'Insurance', amount: 5000 },
+  ],
+  managementPercent: 0,
+  purchaseInputs: { purchasePrice: 400000 },
+  irrInputs: { holdPeriod: 4, exitCapRate: 8 },
+  proformaInputs: { yearAssumptions: flatYears, utilityBillback },
+  categoryRules: DEFAULT_CATEGORY_RULES,
+  ...overrides,
+});
+
+describe('utility billback', () => {
+  test('the plan finds the bill and current recovery and phases to the target', () => {
+    const plan = buildUtilityBillbackPlan({
+      ...deal({}),
+      occupiedUnits: 8,
+      projectionCount: 4,
+      proformaInputs: normaliseProformaInputs({
+        utilityBillback: { enabled: true, targetRecoveryPercent: 80, startYear: 2, phaseInYears: 2 },
+      }),
+    });
+
+    expect(plan).toMatchObject({
+      utilityLineIds: ['1'],
+      reimbursementLineIds: ['1'],
+      utilityExpense: 10000,
+      existingRecovery: 2000,
+      currentRecoveryPercent: 20,
+      occupiedLots: 8,
+    });
+    expect(plan.recoveryPercents).toEqual([20, 50, 80, 80]);
+  });
+
+  test('the reimbursement line replaces current recovery and lifts NOI and value', () => {
+    const base = calculateDeal(deal({}));
+    const result = calculateDeal(
+      deal({ enabled: true, targetRecoveryPercent: 80, phaseInYears: 0, capex: 12000 })
+    );
+
+    expect(base.utilityBillback).toBeNull();
+    expect(result.noi).toBe(base.noi);
+    expect(result.proformaYears[0]).toMatchObject({
+      otherIncome: 0,
+      utilityReimbursement: 8000,
+      utilityRecapture: 6000,
+      capitalExpenditure: 12000,
+    });
+    expect(result.proformaYears[0].noi - base.proformaYears[0].noi).toBe(6000);
+    expect(result.proformaYears[0].cashFlow - base.proformaYears[0].cashFlow).toBe(-6000);
+    expect(result.utilityBillback.exitNoiUplift).toBe(6000);
+    expect(result.utilityBillback.valueUplift).toBeCloseTo(75000, 6);
+    expect(result.utilityBillback.netValueUplift).toBeCloseTo(63000, 6);
+  });
+
+  test('lease-up bills more lots but never more than the bill', () => {
+    const years = flatYears.map((year, index) => ({ ...year, newLeases: index === 0 ? 2 : 0 }));
+    const utilityBillback = { enabled: true, targetRecoveryPercent: 90, phaseInYears: 0 };
+    const result = calculateDeal(
+      deal(utilityBillback, { proformaInputs: { yearAssumptions: years, utilityBillback } })
+    );
+
+    expect(result.proformaYears[0].utilityReimbursement).toBe(10000);
+    expect(result.utilityBillback.years[0].recoveredPercent).toBe(100);
+  });
+});
@@ -0,0 +1,16 @@
+import { runSimulation } from '../engine';
+
+// Runs the Monte Carlo simulation off the main thread so the editors stay
+// responsive. Posts progress messages, then a single result or error.
+self.addEventListener('message', (event) => {
+  const { deal, simulationInputs } = event.data || {};
+
+  try {
+    const result = runSimulation(deal, simulationInputs, {
+      onProgress: (completed, total) => self.postMessage({ type: 'progress', completed, total }),
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error?.message || 'Simulation failed.' });
+  }
+});